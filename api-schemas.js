@@ -0,0 +1,64 @@
+// Shared JSON Schema fragments used by route definitions, request validation
+// and the generated OpenAPI document.
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const anyObject = { type: 'object' };
+const anyArray = { type: 'array' };
+
+// Object schema that rejects fields it does not list
+function strictObject(properties, required = []) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+// Object schema that type-checks known fields but passes the rest upstream
+function openObject(properties, required = []) {
+  return { type: 'object', properties, required, additionalProperties: true };
+}
+
+// Successful response body: { success: true, ...properties }
+function successResponse(properties = {}) {
+  return {
+    type: 'object',
+    properties: { success: { type: 'boolean', const: true }, ...properties },
+    required: ['success']
+  };
+}
+
+// Names of the :params in an Express route path
+function pathParamNames(routePath) {
+  return (routePath.match(/:[A-Za-z0-9_]+/g) || []).map(name => name.slice(1));
+}
+
+// Params schema derived from an Express route path
+function pathParams(routePath) {
+  const names = pathParamNames(routePath);
+  return strictObject(Object.fromEntries(names.map(name => [name, nonEmptyString])), names);
+}
+
+// Body returned for every error, see gateway-error.js
+const errorResponse = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', const: false },
+    error: { type: 'string' },
+    code: { type: 'string' },
+    provider: { type: ['string', 'null'] },
+    upstreamStatus: { type: ['integer', 'null'] },
+    retryable: { type: 'boolean' },
+    retryAfter: { type: ['integer', 'null'] },
+    details: {}
+  },
+  required: ['success', 'error', 'code']
+};
+
+module.exports = {
+  nonEmptyString,
+  anyObject,
+  anyArray,
+  strictObject,
+  openObject,
+  successResponse,
+  pathParamNames,
+  pathParams,
+  errorResponse
+};
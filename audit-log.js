@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_FIELD = /(token|secret|password|passphrase|api[_-]?key|private[_-]?key|authorization|^key$)/i;
+const MAX_STRING_LENGTH = 500;
+const MAX_DEPTH = 6;
+
+// Copy a payload for storage: secrets are redacted and long strings (file
+// contents, documents) are cut down so the log stays small
+function sanitize(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH
+      ? `${value.slice(0, MAX_STRING_LENGTH)}... [${value.length} chars]`
+      : value;
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [
+    field,
+    SENSITIVE_FIELD.test(field) ? REDACTED : sanitize(fieldValue, depth + 1)
+  ]));
+}
+
+// Check an entry against query filters ({ provider, connection, resource, from, to })
+function matches(entry, { provider, connection, resource, from, to }) {
+  if (provider && entry.provider !== provider) return false;
+  if (connection && entry.connection !== connection) return false;
+  if (resource && !entry.resource.includes(resource)) return false;
+  if (from && entry.occurredAt < from) return false;
+  if (to && entry.occurredAt > to) return false;
+  return true;
+}
+
+// Audit entries as JSON lines in a local file that is only ever appended to
+class FileAuditStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.nextId = null;
+  }
+
+  async init() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.nextId = (await this.readAll()).reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+  }
+
+  async append(entry) {
+    const stored = { id: this.nextId++, ...entry };
+    await fs.promises.appendFile(this.filePath, JSON.stringify(stored) + '\n', { mode: 0o600 });
+    return stored;
+  }
+
+  async query(filters) {
+    const entries = (await this.readAll()).filter(entry => matches(entry, filters));
+    return entries.reverse().slice(filters.offset, filters.offset + filters.limit);
+  }
+
+  async readAll() {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return contents.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+}
+
+// Audit entries in a Postgres table; rules stop rows from being changed or removed
+class PostgresAuditStore {
+  constructor(connectionString) {
+    const { Pool } = require('pg');
+    this.pool = new Pool({ connectionString });
+  }
+
+  async init() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS tower_audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        occurred_at TIMESTAMPTZ NOT NULL,
+        provider TEXT NOT NULL,
+        operation TEXT,
+        method TEXT NOT NULL,
+        resource TEXT NOT NULL,
+        params JSONB,
+        client JSONB,
+        request JSONB,
+        status INTEGER,
+        outcome TEXT NOT NULL,
+        error JSONB,
+        response JSONB,
+        duration_ms INTEGER
+      );
+      ALTER TABLE tower_audit_log ADD COLUMN IF NOT EXISTS connection TEXT;
+      CREATE INDEX IF NOT EXISTS tower_audit_log_provider_time ON tower_audit_log (provider, occurred_at);
+      CREATE OR REPLACE RULE tower_audit_log_no_update AS ON UPDATE TO tower_audit_log DO INSTEAD NOTHING;
+      CREATE OR REPLACE RULE tower_audit_log_no_delete AS ON DELETE TO tower_audit_log DO INSTEAD NOTHING;
+    `);
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  async append(entry) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO tower_audit_log
+        (occurred_at, provider, connection, operation, method, resource, params, client, request, status, outcome, error, response, duration_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       RETURNING id`,
+      [
+        entry.occurredAt, entry.provider, entry.connection, entry.operation, entry.method, entry.resource,
+        JSON.stringify(entry.params), JSON.stringify(entry.client), JSON.stringify(entry.request),
+        entry.status, entry.outcome, JSON.stringify(entry.error), JSON.stringify(entry.response), entry.durationMs
+      ]
+    );
+    return { id: Number(rows[0].id), ...entry };
+  }
+
+  async query({ provider, connection, resource, from, to, limit, offset }) {
+    const conditions = [];
+    const values = [];
+    const add = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replace('?', `$${values.length}`));
+    };
+    if (provider) add('provider = ?', provider);
+    if (connection) add('connection = ?', connection);
+    if (resource) add('position(? in resource) > 0', resource);
+    if (from) add('occurred_at >= ?', from);
+    if (to) add('occurred_at <= ?', to);
+
+    values.push(limit, offset);
+    const { rows } = await this.pool.query(
+      `SELECT * FROM tower_audit_log
+       ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+       ORDER BY id DESC LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+    return rows.map(row => ({
+      id: Number(row.id),
+      occurredAt: row.occurred_at.toISOString(),
+      provider: row.provider,
+      connection: row.connection,
+      operation: row.operation,
+      method: row.method,
+      resource: row.resource,
+      params: row.params,
+      client: row.client,
+      request: row.request,
+      status: row.status,
+      outcome: row.outcome,
+      error: row.error,
+      response: row.response,
+      durationMs: row.duration_ms
+    }));
+  }
+}
+
+// Append-only record of every mutating call that goes through the gateway
+class AuditLog {
+  constructor(store) {
+    this.store = store;
+    this.ready = null;
+  }
+
+  // Postgres when TOWER_AUDIT_DATABASE_URL or DATABASE_URL is set, otherwise a
+  // JSON lines file (TOWER_AUDIT_FILE); TOWER_AUDIT_STORE=file forces the file
+  static fromEnv(env = process.env) {
+    const databaseUrl = env.TOWER_AUDIT_DATABASE_URL || env.DATABASE_URL;
+    if (databaseUrl && env.TOWER_AUDIT_STORE !== 'file') {
+      return new AuditLog(new PostgresAuditStore(databaseUrl));
+    }
+    return new AuditLog(new FileAuditStore(env.TOWER_AUDIT_FILE || path.join(__dirname, '.data', 'audit-log.jsonl')));
+  }
+
+  init() {
+    if (!this.ready) {
+      // Try again on the next call if the store could not be set up
+      this.ready = this.store.init().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async record(entry) {
+    await this.init();
+    return this.store.append(entry);
+  }
+
+  // Release the store's resources (the Postgres pool) once nothing more is recorded
+  async close() {
+    if (typeof this.store.close === 'function') await this.store.close();
+  }
+
+  async query({ provider, connection, resource, from, to, limit = 100, offset = 0 } = {}) {
+    await this.init();
+    // Stored times are UTC ISO strings; normalize the bounds so they compare correctly
+    const toIso = value => value ? new Date(value).toISOString() : undefined;
+    return this.store.query({ provider, connection, resource, from: toIso(from), to: toIso(to), limit, offset });
+  }
+
+  // Express middleware that records a route's call once the response is sent.
+  // Reads are not audited, so GET routes get a pass-through. A call answered
+  // with a job (202) is recorded as queued; the job records its own outcome.
+  middleware(provider, route) {
+    if (route.method === 'get') {
+      return (req, res, next) => next();
+    }
+
+    return (req, res, next) => {
+      const started = Date.now();
+      const occurredAt = new Date(started).toISOString();
+      // Express resets these once an error leaves the router, so take them now.
+      // Relative to where the app is mounted, like client key scopes and the
+      // calls recorded by ProviderRegistry#invoke.
+      const resource = (req.baseUrl + req.path).slice((req.towerBaseUrl || '').length);
+      const params = { ...req.params };
+      let responseBody;
+
+      const json = res.json.bind(res);
+      res.json = body => {
+        responseBody = body;
+        return json(body);
+      };
+
+      res.on('finish', () => {
+        // Dry runs change nothing; the plans they make are recorded when applied
+        if (req.dryRun) return;
+        const failed = res.statusCode >= 400;
+        const entry = {
+          occurredAt,
+          provider,
+          connection: req.connectionName || null,
+          operation: route.operation || null,
+          method: req.method,
+          resource,
+          params,
+          client: req.client ? { id: req.client.id, name: req.client.name } : null,
+          request: sanitize(req.body && Object.keys(req.body).length > 0 ? req.body : null),
+          status: res.statusCode,
+          outcome: failed ? 'failure' : res.statusCode === 202 ? 'queued' : 'success',
+          error: failed && responseBody ? { code: responseBody.code, message: responseBody.error } : null,
+          response: failed ? null : sanitize(responseBody ?? null),
+          durationMs: Date.now() - started
+        };
+
+        this.record(entry).catch(error => {
+          logger.error('Error writing audit log entry', { error });
+        });
+      });
+
+      next();
+    };
+  }
+}
+
+module.exports = { AuditLog, FileAuditStore, PostgresAuditStore, sanitize };
@@ -0,0 +1,202 @@
+const GatewayError = require('./gateway-error');
+const { render } = require('./workflow-engine');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// {{ responses.project.body.project.id }} makes a sub-request wait for "project"
+const REFERENCE = /\{\{\s*responses\.([A-Za-z0-9_-]+)/g;
+// Sent from the batch request itself, never from a sub-request
+const RESERVED_HEADERS = ['x-tower-key', 'authorization', 'x-request-id', 'host', 'content-length', 'transfer-encoding'];
+// Response headers worth passing back with a sub-request's body
+const RESPONSE_HEADERS = ['location', 'etag', 'x-cache', 'retry-after', 'preference-applied', 'x-request-id'];
+const DEFAULT_CONCURRENCY = 4;
+
+const invalid = (message, details) => new GatewayError(message, { status: 400, code: 'invalid_batch', details });
+
+// Ids of the sub-requests a value refers to through its templates
+function referencesIn(value, found = new Set()) {
+  if (typeof value === 'string') {
+    Array.from(value.matchAll(REFERENCE)).forEach(match => found.add(match[1]));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => referencesIn(item, found));
+  }
+  return found;
+}
+
+// Whether a path leads to POST /batch itself. Compared the way the request
+// will be routed: dot segments (also as %2e) resolved, and without regard to
+// case, as Express matches routes.
+function isBatchPath(path) {
+  const { pathname } = new URL(path, 'http://tower.invalid');
+  return /^\/batch(\/|$)/i.test(pathname);
+}
+
+// Fill the templates of a path one segment at a time, so values are URL-encoded
+function renderPath(path, context) {
+  const [pathname, search] = path.split(/\?(.*)/s);
+  const rendered = pathname.split('/').map(segment => {
+    if (!segment.includes('{{')) return segment;
+    const value = render(segment, context);
+    return encodeURIComponent(value === undefined || value === null ? '' : String(value));
+  }).join('/');
+  return search === undefined ? rendered : `${rendered}?${render(search, context)}`;
+}
+
+// Runs the sub-requests of a POST /batch call. Each sub-request names a
+// gateway route ({ id, method, path, query, headers, body }) and may wait for
+// others, listed in `dependsOn` or referenced from its templates as
+// {{ responses.<id>.body... }} or {{ responses.<id>.status }}. Up to
+// `concurrency` sub-requests run at once; one whose dependency failed or was
+// skipped is skipped. With `stopOnError`, no new sub-request starts after the
+// first failure and the rest are reported as not run. Sub-requests that
+// already succeeded are not undone.
+class BatchRunner {
+  constructor({ maxRequests = 50 } = {}) {
+    this.maxRequests = maxRequests;
+  }
+
+  // Build a runner from TOWER_BATCH_MAX_REQUESTS
+  static fromEnv(env = process.env) {
+    return new BatchRunner({ maxRequests: Number(env.TOWER_BATCH_MAX_REQUESTS) || 50 });
+  }
+
+  // Check a batch body, give every sub-request an id and work out what each
+  // one waits for
+  normalize({ requests, concurrency = DEFAULT_CONCURRENCY, stopOnError = false }) {
+    if (requests.length > this.maxRequests) {
+      throw invalid(`A batch may hold at most ${this.maxRequests} requests`);
+    }
+
+    const items = requests.map((request, index) => {
+      const id = request.id === undefined ? String(index) : request.id;
+      if (!ID_PATTERN.test(id)) {
+        throw invalid(`Request ${index} has an invalid id; use 1-64 letters, digits, "_" or "-"`);
+      }
+      if (isBatchPath(request.path)) {
+        throw invalid(`Request "${id}" is a batch; batches cannot be nested`);
+      }
+      const reserved = Object.keys(request.headers || {}).filter(name => RESERVED_HEADERS.includes(name.toLowerCase()));
+      if (reserved.length > 0) {
+        throw invalid(`Request "${id}" sets ${reserved.join(', ')}; the batch request's own are used`);
+      }
+
+      const { dependsOn = [], ...fields } = request;
+      const references = referencesIn([fields.path, fields.query, fields.headers, fields.body]);
+      return {
+        ...fields,
+        id,
+        method: request.method.toUpperCase(),
+        dependsOn: Array.from(new Set([...dependsOn, ...references]))
+      };
+    });
+
+    const ids = new Set();
+    items.forEach(item => {
+      if (ids.has(item.id)) throw invalid(`Request id "${item.id}" is used more than once`);
+      ids.add(item.id);
+    });
+    items.forEach(item => {
+      const unknown = item.dependsOn.filter(id => !ids.has(id));
+      if (unknown.length > 0) throw invalid(`Request "${item.id}" depends on unknown request ${unknown.map(id => `"${id}"`).join(', ')}`);
+      if (item.dependsOn.includes(item.id)) throw invalid(`Request "${item.id}" depends on itself`);
+    });
+    BatchRunner.checkCycles(items);
+
+    return { items, concurrency, stopOnError };
+  }
+
+  static checkCycles(items) {
+    const byId = new Map(items.map(item => [item.id, item]));
+    const done = new Set();
+    const visit = (item, trail) => {
+      if (done.has(item.id)) return;
+      if (trail.includes(item.id)) {
+        throw invalid(`Requests depend on each other in a cycle: ${[...trail.slice(trail.indexOf(item.id)), item.id].join(' -> ')}`);
+      }
+      item.dependsOn.forEach(id => visit(byId.get(id), [...trail, item.id]));
+      done.add(item.id);
+    };
+    items.forEach(item => visit(item, []));
+  }
+
+  // Run a normalized batch. `send(request)` performs one sub-request, with
+  // its templates filled in, and resolves to { status, headers, body }.
+  run({ items, concurrency, stopOnError }, send) {
+    const context = { responses: {} };
+    const results = new Map(items.map(item => [item.id, { id: item.id, method: item.method, path: item.path, state: 'pending' }]));
+    let running = 0;
+    let stopped = false;
+
+    return new Promise(resolve => {
+      const settle = (item, fields) => Object.assign(results.get(item.id), fields);
+
+      const next = () => {
+        // Repeat until nothing changes, so skips carry down chains of dependencies
+        for (let changed = true; changed;) {
+          changed = false;
+          items.filter(item => results.get(item.id).state === 'pending').forEach(item => {
+            const blocked = item.dependsOn.find(id => ['failed', 'skipped', 'not_run'].includes(results.get(id).state));
+            if (stopped) {
+              settle(item, { state: 'not_run', status: null, body: null });
+            } else if (blocked) {
+              settle(item, { state: 'skipped', status: null, body: null, reason: `Depends on "${blocked}", which ${results.get(blocked).state === 'failed' ? 'failed' : 'did not run'}` });
+            } else {
+              return;
+            }
+            changed = true;
+          });
+        }
+
+        items
+          .filter(item => results.get(item.id).state === 'pending' && item.dependsOn.every(id => results.get(id).state === 'succeeded'))
+          .slice(0, Math.max(0, concurrency - running))
+          .forEach(item => start(item));
+
+        if (running === 0 && items.every(item => results.get(item.id).state !== 'pending')) {
+          const counts = state => Array.from(results.values()).filter(result => result.state === state).length;
+          resolve({
+            stopped,
+            summary: { succeeded: counts('succeeded'), failed: counts('failed'), skipped: counts('skipped'), notRun: counts('not_run') },
+            responses: items.map(item => results.get(item.id))
+          });
+        }
+      };
+
+      const start = item => {
+        running += 1;
+        const started = Date.now();
+        settle(item, { state: 'running' });
+
+        Promise.resolve()
+          .then(() => {
+            const path = renderPath(item.path, context);
+            // Templates may spell out a path that normalize() could not see
+            if (isBatchPath(path)) throw invalid(`Request "${item.id}" is a batch; batches cannot be nested`);
+            return send({
+              ...item,
+              path,
+              query: render(item.query, context),
+              headers: render(item.headers, context),
+              body: render(item.body, context)
+            });
+          })
+          .catch(error => {
+            const gatewayError = GatewayError.from(error);
+            return { status: gatewayError.status, headers: {}, body: gatewayError.toJSON() };
+          })
+          .then(({ status, headers, body }) => {
+            const failed = status >= 400;
+            const kept = Object.fromEntries(RESPONSE_HEADERS.filter(name => headers && headers[name] !== undefined).map(name => [name, headers[name]]));
+            context.responses[item.id] = { status, headers: kept, body };
+            settle(item, { state: failed ? 'failed' : 'succeeded', status, headers: kept, body, durationMs: Date.now() - started });
+            if (failed && stopOnError) stopped = true;
+            running -= 1;
+            next();
+          });
+      };
+
+      next();
+    });
+  }
+}
+
+module.exports = { BatchRunner };
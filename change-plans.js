@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const GatewayError = require('./gateway-error');
+const { sanitize } = require('./audit-log');
+const { successResponse } = require('./api-schemas');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Fields that differ between two states, as { path, before, after } with
+// dotted paths into nested objects. A missing state (null) compares as an
+// empty object, so a create lists every field it sets and a delete every
+// field it removes. Arrays and other values are compared whole.
+function diffChange(before, after, path = '') {
+  const missing = value => value === null || value === undefined;
+  if ((isPlainObject(before) || isPlainObject(after)) && [before, after].every(value => missing(value) || isPlainObject(value))) {
+    const from = before || {};
+    const to = after || {};
+    return Array.from(new Set([...Object.keys(from), ...Object.keys(to)]))
+      .flatMap(key => diffChange(from[key], to[key], path ? `${path}.${key}` : key));
+  }
+  return isDeepStrictEqual(before ?? null, after ?? null) ? [] : [{ path, before: before ?? null, after: after ?? null }];
+}
+
+// Change a route's `plan(req, service)` describes, as a dry run reports it:
+// { action, before, after, diff }. `before` is the current state (null for a
+// create) and `after` the state the call would leave (null for a delete); the
+// action defaults to create, update or delete accordingly.
+function describeChange({ action, before = null, after = null }) {
+  // Copied, since services may later change the objects they returned in place
+  const change = JSON.parse(JSON.stringify({ before, after }));
+  return {
+    action: action || (change.before === null ? 'create' : change.after === null ? 'delete' : 'update'),
+    ...change,
+    diff: diffChange(change.before, change.after)
+  };
+}
+
+// Body of a route answered with ?dryRun=true
+const dryRunResponse = successResponse({
+  dryRun: { type: 'boolean', const: true },
+  change: {
+    type: 'object',
+    properties: {
+      action: { type: 'string' },
+      resource: { type: 'string' },
+      before: {},
+      after: {},
+      diff: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { path: { type: 'string' }, before: {}, after: {} },
+          required: ['path', 'before', 'after']
+        }
+      }
+    },
+    required: ['action', 'resource', 'before', 'after', 'diff']
+  },
+  plan: {
+    type: ['object', 'null'],
+    properties: { token: { type: 'string' }, expiresAt: { type: 'string' }, apply: { type: 'string' } },
+    required: ['token', 'expiresAt', 'apply']
+  }
+});
+
+// Changes reviewed with a dry run and waiting to be applied, keyed by an
+// unguessable token. A plan holds the exact request the dry run was made
+// with and the change it reported; applying it (ProviderRegistry#applyPlan)
+// sends that request, once, if the state it was planned against is unchanged.
+// Plans live in memory and expire after `ttlSeconds`.
+class ChangePlans {
+  constructor({ ttlSeconds = 900, maxPlans = 1000 } = {}) {
+    this.ttlSeconds = ttlSeconds;
+    this.maxPlans = maxPlans;
+    this.plans = new Map();
+  }
+
+  // Build a plan store from TOWER_PLAN_TTL_SECONDS and TOWER_PLAN_LIMIT
+  static fromEnv(env = process.env) {
+    return new ChangePlans({
+      ttlSeconds: Number(env.TOWER_PLAN_TTL_SECONDS) || 900,
+      maxPlans: Number(env.TOWER_PLAN_LIMIT) || 1000
+    });
+  }
+
+  // Plan as shown to clients, with the request's secrets masked
+  static describe(plan) {
+    return { ...plan, request: sanitize(plan.request) };
+  }
+
+  // Store a plan. `details` describes the call and its change ({ provider,
+  // connection, operation, method, resource, request, change, client, requestId }).
+  create(details) {
+    this.prune();
+    if (this.plans.size >= this.maxPlans) {
+      throw new GatewayError(`Too many open plans (${this.maxPlans}); apply or discard some, or wait for them to expire`, { status: 503, code: 'plan_limit_reached', retryable: true });
+    }
+
+    const createdAt = Date.now();
+    const plan = {
+      token: `plan_${crypto.randomBytes(24).toString('base64url')}`,
+      ...details,
+      createdAt: new Date(createdAt).toISOString(),
+      expiresAt: new Date(createdAt + this.ttlSeconds * 1000).toISOString()
+    };
+    this.plans.set(plan.token, plan);
+    return plan;
+  }
+
+  get(token) {
+    const plan = this.plans.get(token);
+    if (!plan) return null;
+    if (Date.parse(plan.expiresAt) <= Date.now()) {
+      this.plans.delete(token);
+      return null;
+    }
+    return plan;
+  }
+
+  // Open plans, newest first, optionally only one client's
+  list({ clientId } = {}) {
+    this.prune();
+    return Array.from(this.plans.values())
+      .filter(plan => !clientId || (plan.client && plan.client.id === clientId))
+      .reverse();
+  }
+
+  // Remove a plan and return it, so it can only be applied once
+  take(token) {
+    const plan = this.get(token);
+    if (plan) this.plans.delete(token);
+    return plan;
+  }
+
+  prune() {
+    this.plans.forEach(plan => this.get(plan.token));
+  }
+}
+
+module.exports = { ChangePlans, diffChange, describeChange, dryRunResponse };
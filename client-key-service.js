@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Client ID of the TOWER_ADMIN_KEY
+const BOOTSTRAP_ID = 'bootstrap';
+
+class ClientKeyService {
+  constructor(filePath = path.join(__dirname, '.data', 'client-keys.json'), { adminKey = null } = {}) {
+    this.filePath = filePath;
+    this.adminKey = adminKey;
+    this.keys = [];
+    this.load();
+  }
+
+  // Keys stored in TOWER_CLIENT_KEYS_FILE, with TOWER_ADMIN_KEY as the bootstrap key
+  static fromEnv(env = process.env) {
+    return new ClientKeyService(env.TOWER_CLIENT_KEYS_FILE || undefined, { adminKey: env.TOWER_ADMIN_KEY || null });
+  }
+
+  // Hash a raw client key for storage and comparison
+  static hashKey(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+  }
+
+  // Map an HTTP method onto the read/write verb used in scopes
+  static accessFor(method) {
+    return READ_METHODS.includes(method.toUpperCase()) ? 'read' : 'write';
+  }
+
+  // Parse a scope string such as "/cloudflare:read" or "*:write"
+  static parseScope(scope) {
+    const separator = scope.lastIndexOf(':');
+    const prefix = separator > 0 ? scope.slice(0, separator) : '';
+    const access = separator > 0 ? scope.slice(separator + 1) : '';
+
+    if (!['read', 'write'].includes(access) || (prefix !== '*' && !prefix.startsWith('/'))) {
+      throw new Error(`Invalid scope "${scope}". Use "<route prefix>:read" or "<route prefix>:write", e.g. "/gitlab:read"`);
+    }
+    return { prefix: prefix.replace(/\/+$/, '') || '/', access };
+  }
+
+  // Check whether a list of scopes allows a method on a path
+  static isAllowed(scopes, method, requestPath) {
+    const access = ClientKeyService.accessFor(method);
+    return scopes.some(scope => {
+      const { prefix, access: scopeAccess } = ClientKeyService.parseScope(scope);
+      if (scopeAccess !== access) return false;
+      if (prefix === '*' || prefix === '/') return true;
+      return requestPath === prefix || requestPath.startsWith(prefix + '/');
+    });
+  }
+
+  // Load stored key records from disk
+  load() {
+    try {
+      this.keys = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error loading client keys', { error });
+      }
+      this.keys = [];
+    }
+  }
+
+  // Persist key records to disk
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.keys, null, 2), { mode: 0o600 });
+  }
+
+  // Issue a new client key; the raw key is only ever returned here
+  issueKey(name, scopes) {
+    if (!name) {
+      throw new Error('Client key name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error('At least one scope is required');
+    }
+    scopes.forEach(scope => ClientKeyService.parseScope(scope));
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const key = `tk_${id}.${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id,
+      name,
+      scopes,
+      hash: ClientKeyService.hashKey(key),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    this.keys.push(record);
+    this.save();
+    return { key, client: ClientKeyService.describe(record) };
+  }
+
+  // Revoke a client key by ID
+  revokeKey(id) {
+    const record = this.keys.find(k => k.id === id);
+    if (!record) return null;
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this.save();
+    }
+    return ClientKeyService.describe(record);
+  }
+
+  // List issued keys without their hashes
+  listKeys() {
+    return this.keys.map(ClientKeyService.describe);
+  }
+
+  // Resolve a raw key to its client record, or null if unknown or revoked
+  verify(rawKey) {
+    if (!rawKey) return null;
+
+    if (this.adminKey && safeEqual(ClientKeyService.hashKey(rawKey), ClientKeyService.hashKey(this.adminKey))) {
+      return this.find(BOOTSTRAP_ID);
+    }
+
+    const match = /^tk_([0-9a-f]{12})\./.exec(rawKey);
+    const record = match && this.keys.find(k => k.id === match[1]);
+    if (!record || record.revokedAt || !safeEqual(ClientKeyService.hashKey(rawKey), record.hash)) {
+      return null;
+    }
+
+    record.lastUsedAt = new Date().toISOString();
+    return ClientKeyService.describe(record);
+  }
+
+  // Current client record for a key ID, or null if unknown or revoked. Used
+  // for work a key set up earlier, such as schedules, so it runs with the
+  // key's current scopes.
+  find(id) {
+    if (id === BOOTSTRAP_ID) {
+      return this.adminKey ? { id: BOOTSTRAP_ID, name: 'TOWER_ADMIN_KEY', scopes: ['*:read', '*:write'] } : null;
+    }
+    const record = this.keys.find(k => k.id === id);
+    return record && !record.revokedAt ? ClientKeyService.describe(record) : null;
+  }
+
+  static describe(record) {
+    const { hash, ...client } = record;
+    return client;
+  }
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = ClientKeyService;
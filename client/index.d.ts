@@ -0,0 +1,1873 @@
+// Generated by generate-client.js from the gateway route definitions; do not edit.
+
+export interface TowerClientOptions {
+  /** Gateway URL, e.g. "https://tower.example.com" or "http://localhost:3000/tower"; may be empty in a browser on the gateway's origin */
+  baseUrl?: string;
+  /** Client key, sent as X-Tower-Key */
+  key?: string | null;
+  /** Named provider connection used when a call does not pick one */
+  connection?: string | null;
+  /** Retries for failed calls that are safe to repeat (default 2) */
+  retries?: number;
+  /** First retry delay; later ones double (default 250) */
+  retryDelayMs?: number;
+  /** Time to wait for each response (default 60000) */
+  timeoutMs?: number;
+  /** Extra headers sent with every call */
+  headers?: Record<string, string>;
+  /** fetch implementation (default globalThis.fetch) */
+  fetch?: typeof fetch;
+}
+
+export interface CallOptions {
+  /** Named provider connection for this call */
+  connection?: string;
+  /** Send "Prefer: respond-async"; routes that support it answer with a job */
+  async?: boolean;
+  headers?: Record<string, string>;
+  signal?: AbortSignal;
+}
+
+export interface RequestOptions extends CallOptions {
+  query?: Record<string, unknown>;
+  body?: unknown;
+}
+
+export interface TowerErrorFields {
+  status?: number;
+  code?: string;
+  provider?: string | null;
+  upstreamStatus?: number | null;
+  retryable?: boolean;
+  retryAfter?: number | null;
+  details?: unknown;
+  requestId?: string | null;
+}
+
+export declare class TowerError extends Error {
+  constructor(message: string, fields?: TowerErrorFields);
+  /** HTTP status, or 0 when no response arrived */
+  status: number;
+  code: string;
+  provider: string | null;
+  upstreamStatus: number | null;
+  retryable: boolean;
+  retryAfter: number | null;
+  details?: unknown;
+  requestId: string | null;
+}
+export declare class TowerValidationError extends TowerError {}
+export declare class TowerAuthError extends TowerError {}
+export declare class TowerNotFoundError extends TowerError {}
+export declare class TowerConflictError extends TowerError {}
+export declare class TowerRateLimitError extends TowerError {}
+export declare class TowerUnavailableError extends TowerError {}
+
+/** Event of a streaming route: text as it is generated, then the final body */
+export type TowerStreamEvent<T> = { type: 'token'; text: string } | { type: 'done'; data: T };
+
+export interface JobAccepted {
+  success: true;
+  job: Record<string, unknown>;
+}
+
+/** Answer of a call made with dryRun: true; nothing has been changed */
+export interface TowerDryRun {
+  success: true;
+  dryRun: true;
+  change: {
+    action: string;
+    resource: string;
+    before: unknown;
+    after: unknown;
+    diff: Array<{ path: string; before: unknown; after: unknown }>;
+  };
+  /** Apply it with plans.applyPlan({ token }) */
+  plan: { token: string; expiresAt: string; apply: string } | null;
+}
+
+export type HuggingfaceGenerateTextParams = {
+  prompt: string;
+  model?: string;
+  parameters?: Record<string, unknown>;
+};
+export type HuggingfaceGenerateTextResponse = {
+  success: true;
+  generated_text?: string;
+  model?: string;
+  [field: string]: unknown;
+};
+
+export type HuggingfaceStreamTextParams = {
+  prompt: string;
+  model?: string;
+  parameters?: Record<string, unknown>;
+};
+export type HuggingfaceStreamTextResponse = {
+  success: true;
+  generated_text?: string;
+  model?: string;
+  finishReason?: string | null;
+  usage?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type HuggingfaceClassifyTextParams = {
+  text: string;
+  model?: string;
+};
+export type HuggingfaceClassifyTextResponse = {
+  success: true;
+  classification?: unknown[];
+  model?: string;
+  [field: string]: unknown;
+};
+
+export type HuggingfaceAnswerQuestionParams = {
+  question: string;
+  context: string;
+  model?: string;
+};
+export type HuggingfaceAnswerQuestionResponse = {
+  success: true;
+  answer?: Record<string, unknown>;
+  model?: string;
+  [field: string]: unknown;
+};
+
+export type HuggingfaceSummarizeTextParams = {
+  text: string;
+  model?: string;
+  parameters?: Record<string, unknown>;
+};
+export type HuggingfaceSummarizeTextResponse = {
+  success: true;
+  summary?: string;
+  model?: string;
+  [field: string]: unknown;
+};
+
+export type HuggingfaceExtractEntitiesParams = {
+  text: string;
+  model?: string;
+};
+export type HuggingfaceExtractEntitiesResponse = {
+  success: true;
+  entities?: unknown[];
+  model?: string;
+  [field: string]: unknown;
+};
+
+export type HuggingfaceTranslateTextParams = {
+  text: string;
+  model?: string;
+};
+export type HuggingfaceTranslateTextResponse = {
+  success: true;
+  translation?: string;
+  model?: string;
+  [field: string]: unknown;
+};
+
+export type HuggingfaceGetEmbeddingsParams = {
+  text: string;
+  model?: string;
+};
+export type HuggingfaceGetEmbeddingsResponse = {
+  success: true;
+  embeddings?: unknown[];
+  model?: string;
+  [field: string]: unknown;
+};
+
+export type HuggingfaceFillMaskParams = {
+  text: string;
+  model?: string;
+};
+export type HuggingfaceFillMaskResponse = {
+  success: true;
+  predictions?: unknown[];
+  model?: string;
+  [field: string]: unknown;
+};
+
+export type HuggingfaceClassifyImageParams = {
+  imageUrl: string;
+  model?: string;
+};
+export type HuggingfaceClassifyImageResponse = {
+  success: true;
+  classification?: unknown[];
+  model?: string;
+  [field: string]: unknown;
+};
+
+export type HuggingfaceDetectObjectsParams = {
+  imageUrl: string;
+  model?: string;
+};
+export type HuggingfaceDetectObjectsResponse = {
+  success: true;
+  detections?: unknown[];
+  model?: string;
+  [field: string]: unknown;
+};
+
+export type HuggingfaceGenerateImageParams = {
+  prompt: string;
+  model?: string;
+};
+export type HuggingfaceGenerateImageResponse = {
+  success: true;
+  image?: unknown;
+  model?: string;
+  [field: string]: unknown;
+} | JobAccepted;
+
+export interface HuggingfaceMethods {
+  /** Generating text: POST /huggingface/text-generation */
+  generateText(params: HuggingfaceGenerateTextParams, options?: CallOptions): Promise<HuggingfaceGenerateTextResponse>;
+  /** Streaming text: POST /huggingface/text-generation/stream */
+  streamText(params: HuggingfaceStreamTextParams, options?: CallOptions): AsyncIterable<TowerStreamEvent<HuggingfaceStreamTextResponse>>;
+  /** Classifying text: POST /huggingface/text-classification */
+  classifyText(params: HuggingfaceClassifyTextParams, options?: CallOptions): Promise<HuggingfaceClassifyTextResponse>;
+  /** Answering question: POST /huggingface/question-answering */
+  answerQuestion(params: HuggingfaceAnswerQuestionParams, options?: CallOptions): Promise<HuggingfaceAnswerQuestionResponse>;
+  /** Summarizing text: POST /huggingface/summarization */
+  summarizeText(params: HuggingfaceSummarizeTextParams, options?: CallOptions): Promise<HuggingfaceSummarizeTextResponse>;
+  /** Extracting entities: POST /huggingface/entity-recognition */
+  extractEntities(params: HuggingfaceExtractEntitiesParams, options?: CallOptions): Promise<HuggingfaceExtractEntitiesResponse>;
+  /** Translating text: POST /huggingface/translation */
+  translateText(params: HuggingfaceTranslateTextParams, options?: CallOptions): Promise<HuggingfaceTranslateTextResponse>;
+  /** Getting embeddings: POST /huggingface/embeddings */
+  getEmbeddings(params: HuggingfaceGetEmbeddingsParams, options?: CallOptions): Promise<HuggingfaceGetEmbeddingsResponse>;
+  /** Filling mask: POST /huggingface/fill-mask */
+  fillMask(params: HuggingfaceFillMaskParams, options?: CallOptions): Promise<HuggingfaceFillMaskResponse>;
+  /** Classifying image: POST /huggingface/image-classification */
+  classifyImage(params: HuggingfaceClassifyImageParams, options?: CallOptions): Promise<HuggingfaceClassifyImageResponse>;
+  /** Detecting objects: POST /huggingface/object-detection */
+  detectObjects(params: HuggingfaceDetectObjectsParams, options?: CallOptions): Promise<HuggingfaceDetectObjectsResponse>;
+  /** Generating image: POST /huggingface/text-to-image */
+  generateImage(params: HuggingfaceGenerateImageParams, options?: CallOptions): Promise<HuggingfaceGenerateImageResponse>;
+}
+
+export type GitlabGetCurrentUserParams = {};
+export type GitlabGetCurrentUserResponse = {
+  success: true;
+  user?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GitlabGetProjectsParams = {
+  owned?: boolean;
+  membership?: boolean;
+  search?: string;
+  visibility?: "private" | "internal" | "public";
+  page?: number;
+  per_page?: number;
+  cursor?: string;
+  maxPages?: number;
+};
+export type GitlabGetProjectsResponse = {
+  success: true;
+  projects?: unknown[];
+  pagination?: {
+    page: number;
+    perPage: number;
+    pages: number;
+    total: number | null;
+    totalPages: number | null;
+    nextPage: number | null;
+    nextCursor: string | null;
+    next: string | null;
+    [field: string]: unknown;
+  };
+  [field: string]: unknown;
+};
+
+export type GitlabCreateProjectParams = {
+  dryRun?: boolean;
+  name: string;
+  path?: string;
+  description?: string;
+  visibility?: "private" | "internal" | "public";
+  namespace_id?: number;
+  initialize_with_readme?: boolean;
+  [field: string]: unknown;
+};
+export type GitlabCreateProjectResponse = {
+  success: true;
+  project?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GitlabGetProjectParams = {
+  projectId: string | number;
+};
+export type GitlabGetProjectResponse = {
+  success: true;
+  project?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GitlabGetBranchesParams = {
+  projectId: string | number;
+  page?: number;
+  per_page?: number;
+  cursor?: string;
+  maxPages?: number;
+};
+export type GitlabGetBranchesResponse = {
+  success: true;
+  branches?: unknown[];
+  pagination?: {
+    page: number;
+    perPage: number;
+    pages: number;
+    total: number | null;
+    totalPages: number | null;
+    nextPage: number | null;
+    nextCursor: string | null;
+    next: string | null;
+    [field: string]: unknown;
+  };
+  [field: string]: unknown;
+};
+
+export type GitlabCreateBranchParams = {
+  projectId: string | number;
+  dryRun?: boolean;
+  branch_name: string;
+  ref?: string;
+};
+export type GitlabCreateBranchResponse = {
+  success: true;
+  branch?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GitlabGetCommitsParams = {
+  projectId: string | number;
+  ref_name?: string;
+  since?: string;
+  until?: string;
+  path?: string;
+  page?: number;
+  per_page?: number;
+  cursor?: string;
+  maxPages?: number;
+};
+export type GitlabGetCommitsResponse = {
+  success: true;
+  commits?: unknown[];
+  pagination?: {
+    page: number;
+    perPage: number;
+    pages: number;
+    total: number | null;
+    totalPages: number | null;
+    nextPage: number | null;
+    nextCursor: string | null;
+    next: string | null;
+    [field: string]: unknown;
+  };
+  [field: string]: unknown;
+};
+
+export type GitlabGetCommitParams = {
+  projectId: string | number;
+  commitSha: string | number;
+};
+export type GitlabGetCommitResponse = {
+  success: true;
+  commit?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GitlabGetIssuesParams = {
+  projectId: string | number;
+  state?: "opened" | "closed" | "all";
+  labels?: string;
+  milestone?: string;
+  assignee_id?: number;
+  page?: number;
+  per_page?: number;
+  cursor?: string;
+  maxPages?: number;
+};
+export type GitlabGetIssuesResponse = {
+  success: true;
+  issues?: unknown[];
+  pagination?: {
+    page: number;
+    perPage: number;
+    pages: number;
+    total: number | null;
+    totalPages: number | null;
+    nextPage: number | null;
+    nextCursor: string | null;
+    next: string | null;
+    [field: string]: unknown;
+  };
+  [field: string]: unknown;
+};
+
+export type GitlabCreateIssueParams = {
+  projectId: string | number;
+  dryRun?: boolean;
+  title: string;
+  description?: string;
+  labels?: string;
+  assignee_ids?: number[];
+  milestone_id?: number;
+  due_date?: string;
+  confidential?: boolean;
+  [field: string]: unknown;
+};
+export type GitlabCreateIssueResponse = {
+  success: true;
+  issue?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GitlabUpdateIssueParams = {
+  projectId: string | number;
+  issueIid: string | number;
+  dryRun?: boolean;
+  title?: string;
+  description?: string;
+  labels?: string;
+  state_event?: "close" | "reopen";
+  assignee_ids?: number[];
+  milestone_id?: number;
+  due_date?: string;
+  confidential?: boolean;
+  [field: string]: unknown;
+};
+export type GitlabUpdateIssueResponse = {
+  success: true;
+  issue?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GitlabCreateIssueNoteParams = {
+  projectId: string | number;
+  issueIid: string | number;
+  dryRun?: boolean;
+  body: string;
+};
+export type GitlabCreateIssueNoteResponse = {
+  success: true;
+  note?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GitlabGetMergeRequestsParams = {
+  projectId: string | number;
+  state?: "opened" | "closed" | "locked" | "merged" | "all";
+  target_branch?: string;
+  source_branch?: string;
+  page?: number;
+  per_page?: number;
+  cursor?: string;
+  maxPages?: number;
+};
+export type GitlabGetMergeRequestsResponse = {
+  success: true;
+  merge_requests?: unknown[];
+  pagination?: {
+    page: number;
+    perPage: number;
+    pages: number;
+    total: number | null;
+    totalPages: number | null;
+    nextPage: number | null;
+    nextCursor: string | null;
+    next: string | null;
+    [field: string]: unknown;
+  };
+  [field: string]: unknown;
+};
+
+export type GitlabCreateMergeRequestParams = {
+  projectId: string | number;
+  dryRun?: boolean;
+  title: string;
+  source_branch: string;
+  target_branch: string;
+  description?: string;
+  assignee_id?: number;
+  remove_source_branch?: boolean;
+  squash?: boolean;
+  [field: string]: unknown;
+};
+export type GitlabCreateMergeRequestResponse = {
+  success: true;
+  merge_request?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GitlabGetMergeRequestParams = {
+  projectId: string | number;
+  mergeRequestIid: string | number;
+};
+export type GitlabGetMergeRequestResponse = {
+  success: true;
+  merge_request?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GitlabCreateMergeRequestNoteParams = {
+  projectId: string | number;
+  mergeRequestIid: string | number;
+  dryRun?: boolean;
+  body: string;
+};
+export type GitlabCreateMergeRequestNoteResponse = {
+  success: true;
+  note?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GitlabGetPipelinesParams = {
+  projectId: string | number;
+  status?: "created" | "waiting_for_resource" | "preparing" | "pending" | "running" | "success" | "failed" | "canceled" | "skipped" | "manual" | "scheduled";
+  ref?: string;
+  sha?: string;
+  page?: number;
+  per_page?: number;
+  cursor?: string;
+  maxPages?: number;
+};
+export type GitlabGetPipelinesResponse = {
+  success: true;
+  pipelines?: unknown[];
+  pagination?: {
+    page: number;
+    perPage: number;
+    pages: number;
+    total: number | null;
+    totalPages: number | null;
+    nextPage: number | null;
+    nextCursor: string | null;
+    next: string | null;
+    [field: string]: unknown;
+  };
+  [field: string]: unknown;
+};
+
+export type GitlabCreatePipelineParams = {
+  projectId: string | number;
+  dryRun?: boolean;
+  ref: string;
+  variables?: Record<string, unknown> | unknown[];
+};
+export type GitlabCreatePipelineResponse = {
+  success: true;
+  pipeline?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GitlabGetProjectMembersParams = {
+  projectId: string | number;
+  page?: number;
+  per_page?: number;
+  cursor?: string;
+  maxPages?: number;
+};
+export type GitlabGetProjectMembersResponse = {
+  success: true;
+  members?: unknown[];
+  pagination?: {
+    page: number;
+    perPage: number;
+    pages: number;
+    total: number | null;
+    totalPages: number | null;
+    nextPage: number | null;
+    nextCursor: string | null;
+    next: string | null;
+    [field: string]: unknown;
+  };
+  [field: string]: unknown;
+};
+
+export type GitlabAddProjectMemberParams = {
+  projectId: string | number;
+  dryRun?: boolean;
+  user_id: number;
+  access_level: 0 | 5 | 10 | 20 | 30 | 40 | 50;
+};
+export type GitlabAddProjectMemberResponse = {
+  success: true;
+  member?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GitlabGetRepositoryFilesParams = {
+  projectId: string | number;
+  file_path?: string;
+  ref?: string;
+};
+export type GitlabGetRepositoryFilesResponse = {
+  success: true;
+  files?: unknown;
+  [field: string]: unknown;
+};
+
+export type GitlabCreateOrUpdateFileParams = {
+  projectId: string | number;
+  dryRun?: boolean;
+  file_path: string;
+  content: string;
+  commit_message: string;
+  branch?: string;
+};
+export type GitlabCreateOrUpdateFileResponse = {
+  success: true;
+  result?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GitlabDeleteFileParams = {
+  projectId: string | number;
+  dryRun?: boolean;
+  file_path: string;
+  commit_message: string;
+  branch?: string;
+};
+export type GitlabDeleteFileResponse = {
+  success: true;
+  result?: unknown;
+  [field: string]: unknown;
+};
+
+export type GitlabGetProjectStatisticsParams = {
+  projectId: string | number;
+};
+export type GitlabGetProjectStatisticsResponse = {
+  success: true;
+  statistics?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export interface GitlabMethods {
+  /** Fetching current user: GET /gitlab/user */
+  getCurrentUser(params?: GitlabGetCurrentUserParams, options?: CallOptions): Promise<GitlabGetCurrentUserResponse>;
+  /** Fetching projects: GET /gitlab/projects */
+  getProjects(params?: GitlabGetProjectsParams, options?: CallOptions): Promise<GitlabGetProjectsResponse>;
+  /** Creating project: POST /gitlab/projects */
+  createProject(params: GitlabCreateProjectParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  createProject(params: GitlabCreateProjectParams, options?: CallOptions): Promise<GitlabCreateProjectResponse>;
+  /** Fetching project: GET /gitlab/projects/{projectId} */
+  getProject(params: GitlabGetProjectParams, options?: CallOptions): Promise<GitlabGetProjectResponse>;
+  /** Fetching branches: GET /gitlab/projects/{projectId}/branches */
+  getBranches(params: GitlabGetBranchesParams, options?: CallOptions): Promise<GitlabGetBranchesResponse>;
+  /** Creating branch: POST /gitlab/projects/{projectId}/branches */
+  createBranch(params: GitlabCreateBranchParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  createBranch(params: GitlabCreateBranchParams, options?: CallOptions): Promise<GitlabCreateBranchResponse>;
+  /** Fetching commits: GET /gitlab/projects/{projectId}/commits */
+  getCommits(params: GitlabGetCommitsParams, options?: CallOptions): Promise<GitlabGetCommitsResponse>;
+  /** Fetching commit: GET /gitlab/projects/{projectId}/commits/{commitSha} */
+  getCommit(params: GitlabGetCommitParams, options?: CallOptions): Promise<GitlabGetCommitResponse>;
+  /** Fetching issues: GET /gitlab/projects/{projectId}/issues */
+  getIssues(params: GitlabGetIssuesParams, options?: CallOptions): Promise<GitlabGetIssuesResponse>;
+  /** Creating issue: POST /gitlab/projects/{projectId}/issues */
+  createIssue(params: GitlabCreateIssueParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  createIssue(params: GitlabCreateIssueParams, options?: CallOptions): Promise<GitlabCreateIssueResponse>;
+  /** Updating issue: PUT /gitlab/projects/{projectId}/issues/{issueIid} */
+  updateIssue(params: GitlabUpdateIssueParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  updateIssue(params: GitlabUpdateIssueParams, options?: CallOptions): Promise<GitlabUpdateIssueResponse>;
+  /** Commenting on issue: POST /gitlab/projects/{projectId}/issues/{issueIid}/notes */
+  createIssueNote(params: GitlabCreateIssueNoteParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  createIssueNote(params: GitlabCreateIssueNoteParams, options?: CallOptions): Promise<GitlabCreateIssueNoteResponse>;
+  /** Fetching merge requests: GET /gitlab/projects/{projectId}/merge_requests */
+  getMergeRequests(params: GitlabGetMergeRequestsParams, options?: CallOptions): Promise<GitlabGetMergeRequestsResponse>;
+  /** Creating merge request: POST /gitlab/projects/{projectId}/merge_requests */
+  createMergeRequest(params: GitlabCreateMergeRequestParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  createMergeRequest(params: GitlabCreateMergeRequestParams, options?: CallOptions): Promise<GitlabCreateMergeRequestResponse>;
+  /** Fetching merge request: GET /gitlab/projects/{projectId}/merge_requests/{mergeRequestIid} */
+  getMergeRequest(params: GitlabGetMergeRequestParams, options?: CallOptions): Promise<GitlabGetMergeRequestResponse>;
+  /** Commenting on merge request: POST /gitlab/projects/{projectId}/merge_requests/{mergeRequestIid}/notes */
+  createMergeRequestNote(params: GitlabCreateMergeRequestNoteParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  createMergeRequestNote(params: GitlabCreateMergeRequestNoteParams, options?: CallOptions): Promise<GitlabCreateMergeRequestNoteResponse>;
+  /** Fetching pipelines: GET /gitlab/projects/{projectId}/pipelines */
+  getPipelines(params: GitlabGetPipelinesParams, options?: CallOptions): Promise<GitlabGetPipelinesResponse>;
+  /** Creating pipeline: POST /gitlab/projects/{projectId}/pipelines */
+  createPipeline(params: GitlabCreatePipelineParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  createPipeline(params: GitlabCreatePipelineParams, options?: CallOptions): Promise<GitlabCreatePipelineResponse>;
+  /** Fetching project members: GET /gitlab/projects/{projectId}/members */
+  getProjectMembers(params: GitlabGetProjectMembersParams, options?: CallOptions): Promise<GitlabGetProjectMembersResponse>;
+  /** Adding project member: POST /gitlab/projects/{projectId}/members */
+  addProjectMember(params: GitlabAddProjectMemberParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  addProjectMember(params: GitlabAddProjectMemberParams, options?: CallOptions): Promise<GitlabAddProjectMemberResponse>;
+  /** Fetching repository files: GET /gitlab/projects/{projectId}/repository/files */
+  getRepositoryFiles(params: GitlabGetRepositoryFilesParams, options?: CallOptions): Promise<GitlabGetRepositoryFilesResponse>;
+  /** Creating/updating file: POST /gitlab/projects/{projectId}/repository/files */
+  createOrUpdateFile(params: GitlabCreateOrUpdateFileParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  createOrUpdateFile(params: GitlabCreateOrUpdateFileParams, options?: CallOptions): Promise<GitlabCreateOrUpdateFileResponse>;
+  /** Deleting file: DELETE /gitlab/projects/{projectId}/repository/files */
+  deleteFile(params: GitlabDeleteFileParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  deleteFile(params: GitlabDeleteFileParams, options?: CallOptions): Promise<GitlabDeleteFileResponse>;
+  /** Fetching project statistics: GET /gitlab/projects/{projectId}/statistics */
+  getProjectStatistics(params: GitlabGetProjectStatisticsParams, options?: CallOptions): Promise<GitlabGetProjectStatisticsResponse>;
+}
+
+export type CloudflareVerifyTokenParams = {};
+export type CloudflareVerifyTokenResponse = {
+  success: true;
+  token?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type CloudflareGetAccountsParams = {
+  page?: number;
+  per_page?: number;
+  cursor?: string;
+  maxPages?: number;
+};
+export type CloudflareGetAccountsResponse = {
+  success: true;
+  accounts?: unknown[];
+  pagination?: {
+    page: number;
+    perPage: number;
+    pages: number;
+    total: number | null;
+    totalPages: number | null;
+    nextPage: number | null;
+    nextCursor: string | null;
+    next: string | null;
+    [field: string]: unknown;
+  };
+  [field: string]: unknown;
+};
+
+export type CloudflareGetAccountParams = {
+  accountId: string | number;
+};
+export type CloudflareGetAccountResponse = {
+  success: true;
+  account?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type CloudflareGetAccountMembersParams = {
+  accountId: string | number;
+  page?: number;
+  per_page?: number;
+  cursor?: string;
+  maxPages?: number;
+};
+export type CloudflareGetAccountMembersResponse = {
+  success: true;
+  members?: unknown[];
+  pagination?: {
+    page: number;
+    perPage: number;
+    pages: number;
+    total: number | null;
+    totalPages: number | null;
+    nextPage: number | null;
+    nextCursor: string | null;
+    next: string | null;
+    [field: string]: unknown;
+  };
+  [field: string]: unknown;
+};
+
+export type CloudflareGetAccountZonesParams = {
+  accountId: string | number;
+  page?: number;
+  per_page?: number;
+  cursor?: string;
+  maxPages?: number;
+};
+export type CloudflareGetAccountZonesResponse = {
+  success: true;
+  zones?: unknown[];
+  pagination?: {
+    page: number;
+    perPage: number;
+    pages: number;
+    total: number | null;
+    totalPages: number | null;
+    nextPage: number | null;
+    nextCursor: string | null;
+    next: string | null;
+    [field: string]: unknown;
+  };
+  [field: string]: unknown;
+};
+
+export type CloudflareGetZonesParams = {
+  page?: number;
+  per_page?: number;
+  cursor?: string;
+  maxPages?: number;
+};
+export type CloudflareGetZonesResponse = {
+  success: true;
+  zones?: unknown[];
+  pagination?: {
+    page: number;
+    perPage: number;
+    pages: number;
+    total: number | null;
+    totalPages: number | null;
+    nextPage: number | null;
+    nextCursor: string | null;
+    next: string | null;
+    [field: string]: unknown;
+  };
+  [field: string]: unknown;
+};
+
+export type CloudflareGetZoneParams = {
+  zoneId: string | number;
+};
+export type CloudflareGetZoneResponse = {
+  success: true;
+  zone?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type CloudflareGetDNSRecordsParams = {
+  zoneId: string | number;
+  type?: "A" | "AAAA" | "CAA" | "CERT" | "CNAME" | "DNSKEY" | "DS" | "HTTPS" | "LOC" | "MX" | "NAPTR" | "NS" | "PTR" | "SMIMEA" | "SRV" | "SSHFP" | "SVCB" | "TLSA" | "TXT" | "URI";
+  name?: string;
+  page?: number;
+  per_page?: number;
+  cursor?: string;
+  maxPages?: number;
+};
+export type CloudflareGetDNSRecordsResponse = {
+  success: true;
+  records?: unknown[];
+  pagination?: {
+    page: number;
+    perPage: number;
+    pages: number;
+    total: number | null;
+    totalPages: number | null;
+    nextPage: number | null;
+    nextCursor: string | null;
+    next: string | null;
+    [field: string]: unknown;
+  };
+  [field: string]: unknown;
+};
+
+export type CloudflareCreateDNSRecordParams = {
+  zoneId: string | number;
+  dryRun?: boolean;
+  type: "A" | "AAAA" | "CAA" | "CERT" | "CNAME" | "DNSKEY" | "DS" | "HTTPS" | "LOC" | "MX" | "NAPTR" | "NS" | "PTR" | "SMIMEA" | "SRV" | "SSHFP" | "SVCB" | "TLSA" | "TXT" | "URI";
+  name: string;
+  content: string;
+  ttl?: number;
+  proxied?: boolean;
+  priority?: number;
+  comment?: string;
+  [field: string]: unknown;
+};
+export type CloudflareCreateDNSRecordResponse = {
+  success: true;
+  record?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type CloudflareUpdateDNSRecordParams = {
+  zoneId: string | number;
+  recordId: string | number;
+  dryRun?: boolean;
+  type?: "A" | "AAAA" | "CAA" | "CERT" | "CNAME" | "DNSKEY" | "DS" | "HTTPS" | "LOC" | "MX" | "NAPTR" | "NS" | "PTR" | "SMIMEA" | "SRV" | "SSHFP" | "SVCB" | "TLSA" | "TXT" | "URI";
+  name?: string;
+  content?: string;
+  ttl?: number;
+  proxied?: boolean;
+  priority?: number;
+  comment?: string;
+  [field: string]: unknown;
+};
+export type CloudflareUpdateDNSRecordResponse = {
+  success: true;
+  record?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type CloudflareDeleteDNSRecordParams = {
+  zoneId: string | number;
+  recordId: string | number;
+  dryRun?: boolean;
+};
+export type CloudflareDeleteDNSRecordResponse = {
+  success: true;
+  result?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type CloudflarePurgeCacheParams = {
+  zoneId: string | number;
+  dryRun?: boolean;
+  files?: string[];
+};
+export type CloudflarePurgeCacheResponse = {
+  success: true;
+  result?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type CloudflareGetAnalyticsParams = {
+  zoneId: string | number;
+  since?: string;
+  until?: string;
+};
+export type CloudflareGetAnalyticsResponse = {
+  success: true;
+  analytics?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type CloudflareGetSecuritySettingsParams = {
+  zoneId: string | number;
+};
+export type CloudflareGetSecuritySettingsResponse = {
+  success: true;
+  settings?: unknown[];
+  [field: string]: unknown;
+};
+
+export type CloudflareUpdateSecurityLevelParams = {
+  zoneId: string | number;
+  dryRun?: boolean;
+  level: "off" | "essentially_off" | "low" | "medium" | "high" | "under_attack";
+};
+export type CloudflareUpdateSecurityLevelResponse = {
+  success: true;
+  result?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type CloudflareGetSSLSettingsParams = {
+  zoneId: string | number;
+};
+export type CloudflareGetSSLSettingsResponse = {
+  success: true;
+  ssl?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type CloudflareUpdateSSLModeParams = {
+  zoneId: string | number;
+  dryRun?: boolean;
+  mode: "off" | "flexible" | "full" | "strict";
+};
+export type CloudflareUpdateSSLModeResponse = {
+  success: true;
+  result?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export interface CloudflareMethods {
+  /** Verifying API token: GET /cloudflare/token/verify */
+  verifyToken(params?: CloudflareVerifyTokenParams, options?: CallOptions): Promise<CloudflareVerifyTokenResponse>;
+  /** Fetching accounts: GET /cloudflare/accounts */
+  getAccounts(params?: CloudflareGetAccountsParams, options?: CallOptions): Promise<CloudflareGetAccountsResponse>;
+  /** Fetching account: GET /cloudflare/accounts/{accountId} */
+  getAccount(params: CloudflareGetAccountParams, options?: CallOptions): Promise<CloudflareGetAccountResponse>;
+  /** Fetching account members: GET /cloudflare/accounts/{accountId}/members */
+  getAccountMembers(params: CloudflareGetAccountMembersParams, options?: CallOptions): Promise<CloudflareGetAccountMembersResponse>;
+  /** Fetching account zones: GET /cloudflare/accounts/{accountId}/zones */
+  getAccountZones(params: CloudflareGetAccountZonesParams, options?: CallOptions): Promise<CloudflareGetAccountZonesResponse>;
+  /** Fetching zones: GET /cloudflare/zones */
+  getZones(params?: CloudflareGetZonesParams, options?: CallOptions): Promise<CloudflareGetZonesResponse>;
+  /** Fetching zone: GET /cloudflare/zones/{zoneId} */
+  getZone(params: CloudflareGetZoneParams, options?: CallOptions): Promise<CloudflareGetZoneResponse>;
+  /** Fetching DNS records: GET /cloudflare/zones/{zoneId}/dns */
+  getDNSRecords(params: CloudflareGetDNSRecordsParams, options?: CallOptions): Promise<CloudflareGetDNSRecordsResponse>;
+  /** Creating DNS record: POST /cloudflare/zones/{zoneId}/dns */
+  createDNSRecord(params: CloudflareCreateDNSRecordParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  createDNSRecord(params: CloudflareCreateDNSRecordParams, options?: CallOptions): Promise<CloudflareCreateDNSRecordResponse>;
+  /** Updating DNS record: PUT /cloudflare/zones/{zoneId}/dns/{recordId} */
+  updateDNSRecord(params: CloudflareUpdateDNSRecordParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  updateDNSRecord(params: CloudflareUpdateDNSRecordParams, options?: CallOptions): Promise<CloudflareUpdateDNSRecordResponse>;
+  /** Deleting DNS record: DELETE /cloudflare/zones/{zoneId}/dns/{recordId} */
+  deleteDNSRecord(params: CloudflareDeleteDNSRecordParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  deleteDNSRecord(params: CloudflareDeleteDNSRecordParams, options?: CallOptions): Promise<CloudflareDeleteDNSRecordResponse>;
+  /** Purging cache: POST /cloudflare/zones/{zoneId}/purge-cache */
+  purgeCache(params: CloudflarePurgeCacheParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  purgeCache(params: CloudflarePurgeCacheParams, options?: CallOptions): Promise<CloudflarePurgeCacheResponse>;
+  /** Fetching analytics: GET /cloudflare/zones/{zoneId}/analytics */
+  getAnalytics(params: CloudflareGetAnalyticsParams, options?: CallOptions): Promise<CloudflareGetAnalyticsResponse>;
+  /** Fetching security settings: GET /cloudflare/zones/{zoneId}/security */
+  getSecuritySettings(params: CloudflareGetSecuritySettingsParams, options?: CallOptions): Promise<CloudflareGetSecuritySettingsResponse>;
+  /** Updating security level: PUT /cloudflare/zones/{zoneId}/security-level */
+  updateSecurityLevel(params: CloudflareUpdateSecurityLevelParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  updateSecurityLevel(params: CloudflareUpdateSecurityLevelParams, options?: CallOptions): Promise<CloudflareUpdateSecurityLevelResponse>;
+  /** Fetching SSL settings: GET /cloudflare/zones/{zoneId}/ssl */
+  getSSLSettings(params: CloudflareGetSSLSettingsParams, options?: CallOptions): Promise<CloudflareGetSSLSettingsResponse>;
+  /** Updating SSL mode: PUT /cloudflare/zones/{zoneId}/ssl */
+  updateSSLMode(params: CloudflareUpdateSSLModeParams & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;
+  updateSSLMode(params: CloudflareUpdateSSLModeParams, options?: CallOptions): Promise<CloudflareUpdateSSLModeResponse>;
+}
+
+export type GeminiGenerateContentParams = {
+  prompt: string;
+};
+export type GeminiGenerateContentResponse = {
+  success: true;
+  content?: string;
+  [field: string]: unknown;
+};
+
+export type GeminiStreamContentParams = {
+  prompt: string;
+};
+export type GeminiStreamContentResponse = {
+  success: true;
+  content?: string;
+  finishReason?: string | null;
+  usage?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GeminiAnalyzeContentParams = {
+  text: string;
+  analysisType?: "summary" | "sentiment" | "keywords" | "improve";
+};
+export type GeminiAnalyzeContentResponse = {
+  success: true;
+  analysis?: string;
+  analysisType?: string;
+  [field: string]: unknown;
+};
+
+export type GeminiGenerateDocumentParams = {
+  topic: string;
+  contentType?: string;
+  length?: "short" | "medium" | "long";
+  createGoogleDoc?: boolean;
+  documentTitle?: string;
+};
+export type GeminiGenerateDocumentResponse = {
+  success: true;
+  content?: string;
+  topic?: string;
+  contentType?: string;
+  length?: string;
+  googleDoc?: Record<string, unknown> | null;
+  [field: string]: unknown;
+} | JobAccepted;
+
+export type GeminiStreamDocumentParams = {
+  topic: string;
+  contentType?: string;
+  length?: "short" | "medium" | "long";
+  createGoogleDoc?: boolean;
+  documentTitle?: string;
+};
+export type GeminiStreamDocumentResponse = {
+  success: true;
+  content?: string;
+  topic?: string;
+  contentType?: string;
+  length?: string;
+  googleDoc?: Record<string, unknown> | null;
+  finishReason?: string | null;
+  usage?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GeminiEnhanceDocumentParams = {
+  documentId: string | number;
+  enhancementType?: "improve" | "expand" | "simplify" | "professional" | "casual";
+  replaceOriginal?: boolean;
+};
+export type GeminiEnhanceDocumentResponse = {
+  success: true;
+  message?: string;
+  enhancementType?: string;
+  originalLength?: number;
+  enhancedLength?: number;
+  [field: string]: unknown;
+} | JobAccepted;
+
+export type GeminiAnalyzeDocumentParams = {
+  documentId: string | number;
+  analysisType?: "summary" | "sentiment" | "keywords" | "improve";
+};
+export type GeminiAnalyzeDocumentResponse = {
+  success: true;
+  documentId?: string;
+  documentTitle?: string;
+  analysis?: string;
+  analysisType?: string;
+  textLength?: number;
+  [field: string]: unknown;
+};
+
+export interface GeminiMethods {
+  /** Generating content: POST /gemini/generate */
+  generateContent(params: GeminiGenerateContentParams, options?: CallOptions): Promise<GeminiGenerateContentResponse>;
+  /** Streaming content: POST /gemini/generate/stream */
+  streamContent(params: GeminiStreamContentParams, options?: CallOptions): AsyncIterable<TowerStreamEvent<GeminiStreamContentResponse>>;
+  /** Analyzing content: POST /gemini/analyze */
+  analyzeContent(params: GeminiAnalyzeContentParams, options?: CallOptions): Promise<GeminiAnalyzeContentResponse>;
+  /** Generating document: POST /gemini/generate-document */
+  generateDocument(params: GeminiGenerateDocumentParams, options?: CallOptions): Promise<GeminiGenerateDocumentResponse>;
+  /** Streaming document: POST /gemini/generate-document/stream */
+  streamDocument(params: GeminiStreamDocumentParams, options?: CallOptions): AsyncIterable<TowerStreamEvent<GeminiStreamDocumentResponse>>;
+  /** Enhancing document: POST /gemini/enhance-document/{documentId} */
+  enhanceDocument(params: GeminiEnhanceDocumentParams, options?: CallOptions): Promise<GeminiEnhanceDocumentResponse>;
+  /** Analyzing document: GET /gemini/analyze-document/{documentId} */
+  analyzeDocument(params: GeminiAnalyzeDocumentParams, options?: CallOptions): Promise<GeminiAnalyzeDocumentResponse>;
+}
+
+export type GoogleDocsCreateDocumentParams = {
+  title?: string;
+};
+export type GoogleDocsCreateDocumentResponse = {
+  success: true;
+  documentId?: string;
+  title?: string;
+  url?: string;
+  [field: string]: unknown;
+};
+
+export type GoogleDocsGetDocumentParams = {
+  documentId: string | number;
+};
+export type GoogleDocsGetDocumentResponse = {
+  success: true;
+  documentId?: string;
+  title?: string;
+  textContent?: string;
+  fullDocument?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GoogleDocsInsertTextParams = {
+  documentId: string | number;
+  text: string;
+};
+export type GoogleDocsInsertTextResponse = {
+  success: true;
+  message?: string;
+  result?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GoogleDocsAppendTextParams = {
+  documentId: string | number;
+  text: string;
+};
+export type GoogleDocsAppendTextResponse = {
+  success: true;
+  message?: string;
+  result?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GoogleDocsReplaceTextParams = {
+  documentId: string | number;
+  searchText: string;
+  replaceText: string;
+};
+export type GoogleDocsReplaceTextResponse = {
+  success: true;
+  message?: string;
+  result?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type GoogleDocsUpdateDocumentParams = {
+  documentId: string | number;
+  requests: Array<Record<string, unknown>>;
+};
+export type GoogleDocsUpdateDocumentResponse = {
+  success: true;
+  message?: string;
+  result?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export interface GoogleDocsMethods {
+  /** Creating document: POST /google-docs/create */
+  createDocument(params?: GoogleDocsCreateDocumentParams, options?: CallOptions): Promise<GoogleDocsCreateDocumentResponse>;
+  /** Reading document: GET /google-docs/{documentId} */
+  getDocument(params: GoogleDocsGetDocumentParams, options?: CallOptions): Promise<GoogleDocsGetDocumentResponse>;
+  /** Inserting text: POST /google-docs/{documentId}/insert */
+  insertText(params: GoogleDocsInsertTextParams, options?: CallOptions): Promise<GoogleDocsInsertTextResponse>;
+  /** Appending text: POST /google-docs/{documentId}/append */
+  appendText(params: GoogleDocsAppendTextParams, options?: CallOptions): Promise<GoogleDocsAppendTextResponse>;
+  /** Replacing text: POST /google-docs/{documentId}/replace */
+  replaceText(params: GoogleDocsReplaceTextParams, options?: CallOptions): Promise<GoogleDocsReplaceTextResponse>;
+  /** Updating document: POST /google-docs/{documentId}/update */
+  updateDocument(params: GoogleDocsUpdateDocumentParams, options?: CallOptions): Promise<GoogleDocsUpdateDocumentResponse>;
+}
+
+export type TaskadeGetAgentsParams = {};
+export type TaskadeGetAgentsResponse = unknown[] | Record<string, unknown>;
+
+export type TaskadeCreateAgentParams = {
+  name: string;
+  description?: string;
+  [field: string]: unknown;
+};
+export type TaskadeCreateAgentResponse = Record<string, unknown>;
+
+export type TaskadeGetAgentParams = {
+  agentId: string | number;
+};
+export type TaskadeGetAgentResponse = Record<string, unknown>;
+
+export type TaskadeUpdateAgentParams = {
+  agentId: string | number;
+  name?: string;
+  description?: string;
+  [field: string]: unknown;
+};
+export type TaskadeUpdateAgentResponse = Record<string, unknown>;
+
+export type TaskadeDeleteAgentParams = {
+  agentId: string | number;
+};
+export type TaskadeDeleteAgentResponse = Record<string, unknown>;
+
+export type TaskadeExecuteAgentParams = {
+  agentId: string | number;
+  [field: string]: unknown;
+};
+export type TaskadeExecuteAgentResponse = Record<string, unknown>;
+
+export type TaskadeTaskadeHealthParams = {};
+export type TaskadeTaskadeHealthResponse = {
+  status?: string;
+  message?: string;
+  apiKeyConfigured?: boolean;
+};
+
+export interface TaskadeMethods {
+  /** Fetching agents: GET /taskade-tower/agents */
+  getAgents(params?: TaskadeGetAgentsParams, options?: CallOptions): Promise<TaskadeGetAgentsResponse>;
+  /** Creating agent: POST /taskade-tower/agents */
+  createAgent(params: TaskadeCreateAgentParams, options?: CallOptions): Promise<TaskadeCreateAgentResponse>;
+  /** Fetching agent: GET /taskade-tower/agents/{agentId} */
+  getAgent(params: TaskadeGetAgentParams, options?: CallOptions): Promise<TaskadeGetAgentResponse>;
+  /** Updating agent: PUT /taskade-tower/agents/{agentId} */
+  updateAgent(params: TaskadeUpdateAgentParams, options?: CallOptions): Promise<TaskadeUpdateAgentResponse>;
+  /** Deleting agent: DELETE /taskade-tower/agents/{agentId} */
+  deleteAgent(params: TaskadeDeleteAgentParams, options?: CallOptions): Promise<TaskadeDeleteAgentResponse>;
+  /** Executing agent: POST /taskade-tower/agents/{agentId}/execute */
+  executeAgent(params: TaskadeExecuteAgentParams, options?: CallOptions): Promise<TaskadeExecuteAgentResponse>;
+  /** Health check: GET /taskade-tower/health */
+  taskadeHealth(params?: TaskadeTaskadeHealthParams, options?: CallOptions): Promise<TaskadeTaskadeHealthResponse>;
+}
+
+export type AdminListClientKeysParams = {};
+export type AdminListClientKeysResponse = {
+  success: true;
+  clients?: unknown[];
+  [field: string]: unknown;
+};
+
+export type AdminIssueClientKeyParams = {
+  name: string;
+  scopes: string[];
+};
+export type AdminIssueClientKeyResponse = {
+  success: true;
+  key?: string;
+  client?: Record<string, unknown>;
+  message?: string;
+  [field: string]: unknown;
+};
+
+export type AdminRevokeClientKeyParams = {
+  clientId: string | number;
+};
+export type AdminRevokeClientKeyResponse = {
+  success: true;
+  client?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type AdminQueryAuditLogParams = {
+  provider?: string;
+  connection?: string;
+  resource?: string;
+  from?: string;
+  to?: string;
+  limit?: number;
+  offset?: number;
+};
+export type AdminQueryAuditLogResponse = {
+  success: true;
+  entries?: unknown[];
+  [field: string]: unknown;
+};
+
+export type AdminGetCacheStatsParams = {};
+export type AdminGetCacheStatsResponse = {
+  success: true;
+  cache?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type AdminClearCacheParams = {};
+export type AdminClearCacheResponse = {
+  success: true;
+  cache?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export interface AdminMethods {
+  /** List issued client keys: GET /admin/client-keys */
+  listClientKeys(params?: AdminListClientKeysParams, options?: CallOptions): Promise<AdminListClientKeysResponse>;
+  /** Issue a new client key: POST /admin/client-keys */
+  issueClientKey(params: AdminIssueClientKeyParams, options?: CallOptions): Promise<AdminIssueClientKeyResponse>;
+  /** Revoke a client key: DELETE /admin/client-keys/{clientId} */
+  revokeClientKey(params: AdminRevokeClientKeyParams, options?: CallOptions): Promise<AdminRevokeClientKeyResponse>;
+  /** Query the audit log: GET /admin/audit-log */
+  queryAuditLog(params?: AdminQueryAuditLogParams, options?: CallOptions): Promise<AdminQueryAuditLogResponse>;
+  /** Response cache statistics: GET /admin/cache */
+  getCacheStats(params?: AdminGetCacheStatsParams, options?: CallOptions): Promise<AdminGetCacheStatsResponse>;
+  /** Clear the response cache: DELETE /admin/cache */
+  clearCache(params?: AdminClearCacheParams, options?: CallOptions): Promise<AdminClearCacheResponse>;
+}
+
+export type WebhooksListGitlabWebhookHandlersParams = {};
+export type WebhooksListGitlabWebhookHandlersResponse = {
+  success: true;
+  handlers?: unknown[];
+  [field: string]: unknown;
+};
+
+export type WebhooksListGitlabWebhookDeliveriesParams = {
+  event?: string;
+  project?: string;
+  status?: "pending" | "handled" | "partial" | "failed" | "unhandled";
+  limit?: number;
+};
+export type WebhooksListGitlabWebhookDeliveriesResponse = {
+  success: true;
+  deliveries?: unknown[];
+  [field: string]: unknown;
+};
+
+export type WebhooksGetGitlabWebhookDeliveryParams = {
+  deliveryId: string | number;
+};
+export type WebhooksGetGitlabWebhookDeliveryResponse = {
+  success: true;
+  delivery?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type WebhooksReplayGitlabWebhookDeliveryParams = {
+  deliveryId: string | number;
+};
+export type WebhooksReplayGitlabWebhookDeliveryResponse = {
+  success: true;
+  delivery?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export interface WebhooksMethods {
+  /** List GitLab webhook handlers: GET /admin/webhooks/gitlab/handlers */
+  listGitlabWebhookHandlers(params?: WebhooksListGitlabWebhookHandlersParams, options?: CallOptions): Promise<WebhooksListGitlabWebhookHandlersResponse>;
+  /** List GitLab webhook deliveries: GET /admin/webhooks/gitlab/deliveries */
+  listGitlabWebhookDeliveries(params?: WebhooksListGitlabWebhookDeliveriesParams, options?: CallOptions): Promise<WebhooksListGitlabWebhookDeliveriesResponse>;
+  /** Get a GitLab webhook delivery: GET /admin/webhooks/gitlab/deliveries/{deliveryId} */
+  getGitlabWebhookDelivery(params: WebhooksGetGitlabWebhookDeliveryParams, options?: CallOptions): Promise<WebhooksGetGitlabWebhookDeliveryResponse>;
+  /** Replay a GitLab webhook delivery: POST /admin/webhooks/gitlab/deliveries/{deliveryId}/replay */
+  replayGitlabWebhookDelivery(params: WebhooksReplayGitlabWebhookDeliveryParams, options?: CallOptions): Promise<WebhooksReplayGitlabWebhookDeliveryResponse>;
+}
+
+export type EventsListEventTypesParams = {};
+export type EventsListEventTypesResponse = {
+  success: true;
+  events?: unknown[];
+  [field: string]: unknown;
+};
+
+export type EventsListSubscriptionsParams = {};
+export type EventsListSubscriptionsResponse = {
+  success: true;
+  subscriptions?: unknown[];
+  [field: string]: unknown;
+};
+
+export type EventsCreateSubscriptionParams = {
+  url: string;
+  events: string[];
+  connection?: string;
+  description?: string;
+};
+export type EventsCreateSubscriptionResponse = {
+  success: true;
+  subscription?: Record<string, unknown>;
+  secret?: string;
+  message?: string;
+  [field: string]: unknown;
+};
+
+export type EventsGetSubscriptionParams = {
+  subscriptionId: string | number;
+};
+export type EventsGetSubscriptionResponse = {
+  success: true;
+  subscription?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type EventsUpdateSubscriptionParams = {
+  subscriptionId: string | number;
+  url?: string;
+  events?: string[];
+  connection?: string;
+  description?: string;
+  active?: boolean;
+};
+export type EventsUpdateSubscriptionResponse = {
+  success: true;
+  subscription?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type EventsDeleteSubscriptionParams = {
+  subscriptionId: string | number;
+};
+export type EventsDeleteSubscriptionResponse = {
+  success: true;
+  subscription?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type EventsPingSubscriptionParams = {
+  subscriptionId: string | number;
+};
+export type EventsPingSubscriptionResponse = {
+  success: true;
+  delivery?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type EventsListSubscriptionDeliveriesParams = {
+  subscriptionId: string | number;
+  status?: "pending" | "delivered" | "dead";
+  limit?: number;
+};
+export type EventsListSubscriptionDeliveriesResponse = {
+  success: true;
+  deliveries?: unknown[];
+  [field: string]: unknown;
+};
+
+export type EventsListSubscriptionDeadLettersParams = {
+  subscriptionId: string | number;
+};
+export type EventsListSubscriptionDeadLettersResponse = {
+  success: true;
+  deliveries?: unknown[];
+  [field: string]: unknown;
+};
+
+export type EventsRedeliverEventParams = {
+  subscriptionId: string | number;
+  deliveryId: string | number;
+};
+export type EventsRedeliverEventResponse = {
+  success: true;
+  delivery?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export interface EventsMethods {
+  /** List event types: GET /events */
+  listEventTypes(params?: EventsListEventTypesParams, options?: CallOptions): Promise<EventsListEventTypesResponse>;
+  /** List event subscriptions: GET /subscriptions */
+  listSubscriptions(params?: EventsListSubscriptionsParams, options?: CallOptions): Promise<EventsListSubscriptionsResponse>;
+  /** Create an event subscription: POST /subscriptions */
+  createSubscription(params: EventsCreateSubscriptionParams, options?: CallOptions): Promise<EventsCreateSubscriptionResponse>;
+  /** Get an event subscription: GET /subscriptions/{subscriptionId} */
+  getSubscription(params: EventsGetSubscriptionParams, options?: CallOptions): Promise<EventsGetSubscriptionResponse>;
+  /** Update an event subscription: PATCH /subscriptions/{subscriptionId} */
+  updateSubscription(params: EventsUpdateSubscriptionParams, options?: CallOptions): Promise<EventsUpdateSubscriptionResponse>;
+  /** Delete an event subscription: DELETE /subscriptions/{subscriptionId} */
+  deleteSubscription(params: EventsDeleteSubscriptionParams, options?: CallOptions): Promise<EventsDeleteSubscriptionResponse>;
+  /** Send a test event: POST /subscriptions/{subscriptionId}/ping */
+  pingSubscription(params: EventsPingSubscriptionParams, options?: CallOptions): Promise<EventsPingSubscriptionResponse>;
+  /** List a subscription's deliveries: GET /subscriptions/{subscriptionId}/deliveries */
+  listSubscriptionDeliveries(params: EventsListSubscriptionDeliveriesParams, options?: CallOptions): Promise<EventsListSubscriptionDeliveriesResponse>;
+  /** List a subscription's dead letters: GET /subscriptions/{subscriptionId}/dead-letters */
+  listSubscriptionDeadLetters(params: EventsListSubscriptionDeadLettersParams, options?: CallOptions): Promise<EventsListSubscriptionDeadLettersResponse>;
+  /** Redeliver an event: POST /subscriptions/{subscriptionId}/deliveries/{deliveryId}/redeliver */
+  redeliverEvent(params: EventsRedeliverEventParams, options?: CallOptions): Promise<EventsRedeliverEventResponse>;
+}
+
+export type JobsListJobsParams = {
+  status?: "queued" | "running" | "succeeded" | "failed" | "cancelled";
+  limit?: number;
+};
+export type JobsListJobsResponse = {
+  success: true;
+  jobs?: unknown[];
+  queue?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type JobsGetJobParams = {
+  jobId: string | number;
+};
+export type JobsGetJobResponse = {
+  success: true;
+  job?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type JobsCancelJobParams = {
+  jobId: string | number;
+};
+export type JobsCancelJobResponse = {
+  success: true;
+  job?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export interface JobsMethods {
+  /** List background jobs: GET /jobs */
+  listJobs(params?: JobsListJobsParams, options?: CallOptions): Promise<JobsListJobsResponse>;
+  /** Get a background job: GET /jobs/{jobId} */
+  getJob(params: JobsGetJobParams, options?: CallOptions): Promise<JobsGetJobResponse>;
+  /** Cancel a background job: POST /jobs/{jobId}/cancel */
+  cancelJob(params: JobsCancelJobParams, options?: CallOptions): Promise<JobsCancelJobResponse>;
+}
+
+export type PlansListPlansParams = {};
+export type PlansListPlansResponse = {
+  success: true;
+  plans?: unknown[];
+  [field: string]: unknown;
+};
+
+export type PlansGetPlanParams = {
+  token: string | number;
+};
+export type PlansGetPlanResponse = {
+  success: true;
+  plan?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type PlansDiscardPlanParams = {
+  token: string | number;
+};
+export type PlansDiscardPlanResponse = {
+  success: true;
+  message?: string;
+  [field: string]: unknown;
+};
+
+export type PlansApplyPlanParams = {
+  token: string | number;
+};
+export type PlansApplyPlanResponse = Record<string, unknown>;
+
+export interface PlansMethods {
+  /** List change plans: GET /plans */
+  listPlans(params?: PlansListPlansParams, options?: CallOptions): Promise<PlansListPlansResponse>;
+  /** Get a change plan: GET /plans/{token} */
+  getPlan(params: PlansGetPlanParams, options?: CallOptions): Promise<PlansGetPlanResponse>;
+  /** Discard a change plan: DELETE /plans/{token} */
+  discardPlan(params: PlansDiscardPlanParams, options?: CallOptions): Promise<PlansDiscardPlanResponse>;
+  /** Apply a change plan: POST /plans/{token}/apply */
+  applyPlan(params: PlansApplyPlanParams, options?: CallOptions): Promise<PlansApplyPlanResponse>;
+}
+
+export type WorkflowsListWorkflowsParams = {};
+export type WorkflowsListWorkflowsResponse = {
+  success: true;
+  workflows?: unknown[];
+  [field: string]: unknown;
+};
+
+export type WorkflowsGetWorkflowParams = {
+  name: string | number;
+};
+export type WorkflowsGetWorkflowResponse = {
+  success: true;
+  workflow?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type WorkflowsSaveWorkflowParams = {
+  name: string | number;
+};
+export type WorkflowsSaveWorkflowResponse = {
+  success: true;
+  workflow?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type WorkflowsDeleteWorkflowParams = {
+  name: string | number;
+};
+export type WorkflowsDeleteWorkflowResponse = {
+  success: true;
+  message?: string;
+  [field: string]: unknown;
+};
+
+export type WorkflowsRunWorkflowParams = {
+  name: string | number;
+  inputs?: Record<string, unknown>;
+};
+export type WorkflowsRunWorkflowResponse = {
+  success: true;
+  run?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type WorkflowsListWorkflowRunsParams = {
+  name: string | number;
+  status?: "running" | "succeeded" | "failed";
+  limit?: number;
+};
+export type WorkflowsListWorkflowRunsResponse = {
+  success: true;
+  runs?: unknown[];
+  [field: string]: unknown;
+};
+
+export type WorkflowsGetWorkflowRunParams = {
+  name: string | number;
+  runId: string | number;
+};
+export type WorkflowsGetWorkflowRunResponse = {
+  success: true;
+  run?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export interface WorkflowsMethods {
+  /** List workflows: GET /workflows */
+  listWorkflows(params?: WorkflowsListWorkflowsParams, options?: CallOptions): Promise<WorkflowsListWorkflowsResponse>;
+  /** Get a workflow: GET /workflows/{name} */
+  getWorkflow(params: WorkflowsGetWorkflowParams, options?: CallOptions): Promise<WorkflowsGetWorkflowResponse>;
+  /** Create or replace a workflow: PUT /workflows/{name} */
+  saveWorkflow(params: WorkflowsSaveWorkflowParams, options?: CallOptions): Promise<WorkflowsSaveWorkflowResponse>;
+  /** Delete a workflow: DELETE /workflows/{name} */
+  deleteWorkflow(params: WorkflowsDeleteWorkflowParams, options?: CallOptions): Promise<WorkflowsDeleteWorkflowResponse>;
+  /** Run a workflow: POST /workflows/{name}/runs */
+  runWorkflow(params: WorkflowsRunWorkflowParams, options?: CallOptions): Promise<WorkflowsRunWorkflowResponse>;
+  /** List workflow runs: GET /workflows/{name}/runs */
+  listWorkflowRuns(params: WorkflowsListWorkflowRunsParams, options?: CallOptions): Promise<WorkflowsListWorkflowRunsResponse>;
+  /** Get a workflow run: GET /workflows/{name}/runs/{runId} */
+  getWorkflowRun(params: WorkflowsGetWorkflowRunParams, options?: CallOptions): Promise<WorkflowsGetWorkflowRunResponse>;
+}
+
+export type SchedulesListSchedulesParams = {};
+export type SchedulesListSchedulesResponse = {
+  success: true;
+  schedules?: unknown[];
+  scheduler?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type SchedulesCreateScheduleParams = {
+  name: string;
+  description?: string;
+  cron: string;
+  timezone?: string;
+  enabled?: boolean;
+  call?: string;
+  connection?: string;
+  args?: Record<string, unknown>;
+  workflow?: string;
+  inputs?: Record<string, unknown>;
+};
+export type SchedulesCreateScheduleResponse = {
+  success: true;
+  schedule?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type SchedulesGetScheduleParams = {
+  scheduleId: string | number;
+};
+export type SchedulesGetScheduleResponse = {
+  success: true;
+  schedule?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type SchedulesUpdateScheduleParams = {
+  scheduleId: string | number;
+  name?: string;
+  description?: string;
+  cron?: string;
+  timezone?: string;
+  enabled?: boolean;
+  call?: string;
+  connection?: string;
+  args?: Record<string, unknown>;
+  workflow?: string;
+  inputs?: Record<string, unknown>;
+};
+export type SchedulesUpdateScheduleResponse = {
+  success: true;
+  schedule?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type SchedulesDeleteScheduleParams = {
+  scheduleId: string | number;
+};
+export type SchedulesDeleteScheduleResponse = {
+  success: true;
+  message?: string;
+  [field: string]: unknown;
+};
+
+export type SchedulesRunScheduleParams = {
+  scheduleId: string | number;
+};
+export type SchedulesRunScheduleResponse = {
+  success: true;
+  run?: Record<string, unknown>;
+  [field: string]: unknown;
+};
+
+export type SchedulesListScheduleRunsParams = {
+  scheduleId: string | number;
+  status?: "running" | "succeeded" | "failed" | "skipped";
+  limit?: number;
+};
+export type SchedulesListScheduleRunsResponse = {
+  success: true;
+  runs?: unknown[];
+  [field: string]: unknown;
+};
+
+export interface SchedulesMethods {
+  /** List schedules: GET /schedules */
+  listSchedules(params?: SchedulesListSchedulesParams, options?: CallOptions): Promise<SchedulesListSchedulesResponse>;
+  /** Create a schedule: POST /schedules */
+  createSchedule(params: SchedulesCreateScheduleParams, options?: CallOptions): Promise<SchedulesCreateScheduleResponse>;
+  /** Get a schedule: GET /schedules/{scheduleId} */
+  getSchedule(params: SchedulesGetScheduleParams, options?: CallOptions): Promise<SchedulesGetScheduleResponse>;
+  /** Update a schedule: PATCH /schedules/{scheduleId} */
+  updateSchedule(params: SchedulesUpdateScheduleParams, options?: CallOptions): Promise<SchedulesUpdateScheduleResponse>;
+  /** Delete a schedule: DELETE /schedules/{scheduleId} */
+  deleteSchedule(params: SchedulesDeleteScheduleParams, options?: CallOptions): Promise<SchedulesDeleteScheduleResponse>;
+  /** Run a schedule now: POST /schedules/{scheduleId}/run */
+  runSchedule(params: SchedulesRunScheduleParams, options?: CallOptions): Promise<SchedulesRunScheduleResponse>;
+  /** List a schedule's runs: GET /schedules/{scheduleId}/runs */
+  listScheduleRuns(params: SchedulesListScheduleRunsParams, options?: CallOptions): Promise<SchedulesListScheduleRunsResponse>;
+}
+
+export type BatchRunBatchParams = {
+  requests: Array<{
+    id?: string;
+    method: "GET" | "POST" | "PUT" | "PATCH" | "DELETE";
+    path: string;
+    query?: Record<string, unknown>;
+    headers?: Record<string, unknown>;
+    body?: unknown;
+    dependsOn?: string[];
+  }>;
+  concurrency?: number;
+  stopOnError?: boolean;
+};
+export type BatchRunBatchResponse = {
+  success: true;
+  stopped?: boolean;
+  summary?: Record<string, unknown>;
+  responses?: unknown[];
+  [field: string]: unknown;
+};
+
+export interface BatchMethods {
+  /** Run a batch of requests: POST /batch */
+  runBatch(params: BatchRunBatchParams, options?: CallOptions): Promise<BatchRunBatchResponse>;
+}
+
+export type GatewayListProvidersParams = {};
+export type GatewayListProvidersResponse = {
+  success: true;
+  providers?: unknown[];
+  [field: string]: unknown;
+};
+
+export type GatewayListConnectionsParams = {};
+export type GatewayListConnectionsResponse = {
+  success: true;
+  connections?: unknown[];
+  [field: string]: unknown;
+};
+
+export type GatewayProbeProviderParams = {
+  name: string | number;
+};
+export type GatewayProbeProviderResponse = Record<string, unknown>;
+
+export type GatewayGetOpenApiDocumentParams = {};
+export type GatewayGetOpenApiDocumentResponse = Record<string, unknown>;
+
+export interface GatewayMethods {
+  /** List registered providers: GET /providers */
+  listProviders(params?: GatewayListProvidersParams, options?: CallOptions): Promise<GatewayListProvidersResponse>;
+  /** List provider connections: GET /connections */
+  listConnections(params?: GatewayListConnectionsParams, options?: CallOptions): Promise<GatewayListConnectionsResponse>;
+  /** Run a provider's health probe: GET /providers/{name}/health */
+  probeProvider(params: GatewayProbeProviderParams, options?: CallOptions): Promise<GatewayProbeProviderResponse>;
+  /** OpenAPI document: GET /openapi.json */
+  getOpenApiDocument(params?: GatewayGetOpenApiDocumentParams, options?: CallOptions): Promise<GatewayGetOpenApiDocumentResponse>;
+}
+
+export type HealthGetLivenessParams = {};
+export type HealthGetLivenessResponse = Record<string, unknown>;
+
+export type HealthGetReadinessParams = {};
+export type HealthGetReadinessResponse = Record<string, unknown>;
+
+export type HealthGetDeepHealthParams = {
+  fresh?: boolean;
+};
+export type HealthGetDeepHealthResponse = Record<string, unknown>;
+
+export interface HealthMethods {
+  /** Liveness check: GET /health/live */
+  getLiveness(params?: HealthGetLivenessParams, options?: CallOptions): Promise<HealthGetLivenessResponse>;
+  /** Readiness check: GET /health/ready */
+  getReadiness(params?: HealthGetReadinessParams, options?: CallOptions): Promise<HealthGetReadinessResponse>;
+  /** Probe every provider: GET /health/deep */
+  getDeepHealth(params?: HealthGetDeepHealthParams, options?: CallOptions): Promise<HealthGetDeepHealthResponse>;
+}
+
+export declare class TowerClient {
+  constructor(options?: TowerClientOptions);
+  readonly huggingface: HuggingfaceMethods;
+  readonly gitlab: GitlabMethods;
+  readonly cloudflare: CloudflareMethods;
+  readonly gemini: GeminiMethods;
+  readonly googleDocs: GoogleDocsMethods;
+  readonly taskade: TaskadeMethods;
+  readonly admin: AdminMethods;
+  readonly webhooks: WebhooksMethods;
+  readonly events: EventsMethods;
+  readonly jobs: JobsMethods;
+  readonly plans: PlansMethods;
+  readonly workflows: WorkflowsMethods;
+  readonly schedules: SchedulesMethods;
+  readonly batch: BatchMethods;
+  readonly gateway: GatewayMethods;
+  readonly health: HealthMethods;
+  /** Call any gateway route and resolve to its JSON body */
+  request<T = unknown>(method: string, path: string, options?: RequestOptions): Promise<T>;
+  /** Call any streaming route and yield its events */
+  stream<T = unknown>(method: string, path: string, options?: RequestOptions): AsyncIterable<TowerStreamEvent<T>>;
+}
+
+export declare function createTowerClient(options?: TowerClientOptions): TowerClient;
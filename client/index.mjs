@@ -0,0 +1,438 @@
+// Generated by generate-client.js from the gateway route definitions; do not edit.
+
+// [method, path, path parameters, query parameters, has body, streams]
+const ROUTES = {
+  huggingface: {
+    generateText: ["POST","/huggingface/text-generation",[],[],true,false],
+    streamText: ["POST","/huggingface/text-generation/stream",[],[],true,true],
+    classifyText: ["POST","/huggingface/text-classification",[],[],true,false],
+    answerQuestion: ["POST","/huggingface/question-answering",[],[],true,false],
+    summarizeText: ["POST","/huggingface/summarization",[],[],true,false],
+    extractEntities: ["POST","/huggingface/entity-recognition",[],[],true,false],
+    translateText: ["POST","/huggingface/translation",[],[],true,false],
+    getEmbeddings: ["POST","/huggingface/embeddings",[],[],true,false],
+    fillMask: ["POST","/huggingface/fill-mask",[],[],true,false],
+    classifyImage: ["POST","/huggingface/image-classification",[],[],true,false],
+    detectObjects: ["POST","/huggingface/object-detection",[],[],true,false],
+    generateImage: ["POST","/huggingface/text-to-image",[],[],true,false]
+  },
+  gitlab: {
+    getCurrentUser: ["GET","/gitlab/user",[],[],false,false],
+    getProjects: ["GET","/gitlab/projects",[],["owned","membership","search","visibility","page","per_page","cursor","maxPages"],false,false],
+    createProject: ["POST","/gitlab/projects",[],["dryRun"],true,false],
+    getProject: ["GET","/gitlab/projects/{projectId}",["projectId"],[],false,false],
+    getBranches: ["GET","/gitlab/projects/{projectId}/branches",["projectId"],["page","per_page","cursor","maxPages"],false,false],
+    createBranch: ["POST","/gitlab/projects/{projectId}/branches",["projectId"],["dryRun"],true,false],
+    getCommits: ["GET","/gitlab/projects/{projectId}/commits",["projectId"],["ref_name","since","until","path","page","per_page","cursor","maxPages"],false,false],
+    getCommit: ["GET","/gitlab/projects/{projectId}/commits/{commitSha}",["projectId","commitSha"],[],false,false],
+    getIssues: ["GET","/gitlab/projects/{projectId}/issues",["projectId"],["state","labels","milestone","assignee_id","page","per_page","cursor","maxPages"],false,false],
+    createIssue: ["POST","/gitlab/projects/{projectId}/issues",["projectId"],["dryRun"],true,false],
+    updateIssue: ["PUT","/gitlab/projects/{projectId}/issues/{issueIid}",["projectId","issueIid"],["dryRun"],true,false],
+    createIssueNote: ["POST","/gitlab/projects/{projectId}/issues/{issueIid}/notes",["projectId","issueIid"],["dryRun"],true,false],
+    getMergeRequests: ["GET","/gitlab/projects/{projectId}/merge_requests",["projectId"],["state","target_branch","source_branch","page","per_page","cursor","maxPages"],false,false],
+    createMergeRequest: ["POST","/gitlab/projects/{projectId}/merge_requests",["projectId"],["dryRun"],true,false],
+    getMergeRequest: ["GET","/gitlab/projects/{projectId}/merge_requests/{mergeRequestIid}",["projectId","mergeRequestIid"],[],false,false],
+    createMergeRequestNote: ["POST","/gitlab/projects/{projectId}/merge_requests/{mergeRequestIid}/notes",["projectId","mergeRequestIid"],["dryRun"],true,false],
+    getPipelines: ["GET","/gitlab/projects/{projectId}/pipelines",["projectId"],["status","ref","sha","page","per_page","cursor","maxPages"],false,false],
+    createPipeline: ["POST","/gitlab/projects/{projectId}/pipelines",["projectId"],["dryRun"],true,false],
+    getProjectMembers: ["GET","/gitlab/projects/{projectId}/members",["projectId"],["page","per_page","cursor","maxPages"],false,false],
+    addProjectMember: ["POST","/gitlab/projects/{projectId}/members",["projectId"],["dryRun"],true,false],
+    getRepositoryFiles: ["GET","/gitlab/projects/{projectId}/repository/files",["projectId"],["file_path","ref"],false,false],
+    createOrUpdateFile: ["POST","/gitlab/projects/{projectId}/repository/files",["projectId"],["dryRun"],true,false],
+    deleteFile: ["DELETE","/gitlab/projects/{projectId}/repository/files",["projectId"],["dryRun"],true,false],
+    getProjectStatistics: ["GET","/gitlab/projects/{projectId}/statistics",["projectId"],[],false,false]
+  },
+  cloudflare: {
+    verifyToken: ["GET","/cloudflare/token/verify",[],[],false,false],
+    getAccounts: ["GET","/cloudflare/accounts",[],["page","per_page","cursor","maxPages"],false,false],
+    getAccount: ["GET","/cloudflare/accounts/{accountId}",["accountId"],[],false,false],
+    getAccountMembers: ["GET","/cloudflare/accounts/{accountId}/members",["accountId"],["page","per_page","cursor","maxPages"],false,false],
+    getAccountZones: ["GET","/cloudflare/accounts/{accountId}/zones",["accountId"],["page","per_page","cursor","maxPages"],false,false],
+    getZones: ["GET","/cloudflare/zones",[],["page","per_page","cursor","maxPages"],false,false],
+    getZone: ["GET","/cloudflare/zones/{zoneId}",["zoneId"],[],false,false],
+    getDNSRecords: ["GET","/cloudflare/zones/{zoneId}/dns",["zoneId"],["type","name","page","per_page","cursor","maxPages"],false,false],
+    createDNSRecord: ["POST","/cloudflare/zones/{zoneId}/dns",["zoneId"],["dryRun"],true,false],
+    updateDNSRecord: ["PUT","/cloudflare/zones/{zoneId}/dns/{recordId}",["zoneId","recordId"],["dryRun"],true,false],
+    deleteDNSRecord: ["DELETE","/cloudflare/zones/{zoneId}/dns/{recordId}",["zoneId","recordId"],["dryRun"],false,false],
+    purgeCache: ["POST","/cloudflare/zones/{zoneId}/purge-cache",["zoneId"],["dryRun"],true,false],
+    getAnalytics: ["GET","/cloudflare/zones/{zoneId}/analytics",["zoneId"],["since","until"],false,false],
+    getSecuritySettings: ["GET","/cloudflare/zones/{zoneId}/security",["zoneId"],[],false,false],
+    updateSecurityLevel: ["PUT","/cloudflare/zones/{zoneId}/security-level",["zoneId"],["dryRun"],true,false],
+    getSSLSettings: ["GET","/cloudflare/zones/{zoneId}/ssl",["zoneId"],[],false,false],
+    updateSSLMode: ["PUT","/cloudflare/zones/{zoneId}/ssl",["zoneId"],["dryRun"],true,false]
+  },
+  gemini: {
+    generateContent: ["POST","/gemini/generate",[],[],true,false],
+    streamContent: ["POST","/gemini/generate/stream",[],[],true,true],
+    analyzeContent: ["POST","/gemini/analyze",[],[],true,false],
+    generateDocument: ["POST","/gemini/generate-document",[],[],true,false],
+    streamDocument: ["POST","/gemini/generate-document/stream",[],[],true,true],
+    enhanceDocument: ["POST","/gemini/enhance-document/{documentId}",["documentId"],[],true,false],
+    analyzeDocument: ["GET","/gemini/analyze-document/{documentId}",["documentId"],["analysisType"],false,false]
+  },
+  googleDocs: {
+    createDocument: ["POST","/google-docs/create",[],[],true,false],
+    getDocument: ["GET","/google-docs/{documentId}",["documentId"],[],false,false],
+    insertText: ["POST","/google-docs/{documentId}/insert",["documentId"],[],true,false],
+    appendText: ["POST","/google-docs/{documentId}/append",["documentId"],[],true,false],
+    replaceText: ["POST","/google-docs/{documentId}/replace",["documentId"],[],true,false],
+    updateDocument: ["POST","/google-docs/{documentId}/update",["documentId"],[],true,false]
+  },
+  taskade: {
+    getAgents: ["GET","/taskade-tower/agents",[],[],false,false],
+    createAgent: ["POST","/taskade-tower/agents",[],[],true,false],
+    getAgent: ["GET","/taskade-tower/agents/{agentId}",["agentId"],[],false,false],
+    updateAgent: ["PUT","/taskade-tower/agents/{agentId}",["agentId"],[],true,false],
+    deleteAgent: ["DELETE","/taskade-tower/agents/{agentId}",["agentId"],[],false,false],
+    executeAgent: ["POST","/taskade-tower/agents/{agentId}/execute",["agentId"],[],true,false],
+    taskadeHealth: ["GET","/taskade-tower/health",[],[],false,false]
+  },
+  admin: {
+    listClientKeys: ["GET","/admin/client-keys",[],[],false,false],
+    issueClientKey: ["POST","/admin/client-keys",[],[],true,false],
+    revokeClientKey: ["DELETE","/admin/client-keys/{clientId}",["clientId"],[],false,false],
+    queryAuditLog: ["GET","/admin/audit-log",[],["provider","connection","resource","from","to","limit","offset"],false,false],
+    getCacheStats: ["GET","/admin/cache",[],[],false,false],
+    clearCache: ["DELETE","/admin/cache",[],[],false,false]
+  },
+  webhooks: {
+    listGitlabWebhookHandlers: ["GET","/admin/webhooks/gitlab/handlers",[],[],false,false],
+    listGitlabWebhookDeliveries: ["GET","/admin/webhooks/gitlab/deliveries",[],["event","project","status","limit"],false,false],
+    getGitlabWebhookDelivery: ["GET","/admin/webhooks/gitlab/deliveries/{deliveryId}",["deliveryId"],[],false,false],
+    replayGitlabWebhookDelivery: ["POST","/admin/webhooks/gitlab/deliveries/{deliveryId}/replay",["deliveryId"],[],false,false]
+  },
+  events: {
+    listEventTypes: ["GET","/events",[],[],false,false],
+    listSubscriptions: ["GET","/subscriptions",[],[],false,false],
+    createSubscription: ["POST","/subscriptions",[],[],true,false],
+    getSubscription: ["GET","/subscriptions/{subscriptionId}",["subscriptionId"],[],false,false],
+    updateSubscription: ["PATCH","/subscriptions/{subscriptionId}",["subscriptionId"],[],true,false],
+    deleteSubscription: ["DELETE","/subscriptions/{subscriptionId}",["subscriptionId"],[],false,false],
+    pingSubscription: ["POST","/subscriptions/{subscriptionId}/ping",["subscriptionId"],[],false,false],
+    listSubscriptionDeliveries: ["GET","/subscriptions/{subscriptionId}/deliveries",["subscriptionId"],["status","limit"],false,false],
+    listSubscriptionDeadLetters: ["GET","/subscriptions/{subscriptionId}/dead-letters",["subscriptionId"],[],false,false],
+    redeliverEvent: ["POST","/subscriptions/{subscriptionId}/deliveries/{deliveryId}/redeliver",["subscriptionId","deliveryId"],[],false,false]
+  },
+  jobs: {
+    listJobs: ["GET","/jobs",[],["status","limit"],false,false],
+    getJob: ["GET","/jobs/{jobId}",["jobId"],[],false,false],
+    cancelJob: ["POST","/jobs/{jobId}/cancel",["jobId"],[],false,false]
+  },
+  plans: {
+    listPlans: ["GET","/plans",[],[],false,false],
+    getPlan: ["GET","/plans/{token}",["token"],[],false,false],
+    discardPlan: ["DELETE","/plans/{token}",["token"],[],false,false],
+    applyPlan: ["POST","/plans/{token}/apply",["token"],[],false,false]
+  },
+  workflows: {
+    listWorkflows: ["GET","/workflows",[],[],false,false],
+    getWorkflow: ["GET","/workflows/{name}",["name"],[],false,false],
+    saveWorkflow: ["PUT","/workflows/{name}",["name"],[],false,false],
+    deleteWorkflow: ["DELETE","/workflows/{name}",["name"],[],false,false],
+    runWorkflow: ["POST","/workflows/{name}/runs",["name"],[],true,false],
+    listWorkflowRuns: ["GET","/workflows/{name}/runs",["name"],["status","limit"],false,false],
+    getWorkflowRun: ["GET","/workflows/{name}/runs/{runId}",["name","runId"],[],false,false]
+  },
+  schedules: {
+    listSchedules: ["GET","/schedules",[],[],false,false],
+    createSchedule: ["POST","/schedules",[],[],true,false],
+    getSchedule: ["GET","/schedules/{scheduleId}",["scheduleId"],[],false,false],
+    updateSchedule: ["PATCH","/schedules/{scheduleId}",["scheduleId"],[],true,false],
+    deleteSchedule: ["DELETE","/schedules/{scheduleId}",["scheduleId"],[],false,false],
+    runSchedule: ["POST","/schedules/{scheduleId}/run",["scheduleId"],[],false,false],
+    listScheduleRuns: ["GET","/schedules/{scheduleId}/runs",["scheduleId"],["status","limit"],false,false]
+  },
+  batch: {
+    runBatch: ["POST","/batch",[],[],true,false]
+  },
+  gateway: {
+    listProviders: ["GET","/providers",[],[],false,false],
+    listConnections: ["GET","/connections",[],[],false,false],
+    probeProvider: ["GET","/providers/{name}/health",["name"],[],false,false],
+    getOpenApiDocument: ["GET","/openapi.json",[],[],false,false]
+  },
+  health: {
+    getLiveness: ["GET","/health/live",[],[],false,false],
+    getReadiness: ["GET","/health/ready",[],[],false,false],
+    getDeepHealth: ["GET","/health/deep",[],["fresh"],false,false]
+  }
+};
+
+// Runtime of the Tower client. generate-client.js wraps this file together
+// with the generated ROUTES table into index.cjs and index.mjs, so it must not
+// import or export anything itself. It only needs `fetch`, which browsers and
+// Node 18+ provide.
+
+// Errors thrown by the client. Fields other than `status` come from the
+// gateway's error body; `status` is 0 when no response arrived.
+class TowerError extends Error {
+  constructor(message, { status = 0, code = 'network_error', provider = null, upstreamStatus = null, retryable = false, retryAfter = null, details, requestId = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.provider = provider;
+    this.upstreamStatus = upstreamStatus;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+    this.details = details;
+    this.requestId = requestId;
+  }
+}
+
+// 400: the request failed validation; `details` lists the problems
+class TowerValidationError extends TowerError {}
+// 401 and 403: missing, invalid or insufficiently scoped client key
+class TowerAuthError extends TowerError {}
+// 404
+class TowerNotFoundError extends TowerError {}
+// 409: e.g. a job that already finished or a schedule that is running
+class TowerConflictError extends TowerError {}
+// 429: rate limited by the gateway or the provider
+class TowerRateLimitError extends TowerError {}
+// 502, 503, 504 and network failures: the provider or gateway could not answer
+class TowerUnavailableError extends TowerError {}
+
+function errorClassFor(status) {
+  if (status === 400 || status === 422) return TowerValidationError;
+  if (status === 401 || status === 403) return TowerAuthError;
+  if (status === 404) return TowerNotFoundError;
+  if (status === 409) return TowerConflictError;
+  if (status === 429) return TowerRateLimitError;
+  if (status === 0 || status >= 502) return TowerUnavailableError;
+  return TowerError;
+}
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+// Errors the gateway answers with before calling the provider
+const REFUSED_CODES = ['circuit_open', 'job_queue_full'];
+const MAX_RETRY_AFTER_MS = 30000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Client for a Tower gateway. Every provider and gateway route is a method
+// on a namespace named after its provider or route group, taking one object
+// with its path parameters, query parameters and body fields:
+//
+//   const tower = new TowerClient({ baseUrl: 'https://tower.example.com', key: 'tk_...' });
+//   await tower.gitlab.createMergeRequest({ projectId: 42, title: 'Fix', source_branch: 'fix', target_branch: 'main' });
+//   await tower.cloudflare.updateSSLMode({ zoneId, mode: 'strict' }, { connection: 'staging' });
+//
+// Methods of streaming routes return an async iterable of events instead,
+// see stream():
+//
+//   for await (const event of tower.gemini.streamContent({ prompt: 'Hello' })) {
+//     if (event.type === 'token') process.stdout.write(event.text);
+//   }
+//
+// Failed calls are retried up to `retries` times when it is safe: GET, PUT
+// and DELETE on network errors and retryable gateway errors. Other methods
+// are only retried when the gateway refused the call itself without reaching
+// the provider (an open circuit or a full job queue); a 429 or 503 passed on
+// from the provider may follow a change that was made.
+class TowerClient {
+  constructor({ baseUrl = '', key = null, connection = null, retries = 2, retryDelayMs = 250, timeoutMs = 60000, headers = {}, fetch: fetchImpl } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.key = key;
+    this.connection = connection;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.headers = headers;
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+
+    Object.entries(ROUTES).forEach(([namespace, operations]) => {
+      this[namespace] = {};
+      Object.entries(operations).forEach(([name, route]) => {
+        this[namespace][name] = (params, options) => this.call(route, params, options);
+      });
+    });
+  }
+
+  // Split a method's params into path, query and body by the route's table entry
+  call([method, path, pathParams, queryParams, hasBody, streamed], params = {}, options = {}) {
+    const query = {};
+    let body = hasBody ? {} : undefined;
+    let url = path;
+
+    Object.entries(params).forEach(([name, value]) => {
+      if (value === undefined) return;
+      if (pathParams.includes(name)) {
+        url = url.replace(`{${name}}`, encodeURIComponent(value));
+      } else if (queryParams.includes(name) || !hasBody) {
+        query[name] = value;
+      } else {
+        body[name] = value;
+      }
+    });
+    const missing = pathParams.filter(name => params[name] === undefined);
+    if (missing.length > 0) {
+      const error = new TowerValidationError(`Missing path parameter${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`, { status: 400, code: 'validation_failed' });
+      return streamed ? (async function* () { throw error; })() : Promise.reject(error);
+    }
+    return (streamed ? this.stream : this.request).call(this, method, url, { ...options, query, body });
+  }
+
+  // URL and headers of a call
+  prepare(path, { query = {}, body, connection = this.connection, async = false, headers = {} }, accept) {
+    const url = new URL(this.baseUrl + path, this.baseUrl ? undefined : globalThis.location?.href);
+    Object.entries(query).forEach(([name, value]) => {
+      [].concat(value).forEach(item => url.searchParams.append(name, String(item)));
+    });
+
+    const requestHeaders = { Accept: accept, ...this.headers, ...headers };
+    if (this.key) requestHeaders['X-Tower-Key'] = this.key;
+    if (connection) requestHeaders['X-Tower-Connection'] = connection;
+    if (async) requestHeaders.Prefer = 'respond-async';
+    if (body !== undefined) requestHeaders['Content-Type'] = 'application/json';
+    return { url, headers: requestHeaders };
+  }
+
+  // Call any gateway route and resolve to its JSON body
+  async request(method, path, options = {}) {
+    const { body, signal } = options;
+    const { url, headers: requestHeaders } = this.prepare(path, options, 'application/json');
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      try {
+        return await this.send(method, url, requestHeaders, body, signal);
+      } catch (caught) {
+        error = caught;
+      }
+      if (attempt >= this.retries || !this.shouldRetry(method, error) || signal?.aborted) throw error;
+
+      const backoff = this.retryDelayMs * 2 ** attempt * (0.8 + Math.random() * 0.4);
+      await sleep(error.retryAfter ? Math.min(error.retryAfter * 1000, MAX_RETRY_AFTER_MS) : backoff);
+    }
+  }
+
+  // Call a streaming route and yield its server-sent events: { type: 'token',
+  // text } for each piece of text, then { type: 'done', data } with the final
+  // body. A failure is thrown as a TowerError, also when the stream reports it
+  // after the first token. Streams are never retried; leaving the loop early
+  // or aborting `signal` cancels the generation.
+  async *stream(method, path, options = {}) {
+    const { body, signal } = options;
+    const { url, headers } = this.prepare(path, options, 'text/event-stream');
+    const response = await this.open(method, url, headers, body, signal);
+    if (!response.ok || !(response.headers.get('content-type') || '').startsWith('text/event-stream')) {
+      yield { type: 'done', data: await this.read(method, url, response) };
+      return;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const cancel = () => reader.cancel().catch(() => {});
+    signal?.addEventListener('abort', cancel);
+    let buffer = '';
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer = (buffer + decoder.decode(value, { stream: true })).replace(/\r\n?/g, '\n');
+        for (let end = buffer.indexOf('\n\n'); end !== -1; end = buffer.indexOf('\n\n')) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          let event = 'message';
+          const data = [];
+          block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+          });
+          if (data.length === 0) continue;
+          const payload = JSON.parse(data.join('\n'));
+          if (event === 'token') {
+            yield { type: 'token', text: payload.text };
+          } else if (event === 'done') {
+            yield { type: 'done', data: payload };
+            return;
+          } else if (event === 'error') {
+            throw this.errorFor(method, url, payload.status || 502, payload, response.headers.get('x-request-id'));
+          }
+        }
+      }
+      if (!signal?.aborted) {
+        throw new TowerUnavailableError(`${method} ${url.pathname} ended before the stream finished`, { code: 'stream_incomplete' });
+      }
+    } finally {
+      signal?.removeEventListener('abort', cancel);
+      await cancel();
+    }
+  }
+
+  // fetch a response, waiting at most `timeoutMs` for its headers
+  async open(method, url, headers, body, signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+
+    try {
+      return await this.fetch(url.toString(), {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      const timedOut = !signal?.aborted;
+      throw new TowerUnavailableError(timedOut && error.name === 'AbortError' ? `No response within ${this.timeoutMs}ms` : error.message, {
+        code: timedOut && error.name === 'AbortError' ? 'timeout' : 'network_error',
+        retryable: true
+      });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+
+  async send(method, url, headers, body, signal) {
+    return this.read(method, url, await this.open(method, url, headers, body, signal));
+  }
+
+  // JSON body of a response, or the TowerError for its status
+  async read(method, url, response) {
+    const text = await response.text();
+    let data = text;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      // Not JSON; keep the text
+    }
+
+    if (!response.ok) {
+      const details = data && typeof data === 'object' ? data : { error: text };
+      const error = this.errorFor(method, url, response.status, details, response.headers.get('x-request-id'));
+      error.retryAfter = error.retryAfter ?? (Number(response.headers.get('retry-after')) || null);
+      throw error;
+    }
+    return data;
+  }
+
+  errorFor(method, url, status, details, requestId) {
+    const ErrorClass = errorClassFor(status);
+    return new ErrorClass(details.error || `${method} ${url.pathname} failed with status ${status}`, {
+      status,
+      code: details.code || 'http_error',
+      provider: details.provider || null,
+      upstreamStatus: details.upstreamStatus ?? null,
+      retryable: details.retryable ?? false,
+      retryAfter: details.retryAfter ?? null,
+      details: details.details,
+      requestId
+    });
+  }
+
+  shouldRetry(method, error) {
+    if (!(error instanceof TowerError)) return false;
+    if (REFUSED_CODES.includes(error.code)) return true;
+    return IDEMPOTENT_METHODS.includes(method) && (error.status === 0 || error.retryable);
+  }
+}
+
+function createTowerClient(options) {
+  return new TowerClient(options);
+}
+
+export { TowerClient, createTowerClient, TowerError, TowerValidationError, TowerAuthError, TowerNotFoundError, TowerConflictError, TowerRateLimitError, TowerUnavailableError };
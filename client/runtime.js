@@ -0,0 +1,276 @@
+// Runtime of the Tower client. generate-client.js wraps this file together
+// with the generated ROUTES table into index.cjs and index.mjs, so it must not
+// import or export anything itself. It only needs `fetch`, which browsers and
+// Node 18+ provide.
+
+// Errors thrown by the client. Fields other than `status` come from the
+// gateway's error body; `status` is 0 when no response arrived.
+class TowerError extends Error {
+  constructor(message, { status = 0, code = 'network_error', provider = null, upstreamStatus = null, retryable = false, retryAfter = null, details, requestId = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.provider = provider;
+    this.upstreamStatus = upstreamStatus;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+    this.details = details;
+    this.requestId = requestId;
+  }
+}
+
+// 400: the request failed validation; `details` lists the problems
+class TowerValidationError extends TowerError {}
+// 401 and 403: missing, invalid or insufficiently scoped client key
+class TowerAuthError extends TowerError {}
+// 404
+class TowerNotFoundError extends TowerError {}
+// 409: e.g. a job that already finished or a schedule that is running
+class TowerConflictError extends TowerError {}
+// 429: rate limited by the gateway or the provider
+class TowerRateLimitError extends TowerError {}
+// 502, 503, 504 and network failures: the provider or gateway could not answer
+class TowerUnavailableError extends TowerError {}
+
+function errorClassFor(status) {
+  if (status === 400 || status === 422) return TowerValidationError;
+  if (status === 401 || status === 403) return TowerAuthError;
+  if (status === 404) return TowerNotFoundError;
+  if (status === 409) return TowerConflictError;
+  if (status === 429) return TowerRateLimitError;
+  if (status === 0 || status >= 502) return TowerUnavailableError;
+  return TowerError;
+}
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+// Errors the gateway answers with before calling the provider
+const REFUSED_CODES = ['circuit_open', 'job_queue_full'];
+const MAX_RETRY_AFTER_MS = 30000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Client for a Tower gateway. Every provider and gateway route is a method
+// on a namespace named after its provider or route group, taking one object
+// with its path parameters, query parameters and body fields:
+//
+//   const tower = new TowerClient({ baseUrl: 'https://tower.example.com', key: 'tk_...' });
+//   await tower.gitlab.createMergeRequest({ projectId: 42, title: 'Fix', source_branch: 'fix', target_branch: 'main' });
+//   await tower.cloudflare.updateSSLMode({ zoneId, mode: 'strict' }, { connection: 'staging' });
+//
+// Methods of streaming routes return an async iterable of events instead,
+// see stream():
+//
+//   for await (const event of tower.gemini.streamContent({ prompt: 'Hello' })) {
+//     if (event.type === 'token') process.stdout.write(event.text);
+//   }
+//
+// Failed calls are retried up to `retries` times when it is safe: GET, PUT
+// and DELETE on network errors and retryable gateway errors. Other methods
+// are only retried when the gateway refused the call itself without reaching
+// the provider (an open circuit or a full job queue); a 429 or 503 passed on
+// from the provider may follow a change that was made.
+class TowerClient {
+  constructor({ baseUrl = '', key = null, connection = null, retries = 2, retryDelayMs = 250, timeoutMs = 60000, headers = {}, fetch: fetchImpl } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.key = key;
+    this.connection = connection;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.headers = headers;
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+
+    Object.entries(ROUTES).forEach(([namespace, operations]) => {
+      this[namespace] = {};
+      Object.entries(operations).forEach(([name, route]) => {
+        this[namespace][name] = (params, options) => this.call(route, params, options);
+      });
+    });
+  }
+
+  // Split a method's params into path, query and body by the route's table entry
+  call([method, path, pathParams, queryParams, hasBody, streamed], params = {}, options = {}) {
+    const query = {};
+    let body = hasBody ? {} : undefined;
+    let url = path;
+
+    Object.entries(params).forEach(([name, value]) => {
+      if (value === undefined) return;
+      if (pathParams.includes(name)) {
+        url = url.replace(`{${name}}`, encodeURIComponent(value));
+      } else if (queryParams.includes(name) || !hasBody) {
+        query[name] = value;
+      } else {
+        body[name] = value;
+      }
+    });
+    const missing = pathParams.filter(name => params[name] === undefined);
+    if (missing.length > 0) {
+      const error = new TowerValidationError(`Missing path parameter${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`, { status: 400, code: 'validation_failed' });
+      return streamed ? (async function* () { throw error; })() : Promise.reject(error);
+    }
+    return (streamed ? this.stream : this.request).call(this, method, url, { ...options, query, body });
+  }
+
+  // URL and headers of a call
+  prepare(path, { query = {}, body, connection = this.connection, async = false, headers = {} }, accept) {
+    const url = new URL(this.baseUrl + path, this.baseUrl ? undefined : globalThis.location?.href);
+    Object.entries(query).forEach(([name, value]) => {
+      [].concat(value).forEach(item => url.searchParams.append(name, String(item)));
+    });
+
+    const requestHeaders = { Accept: accept, ...this.headers, ...headers };
+    if (this.key) requestHeaders['X-Tower-Key'] = this.key;
+    if (connection) requestHeaders['X-Tower-Connection'] = connection;
+    if (async) requestHeaders.Prefer = 'respond-async';
+    if (body !== undefined) requestHeaders['Content-Type'] = 'application/json';
+    return { url, headers: requestHeaders };
+  }
+
+  // Call any gateway route and resolve to its JSON body
+  async request(method, path, options = {}) {
+    const { body, signal } = options;
+    const { url, headers: requestHeaders } = this.prepare(path, options, 'application/json');
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      try {
+        return await this.send(method, url, requestHeaders, body, signal);
+      } catch (caught) {
+        error = caught;
+      }
+      if (attempt >= this.retries || !this.shouldRetry(method, error) || signal?.aborted) throw error;
+
+      const backoff = this.retryDelayMs * 2 ** attempt * (0.8 + Math.random() * 0.4);
+      await sleep(error.retryAfter ? Math.min(error.retryAfter * 1000, MAX_RETRY_AFTER_MS) : backoff);
+    }
+  }
+
+  // Call a streaming route and yield its server-sent events: { type: 'token',
+  // text } for each piece of text, then { type: 'done', data } with the final
+  // body. A failure is thrown as a TowerError, also when the stream reports it
+  // after the first token. Streams are never retried; leaving the loop early
+  // or aborting `signal` cancels the generation.
+  async *stream(method, path, options = {}) {
+    const { body, signal } = options;
+    const { url, headers } = this.prepare(path, options, 'text/event-stream');
+    const response = await this.open(method, url, headers, body, signal);
+    if (!response.ok || !(response.headers.get('content-type') || '').startsWith('text/event-stream')) {
+      yield { type: 'done', data: await this.read(method, url, response) };
+      return;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const cancel = () => reader.cancel().catch(() => {});
+    signal?.addEventListener('abort', cancel);
+    let buffer = '';
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer = (buffer + decoder.decode(value, { stream: true })).replace(/\r\n?/g, '\n');
+        for (let end = buffer.indexOf('\n\n'); end !== -1; end = buffer.indexOf('\n\n')) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          let event = 'message';
+          const data = [];
+          block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+          });
+          if (data.length === 0) continue;
+          const payload = JSON.parse(data.join('\n'));
+          if (event === 'token') {
+            yield { type: 'token', text: payload.text };
+          } else if (event === 'done') {
+            yield { type: 'done', data: payload };
+            return;
+          } else if (event === 'error') {
+            throw this.errorFor(method, url, payload.status || 502, payload, response.headers.get('x-request-id'));
+          }
+        }
+      }
+      if (!signal?.aborted) {
+        throw new TowerUnavailableError(`${method} ${url.pathname} ended before the stream finished`, { code: 'stream_incomplete' });
+      }
+    } finally {
+      signal?.removeEventListener('abort', cancel);
+      await cancel();
+    }
+  }
+
+  // fetch a response, waiting at most `timeoutMs` for its headers
+  async open(method, url, headers, body, signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+
+    try {
+      return await this.fetch(url.toString(), {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      const timedOut = !signal?.aborted;
+      throw new TowerUnavailableError(timedOut && error.name === 'AbortError' ? `No response within ${this.timeoutMs}ms` : error.message, {
+        code: timedOut && error.name === 'AbortError' ? 'timeout' : 'network_error',
+        retryable: true
+      });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+
+  async send(method, url, headers, body, signal) {
+    return this.read(method, url, await this.open(method, url, headers, body, signal));
+  }
+
+  // JSON body of a response, or the TowerError for its status
+  async read(method, url, response) {
+    const text = await response.text();
+    let data = text;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      // Not JSON; keep the text
+    }
+
+    if (!response.ok) {
+      const details = data && typeof data === 'object' ? data : { error: text };
+      const error = this.errorFor(method, url, response.status, details, response.headers.get('x-request-id'));
+      error.retryAfter = error.retryAfter ?? (Number(response.headers.get('retry-after')) || null);
+      throw error;
+    }
+    return data;
+  }
+
+  errorFor(method, url, status, details, requestId) {
+    const ErrorClass = errorClassFor(status);
+    return new ErrorClass(details.error || `${method} ${url.pathname} failed with status ${status}`, {
+      status,
+      code: details.code || 'http_error',
+      provider: details.provider || null,
+      upstreamStatus: details.upstreamStatus ?? null,
+      retryable: details.retryable ?? false,
+      retryAfter: details.retryAfter ?? null,
+      details: details.details,
+      requestId
+    });
+  }
+
+  shouldRetry(method, error) {
+    if (!(error instanceof TowerError)) return false;
+    if (REFUSED_CODES.includes(error.code)) return true;
+    return IDEMPOTENT_METHODS.includes(method) && (error.status === 0 || error.retryable);
+  }
+}
+
+function createTowerClient(options) {
+  return new TowerClient(options);
+}
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const GatewayError = require('./gateway-error');
+const { pageOf } = require('./pagination');
+
+// In-memory stand-in for CloudflareService, used when TOWER_PROVIDER_MODE=fake.
+// Holds one account with one member and one zone (example.com) with a couple
+// of DNS records and its settings.
+class FakeCloudflareService {
+  constructor() {
+    this.zones = new Map();
+    this.created = 0;
+    this.authMethod = 'api_token';
+    this.tokenId = this.id('token');
+    this.account = { id: this.id('account'), name: 'Example Account', type: 'standard', settings: { enforce_twofactor: false } };
+    this.members = [{
+      id: this.id('member'),
+      status: 'accepted',
+      user: { id: this.id('user'), email: 'owner@example.com', first_name: 'Example', last_name: 'Owner', two_factor_authentication_enabled: true },
+      roles: [{ id: this.id('role'), name: 'Administrator' }]
+    }];
+    this.addZone('example.com');
+  }
+
+  // 32 hex character IDs like Cloudflare's, stable across restarts
+  id(seed) {
+    this.created += 1;
+    return crypto.createHash('md5').update(`${seed}:${this.created}`).digest('hex');
+  }
+
+  static notFound(what) {
+    return new GatewayError(`${what} not found`, { status: 404, code: 'not_found', provider: 'cloudflare', upstreamStatus: 404 });
+  }
+
+  addZone(name) {
+    const zone = {
+      id: this.id(name),
+      name,
+      account: { id: this.account.id, name: this.account.name },
+      status: 'active',
+      paused: false,
+      type: 'full',
+      name_servers: ['ada.ns.cloudflare.com', 'bob.ns.cloudflare.com'],
+      created_on: new Date().toISOString()
+    };
+    const state = {
+      zone,
+      records: new Map(),
+      settings: { security_level: 'medium', ssl: 'full', always_use_https: 'on', min_tls_version: '1.2' },
+      purges: 0
+    };
+    this.zones.set(zone.id, state);
+
+    this.addRecord(state, { type: 'A', name, content: '192.0.2.1', proxied: true });
+    this.addRecord(state, { type: 'CNAME', name: `www.${name}`, content: name, proxied: true });
+    return state;
+  }
+
+  addRecord(state, recordData) {
+    const record = {
+      id: this.id(state.zone.name),
+      zone_id: state.zone.id,
+      zone_name: state.zone.name,
+      ttl: 1,
+      proxied: false,
+      ...recordData,
+      created_on: new Date().toISOString(),
+      modified_on: new Date().toISOString()
+    };
+    state.records.set(record.id, record);
+    return record;
+  }
+
+  state(zoneId) {
+    const state = this.zones.get(zoneId);
+    if (!state) throw FakeCloudflareService.notFound('Zone');
+    return state;
+  }
+
+  record(state, recordId) {
+    const record = state.records.get(recordId);
+    if (!record) throw FakeCloudflareService.notFound('DNS record');
+    return record;
+  }
+
+  setting(state, id) {
+    return { id, value: state.settings[id], editable: true, modified_on: null };
+  }
+
+  findAccount(accountId) {
+    if (accountId !== this.account.id) throw FakeCloudflareService.notFound('Account');
+    return this.account;
+  }
+
+  async verifyToken() {
+    return {
+      authMethod: this.authMethod,
+      owner: 'user',
+      id: this.tokenId,
+      status: 'active',
+      expiresOn: null,
+      notBefore: null,
+      permissions: [{
+        effect: 'allow',
+        permissionGroups: ['Zone Read', 'DNS Write', 'Cache Purge', 'Zone Settings Write', 'Account Settings Read'],
+        resources: { [`com.cloudflare.api.account.${this.account.id}`]: '*' }
+      }]
+    };
+  }
+
+  async getAccounts() {
+    return [this.account];
+  }
+
+  async getAccountsPage(pagination = {}) {
+    return pageOf(await this.getAccounts(), pagination);
+  }
+
+  async getAccount(accountId) {
+    return this.findAccount(accountId);
+  }
+
+  async getAccountMembers(accountId) {
+    this.findAccount(accountId);
+    return this.members;
+  }
+
+  async getAccountMembersPage(accountId, pagination = {}) {
+    return pageOf(await this.getAccountMembers(accountId), pagination);
+  }
+
+  async getZones(accountId = null) {
+    if (accountId) this.findAccount(accountId);
+    return Array.from(this.zones.values()).map(state => state.zone);
+  }
+
+  async getZonesPage(accountId = null, pagination = {}) {
+    return pageOf(await this.getZones(accountId), pagination);
+  }
+
+  async getZone(zoneId) {
+    return this.state(zoneId).zone;
+  }
+
+  async getDNSRecords(zoneId, type = null, name = null) {
+    return Array.from(this.state(zoneId).records.values())
+      .filter(record => !type || record.type === type)
+      .filter(record => !name || record.name === name);
+  }
+
+  async getDNSRecordsPage(zoneId, type = null, name = null, pagination = {}) {
+    return pageOf(await this.getDNSRecords(zoneId, type, name), pagination);
+  }
+
+  async getDNSRecord(zoneId, recordId) {
+    return this.record(this.state(zoneId), recordId);
+  }
+
+  async createDNSRecord(zoneId, recordData) {
+    return this.addRecord(this.state(zoneId), recordData);
+  }
+
+  async updateDNSRecord(zoneId, recordId, recordData) {
+    const record = this.record(this.state(zoneId), recordId);
+    Object.assign(record, recordData, { modified_on: new Date().toISOString() });
+    return record;
+  }
+
+  async deleteDNSRecord(zoneId, recordId) {
+    const state = this.state(zoneId);
+    this.record(state, recordId);
+    state.records.delete(recordId);
+    return { id: recordId };
+  }
+
+  async purgeCache(zoneId, files = null) {
+    const state = this.state(zoneId);
+    state.purges += 1;
+    return { id: state.zone.id, purged: files || 'everything' };
+  }
+
+  async getAnalytics(zoneId, since = null, until = null) {
+    this.state(zoneId);
+    return {
+      totals: {
+        since: since || new Date(Date.now() - 24 * 3600 * 1000).toISOString(),
+        until: until || new Date().toISOString(),
+        requests: { all: 0, cached: 0, uncached: 0 },
+        bandwidth: { all: 0, cached: 0, uncached: 0 },
+        threats: { all: 0 },
+        pageviews: { all: 0 }
+      },
+      timeseries: []
+    };
+  }
+
+  async getSecuritySettings(zoneId) {
+    const state = this.state(zoneId);
+    return Object.keys(state.settings).map(id => this.setting(state, id));
+  }
+
+  async getSecurityLevel(zoneId) {
+    return this.setting(this.state(zoneId), 'security_level');
+  }
+
+  async updateSecurityLevel(zoneId, level) {
+    const state = this.state(zoneId);
+    state.settings.security_level = level;
+    return this.setting(state, 'security_level');
+  }
+
+  async getSSLSettings(zoneId) {
+    return this.setting(this.state(zoneId), 'ssl');
+  }
+
+  async updateSSLMode(zoneId, mode) {
+    const state = this.state(zoneId);
+    state.settings.ssl = mode;
+    return this.setting(state, 'ssl');
+  }
+}
+
+module.exports = FakeCloudflareService;
@@ -1,25 +1,183 @@
-
 const Cloudflare = require('cloudflare');
+const GatewayError = require('./gateway-error');
+const { tracedFetch } = require('./request-context');
+const { nonEmptyString, anyObject, anyArray, strictObject, openObject, successResponse } = require('./api-schemas');
+const { paginationQuery, paginationSchema, sendPage } = require('./pagination');
+const logger = require('./logger').logger.child({ provider: 'cloudflare' });
+
+// Collect every item of a paginated SDK list call
+async function collect(pages) {
+  const items = [];
+  for await (const item of pages) {
+    items.push(item);
+  }
+  return items;
+}
+
+// One page of a paginated SDK list call, with the totals from Cloudflare's
+// result_info. `list(query)` makes the call with the page added to its query.
+async function listPage(list, { page = 1, perPage = 20 } = {}) {
+  const result = await list({ page, per_page: perPage });
+  const info = result.result_info || {};
+  const items = result.getPaginatedItems();
+  const totalPages = Number.isFinite(info.total_pages) ? info.total_pages : null;
+  return {
+    items,
+    page: info.page || page,
+    perPage: info.per_page || perPage,
+    total: Number.isFinite(info.total_count) ? info.total_count : null,
+    totalPages,
+    // Without totals, a full page means there may be another
+    nextPage: (totalPages === null ? items.length === perPage : page < totalPages) ? page + 1 : null
+  };
+}
 
 class CloudflareService {
-  constructor() {
-    if (!process.env.CLOUDFLARE_API_KEY) {
-      throw new Error('CLOUDFLARE_API_KEY environment variable is not set');
+  constructor(env = process.env) {
+    if (!env.CLOUDFLARE_API_TOKEN && !env.CLOUDFLARE_API_KEY) {
+      throw new Error('CLOUDFLARE_API_TOKEN environment variable is not set');
     }
-    
+
+    // A scoped API token is preferred; the global key plus email is kept for
+    // older setups. Unused credentials are passed as null so the SDK does not
+    // pick them up from process.env on its own.
+    this.authMethod = env.CLOUDFLARE_API_TOKEN ? 'api_token' : 'global_key';
+    this.accountId = env.CLOUDFLARE_ACCOUNT_ID || null;
     this.cf = new Cloudflare({
-      email: process.env.CLOUDFLARE_EMAIL,
-      key: process.env.CLOUDFLARE_API_KEY
+      apiToken: this.authMethod === 'api_token' ? env.CLOUDFLARE_API_TOKEN : null,
+      apiKey: this.authMethod === 'global_key' ? env.CLOUDFLARE_API_KEY : null,
+      apiEmail: this.authMethod === 'global_key' ? env.CLOUDFLARE_EMAIL || null : null,
+      baseURL: env.CLOUDFLARE_BASE_URL || undefined,
+      fetch: tracedFetch
     });
+
+    if (this.authMethod === 'global_key') {
+      logger.warn('Cloudflare is using the global API key; set CLOUDFLARE_API_TOKEN to a scoped API token instead');
+    }
+  }
+
+  // Check the configured credentials. For an API token this reports its
+  // status, expiry and, when the token may read its own details, the
+  // permissions it grants. Account-owned tokens are verified against
+  // CLOUDFLARE_ACCOUNT_ID.
+  async verifyToken() {
+    try {
+      if (this.authMethod === 'global_key') {
+        const user = await this.cf.user.get();
+        return { authMethod: this.authMethod, status: 'active', user: { id: user.id, email: user.email } };
+      }
+
+      let owner = 'user';
+      let token;
+      try {
+        token = await this.cf.user.tokens.verify();
+      } catch (error) {
+        if (!this.accountId) throw error;
+        owner = 'account';
+        token = await this.cf.accounts.tokens.verify({ account_id: this.accountId });
+      }
+
+      if (token.status !== 'active') {
+        throw new GatewayError(`Cloudflare API token is ${token.status}`, { status: 401, code: 'upstream_unauthorized', provider: 'cloudflare' });
+      }
+
+      const verification = {
+        authMethod: this.authMethod,
+        owner,
+        id: token.id,
+        status: token.status,
+        expiresOn: token.expires_on || null,
+        notBefore: token.not_before || null,
+        permissions: null
+      };
+
+      // Reading a token's policies needs the "API Tokens Read" permission,
+      // which least-privilege tokens usually lack
+      try {
+        const details = owner === 'account'
+          ? await this.cf.accounts.tokens.get(token.id, { account_id: this.accountId })
+          : await this.cf.user.tokens.get(token.id);
+        verification.permissions = (details.policies || []).map(policy => ({
+          effect: policy.effect,
+          permissionGroups: (policy.permission_groups || []).map(group => group.name || group.id),
+          resources: policy.resources
+        }));
+      } catch (error) {
+        verification.permissionsError = 'The token cannot read its own permissions; grant "API Tokens Read" to report them';
+      }
+      return verification;
+    } catch (error) {
+      logger.error('Error verifying API token', { error });
+      throw error;
+    }
+  }
+
+  // List the accounts the credentials can access
+  async getAccounts() {
+    try {
+      return await collect(this.cf.accounts.list());
+    } catch (error) {
+      logger.error('Error fetching accounts', { error });
+      throw error;
+    }
+  }
+
+  // List one page of the accounts the credentials can access
+  async getAccountsPage(pagination = {}) {
+    try {
+      return await listPage(query => this.cf.accounts.list(query), pagination);
+    } catch (error) {
+      logger.error('Error fetching accounts', { error });
+      throw error;
+    }
+  }
+
+  // Get account details by ID
+  async getAccount(accountId) {
+    try {
+      return await this.cf.accounts.get({ account_id: accountId });
+    } catch (error) {
+      logger.error('Error fetching account', { error });
+      throw error;
+    }
+  }
+
+  // List an account's members and their roles
+  async getAccountMembers(accountId) {
+    try {
+      return await collect(this.cf.accounts.members.list({ account_id: accountId }));
+    } catch (error) {
+      logger.error('Error fetching account members', { error });
+      throw error;
+    }
+  }
+
+  // List one page of an account's members
+  async getAccountMembersPage(accountId, pagination = {}) {
+    try {
+      return await listPage(query => this.cf.accounts.members.list({ account_id: accountId, ...query }), pagination);
+    } catch (error) {
+      logger.error('Error fetching account members', { error });
+      throw error;
+    }
+  }
+
+  // Get all zones (domains), optionally only those of one account
+  async getZones(accountId = null) {
+    try {
+      return await collect(this.cf.zones.list(accountId ? { account: { id: accountId } } : {}));
+    } catch (error) {
+      logger.error('Error fetching zones', { error });
+      throw error;
+    }
   }
 
-  // Get all zones (domains)
-  async getZones() {
+  // Get one page of zones, optionally only those of one account
+  async getZonesPage(accountId = null, pagination = {}) {
     try {
-      const zones = await this.cf.zones.browse();
-      return zones.result;
+      return await listPage(query => this.cf.zones.list(accountId ? { account: { id: accountId }, ...query } : query), pagination);
     } catch (error) {
-      console.error('Error fetching zones:', error);
+      logger.error('Error fetching zones', { error });
       throw error;
     }
   }
@@ -27,10 +185,9 @@ class CloudflareService {
   // Get zone details by ID
   async getZone(zoneId) {
     try {
-      const zone = await this.cf.zones.read(zoneId);
-      return zone.result;
+      return await this.cf.zones.get({ zone_id: zoneId });
     } catch (error) {
-      console.error('Error fetching zone:', error);
+      logger.error('Error fetching zone', { error });
       throw error;
     }
   }
@@ -38,14 +195,37 @@ class CloudflareService {
   // Get DNS records for a zone
   async getDNSRecords(zoneId, type = null, name = null) {
     try {
-      const params = { zone: zoneId };
+      const params = { zone_id: zoneId };
       if (type) params.type = type;
-      if (name) params.name = name;
-      
-      const records = await this.cf.dnsRecords.browse(zoneId, params);
-      return records.result;
+      if (name) params.name = { exact: name };
+
+      return await collect(this.cf.dns.records.list(params));
+    } catch (error) {
+      logger.error('Error fetching DNS records', { error });
+      throw error;
+    }
+  }
+
+  // Get one page of DNS records for a zone
+  async getDNSRecordsPage(zoneId, type = null, name = null, pagination = {}) {
+    try {
+      const params = { zone_id: zoneId };
+      if (type) params.type = type;
+      if (name) params.name = { exact: name };
+
+      return await listPage(query => this.cf.dns.records.list({ ...params, ...query }), pagination);
     } catch (error) {
-      console.error('Error fetching DNS records:', error);
+      logger.error('Error fetching DNS records', { error });
+      throw error;
+    }
+  }
+
+  // Get one DNS record
+  async getDNSRecord(zoneId, recordId) {
+    try {
+      return await this.cf.dns.records.get(recordId, { zone_id: zoneId });
+    } catch (error) {
+      logger.error('Error fetching DNS record', { error });
       throw error;
     }
   }
@@ -53,10 +233,9 @@ class CloudflareService {
   // Create a DNS record
   async createDNSRecord(zoneId, recordData) {
     try {
-      const record = await this.cf.dnsRecords.add(zoneId, recordData);
-      return record.result;
+      return await this.cf.dns.records.create({ zone_id: zoneId, ...recordData });
     } catch (error) {
-      console.error('Error creating DNS record:', error);
+      logger.error('Error creating DNS record', { error });
       throw error;
     }
   }
@@ -64,10 +243,9 @@ class CloudflareService {
   // Update a DNS record
   async updateDNSRecord(zoneId, recordId, recordData) {
     try {
-      const record = await this.cf.dnsRecords.edit(zoneId, recordId, recordData);
-      return record.result;
+      return await this.cf.dns.records.edit(recordId, { zone_id: zoneId, ...recordData });
     } catch (error) {
-      console.error('Error updating DNS record:', error);
+      logger.error('Error updating DNS record', { error });
       throw error;
     }
   }
@@ -75,10 +253,9 @@ class CloudflareService {
   // Delete a DNS record
   async deleteDNSRecord(zoneId, recordId) {
     try {
-      const result = await this.cf.dnsRecords.del(zoneId, recordId);
-      return result.result;
+      return await this.cf.dns.records.delete(recordId, { zone_id: zoneId });
     } catch (error) {
-      console.error('Error deleting DNS record:', error);
+      logger.error('Error deleting DNS record', { error });
       throw error;
     }
   }
@@ -86,37 +263,47 @@ class CloudflareService {
   // Purge cache for entire zone
   async purgeCache(zoneId, files = null) {
     try {
-      const data = files ? { files } : { purge_everything: true };
-      const result = await this.cf.zones.purgeCache(zoneId, data);
-      return result.result;
+      const data = files ? { zone_id: zoneId, files } : { zone_id: zoneId, purge_everything: true };
+      return await this.cf.cache.purge(data);
     } catch (error) {
-      console.error('Error purging cache:', error);
+      logger.error('Error purging cache', { error });
       throw error;
     }
   }
 
-  // Get zone analytics
+  // Get zone analytics. The SDK has no method for the dashboard endpoint, so
+  // it is called directly.
   async getAnalytics(zoneId, since = null, until = null) {
     try {
-      const params = {};
-      if (since) params.since = since;
-      if (until) params.until = until;
-      
-      const analytics = await this.cf.zones.analytics.dashboard(zoneId, params);
+      const query = {};
+      if (since) query.since = since;
+      if (until) query.until = until;
+
+      const analytics = await this.cf.get(`/zones/${zoneId}/analytics/dashboard`, { query });
       return analytics.result;
     } catch (error) {
-      console.error('Error fetching analytics:', error);
+      logger.error('Error fetching analytics', { error });
       throw error;
     }
   }
 
-  // Get security settings
+  // Get security settings; listing every zone setting has no SDK method either
   async getSecuritySettings(zoneId) {
     try {
-      const settings = await this.cf.zones.settings.browse(zoneId);
+      const settings = await this.cf.get(`/zones/${zoneId}/settings`);
       return settings.result;
     } catch (error) {
-      console.error('Error fetching security settings:', error);
+      logger.error('Error fetching security settings', { error });
+      throw error;
+    }
+  }
+
+  // Get the security level setting
+  async getSecurityLevel(zoneId) {
+    try {
+      return await this.cf.zones.settings.get('security_level', { zone_id: zoneId });
+    } catch (error) {
+      logger.error('Error fetching security level', { error });
       throw error;
     }
   }
@@ -124,10 +311,9 @@ class CloudflareService {
   // Update security level
   async updateSecurityLevel(zoneId, level) {
     try {
-      const result = await this.cf.zones.settings.edit(zoneId, 'security_level', { value: level });
-      return result.result;
+      return await this.cf.zones.settings.edit('security_level', { zone_id: zoneId, value: level });
     } catch (error) {
-      console.error('Error updating security level:', error);
+      logger.error('Error updating security level', { error });
       throw error;
     }
   }
@@ -135,10 +321,9 @@ class CloudflareService {
   // Get SSL settings
   async getSSLSettings(zoneId) {
     try {
-      const ssl = await this.cf.zones.settings.read(zoneId, 'ssl');
-      return ssl.result;
+      return await this.cf.zones.settings.get('ssl', { zone_id: zoneId });
     } catch (error) {
-      console.error('Error fetching SSL settings:', error);
+      logger.error('Error fetching SSL settings', { error });
       throw error;
     }
   }
@@ -146,13 +331,422 @@ class CloudflareService {
   // Update SSL mode
   async updateSSLMode(zoneId, mode) {
     try {
-      const result = await this.cf.zones.settings.edit(zoneId, 'ssl', { value: mode });
-      return result.result;
+      return await this.cf.zones.settings.edit('ssl', { zone_id: zoneId, value: mode });
     } catch (error) {
-      console.error('Error updating SSL mode:', error);
+      logger.error('Error updating SSL mode', { error });
       throw error;
     }
   }
 }
 
+const DNS_RECORD_TYPES = ['A', 'AAAA', 'CAA', 'CERT', 'CNAME', 'DNSKEY', 'DS', 'HTTPS', 'LOC', 'MX', 'NAPTR', 'NS', 'PTR', 'SMIMEA', 'SRV', 'SSHFP', 'SVCB', 'TLSA', 'TXT', 'URI'];
+const SECURITY_LEVELS = ['off', 'essentially_off', 'low', 'medium', 'high', 'under_attack'];
+const SSL_MODES = ['off', 'flexible', 'full', 'strict'];
+// Page sizes Cloudflare accepts: 5 to 50 for accounts, members and zones;
+// DNS records allow more than the gateway's own limit of 100
+const ACCOUNT_PAGE_SIZES = { minPerPage: 5, maxPerPage: 50 };
+const DNS_PAGE_SIZES = { minPerPage: 5, maxPerPage: 100 };
+
+CloudflareService.provider = {
+  name: 'cloudflare',
+  title: 'Cloudflare',
+  mountPath: '/cloudflare',
+  // A scoped API token, or the legacy global key (with CLOUDFLARE_EMAIL)
+  requiredEnv: [['CLOUDFLARE_API_TOKEN', 'CLOUDFLARE_API_KEY']],
+  capabilities: ['token-verification', 'accounts', 'account-members', 'zones', 'dns', 'cache-purge', 'analytics', 'security-settings', 'ssl'],
+  fake: () => require('./cloudflare-fake'),
+  probe: service => service.verifyToken(),
+  verify: service => service.verifyToken(),
+  resilience: {
+    // Setting a value is safe to repeat; creating or deleting records is not
+    idempotent: ['updateDNSRecord', 'purgeCache', 'updateSecurityLevel', 'updateSSLMode']
+  },
+  routes: [
+    // Verify the configured API token and report its permissions
+    {
+      method: 'get',
+      path: '/token/verify',
+      operation: 'verifyToken',
+      action: 'verifying API token',
+      schema: {
+        response: successResponse({ token: anyObject })
+      },
+      handler: async (req, res, cloudflareService) => {
+        const token = await cloudflareService.verifyToken();
+        res.json({
+          success: true,
+          token: token
+        });
+      }
+    },
+
+    // List accessible accounts
+    {
+      method: 'get',
+      path: '/accounts',
+      operation: 'getAccounts',
+      action: 'fetching accounts',
+      paginated: true,
+      cache: { ttlSeconds: 300, tag: 'accounts' },
+      schema: {
+        query: strictObject(paginationQuery(ACCOUNT_PAGE_SIZES)),
+        response: successResponse({ accounts: anyArray, pagination: paginationSchema })
+      },
+      handler: async (req, res, cloudflareService) => {
+        await sendPage(req, res, 'accounts', pagination => cloudflareService.getAccountsPage(pagination));
+      }
+    },
+
+    // Get specific account details
+    {
+      method: 'get',
+      path: '/accounts/:accountId',
+      operation: 'getAccount',
+      action: 'fetching account',
+      schema: {
+        response: successResponse({ account: anyObject })
+      },
+      handler: async (req, res, cloudflareService) => {
+        const { accountId } = req.params;
+        const account = await cloudflareService.getAccount(accountId);
+        res.json({
+          success: true,
+          account: account
+        });
+      }
+    },
+
+    // List an account's members
+    {
+      method: 'get',
+      path: '/accounts/:accountId/members',
+      operation: 'getAccountMembers',
+      action: 'fetching account members',
+      paginated: true,
+      cache: { ttlSeconds: 60, tag: 'members:{accountId}' },
+      schema: {
+        query: strictObject(paginationQuery(ACCOUNT_PAGE_SIZES)),
+        response: successResponse({ members: anyArray, pagination: paginationSchema })
+      },
+      handler: async (req, res, cloudflareService) => {
+        const { accountId } = req.params;
+        await sendPage(req, res, 'members', pagination => cloudflareService.getAccountMembersPage(accountId, pagination));
+      }
+    },
+
+    // List an account's zones
+    {
+      method: 'get',
+      path: '/accounts/:accountId/zones',
+      operation: 'getAccountZones',
+      action: 'fetching account zones',
+      paginated: true,
+      cache: { ttlSeconds: 300, tag: 'zones' },
+      schema: {
+        query: strictObject(paginationQuery(ACCOUNT_PAGE_SIZES)),
+        response: successResponse({ zones: anyArray, pagination: paginationSchema })
+      },
+      handler: async (req, res, cloudflareService) => {
+        const { accountId } = req.params;
+        await sendPage(req, res, 'zones', pagination => cloudflareService.getZonesPage(accountId, pagination));
+      }
+    },
+
+    // Get all zones (domains)
+    {
+      method: 'get',
+      path: '/zones',
+      operation: 'getZones',
+      action: 'fetching zones',
+      paginated: true,
+      cache: { ttlSeconds: 300, tag: 'zones' },
+      schema: {
+        query: strictObject(paginationQuery(ACCOUNT_PAGE_SIZES)),
+        response: successResponse({ zones: anyArray, pagination: paginationSchema })
+      },
+      handler: async (req, res, cloudflareService) => {
+        await sendPage(req, res, 'zones', pagination => cloudflareService.getZonesPage(null, pagination));
+      }
+    },
+
+    // Get specific zone details
+    {
+      method: 'get',
+      path: '/zones/:zoneId',
+      operation: 'getZone',
+      action: 'fetching zone',
+      schema: {
+        response: successResponse({ zone: anyObject })
+      },
+      handler: async (req, res, cloudflareService) => {
+        const { zoneId } = req.params;
+        const zone = await cloudflareService.getZone(zoneId);
+        res.json({
+          success: true,
+          zone: zone
+        });
+      }
+    },
+
+    // Get DNS records for a zone
+    {
+      method: 'get',
+      path: '/zones/:zoneId/dns',
+      operation: 'getDNSRecords',
+      action: 'fetching DNS records',
+      paginated: true,
+      cache: { ttlSeconds: 60, tag: 'dns:{zoneId}' },
+      schema: {
+        query: strictObject({ type: { type: 'string', enum: DNS_RECORD_TYPES }, name: nonEmptyString, ...paginationQuery(DNS_PAGE_SIZES) }),
+        response: successResponse({ records: anyArray, pagination: paginationSchema })
+      },
+      handler: async (req, res, cloudflareService) => {
+        const { zoneId } = req.params;
+        const { type, name } = req.query;
+        await sendPage(req, res, 'records', pagination => cloudflareService.getDNSRecordsPage(zoneId, type, name, pagination));
+      }
+    },
+
+    // Create a DNS record
+    {
+      method: 'post',
+      path: '/zones/:zoneId/dns',
+      operation: 'createDNSRecord',
+      action: 'creating DNS record',
+      event: 'dns_record.created',
+      invalidates: ['dns:{zoneId}'],
+      schema: {
+        body: openObject({
+          type: { type: 'string', enum: DNS_RECORD_TYPES },
+          name: nonEmptyString,
+          content: nonEmptyString,
+          ttl: { type: 'integer', minimum: 1 },
+          proxied: { type: 'boolean' },
+          priority: { type: 'integer', minimum: 0 },
+          comment: { type: 'string' }
+        }, ['type', 'name', 'content']),
+        response: successResponse({ record: anyObject })
+      },
+      plan: async (req, cloudflareService) => {
+        await cloudflareService.getZone(req.params.zoneId);
+        return { before: null, after: req.body };
+      },
+      handler: async (req, res, cloudflareService) => {
+        const { zoneId } = req.params;
+        const recordData = req.body;
+
+        const record = await cloudflareService.createDNSRecord(zoneId, recordData);
+        res.json({
+          success: true,
+          record: record
+        });
+      }
+    },
+
+    // Update a DNS record
+    {
+      method: 'put',
+      path: '/zones/:zoneId/dns/:recordId',
+      operation: 'updateDNSRecord',
+      action: 'updating DNS record',
+      event: 'dns_record.updated',
+      invalidates: ['dns:{zoneId}'],
+      schema: {
+        body: openObject({
+          type: { type: 'string', enum: DNS_RECORD_TYPES },
+          name: nonEmptyString,
+          content: nonEmptyString,
+          ttl: { type: 'integer', minimum: 1 },
+          proxied: { type: 'boolean' },
+          priority: { type: 'integer', minimum: 0 },
+          comment: { type: 'string' }
+        }),
+        response: successResponse({ record: anyObject })
+      },
+      plan: async (req, cloudflareService) => {
+        const { zoneId, recordId } = req.params;
+        const record = await cloudflareService.getDNSRecord(zoneId, recordId);
+        return { before: record, after: { ...record, ...req.body } };
+      },
+      handler: async (req, res, cloudflareService) => {
+        const { zoneId, recordId } = req.params;
+        const recordData = req.body;
+
+        const record = await cloudflareService.updateDNSRecord(zoneId, recordId, recordData);
+        res.json({
+          success: true,
+          record: record
+        });
+      }
+    },
+
+    // Delete a DNS record
+    {
+      method: 'delete',
+      path: '/zones/:zoneId/dns/:recordId',
+      operation: 'deleteDNSRecord',
+      action: 'deleting DNS record',
+      event: 'dns_record.deleted',
+      invalidates: ['dns:{zoneId}'],
+      schema: {
+        response: successResponse({ result: anyObject })
+      },
+      plan: async (req, cloudflareService) => {
+        const { zoneId, recordId } = req.params;
+        return { before: await cloudflareService.getDNSRecord(zoneId, recordId), after: null };
+      },
+      handler: async (req, res, cloudflareService) => {
+        const { zoneId, recordId } = req.params;
+        const result = await cloudflareService.deleteDNSRecord(zoneId, recordId);
+        res.json({
+          success: true,
+          result: result
+        });
+      }
+    },
+
+    // Purge cache
+    {
+      method: 'post',
+      path: '/zones/:zoneId/purge-cache',
+      operation: 'purgeCache',
+      action: 'purging cache',
+      event: 'cache.purged',
+      schema: {
+        body: strictObject({ files: { type: 'array', minItems: 1, items: { type: 'string', format: 'uri' } } }),
+        response: successResponse({ result: anyObject })
+      },
+      // Nothing is stored, so the plan only names what would be purged
+      plan: async (req, cloudflareService) => {
+        const zone = await cloudflareService.getZone(req.params.zoneId);
+        return { action: 'purge', before: null, after: { zone: zone.name, purge: req.body.files || 'everything' } };
+      },
+      handler: async (req, res, cloudflareService) => {
+        const { zoneId } = req.params;
+        const { files } = req.body;
+
+        const result = await cloudflareService.purgeCache(zoneId, files);
+        res.json({
+          success: true,
+          result: result
+        });
+      }
+    },
+
+    // Get zone analytics
+    {
+      method: 'get',
+      path: '/zones/:zoneId/analytics',
+      operation: 'getAnalytics',
+      action: 'fetching analytics',
+      schema: {
+        query: strictObject({ since: nonEmptyString, until: nonEmptyString }),
+        response: successResponse({ analytics: anyObject })
+      },
+      handler: async (req, res, cloudflareService) => {
+        const { zoneId } = req.params;
+        const { since, until } = req.query;
+
+        const analytics = await cloudflareService.getAnalytics(zoneId, since, until);
+        res.json({
+          success: true,
+          analytics: analytics
+        });
+      }
+    },
+
+    // Get security settings
+    {
+      method: 'get',
+      path: '/zones/:zoneId/security',
+      operation: 'getSecuritySettings',
+      action: 'fetching security settings',
+      schema: {
+        response: successResponse({ settings: anyArray })
+      },
+      handler: async (req, res, cloudflareService) => {
+        const { zoneId } = req.params;
+        const settings = await cloudflareService.getSecuritySettings(zoneId);
+        res.json({
+          success: true,
+          settings: settings
+        });
+      }
+    },
+
+    // Update security level
+    {
+      method: 'put',
+      path: '/zones/:zoneId/security-level',
+      operation: 'updateSecurityLevel',
+      action: 'updating security level',
+      event: 'zone_setting.updated',
+      schema: {
+        body: strictObject({ level: { type: 'string', enum: SECURITY_LEVELS } }, ['level']),
+        response: successResponse({ result: anyObject })
+      },
+      plan: async (req, cloudflareService) => {
+        const setting = await cloudflareService.getSecurityLevel(req.params.zoneId);
+        return { before: setting, after: { ...setting, value: req.body.level } };
+      },
+      handler: async (req, res, cloudflareService) => {
+        const { zoneId } = req.params;
+        const { level } = req.body;
+
+        const result = await cloudflareService.updateSecurityLevel(zoneId, level);
+        res.json({
+          success: true,
+          result: result
+        });
+      }
+    },
+
+    // Get SSL settings
+    {
+      method: 'get',
+      path: '/zones/:zoneId/ssl',
+      operation: 'getSSLSettings',
+      action: 'fetching SSL settings',
+      schema: {
+        response: successResponse({ ssl: anyObject })
+      },
+      handler: async (req, res, cloudflareService) => {
+        const { zoneId } = req.params;
+        const ssl = await cloudflareService.getSSLSettings(zoneId);
+        res.json({
+          success: true,
+          ssl: ssl
+        });
+      }
+    },
+
+    // Update SSL mode
+    {
+      method: 'put',
+      path: '/zones/:zoneId/ssl',
+      operation: 'updateSSLMode',
+      action: 'updating SSL mode',
+      event: 'zone_setting.updated',
+      schema: {
+        body: strictObject({ mode: { type: 'string', enum: SSL_MODES } }, ['mode']),
+        response: successResponse({ result: anyObject })
+      },
+      plan: async (req, cloudflareService) => {
+        const setting = await cloudflareService.getSSLSettings(req.params.zoneId);
+        return { before: setting, after: { ...setting, value: req.body.mode } };
+      },
+      handler: async (req, res, cloudflareService) => {
+        const { zoneId } = req.params;
+        const { mode } = req.body;
+
+        const result = await cloudflareService.updateSSLMode(zoneId, mode);
+        res.json({
+          success: true,
+          result: result
+        });
+      }
+    }
+  ]
+};
+
 module.exports = CloudflareService;
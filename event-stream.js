@@ -0,0 +1,96 @@
+const { logger } = require('./logger');
+const GatewayError = require('./gateway-error');
+
+// Comment lines that keep proxies from closing a quiet stream
+const HEARTBEAT_MS = 15000;
+
+// Media type of the 200 response of routes that declare `stream: true`
+const EVENT_STREAM = 'text/event-stream';
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Relay a text generation to the client as server-sent events. `start(signal)`
+// returns an async iterator that yields text deltas and returns the
+// generation's metadata (usage, finish reason); `finish(content, metadata)`
+// builds the body of the final event. The response is:
+//
+//   event: token   data: {"text": "..."}      once per delta
+//   event: done    data: finish(...)           when the generation completes
+//   event: error   data: <error body>          if it fails after the first token,
+//                                              with the status it would have had
+//
+// Failures before the first token are thrown, so the route answers with an
+// ordinary JSON error and status. When the client disconnects, `signal`
+// aborts the upstream request and the iterator is closed.
+async function sendTextStream(res, start, finish) {
+  const controller = new AbortController();
+  const cancel = () => {
+    if (!res.writableEnded) controller.abort();
+  };
+  res.on('close', cancel);
+
+  let heartbeat = null;
+  const open = () => {
+    res.status(200).set({
+      'Content-Type': `${EVENT_STREAM}; charset=utf-8`,
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  };
+
+  const iterator = start(controller.signal);
+  let content = '';
+  try {
+    for (;;) {
+      const { value, done } = await iterator.next();
+      if (controller.signal.aborted) break;
+      if (done) {
+        const body = await finish(content, value || {});
+        if (!res.headersSent) open();
+        writeEvent(res, 'done', body);
+        break;
+      }
+      if (!value) continue;
+      if (!res.headersSent) open();
+      content += value;
+      writeEvent(res, 'token', { text: value });
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      // The client is gone; the error is the upstream request being aborted
+    } else if (!res.headersSent) {
+      throw error;
+    } else {
+      const gatewayError = GatewayError.from(error);
+      logger.error('Error while streaming', { status: gatewayError.status, code: gatewayError.code, error: gatewayError.message });
+      writeEvent(res, 'error', { ...gatewayError.toJSON(), status: gatewayError.status });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.removeListener('close', cancel);
+    if (controller.signal.aborted) {
+      logger.info('Stream cancelled by the client', { characters: content.length });
+      await Promise.resolve(iterator.return && iterator.return()).catch(() => {});
+    }
+  }
+  if (!res.writableEnded) res.end();
+}
+
+// Yield a finished text a word at a time, the way the fake providers
+// imitate a streamed generation
+async function* replayText(text, { signal, delayMs = 20 } = {}) {
+  const words = String(text).match(/\S+\s*/g) || [];
+  for (const word of words) {
+    if (signal && signal.aborted) return;
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    yield word;
+  }
+}
+
+module.exports = { sendTextStream, replayText, EVENT_STREAM };
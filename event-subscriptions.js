@@ -0,0 +1,440 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ClientKeyService = require('./client-key-service');
+const GatewayError = require('./gateway-error');
+const { logger, redact } = require('./logger');
+const { REQUEST_ID_HEADER } = require('./request-context');
+
+const SIGNATURE_HEADER = 'X-Tower-Signature';
+const EVENT_PATTERN = /^[A-Za-z0-9_.*-]+$/;
+
+// "gitlab.*" or "*.document.generated" as a regular expression
+function patternToRegExp(pattern) {
+  return new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+// Signature header value for a request body: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// Check a signature header against a body, for consumers written in Node.
+// Signatures older than `toleranceSeconds` are rejected to stop replays.
+function verifySignature(secret, body, header, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=', 2)));
+  const timestamp = Number(parts.t);
+  if (!parts.v1 || !Number.isFinite(timestamp) || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(sign(secret, body, timestamp).split('v1=')[1]);
+  const actual = Buffer.from(parts.v1);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Outbound notifications of gateway mutations. Consumers subscribe a URL to
+// event types such as "gitlab.issue.created" or "cloudflare.*"; every route
+// that declares `event: 'issue.created'` publishes one when it succeeds. Each
+// event is POSTed as JSON and signed with the subscription's secret. Failed
+// deliveries are retried with exponential backoff and, once out of attempts,
+// kept as dead letters until they are redelivered.
+//
+// An event carries the provider's response, so it only goes to subscriptions
+// whose creator may read the event's resource. With a `clientKeys` service the
+// creator's key is looked up again when the event is published and when it is
+// sent: a revoked key, or one that has lost the scope, gets nothing.
+class EventSubscriptions {
+  constructor({ clientKeys = null, filePath = null, maxAttempts = 6, retryBaseMs = 10000, maxRetryDelayMs = 3600000, timeoutMs = 10000, logLimit = 100 } = {}) {
+    this.clientKeys = clientKeys;
+    this.filePath = filePath;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.logLimit = logLimit;
+    this.subscriptions = new Map();
+    // Subscription ID -> its deliveries, newest first
+    this.deliveries = new Map();
+    this.timers = new Map();
+    this.saveTimer = null;
+    this.exitHookInstalled = false;
+    this.closed = false;
+    this.load();
+  }
+
+  // Subscriptions and deliveries kept in TOWER_EVENT_FILE unless
+  // TOWER_EVENT_STORE=memory; retries set by TOWER_EVENT_MAX_ATTEMPTS and
+  // TOWER_EVENT_RETRY_BASE_MS
+  static fromEnv(env = process.env, { clientKeys = null } = {}) {
+    return new EventSubscriptions({
+      clientKeys,
+      filePath: env.TOWER_EVENT_STORE === 'memory'
+        ? null
+        : env.TOWER_EVENT_FILE || path.join(__dirname, '.data', 'event-subscriptions.json'),
+      maxAttempts: Number(env.TOWER_EVENT_MAX_ATTEMPTS) || 6,
+      retryBaseMs: Number(env.TOWER_EVENT_RETRY_BASE_MS) || 10000
+    });
+  }
+
+  // Subscription as shown to clients; the secret is only returned on creation
+  static describe(subscription) {
+    const { secret, ...described } = subscription;
+    return described;
+  }
+
+  static validate({ url, events }) {
+    if (url !== undefined) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        parsed = null;
+      }
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        throw new GatewayError('Subscription url must be an http or https URL', { status: 400, code: 'invalid_request' });
+      }
+    }
+    if (events !== undefined && (!Array.isArray(events) || events.length === 0 || !events.every(pattern => EVENT_PATTERN.test(pattern)))) {
+      throw new GatewayError('Subscription events must be a list of event types such as "gitlab.issue.created" or "cloudflare.*"', { status: 400, code: 'invalid_request' });
+    }
+  }
+
+  // Register a URL for events; returns the subscription with its signing secret
+  create({ url, events, connection = null, description = null, client = null }) {
+    EventSubscriptions.validate({ url, events });
+    const subscription = {
+      id: crypto.randomUUID(),
+      url,
+      events,
+      connection,
+      description,
+      active: true,
+      secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+      createdBy: client ? { id: client.id, name: client.name } : null,
+      createdAt: new Date().toISOString()
+    };
+    this.subscriptions.set(subscription.id, subscription);
+    this.deliveries.set(subscription.id, []);
+    this.scheduleSave();
+    return subscription;
+  }
+
+  list() {
+    return Array.from(this.subscriptions.values()).map(EventSubscriptions.describe);
+  }
+
+  get(id) {
+    return this.subscriptions.get(id) || null;
+  }
+
+  // Change a subscription's url, events, connection, description or active flag
+  update(id, changes) {
+    const subscription = this.get(id);
+    if (!subscription) return null;
+    EventSubscriptions.validate(changes);
+    ['url', 'events', 'connection', 'description', 'active'].forEach(field => {
+      if (changes[field] !== undefined) subscription[field] = changes[field];
+    });
+    subscription.updatedAt = new Date().toISOString();
+    this.scheduleSave();
+    return subscription;
+  }
+
+  // Delete a subscription with its delivery log; pending retries are dropped
+  remove(id) {
+    const subscription = this.get(id);
+    if (!subscription) return null;
+    (this.deliveries.get(id) || []).forEach(delivery => this.clearTimer(delivery.id));
+    this.subscriptions.delete(id);
+    this.deliveries.delete(id);
+    this.scheduleSave();
+    return subscription;
+  }
+
+  matches(subscription, event) {
+    if (!subscription.active) return false;
+    if (subscription.connection && subscription.connection !== event.connection) return false;
+    return subscription.events.some(pattern => patternToRegExp(pattern).test(event.type));
+  }
+
+  // Whether a client may see an event: it needs read access to the event's
+  // resource. Events about no resource, such as tower.ping, are visible to all.
+  static canRead(client, event) {
+    return !event.resource || ClientKeyService.isAllowed(client.scopes, 'GET', event.resource);
+  }
+
+  // Whether a subscription's creator, as their key is now, may receive an
+  // event. Subscriptions created from code with no client receive every event.
+  canDeliver(subscription, event) {
+    if (!subscription.createdBy || !this.clientKeys) return true;
+    const creator = this.clientKeys.find(subscription.createdBy.id);
+    return Boolean(creator) && EventSubscriptions.canRead(creator, event);
+  }
+
+  // Event for a successful route call. `call` holds what was known about the
+  // request ({ connection, resource, params, client, requestId }); `body` is
+  // the response, of which everything but `success` becomes the event's data.
+  static eventFor(provider, route, call, body) {
+    const { success, ...data } = body && typeof body === 'object' ? body : { value: body };
+    return {
+      id: crypto.randomUUID(),
+      type: `${provider}.${route.event}`,
+      occurredAt: new Date().toISOString(),
+      provider,
+      connection: call.connection || null,
+      operation: route.operation || null,
+      resource: call.resource,
+      params: call.params || {},
+      client: call.client ? { id: call.client.id, name: call.client.name } : null,
+      requestId: call.requestId || null,
+      data: redact(data)
+    };
+  }
+
+  // Queue an event for every subscription that wants it
+  publish(event) {
+    if (this.closed) return [];
+    return Array.from(this.subscriptions.values())
+      .filter(subscription => this.matches(subscription, event) && this.canDeliver(subscription, event))
+      .map(subscription => this.enqueue(subscription, event));
+  }
+
+  enqueue(subscription, event) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      subscriptionId: subscription.id,
+      eventId: event.id,
+      eventType: event.type,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      event
+    };
+    const log = this.deliveries.get(subscription.id);
+    log.unshift(delivery);
+    this.trim(log);
+    this.schedule(delivery, 0);
+    this.scheduleSave();
+    return delivery;
+  }
+
+  // Keep the newest `logLimit` deliveries, plus any still pending or dead
+  trim(log) {
+    let kept = 0;
+    for (let index = 0; index < log.length; index++) {
+      const delivery = log[index];
+      if (delivery.status === 'pending' || delivery.status === 'dead' || kept < this.logLimit) {
+        if (delivery.status === 'delivered') kept += 1;
+        continue;
+      }
+      log.splice(index, 1);
+      index -= 1;
+    }
+  }
+
+  // Express middleware for one provider route; publishes the route's event
+  // once a call succeeds. A call answered with a job (202) publishes when the job does.
+  middleware(provider, route) {
+    if (!route.event || route.method === 'get') {
+      return (req, res, next) => next();
+    }
+
+    return (req, res, next) => {
+      const call = { resource: (req.baseUrl + req.path).slice((req.towerBaseUrl || '').length), params: { ...req.params } };
+      let responseBody;
+
+      const json = res.json.bind(res);
+      res.json = body => {
+        responseBody = body;
+        return json(body);
+      };
+
+      res.on('finish', () => {
+        if (req.dryRun || res.statusCode < 200 || res.statusCode >= 300 || res.statusCode === 202) return;
+        this.publish(EventSubscriptions.eventFor(provider, route, {
+          ...call,
+          connection: req.connectionName,
+          client: req.client,
+          requestId: req.id
+        }, responseBody));
+      });
+
+      next();
+    };
+  }
+
+  schedule(delivery, delayMs) {
+    this.clearTimer(delivery.id);
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this.attempt(delivery).catch(error => {
+        logger.error('Error delivering event', { deliveryId: delivery.id, error });
+      });
+    }, Math.max(0, delayMs));
+    timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  clearTimer(deliveryId) {
+    clearTimeout(this.timers.get(deliveryId));
+    this.timers.delete(deliveryId);
+  }
+
+  // Backoff before the next attempt: the base delay doubled per attempt, capped, with jitter
+  retryDelay(attemptCount) {
+    const delay = Math.min(this.retryBaseMs * 2 ** (attemptCount - 1), this.maxRetryDelayMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  // POST one delivery to its subscription's URL and record the attempt
+  async attempt(delivery) {
+    const subscription = this.get(delivery.subscriptionId);
+    if (!subscription || this.closed || delivery.status !== 'pending') return delivery;
+    if (!this.canDeliver(subscription, delivery.event)) {
+      // The creator's key was revoked or lost the scope since the event was queued
+      const log = this.deliveries.get(subscription.id);
+      log.splice(log.indexOf(delivery), 1);
+      this.scheduleSave();
+      logger.warn('Event dropped; the subscription\'s client key may no longer read it', { deliveryId: delivery.id, subscriptionId: subscription.id, event: delivery.eventType });
+      return Object.assign(delivery, { status: 'dropped', nextAttemptAt: null });
+    }
+
+    const body = JSON.stringify(delivery.event);
+    const started = Date.now();
+    const attempt = { at: new Date(started).toISOString(), status: null, error: null, durationMs: null };
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Taskade-Tower-Events',
+      'X-Tower-Event': delivery.event.type,
+      'X-Tower-Event-Id': delivery.event.id,
+      'X-Tower-Delivery': delivery.id,
+      [SIGNATURE_HEADER]: sign(subscription.secret, body)
+    };
+    if (delivery.event.requestId) headers[REQUEST_ID_HEADER] = delivery.event.requestId;
+
+    try {
+      const response = await fetch(subscription.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(this.timeoutMs) });
+      attempt.status = response.status;
+      if (!response.ok) attempt.error = `Subscriber answered ${response.status}`;
+    } catch (error) {
+      attempt.error = error.name === 'TimeoutError' ? `No answer within ${this.timeoutMs}ms` : error.message;
+    }
+    attempt.durationMs = Date.now() - started;
+    delivery.attempts.push(attempt);
+
+    const log = { deliveryId: delivery.id, subscriptionId: subscription.id, event: delivery.eventType, attempt: delivery.attempts.length };
+    if (!attempt.error) {
+      Object.assign(delivery, { status: 'delivered', deliveredAt: new Date().toISOString(), nextAttemptAt: null });
+      logger.debug('Event delivered', log);
+    } else if (delivery.attempts.length >= this.maxAttempts) {
+      Object.assign(delivery, { status: 'dead', nextAttemptAt: null });
+      logger.error('Event delivery failed; moved to dead letters', { ...log, error: attempt.error });
+    } else {
+      const delayMs = this.retryDelay(delivery.attempts.length);
+      delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+      this.schedule(delivery, delayMs);
+      logger.warn('Event delivery failed; will retry', { ...log, error: attempt.error, retryInMs: delayMs });
+    }
+    this.scheduleSave();
+    return delivery;
+  }
+
+  // A subscription's delivery log, newest first, optionally in one status.
+  // With a `client`, only deliveries of events that client may read.
+  listDeliveries(subscriptionId, { status, limit = 100, client = null } = {}) {
+    return (this.deliveries.get(subscriptionId) || [])
+      .filter(delivery => !status || delivery.status === status)
+      .filter(delivery => !client || EventSubscriptions.canRead(client, delivery.event))
+      .slice(0, limit);
+  }
+
+  // Send a delivery again, usually a dead letter; it gets a fresh set of attempts
+  // With a `client`, deliveries of events that client may not read are not found.
+  redeliver(subscriptionId, deliveryId, { client = null } = {}) {
+    const delivery = (this.deliveries.get(subscriptionId) || []).find(d => d.id === deliveryId);
+    if (!delivery || (client && !EventSubscriptions.canRead(client, delivery.event))) return null;
+    if (delivery.status === 'pending') {
+      throw new GatewayError('Delivery is already pending', { status: 409, code: 'delivery_pending' });
+    }
+    Object.assign(delivery, { status: 'pending', attempts: [], nextAttemptAt: new Date().toISOString(), deliveredAt: null, redeliveredAt: new Date().toISOString() });
+    this.schedule(delivery, 0);
+    this.scheduleSave();
+    return delivery;
+  }
+
+  // Send a test event to one subscription whatever its filters, and wait for the first attempt
+  async ping(subscriptionId) {
+    const subscription = this.get(subscriptionId);
+    if (!subscription) return null;
+    const delivery = this.enqueue(subscription, {
+      id: crypto.randomUUID(),
+      type: 'tower.ping',
+      occurredAt: new Date().toISOString(),
+      data: { subscriptionId }
+    });
+    this.clearTimer(delivery.id);
+    return this.attempt(delivery);
+  }
+
+  // Resume pending deliveries saved before a restart
+  start() {
+    this.deliveries.forEach(log => log.filter(delivery => delivery.status === 'pending').forEach(delivery => {
+      this.schedule(delivery, Date.parse(delivery.nextAttemptAt) - Date.now());
+    }));
+    return this;
+  }
+
+  load() {
+    if (!this.filePath) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      saved.subscriptions.forEach(subscription => {
+        this.subscriptions.set(subscription.id, subscription);
+        this.deliveries.set(subscription.id, saved.deliveries[subscription.id] || []);
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error loading event subscriptions', { error });
+      }
+    }
+  }
+
+  // Batch writes that happen close together into one file write
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) return;
+    if (!this.exitHookInstalled) {
+      process.once('exit', () => this.flush());
+      this.exitHookInstalled = true;
+    }
+    this.saveTimer = setTimeout(() => this.flush(), 1000);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({
+        subscriptions: Array.from(this.subscriptions.values()),
+        deliveries: Object.fromEntries(this.deliveries)
+      }), { mode: 0o600 });
+    } catch (error) {
+      logger.error('Error saving event subscriptions', { error });
+    }
+  }
+
+  // Stop delivering and write out the store; pending deliveries resume on the next start
+  close() {
+    this.closed = true;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.flush();
+  }
+}
+
+module.exports = { EventSubscriptions, SIGNATURE_HEADER, sign, verifySignature };
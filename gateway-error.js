@@ -0,0 +1,178 @@
+// Uniform error type for everything the gateway sends back to its clients.
+// Upstream SDK errors are translated with GatewayError.from(error, provider).
+
+const NETWORK_ERROR_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH'];
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'];
+
+const STATUS_CODES = {
+  400: 'invalid_request',
+  401: 'upstream_unauthorized',
+  403: 'upstream_forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  422: 'unprocessable_entity',
+  429: 'rate_limited'
+};
+
+class GatewayError extends Error {
+  constructor(message, { status = 500, code = 'internal_error', provider = null, upstreamStatus = null, retryable = false, retryAfter = null, details = undefined, cause = undefined } = {}) {
+    super(message);
+    this.name = 'GatewayError';
+    this.status = status;
+    this.code = code;
+    this.provider = provider;
+    this.upstreamStatus = upstreamStatus;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+    this.details = details;
+    if (cause) this.cause = cause;
+  }
+
+  // Body sent to clients
+  toJSON() {
+    const body = {
+      success: false,
+      error: this.message,
+      code: this.code,
+      provider: this.provider,
+      upstreamStatus: this.upstreamStatus,
+      retryable: this.retryable,
+      retryAfter: this.retryAfter
+    };
+    if (this.details !== undefined) body.details = this.details;
+    return body;
+  }
+
+  // Write this error to an Express response
+  send(res) {
+    if (this.retryAfter !== null) {
+      res.set('Retry-After', String(this.retryAfter));
+    }
+    return res.status(this.status).json(this.toJSON());
+  }
+
+  // Translate any error thrown by a provider SDK into a GatewayError
+  static from(error, provider = null) {
+    if (error instanceof GatewayError) {
+      if (!error.provider) error.provider = provider;
+      return error;
+    }
+
+    const upstream = describeUpstream(error);
+    const message = upstream.message || error.message || 'Internal server error';
+    const options = {
+      provider,
+      upstreamStatus: upstream.status,
+      retryAfter: upstream.retryAfter,
+      details: upstream.details,
+      cause: error
+    };
+
+    if (upstream.status) {
+      return new GatewayError(message, { ...options, ...classifyStatus(upstream.status) });
+    }
+    if (upstream.timeout) {
+      return new GatewayError(message, { ...options, status: 504, code: 'upstream_timeout', retryable: true });
+    }
+    if (upstream.network) {
+      return new GatewayError(message, { ...options, status: 502, code: 'upstream_unreachable', retryable: true });
+    }
+    if (upstream.blocked) {
+      return new GatewayError(message, { ...options, status: 422, code: 'content_blocked' });
+    }
+    if (upstream.invalidInput) {
+      return new GatewayError(message, { ...options, status: 400, code: 'invalid_request' });
+    }
+    if (upstream.badOutput) {
+      return new GatewayError(message, { ...options, status: 502, code: 'upstream_bad_response' });
+    }
+    return new GatewayError(message, options);
+  }
+}
+
+// Map an upstream HTTP status onto the status, code and retry hint we return
+function classifyStatus(upstreamStatus) {
+  if (upstreamStatus >= 500) {
+    if (upstreamStatus === 503) return { status: 503, code: 'upstream_unavailable', retryable: true };
+    if (upstreamStatus === 504) return { status: 504, code: 'upstream_timeout', retryable: true };
+    return { status: 502, code: 'upstream_error', retryable: true };
+  }
+  if (upstreamStatus >= 400) {
+    return {
+      status: upstreamStatus,
+      code: STATUS_CODES[upstreamStatus] || 'upstream_client_error',
+      retryable: upstreamStatus === 429 || upstreamStatus === 408
+    };
+  }
+  return { status: 502, code: 'upstream_error', retryable: false };
+}
+
+// Read a header from either a plain object or a fetch Headers instance
+function readHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+// Retry-After may be delta-seconds or an HTTP date; normalize to seconds
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Pull status, headers and body out of the error shapes our SDKs throw
+function describeUpstream(error) {
+  let status = null;
+  let headers;
+  let details;
+  let message;
+
+  if (error.response && typeof error.response.statusCode === 'number') {
+    // gitbeaker (got) HTTPError
+    status = error.response.statusCode;
+    headers = error.response.headers;
+    details = error.description;
+    message = typeof error.description === 'string' ? error.description : undefined;
+  } else if (error.response && typeof error.response.status === 'number') {
+    // axios and googleapis (gaxios) errors
+    status = error.response.status;
+    headers = error.response.headers;
+    details = error.response.data;
+  } else if (error.httpResponse && typeof error.httpResponse.status === 'number') {
+    // @huggingface/inference InferenceClientHttpRequestError
+    status = error.httpResponse.status;
+    details = error.httpResponse.body;
+  } else if (typeof error.status === 'number') {
+    // cloudflare APIError and @google/generative-ai GoogleGenerativeAIFetchError
+    status = error.status;
+    headers = error.headers;
+    details = error.errors && error.errors.length > 0 ? error.errors : error.errorDetails;
+    if (error.errors && error.errors.length > 0) {
+      message = error.errors.map(e => e.message).join('; ');
+    }
+  }
+
+  const code = error.code || (error.cause && error.cause.code);
+  const name = error.name || error.constructor?.name || '';
+
+  return {
+    status,
+    message,
+    details,
+    retryAfter: parseRetryAfter(readHeader(headers, 'retry-after')),
+    timeout: TIMEOUT_ERROR_CODES.includes(code) || /Timeout/.test(name) || /timed? ?out/i.test(error.message || ''),
+    network: NETWORK_ERROR_CODES.includes(code) || name === 'APIConnectionError' || (name === 'TypeError' && error.message === 'fetch failed'),
+    blocked: error.constructor?.name === 'GoogleGenerativeAIResponseError',
+    invalidInput: name === 'InputError' || error.constructor?.name === 'GoogleGenerativeAIRequestInputError',
+    badOutput: name === 'ProviderOutputError'
+  };
+}
+
+module.exports = GatewayError;
@@ -0,0 +1,63 @@
+const { replayText } = require('./event-stream');
+
+// Offline stand-in for GeminiService, used when TOWER_PROVIDER_MODE=fake.
+// Answers are canned and derived from the input, so the same prompt always
+// gets the same text.
+class FakeGeminiService {
+  static excerpt(text, length = 80) {
+    const flat = String(text).replace(/\s+/g, ' ').trim();
+    return flat.length > length ? `${flat.slice(0, length)}...` : flat;
+  }
+
+  async countTokens(prompt) {
+    return String(prompt).split(/\s+/).filter(Boolean).length;
+  }
+
+  async generateContent(prompt) {
+    return `[fake gemini] Response to: ${FakeGeminiService.excerpt(prompt)}`;
+  }
+
+  async *streamContent(prompt, { signal } = {}) {
+    const text = await this.generateContent(prompt);
+    yield* replayText(text, { signal });
+    return FakeGeminiService.metadata(prompt, text);
+  }
+
+  // Usage as Gemini reports it, with words counted as tokens
+  static metadata(prompt, text) {
+    const count = value => String(value).split(/\s+/).filter(Boolean).length;
+    return {
+      finishReason: 'STOP',
+      usage: { promptTokens: count(prompt), completionTokens: count(text), totalTokens: count(prompt) + count(text) }
+    };
+  }
+
+  async analyzeContent(text, analysisType = 'summary') {
+    const words = String(text).split(/\s+/).filter(Boolean).length;
+    return `[fake gemini] ${analysisType} of a ${words}-word text: ${FakeGeminiService.excerpt(text)}`;
+  }
+
+  async generateDocumentContent(topic, contentType = 'article', length = 'medium') {
+    return [
+      `# ${topic}`,
+      '',
+      `[fake gemini] A ${length} ${contentType} about ${topic}.`,
+      '',
+      '## Overview',
+      '',
+      `This ${contentType} was generated offline by the fake Gemini provider.`
+    ].join('\n');
+  }
+
+  async *streamDocumentContent(topic, contentType = 'article', length = 'medium', { signal } = {}) {
+    const text = await this.generateDocumentContent(topic, contentType, length);
+    yield* replayText(text, { signal });
+    return FakeGeminiService.metadata(topic, text);
+  }
+
+  async enhanceContent(originalText, enhancementType = 'improve') {
+    return `[fake gemini: ${enhancementType}] ${originalText}`;
+  }
+}
+
+module.exports = FakeGeminiService;
@@ -1,23 +1,44 @@
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { nonEmptyString, anyObject, strictObject, successResponse } = require('./api-schemas');
+const GatewayError = require('./gateway-error');
+const { sendTextStream } = require('./event-stream');
+const { correlationHeaders } = require('./request-context');
+const logger = require('./logger').logger.child({ provider: 'gemini' });
 
 class GeminiService {
-  constructor() {
-    if (!process.env.GEMINI_API_KEY) {
+  constructor(env = process.env) {
+    if (!env.GEMINI_API_KEY) {
       throw new Error('GEMINI_API_KEY environment variable is not set');
     }
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    this.genAI = new GoogleGenerativeAI(env.GEMINI_API_KEY);
     this.model = this.genAI.getGenerativeModel({ model: 'gemini-pro' });
   }
 
+  // Per-call options that carry the request's correlation ID upstream
+  requestOptions() {
+    return { customHeaders: correlationHeaders() };
+  }
+
+  // Count the tokens a prompt would use
+  async countTokens(prompt) {
+    try {
+      const result = await this.model.countTokens(prompt, this.requestOptions());
+      return result.totalTokens;
+    } catch (error) {
+      logger.error('Error counting tokens', { error });
+      throw error;
+    }
+  }
+
   // Generate content based on a prompt
   async generateContent(prompt) {
     try {
-      const result = await this.model.generateContent(prompt);
+      const result = await this.model.generateContent(prompt, this.requestOptions());
       const response = await result.response;
       return response.text();
     } catch (error) {
-      console.error('Error generating content:', error);
+      logger.error('Error generating content', { error });
       throw error;
     }
   }
@@ -44,35 +65,34 @@ class GeminiService {
           prompt = `Analyze the following text:\n\n${text}`;
       }
 
-      const result = await this.model.generateContent(prompt);
+      const result = await this.model.generateContent(prompt, this.requestOptions());
       const response = await result.response;
       return response.text();
     } catch (error) {
-      console.error('Error analyzing content:', error);
+      logger.error('Error analyzing content', { error });
       throw error;
     }
   }
 
-  // Generate content for a specific topic or outline
-  async generateDocumentContent(topic, contentType = 'article', length = 'medium') {
-    try {
-      let lengthGuide;
-      
-      switch (length) {
-        case 'short':
-          lengthGuide = 'Keep it brief, around 200-300 words.';
-          break;
-        case 'medium':
-          lengthGuide = 'Make it moderately detailed, around 500-800 words.';
-          break;
-        case 'long':
-          lengthGuide = 'Create a comprehensive piece, around 1000-1500 words.';
-          break;
-        default:
-          lengthGuide = 'Use appropriate length for the content.';
-      }
+  // Prompt for a document on a topic, shared by the buffered and streaming calls
+  documentPrompt(topic, contentType = 'article', length = 'medium') {
+    let lengthGuide;
 
-      const prompt = `Create a well-structured ${contentType} about "${topic}". ${lengthGuide} 
+    switch (length) {
+      case 'short':
+        lengthGuide = 'Keep it brief, around 200-300 words.';
+        break;
+      case 'medium':
+        lengthGuide = 'Make it moderately detailed, around 500-800 words.';
+        break;
+      case 'long':
+        lengthGuide = 'Create a comprehensive piece, around 1000-1500 words.';
+        break;
+      default:
+        lengthGuide = 'Use appropriate length for the content.';
+    }
+
+    return `Create a well-structured ${contentType} about "${topic}". ${lengthGuide} 
       
       Please include:
       - A compelling title
@@ -81,16 +101,46 @@ class GeminiService {
       - A proper conclusion
       
       Format it as clean text that can be easily inserted into a Google Doc.`;
+  }
 
-      const result = await this.model.generateContent(prompt);
+  // Generate content for a specific topic or outline
+  async generateDocumentContent(topic, contentType = 'article', length = 'medium') {
+    try {
+      const prompt = this.documentPrompt(topic, contentType, length);
+      const result = await this.model.generateContent(prompt, this.requestOptions());
       const response = await result.response;
       return response.text();
     } catch (error) {
-      console.error('Error generating document content:', error);
+      logger.error('Error generating document content', { error });
       throw error;
     }
   }
 
+  // Stream the answer to a prompt: yields text as Gemini produces it and
+  // returns the usage metadata. Aborting `signal` stops the upstream request.
+  // Not retried, as part of the answer may already have been sent on.
+  async *streamContent(prompt, { signal } = {}) {
+    const result = await this.model.generateContentStream(prompt, { ...this.requestOptions(), signal });
+    for await (const chunk of result.stream) {
+      yield chunk.text();
+    }
+    const response = await result.response;
+    const usage = response.usageMetadata || {};
+    return {
+      finishReason: response.candidates && response.candidates[0] ? response.candidates[0].finishReason : null,
+      usage: {
+        promptTokens: usage.promptTokenCount ?? null,
+        completionTokens: usage.candidatesTokenCount ?? null,
+        totalTokens: usage.totalTokenCount ?? null
+      }
+    };
+  }
+
+  // Stream a document on a topic, like generateDocumentContent
+  async *streamDocumentContent(topic, contentType = 'article', length = 'medium', { signal } = {}) {
+    return yield* this.streamContent(this.documentPrompt(topic, contentType, length), { signal });
+  }
+
   // Enhance existing content
   async enhanceContent(originalText, enhancementType = 'improve') {
     try {
@@ -116,14 +166,316 @@ class GeminiService {
           prompt = `Enhance the following text:\n\n${originalText}`;
       }
 
-      const result = await this.model.generateContent(prompt);
+      const result = await this.model.generateContent(prompt, this.requestOptions());
       const response = await result.response;
       return response.text();
     } catch (error) {
-      console.error('Error enhancing content:', error);
+      logger.error('Error enhancing content', { error });
       throw error;
     }
   }
 }
 
+// Create a Google Doc holding generated content; null if that fails, so the
+// content is still returned
+async function createDocumentFrom(googleDocsService, title, content) {
+  try {
+    const doc = await googleDocsService.createDocument(title);
+    await googleDocsService.insertText(doc.documentId, content);
+
+    return {
+      documentId: doc.documentId,
+      title: doc.title,
+      url: `https://docs.google.com/document/d/${doc.documentId}/edit`
+    };
+  } catch (docError) {
+    logger.error('Error creating Google Doc', { error: docError });
+    return null;
+  }
+}
+
+const ANALYSIS_TYPES = ['summary', 'sentiment', 'keywords', 'improve'];
+const ENHANCEMENT_TYPES = ['improve', 'expand', 'simplify', 'professional', 'casual'];
+
+GeminiService.provider = {
+  name: 'gemini',
+  title: 'Gemini',
+  mountPath: '/gemini',
+  requiredEnv: ['GEMINI_API_KEY'],
+  capabilities: ['generate', 'analyze', 'generate-document', 'enhance-document', 'analyze-document'],
+  fake: () => require('./gemini-fake'),
+  probe: service => service.countTokens('ping'),
+  resilience: {
+    idempotent: ['generateContent', 'analyzeContent', 'generateDocumentContent', 'enhanceContent', 'countTokens'],
+    timeoutMs: 60000
+  },
+  routes: [
+    // Generate content with Gemini
+    {
+      method: 'post',
+      path: '/generate',
+      operation: 'generateContent',
+      action: 'generating content',
+      schema: {
+        body: strictObject({ prompt: nonEmptyString }, ['prompt']),
+        response: successResponse({ content: { type: 'string' } })
+      },
+      handler: async (req, res, geminiService) => {
+        const { prompt } = req.body;
+
+        const content = await geminiService.generateContent(prompt);
+        res.json({
+          success: true,
+          content: content
+        });
+      }
+    },
+
+    // Generate content with Gemini, streamed as server-sent events
+    {
+      method: 'post',
+      path: '/generate/stream',
+      operation: 'streamContent',
+      action: 'streaming content',
+      stream: true,
+      schema: {
+        body: strictObject({ prompt: nonEmptyString }, ['prompt']),
+        response: successResponse({ content: { type: 'string' }, finishReason: { type: ['string', 'null'] }, usage: anyObject })
+      },
+      handler: async (req, res, geminiService) => {
+        const { prompt } = req.body;
+
+        await sendTextStream(res, signal => geminiService.streamContent(prompt, { signal }), (content, { finishReason, usage }) => ({
+          success: true,
+          content: content,
+          finishReason: finishReason,
+          usage: usage
+        }));
+      }
+    },
+
+    // Analyze content with Gemini
+    {
+      method: 'post',
+      path: '/analyze',
+      operation: 'analyzeContent',
+      action: 'analyzing content',
+      schema: {
+        body: strictObject({
+          text: nonEmptyString,
+          analysisType: { type: 'string', enum: ANALYSIS_TYPES }
+        }, ['text']),
+        response: successResponse({ analysis: { type: 'string' }, analysisType: { type: 'string' } })
+      },
+      handler: async (req, res, geminiService) => {
+        const { text, analysisType = 'summary' } = req.body;
+
+        const analysis = await geminiService.analyzeContent(text, analysisType);
+        res.json({
+          success: true,
+          analysis: analysis,
+          analysisType: analysisType
+        });
+      }
+    },
+
+    // Generate document content and optionally create Google Doc
+    {
+      method: 'post',
+      path: '/generate-document',
+      operation: 'generateDocument',
+      action: 'generating document',
+      async: true,
+      event: 'document.generated',
+      schema: {
+        body: strictObject({
+          topic: nonEmptyString,
+          contentType: nonEmptyString,
+          length: { type: 'string', enum: ['short', 'medium', 'long'] },
+          createGoogleDoc: { type: 'boolean' },
+          documentTitle: nonEmptyString
+        }, ['topic']),
+        response: successResponse({
+          content: { type: 'string' },
+          topic: { type: 'string' },
+          contentType: { type: 'string' },
+          length: { type: 'string' },
+          googleDoc: { type: ['object', 'null'] }
+        })
+      },
+      handler: async (req, res, geminiService, providers) => {
+        const { topic, contentType = 'article', length = 'medium', createGoogleDoc = false, documentTitle } = req.body;
+
+        const content = await geminiService.generateDocumentContent(topic, contentType, length);
+
+        const googleDocsService = providers.get('google-docs');
+        const googleDocInfo = createGoogleDoc && googleDocsService
+          ? await createDocumentFrom(googleDocsService, documentTitle || `AI Generated: ${topic}`, content)
+          : null;
+
+        res.json({
+          success: true,
+          content: content,
+          topic: topic,
+          contentType: contentType,
+          length: length,
+          googleDoc: googleDocInfo
+        });
+      }
+    },
+
+    // Generate document content as server-sent events, then optionally create a Google Doc
+    {
+      method: 'post',
+      path: '/generate-document/stream',
+      operation: 'streamDocument',
+      action: 'streaming document',
+      stream: true,
+      schema: {
+        body: strictObject({
+          topic: nonEmptyString,
+          contentType: nonEmptyString,
+          length: { type: 'string', enum: ['short', 'medium', 'long'] },
+          createGoogleDoc: { type: 'boolean' },
+          documentTitle: nonEmptyString
+        }, ['topic']),
+        response: successResponse({
+          content: { type: 'string' },
+          topic: { type: 'string' },
+          contentType: { type: 'string' },
+          length: { type: 'string' },
+          googleDoc: { type: ['object', 'null'] },
+          finishReason: { type: ['string', 'null'] },
+          usage: anyObject
+        })
+      },
+      handler: async (req, res, geminiService, providers) => {
+        const { topic, contentType = 'article', length = 'medium', createGoogleDoc = false, documentTitle } = req.body;
+
+        await sendTextStream(res, signal => geminiService.streamDocumentContent(topic, contentType, length, { signal }), async (content, { finishReason, usage }) => {
+          const googleDocsService = providers.get('google-docs');
+          const googleDoc = createGoogleDoc && googleDocsService
+            ? await createDocumentFrom(googleDocsService, documentTitle || `AI Generated: ${topic}`, content)
+            : null;
+          return {
+            success: true,
+            content: content,
+            topic: topic,
+            contentType: contentType,
+            length: length,
+            googleDoc: googleDoc,
+            finishReason: finishReason,
+            usage: usage
+          };
+        });
+      }
+    },
+
+    // Enhance existing Google Doc content
+    {
+      method: 'post',
+      path: '/enhance-document/:documentId',
+      operation: 'enhanceDocument',
+      action: 'enhancing document',
+      async: true,
+      event: 'document.enhanced',
+      schema: {
+        body: strictObject({
+          enhancementType: { type: 'string', enum: ENHANCEMENT_TYPES },
+          replaceOriginal: { type: 'boolean' }
+        }),
+        response: successResponse({
+          message: { type: 'string' },
+          enhancementType: { type: 'string' },
+          originalLength: { type: 'integer' },
+          enhancedLength: { type: 'integer' }
+        })
+      },
+      handler: async (req, res, geminiService, providers) => {
+        const googleDocsService = providers.get('google-docs');
+        if (!googleDocsService) {
+          throw providers.unavailableError('google-docs');
+        }
+
+        const { documentId } = req.params;
+        const { enhancementType = 'improve', replaceOriginal = false } = req.body;
+
+        // Get the current document content
+        const doc = await googleDocsService.getDocument(documentId);
+        const originalText = googleDocsService.extractTextContent(doc);
+
+        if (!originalText.trim()) {
+          throw new GatewayError('Document appears to be empty', { status: 400, code: 'document_empty' });
+        }
+
+        // Enhance the content with Gemini
+        const enhancedContent = await geminiService.enhanceContent(originalText, enhancementType);
+
+        if (replaceOriginal) {
+          // Replace the entire document content
+          await googleDocsService.replaceText(documentId, originalText, enhancedContent);
+        } else {
+          // Append the enhanced content
+          await googleDocsService.appendText(documentId, '\n\n--- Enhanced Version ---\n\n' + enhancedContent);
+        }
+
+        res.json({
+          success: true,
+          message: replaceOriginal ? 'Document content replaced with enhanced version' : 'Enhanced content appended to document',
+          enhancementType: enhancementType,
+          originalLength: originalText.length,
+          enhancedLength: enhancedContent.length
+        });
+      }
+    },
+
+    // Analyze Google Doc content
+    {
+      method: 'get',
+      path: '/analyze-document/:documentId',
+      operation: 'analyzeDocument',
+      action: 'analyzing document',
+      schema: {
+        query: strictObject({ analysisType: { type: 'string', enum: ANALYSIS_TYPES } }),
+        response: successResponse({
+          documentId: { type: 'string' },
+          documentTitle: { type: 'string' },
+          analysis: { type: 'string' },
+          analysisType: { type: 'string' },
+          textLength: { type: 'integer' }
+        })
+      },
+      handler: async (req, res, geminiService, providers) => {
+        const googleDocsService = providers.get('google-docs');
+        if (!googleDocsService) {
+          throw providers.unavailableError('google-docs');
+        }
+
+        const { documentId } = req.params;
+        const { analysisType = 'summary' } = req.query;
+
+        // Get the document content
+        const doc = await googleDocsService.getDocument(documentId);
+        const text = googleDocsService.extractTextContent(doc);
+
+        if (!text.trim()) {
+          throw new GatewayError('Document appears to be empty', { status: 400, code: 'document_empty' });
+        }
+
+        // Analyze with Gemini
+        const analysis = await geminiService.analyzeContent(text, analysisType);
+
+        res.json({
+          success: true,
+          documentId: documentId,
+          documentTitle: doc.title,
+          analysis: analysis,
+          analysisType: analysisType,
+          textLength: text.length
+        });
+      }
+    }
+  ]
+};
+
 module.exports = GeminiService;
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+
+// Generate the JavaScript client in client/ from the gateway's route
+// definitions: index.cjs and index.mjs (client/runtime.js plus a route
+// table) and index.d.ts with a typed method per route. Run it with
+// `npm run generate:client` after changing routes; `--check` only reports
+// whether the committed files are out of date.
+
+const CLIENT_DIR = path.join(__dirname, 'client');
+const EXPORTS = ['TowerClient', 'createTowerClient', 'TowerError', 'TowerValidationError', 'TowerAuthError', 'TowerNotFoundError', 'TowerConflictError', 'TowerRateLimitError', 'TowerUnavailableError'];
+
+// Gateway routes that webhook senders and MCP agents call, not API clients
+const SKIPPED_OPERATIONS = ['tower.getIndex', 'tower.receiveGitlabWebhook', 'tower.receiveGitlabConnectionWebhook', 'tower.handleMcpMessage'];
+
+const HEADER = '// Generated by generate-client.js from the gateway route definitions; do not edit.\n';
+
+const camel = name => name.replace(/[-_\s]+([a-zA-Z0-9])/g, (match, letter) => letter.toUpperCase()).replace(/^[A-Z]/, letter => letter.toLowerCase());
+const pascal = name => camel(name).replace(/^[a-z]/, letter => letter.toUpperCase());
+const propertyName = name => (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name));
+
+// Build the OpenAPI document of an app with the built-in providers, in
+// fake mode and with in-memory stores so nothing is read or written
+function loadDocument() {
+  process.env.TOWER_LOG_LEVEL = process.env.TOWER_LOG_LEVEL || 'silent';
+  const { createTowerApp } = require('./tower-app');
+  const app = createTowerApp({
+    env: {
+      TOWER_PROVIDER_MODE: 'fake',
+      TOWER_JOB_STORE: 'memory',
+      TOWER_EVENT_STORE: 'memory',
+      TOWER_GITLAB_WEBHOOK_STORE: 'memory',
+      TOWER_WORKFLOW_RUNS_STORE: 'memory',
+      TOWER_SCHEDULE_STORE: 'memory',
+      TOWER_SCHEDULER_ENABLED: 'false'
+    }
+  });
+  const document = app.locals.tower.openApiDocument();
+  return app.locals.tower.close().then(() => document);
+}
+
+// Namespace and method name of an operation: provider routes are grouped by
+// provider ("google-docs.createDocument" -> googleDocs.createDocument), the
+// gateway's own routes by tag ("Jobs" -> jobs.getJob)
+function methodFor(operation) {
+  const [prefix, name] = operation.operationId.split('.');
+  if (prefix !== 'tower') return { namespace: camel(prefix), name };
+  const tag = operation.tags && operation.tags[0];
+  return { namespace: !tag || tag === 'Tower' ? 'gateway' : camel(tag), name };
+}
+
+function collectRoutes(document) {
+  const namespaces = {};
+  Object.entries(document.paths).forEach(([routePath, operations]) => {
+    Object.entries(operations).forEach(([method, operation]) => {
+      if (SKIPPED_OPERATIONS.includes(operation.operationId)) return;
+      const { namespace, name } = methodFor(operation);
+      const parameters = (operation.parameters || []).filter(param => !param.$ref);
+      const content = operation.requestBody && operation.requestBody.content['application/json'];
+      const stream = (operation.responses[200].content || {})['text/event-stream'];
+      const json = (operation.responses[200].content || {})['application/json'];
+
+      namespaces[namespace] = namespaces[namespace] || {};
+      namespaces[namespace][name] = {
+        method: method.toUpperCase(),
+        path: routePath,
+        summary: operation.summary,
+        pathParams: parameters.filter(param => param.in === 'path'),
+        queryParams: parameters.filter(param => param.in === 'query'),
+        body: content ? content.schema : null,
+        response: stream ? stream['x-done-event'] : json.schema,
+        async: Boolean(operation.responses[202]),
+        stream: Boolean(stream),
+        dryRun: Boolean(json && json['x-dry-run'])
+      };
+    });
+  });
+  return namespaces;
+}
+
+// TypeScript type for a JSON Schema, as far as the gateway's schemas need
+function tsType(schema, indent = '') {
+  if (!schema || schema.$ref) return 'unknown';
+  if (schema.const !== undefined) return JSON.stringify(schema.const);
+  if (schema.enum) return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+  if (schema.oneOf || schema.anyOf) return (schema.oneOf || schema.anyOf).map(item => tsType(item, indent)).join(' | ');
+  if (Array.isArray(schema.type)) return schema.type.map(type => tsType({ ...schema, type }, indent)).join(' | ');
+
+  switch (schema.type) {
+    case 'string': return 'string';
+    case 'integer':
+    case 'number': return 'number';
+    case 'boolean': return 'boolean';
+    case 'null': return 'null';
+    case 'array': {
+      const items = tsType(schema.items, indent);
+      return items.includes(' ') ? `Array<${items}>` : `${items}[]`;
+    }
+    case 'object':
+      return objectType(schema.properties || {}, schema.required || [], schema.additionalProperties !== false, indent);
+    default:
+      return 'unknown';
+  }
+}
+
+function objectType(properties, required, open, indent) {
+  const entries = Object.entries(properties);
+  if (entries.length === 0) return open ? 'Record<string, unknown>' : '{}';
+  const inner = indent + '  ';
+  const lines = entries.map(([name, schema]) =>
+    `${inner}${propertyName(name)}${required.includes(name) ? '' : '?'}: ${tsType(schema, inner)};`);
+  if (open) lines.push(`${inner}[field: string]: unknown;`);
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+// One params object per method: path parameters, query parameters and body fields
+function paramsType(route) {
+  const properties = {};
+  const required = [];
+  route.pathParams.forEach(param => {
+    properties[param.name] = { oneOf: [{ type: 'string' }, { type: 'number' }] };
+    required.push(param.name);
+  });
+  route.queryParams.forEach(param => {
+    properties[param.name] = param.schema;
+    if (param.required) required.push(param.name);
+  });
+  if (route.body) {
+    Object.assign(properties, route.body.properties || {});
+    required.push(...(route.body.required || []));
+  }
+  const open = route.body ? route.body.additionalProperties !== false : false;
+  return { type: objectType(properties, required, open, ''), optional: required.length === 0 };
+}
+
+function routeTable(namespaces) {
+  const table = Object.fromEntries(Object.entries(namespaces).map(([namespace, methods]) => [
+    namespace,
+    Object.fromEntries(Object.entries(methods).map(([name, route]) => [name, [
+      route.method,
+      route.path,
+      route.pathParams.map(param => param.name),
+      route.queryParams.map(param => param.name),
+      Boolean(route.body),
+      route.stream
+    ]]))
+  ]));
+  const lines = Object.entries(table).map(([namespace, methods]) => {
+    const entries = Object.entries(methods).map(([name, entry]) => `    ${name}: ${JSON.stringify(entry)}`);
+    return `  ${propertyName(namespace)}: {\n${entries.join(',\n')}\n  }`;
+  });
+  return `// [method, path, path parameters, query parameters, has body, streams]\nconst ROUTES = {\n${lines.join(',\n')}\n};\n`;
+}
+
+function renderModules(namespaces) {
+  const runtime = fs.readFileSync(path.join(CLIENT_DIR, 'runtime.js'), 'utf8');
+  const body = `${routeTable(namespaces)}\n${runtime}`;
+  return {
+    'index.cjs': `${HEADER}'use strict';\n\n${body}\nmodule.exports = { ${EXPORTS.join(', ')} };\n`,
+    'index.mjs': `${HEADER}\n${body}\nexport { ${EXPORTS.join(', ')} };\n`
+  };
+}
+
+function renderDeclarations(namespaces) {
+  const out = [HEADER];
+  out.push(`export interface TowerClientOptions {
+  /** Gateway URL, e.g. "https://tower.example.com" or "http://localhost:3000/tower"; may be empty in a browser on the gateway's origin */
+  baseUrl?: string;
+  /** Client key, sent as X-Tower-Key */
+  key?: string | null;
+  /** Named provider connection used when a call does not pick one */
+  connection?: string | null;
+  /** Retries for failed calls that are safe to repeat (default 2) */
+  retries?: number;
+  /** First retry delay; later ones double (default 250) */
+  retryDelayMs?: number;
+  /** Time to wait for each response (default 60000) */
+  timeoutMs?: number;
+  /** Extra headers sent with every call */
+  headers?: Record<string, string>;
+  /** fetch implementation (default globalThis.fetch) */
+  fetch?: typeof fetch;
+}
+
+export interface CallOptions {
+  /** Named provider connection for this call */
+  connection?: string;
+  /** Send "Prefer: respond-async"; routes that support it answer with a job */
+  async?: boolean;
+  headers?: Record<string, string>;
+  signal?: AbortSignal;
+}
+
+export interface RequestOptions extends CallOptions {
+  query?: Record<string, unknown>;
+  body?: unknown;
+}
+
+export interface TowerErrorFields {
+  status?: number;
+  code?: string;
+  provider?: string | null;
+  upstreamStatus?: number | null;
+  retryable?: boolean;
+  retryAfter?: number | null;
+  details?: unknown;
+  requestId?: string | null;
+}
+
+export declare class TowerError extends Error {
+  constructor(message: string, fields?: TowerErrorFields);
+  /** HTTP status, or 0 when no response arrived */
+  status: number;
+  code: string;
+  provider: string | null;
+  upstreamStatus: number | null;
+  retryable: boolean;
+  retryAfter: number | null;
+  details?: unknown;
+  requestId: string | null;
+}
+export declare class TowerValidationError extends TowerError {}
+export declare class TowerAuthError extends TowerError {}
+export declare class TowerNotFoundError extends TowerError {}
+export declare class TowerConflictError extends TowerError {}
+export declare class TowerRateLimitError extends TowerError {}
+export declare class TowerUnavailableError extends TowerError {}
+
+/** Event of a streaming route: text as it is generated, then the final body */
+export type TowerStreamEvent<T> = { type: 'token'; text: string } | { type: 'done'; data: T };
+
+export interface JobAccepted {
+  success: true;
+  job: Record<string, unknown>;
+}
+
+/** Answer of a call made with dryRun: true; nothing has been changed */
+export interface TowerDryRun {
+  success: true;
+  dryRun: true;
+  change: {
+    action: string;
+    resource: string;
+    before: unknown;
+    after: unknown;
+    diff: Array<{ path: string; before: unknown; after: unknown }>;
+  };
+  /** Apply it with plans.applyPlan({ token }) */
+  plan: { token: string; expiresAt: string; apply: string } | null;
+}
+`);
+
+  const namespaceTypes = [];
+  Object.entries(namespaces).forEach(([namespace, methods]) => {
+    const typePrefix = pascal(namespace);
+    const signatures = [];
+    Object.entries(methods).forEach(([name, route]) => {
+      const typeName = `${typePrefix}${pascal(name)}`;
+      const params = paramsType(route);
+      const response = tsType(route.response) + (route.async ? ' | JobAccepted' : '');
+      out.push(`export type ${typeName}Params = ${params.type};\nexport type ${typeName}Response = ${response};\n`);
+      const returns = route.stream ? `AsyncIterable<TowerStreamEvent<${typeName}Response>>` : `Promise<${typeName}Response>`;
+      const overloads = route.dryRun ? [`  ${name}(params: ${typeName}Params & { dryRun: true }, options?: CallOptions): Promise<TowerDryRun>;`] : [];
+      signatures.push(`  /** ${route.summary ? `${route.summary}: ` : ''}${route.method} ${route.path} */\n` +
+        overloads.map(line => `${line}\n`).join('') +
+        `  ${name}(params${params.optional ? '?' : ''}: ${typeName}Params, options?: CallOptions): ${returns};`);
+    });
+    namespaceTypes.push([namespace, `${typePrefix}Methods`]);
+    out.push(`export interface ${typePrefix}Methods {\n${signatures.join('\n')}\n}\n`);
+  });
+
+  out.push(`export declare class TowerClient {
+  constructor(options?: TowerClientOptions);
+${namespaceTypes.map(([namespace, type]) => `  readonly ${propertyName(namespace)}: ${type};`).join('\n')}
+  /** Call any gateway route and resolve to its JSON body */
+  request<T = unknown>(method: string, path: string, options?: RequestOptions): Promise<T>;
+  /** Call any streaming route and yield its events */
+  stream<T = unknown>(method: string, path: string, options?: RequestOptions): AsyncIterable<TowerStreamEvent<T>>;
+}
+
+export declare function createTowerClient(options?: TowerClientOptions): TowerClient;
+`);
+  return out.join('\n');
+}
+
+async function main() {
+  const namespaces = collectRoutes(await loadDocument());
+  const files = { ...renderModules(namespaces), 'index.d.ts': renderDeclarations(namespaces) };
+
+  if (process.argv.includes('--check')) {
+    const stale = Object.entries(files).filter(([name, contents]) => {
+      const file = path.join(CLIENT_DIR, name);
+      return !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== contents;
+    }).map(([name]) => name);
+    if (stale.length > 0) {
+      process.stderr.write(`client/ is out of date (${stale.join(', ')}); run npm run generate:client\n`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  Object.entries(files).forEach(([name, contents]) => fs.writeFileSync(path.join(CLIENT_DIR, name), contents));
+  const count = Object.values(namespaces).reduce((total, methods) => total + Object.keys(methods).length, 0);
+  process.stdout.write(`Wrote client/ with ${count} methods in ${Object.keys(namespaces).length} namespaces\n`);
+}
+
+main().catch(error => {
+  process.stderr.write(`${error.stack}\n`);
+  process.exitCode = 1;
+});
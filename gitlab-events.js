@@ -0,0 +1,171 @@
+// Typed views of the GitLab webhook payloads Tower reacts to. GitLab names
+// the event in the X-Gitlab-Event header; each type gets a flat camelCase
+// object with the fields handlers usually need, plus the project and user.
+
+// X-Gitlab-Event header value -> event type
+const EVENT_TYPES = {
+  'Push Hook': 'push',
+  'Tag Push Hook': 'tag_push',
+  'Merge Request Hook': 'merge_request',
+  'Issue Hook': 'issue',
+  'Confidential Issue Hook': 'issue',
+  'Pipeline Hook': 'pipeline',
+  'Note Hook': 'note',
+  'Confidential Note Hook': 'note'
+};
+
+const labelTitles = labels => (labels || []).map(label => label.title);
+
+function parseProject(payload) {
+  const project = payload.project || {};
+  return {
+    id: project.id ?? payload.project_id ?? null,
+    name: project.name || null,
+    path: project.path_with_namespace || null,
+    webUrl: project.web_url || null,
+    defaultBranch: project.default_branch || null
+  };
+}
+
+// Push payloads carry the user as flat fields, the others as an object
+function parseUser(payload) {
+  if (payload.user) {
+    return { id: payload.user.id ?? null, username: payload.user.username || null, name: payload.user.name || null };
+  }
+  return { id: payload.user_id ?? null, username: payload.user_username || null, name: payload.user_name || null };
+}
+
+function parseMergeRequest(attributes) {
+  return {
+    id: attributes.id,
+    iid: attributes.iid,
+    title: attributes.title,
+    description: attributes.description || '',
+    state: attributes.state,
+    sourceBranch: attributes.source_branch,
+    targetBranch: attributes.target_branch,
+    draft: !!(attributes.draft ?? attributes.work_in_progress),
+    lastCommitSha: attributes.last_commit ? attributes.last_commit.id : null,
+    url: attributes.url || null
+  };
+}
+
+function parseIssue(attributes) {
+  return {
+    id: attributes.id,
+    iid: attributes.iid,
+    title: attributes.title,
+    description: attributes.description || '',
+    state: attributes.state,
+    confidential: !!attributes.confidential,
+    url: attributes.url || null
+  };
+}
+
+const parsers = {
+  push(payload) {
+    const ref = payload.ref || '';
+    return {
+      action: 'push',
+      ref,
+      branch: ref.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : null,
+      before: payload.before,
+      after: payload.after,
+      // GitLab sends at most 20 commits; totalCommits is the real count
+      totalCommits: payload.total_commits_count ?? (payload.commits || []).length,
+      commits: (payload.commits || []).map(commit => ({
+        id: commit.id,
+        title: commit.title || String(commit.message || '').split('\n')[0],
+        message: commit.message,
+        url: commit.url,
+        timestamp: commit.timestamp,
+        author: commit.author || null,
+        added: commit.added || [],
+        modified: commit.modified || [],
+        removed: commit.removed || []
+      }))
+    };
+  },
+
+  tag_push(payload) {
+    const ref = payload.ref || '';
+    return {
+      action: payload.after && /^0+$/.test(payload.after) ? 'delete' : 'create',
+      ref,
+      tag: ref.startsWith('refs/tags/') ? ref.slice('refs/tags/'.length) : null,
+      before: payload.before,
+      after: payload.after
+    };
+  },
+
+  merge_request(payload) {
+    const attributes = payload.object_attributes || {};
+    return {
+      action: attributes.action || null,
+      mergeRequest: parseMergeRequest(attributes),
+      labels: labelTitles(payload.labels),
+      changes: Object.keys(payload.changes || {})
+    };
+  },
+
+  issue(payload) {
+    const attributes = payload.object_attributes || {};
+    return {
+      action: attributes.action || null,
+      issue: parseIssue(attributes),
+      labels: labelTitles(payload.labels),
+      changes: Object.keys(payload.changes || {})
+    };
+  },
+
+  pipeline(payload) {
+    const attributes = payload.object_attributes || {};
+    return {
+      action: attributes.status,
+      pipeline: {
+        id: attributes.id,
+        ref: attributes.ref,
+        tag: !!attributes.tag,
+        sha: attributes.sha,
+        status: attributes.status,
+        source: attributes.source || null,
+        durationSeconds: attributes.duration ?? null,
+        url: attributes.url || null
+      },
+      mergeRequest: payload.merge_request ? parseMergeRequest(payload.merge_request) : null,
+      builds: (payload.builds || []).map(build => ({ id: build.id, name: build.name, stage: build.stage, status: build.status }))
+    };
+  },
+
+  note(payload) {
+    const attributes = payload.object_attributes || {};
+    return {
+      action: 'comment',
+      note: {
+        id: attributes.id,
+        body: attributes.note,
+        noteableType: attributes.noteable_type,
+        url: attributes.url || null
+      },
+      mergeRequest: payload.merge_request ? parseMergeRequest(payload.merge_request) : null,
+      issue: payload.issue ? parseIssue(payload.issue) : null,
+      commitId: payload.commit ? payload.commit.id : null
+    };
+  }
+};
+
+// Event type for an X-Gitlab-Event header, or null when Tower does not handle it
+function eventType(eventHeader) {
+  return EVENT_TYPES[eventHeader] || null;
+}
+
+// Turn a webhook payload into a typed event: { type, action, project, user, ... }
+function parseGitlabEvent(type, payload) {
+  const parse = parsers[type];
+  if (!parse) {
+    throw new Error(`Unsupported GitLab event type "${type}"`);
+  }
+  return { type, project: parseProject(payload), user: parseUser(payload), ...parse(payload) };
+}
+
+module.exports = { EVENT_TYPES, eventType, parseGitlabEvent };
@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const GatewayError = require('./gateway-error');
+const { pageOf } = require('./pagination');
+
+// In-memory stand-in for GitlabService, used when TOWER_PROVIDER_MODE=fake.
+// Starts with one project ("demo") that has a main branch, a README and an
+// initial commit; responses use the same snake_case fields as the GitLab API.
+class FakeGitlabService {
+  constructor() {
+    this.nextId = 1;
+    this.user = { id: 1, username: 'tower-fake', name: 'Tower Fake', state: 'active', web_url: 'https://gitlab.example.com/tower-fake' };
+    this.projects = new Map();
+
+    const demo = this.addProject({ name: 'demo', description: 'Demo project served by the fake GitLab provider' });
+    this.commitFile(demo, 'main', 'README.md', '# demo\n', 'Initial commit');
+  }
+
+  static notFound(what) {
+    return new GatewayError(`404 ${what} Not Found`, { status: 404, code: 'not_found', provider: 'gitlab', upstreamStatus: 404 });
+  }
+
+  static now() {
+    return new Date().toISOString();
+  }
+
+  addProject(projectData) {
+    const id = this.nextId++;
+    const path = projectData.path || projectData.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const project = {
+      id,
+      name: projectData.name,
+      path,
+      path_with_namespace: `${this.user.username}/${path}`,
+      description: projectData.description || null,
+      visibility: projectData.visibility || 'private',
+      default_branch: 'main',
+      web_url: `https://gitlab.example.com/${this.user.username}/${path}`,
+      created_at: FakeGitlabService.now(),
+      owner: this.user
+    };
+
+    this.projects.set(String(id), {
+      project,
+      branches: new Map([['main', { files: new Map(), commits: [] }]]),
+      issues: [],
+      mergeRequests: [],
+      pipelines: [],
+      members: [{ ...this.user, access_level: 50 }]
+    });
+    return this.projects.get(String(id));
+  }
+
+  // Look a project up by numeric ID or by "namespace/path"
+  state(projectId) {
+    const key = String(projectId);
+    const state = this.projects.get(key) ||
+      Array.from(this.projects.values()).find(s => s.project.path_with_namespace === key);
+    if (!state) throw FakeGitlabService.notFound('Project');
+    return state;
+  }
+
+  branch(state, name) {
+    const branch = state.branches.get(name);
+    if (!branch) throw FakeGitlabService.notFound('Branch');
+    return branch;
+  }
+
+  commitFile(state, branchName, filePath, content, message) {
+    const branch = this.branch(state, branchName);
+    if (content === null) {
+      branch.files.delete(filePath);
+    } else {
+      branch.files.set(filePath, content);
+    }
+
+    const commit = {
+      id: crypto.createHash('sha1').update(`${state.project.id}:${branchName}:${branch.commits.length}:${message}`).digest('hex'),
+      title: message,
+      message,
+      author_name: this.user.name,
+      created_at: FakeGitlabService.now()
+    };
+    commit.short_id = commit.id.slice(0, 8);
+    branch.commits.unshift(commit);
+    return commit;
+  }
+
+  async getCurrentUser() {
+    return this.user;
+  }
+
+  async getProjects(options = {}) {
+    return Array.from(this.projects.values())
+      .map(state => state.project)
+      .filter(project => !options.search || project.name.includes(options.search))
+      .filter(project => !options.visibility || project.visibility === options.visibility);
+  }
+
+  async getProjectsPage(options = {}, pagination = {}) {
+    return pageOf(await this.getProjects(options), pagination);
+  }
+
+  async getProject(projectId) {
+    return this.state(projectId).project;
+  }
+
+  async createProject(projectData) {
+    return this.addProject(projectData).project;
+  }
+
+  async getBranches(projectId) {
+    const state = this.state(projectId);
+    return Array.from(state.branches.entries()).map(([name, branch]) => ({
+      name,
+      default: name === state.project.default_branch,
+      commit: branch.commits[0] || null
+    }));
+  }
+
+  async getBranchesPage(projectId, pagination = {}) {
+    return pageOf(await this.getBranches(projectId), pagination);
+  }
+
+  async getBranch(projectId, branchName) {
+    const branch = (await this.getBranches(projectId)).find(b => b.name === branchName);
+    if (!branch) throw FakeGitlabService.notFound('Branch');
+    return branch;
+  }
+
+  async createBranch(projectId, branchName, ref = 'main') {
+    const state = this.state(projectId);
+    if (state.branches.has(branchName)) {
+      throw new GatewayError('Branch already exists', { status: 400, code: 'invalid_request', provider: 'gitlab', upstreamStatus: 400 });
+    }
+    const source = this.branch(state, ref);
+    state.branches.set(branchName, { files: new Map(source.files), commits: [...source.commits] });
+    return { name: branchName, default: false, commit: source.commits[0] || null };
+  }
+
+  async getCommits(projectId, options = {}) {
+    const state = this.state(projectId);
+    return this.branch(state, options.ref_name || state.project.default_branch).commits;
+  }
+
+  async getCommitsPage(projectId, options = {}, pagination = {}) {
+    return pageOf(await this.getCommits(projectId, options), pagination);
+  }
+
+  // Like GitLab, a branch name stands for the commit at its head
+  async getCommit(projectId, commitSha) {
+    const state = this.state(projectId);
+    const branch = state.branches.get(commitSha);
+    if (branch && branch.commits[0]) return branch.commits[0];
+    for (const branch of state.branches.values()) {
+      const commit = branch.commits.find(c => c.id === commitSha || c.short_id === commitSha);
+      if (commit) return commit;
+    }
+    throw FakeGitlabService.notFound('Commit');
+  }
+
+  async getIssues(projectId, options = {}) {
+    return this.state(projectId).issues.filter(issue => !options.state || options.state === 'all' || issue.state === options.state);
+  }
+
+  async getIssuesPage(projectId, options = {}, pagination = {}) {
+    return pageOf(await this.getIssues(projectId, options), pagination);
+  }
+
+  async getIssue(projectId, issueIid) {
+    const issue = this.state(projectId).issues.find(i => String(i.iid) === String(issueIid));
+    if (!issue) throw FakeGitlabService.notFound('Issue');
+    return issue;
+  }
+
+  async createIssue(projectId, issueData) {
+    const state = this.state(projectId);
+    const issue = {
+      id: this.nextId++,
+      iid: state.issues.length + 1,
+      project_id: state.project.id,
+      title: issueData.title,
+      description: issueData.description || null,
+      labels: issueData.labels ? String(issueData.labels).split(',') : [],
+      state: 'opened',
+      created_at: FakeGitlabService.now(),
+      author: this.user
+    };
+    state.issues.push(issue);
+    return issue;
+  }
+
+  async updateIssue(projectId, issueIid, updateData) {
+    const issue = this.state(projectId).issues.find(i => String(i.iid) === String(issueIid));
+    if (!issue) throw FakeGitlabService.notFound('Issue');
+
+    const { state_event: stateEvent, ...changes } = updateData;
+    Object.assign(issue, changes, { updated_at: FakeGitlabService.now() });
+    if (stateEvent === 'close') issue.state = 'closed';
+    if (stateEvent === 'reopen') issue.state = 'opened';
+    return issue;
+  }
+
+  addNote(noteable, body) {
+    const note = { id: this.nextId++, body, author: this.user, system: false, created_at: FakeGitlabService.now() };
+    noteable.notes = noteable.notes || [];
+    noteable.notes.push(note);
+    return note;
+  }
+
+  async createIssueNote(projectId, issueIid, body) {
+    const issue = this.state(projectId).issues.find(i => String(i.iid) === String(issueIid));
+    if (!issue) throw FakeGitlabService.notFound('Issue');
+    return this.addNote(issue, body);
+  }
+
+  async getMergeRequests(projectId, options = {}) {
+    return this.state(projectId).mergeRequests.filter(mr => !options.state || options.state === 'all' || mr.state === options.state);
+  }
+
+  async getMergeRequestsPage(projectId, options = {}, pagination = {}) {
+    return pageOf(await this.getMergeRequests(projectId, options), pagination);
+  }
+
+  async getMergeRequest(projectId, mergeRequestIid) {
+    const mergeRequest = this.state(projectId).mergeRequests.find(mr => String(mr.iid) === String(mergeRequestIid));
+    if (!mergeRequest) throw FakeGitlabService.notFound('Merge request');
+    return mergeRequest;
+  }
+
+  async createMergeRequest(projectId, mergeRequestData) {
+    const state = this.state(projectId);
+    this.branch(state, mergeRequestData.source_branch);
+    this.branch(state, mergeRequestData.target_branch);
+
+    const mergeRequest = {
+      id: this.nextId++,
+      iid: state.mergeRequests.length + 1,
+      project_id: state.project.id,
+      title: mergeRequestData.title,
+      description: mergeRequestData.description || null,
+      source_branch: mergeRequestData.source_branch,
+      target_branch: mergeRequestData.target_branch,
+      state: 'opened',
+      created_at: FakeGitlabService.now(),
+      author: this.user
+    };
+    state.mergeRequests.push(mergeRequest);
+    return mergeRequest;
+  }
+
+  async createMergeRequestNote(projectId, mergeRequestIid, body) {
+    const mergeRequest = this.state(projectId).mergeRequests.find(mr => String(mr.iid) === String(mergeRequestIid));
+    if (!mergeRequest) throw FakeGitlabService.notFound('Merge Request');
+    return this.addNote(mergeRequest, body);
+  }
+
+  async getPipelines(projectId, options = {}) {
+    return this.state(projectId).pipelines
+      .filter(pipeline => !options.status || pipeline.status === options.status)
+      .filter(pipeline => !options.ref || pipeline.ref === options.ref);
+  }
+
+  async getPipelinesPage(projectId, options = {}, pagination = {}) {
+    return pageOf(await this.getPipelines(projectId, options), pagination);
+  }
+
+  async createPipeline(projectId, ref, variables = {}) {
+    const state = this.state(projectId);
+    const branch = this.branch(state, ref);
+    const pipeline = {
+      id: this.nextId++,
+      project_id: state.project.id,
+      ref,
+      sha: branch.commits[0] ? branch.commits[0].id : null,
+      status: 'pending',
+      variables,
+      created_at: FakeGitlabService.now()
+    };
+    state.pipelines.unshift(pipeline);
+    return pipeline;
+  }
+
+  async getProjectMembers(projectId) {
+    return this.state(projectId).members;
+  }
+
+  async getProjectMembersPage(projectId, pagination = {}) {
+    return pageOf(await this.getProjectMembers(projectId), pagination);
+  }
+
+  async getProjectMember(projectId, userId) {
+    const member = this.state(projectId).members.find(m => m.id === Number(userId));
+    if (!member) throw FakeGitlabService.notFound('Member');
+    return member;
+  }
+
+  async addProjectMember(projectId, userId, accessLevel) {
+    const state = this.state(projectId);
+    const member = { id: Number(userId), username: `user-${userId}`, name: `User ${userId}`, state: 'active', access_level: accessLevel };
+    state.members.push(member);
+    return member;
+  }
+
+  async getRepositoryFiles(projectId, path = '', ref = 'main') {
+    const content = this.branch(this.state(projectId), ref).files.get(path);
+    if (content === undefined) throw FakeGitlabService.notFound('File');
+    return content;
+  }
+
+  async getFile(projectId, filePath, ref = 'main') {
+    const branch = this.branch(this.state(projectId), ref);
+    const content = branch.files.get(filePath);
+    if (content === undefined) throw FakeGitlabService.notFound('File');
+    return {
+      file_name: filePath.split('/').pop(),
+      file_path: filePath,
+      size: Buffer.byteLength(content),
+      encoding: 'base64',
+      content: Buffer.from(content).toString('base64'),
+      ref,
+      last_commit_id: branch.commits[0] ? branch.commits[0].id : null
+    };
+  }
+
+  async createOrUpdateFile(projectId, filePath, content, commitMessage, branch = 'main') {
+    this.commitFile(this.state(projectId), branch, filePath, content, commitMessage);
+    return { file_path: filePath, branch };
+  }
+
+  async deleteFile(projectId, filePath, commitMessage, branch = 'main') {
+    const state = this.state(projectId);
+    if (!this.branch(state, branch).files.has(filePath)) throw FakeGitlabService.notFound('File');
+    this.commitFile(state, branch, filePath, null, commitMessage);
+    return {};
+  }
+
+  async getProjectStatistics(projectId) {
+    const state = this.state(projectId);
+    const files = this.branch(state, state.project.default_branch).files;
+    return {
+      fetches: { total: 0, days: [] },
+      commit_count: this.branch(state, state.project.default_branch).commits.length,
+      repository_size: Array.from(files.values()).reduce((size, content) => size + Buffer.byteLength(content), 0)
+    };
+  }
+}
+
+module.exports = FakeGitlabService;
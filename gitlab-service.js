@@ -1,16 +1,41 @@
 
 const { Gitlab } = require('@gitbeaker/node');
+const GatewayError = require('./gateway-error');
+const { addCorrelationHeader } = require('./request-context');
+const { nonEmptyString, anyObject, anyArray, strictObject, openObject, successResponse } = require('./api-schemas');
+const { paginationQuery, paginationSchema, sendPage } = require('./pagination');
+const logger = require('./logger').logger.child({ provider: 'gitlab' });
 
 class GitlabService {
-  constructor() {
-    if (!process.env.GITLAB_API_KEY) {
+  constructor(env = process.env) {
+    if (!env.GITLAB_API_KEY) {
       throw new Error('GITLAB_API_KEY environment variable is not set');
     }
     
     this.api = new Gitlab({
-      token: process.env.GITLAB_API_KEY,
-      host: process.env.GITLAB_HOST || 'https://gitlab.com'
+      token: env.GITLAB_API_KEY,
+      host: env.GITLAB_HOST || 'https://gitlab.com'
     });
+
+    // Every resource copies its headers per request; carry the correlation ID along
+    Object.values(this.api).forEach(resource => {
+      if (resource && resource.headers) addCorrelationHeader(resource.headers);
+    });
+  }
+
+  // One page of a gitbeaker all() call, with the totals GitLab sends in its
+  // headers. Asking for a page keeps gitbeaker from walking every page.
+  async listPage(list, { page = 1, perPage = 20 } = {}) {
+    const { data, paginationInfo: info } = await list({ page, perPage, showExpanded: true });
+    return {
+      items: data,
+      page: info.current || page,
+      perPage: info.perPage || perPage,
+      // GitLab leaves the totals out for very large lists
+      total: Number.isFinite(info.total) ? info.total : null,
+      totalPages: Number.isFinite(info.totalPages) ? info.totalPages : null,
+      nextPage: info.next
+    };
   }
 
   // Get current user info
@@ -19,7 +44,7 @@ class GitlabService {
       const user = await this.api.Users.current();
       return user;
     } catch (error) {
-      console.error('Error fetching current user:', error);
+      logger.error('Error fetching current user', { error });
       throw error;
     }
   }
@@ -34,7 +59,17 @@ class GitlabService {
       });
       return projects;
     } catch (error) {
-      console.error('Error fetching projects:', error);
+      logger.error('Error fetching projects', { error });
+      throw error;
+    }
+  }
+
+  // Get one page of projects
+  async getProjectsPage(options = {}, pagination = {}) {
+    try {
+      return await this.listPage(query => this.api.Projects.all({ owned: true, membership: true, ...options, ...query }), pagination);
+    } catch (error) {
+      logger.error('Error fetching projects', { error });
       throw error;
     }
   }
@@ -45,7 +80,7 @@ class GitlabService {
       const project = await this.api.Projects.show(projectId);
       return project;
     } catch (error) {
-      console.error('Error fetching project:', error);
+      logger.error('Error fetching project', { error });
       throw error;
     }
   }
@@ -56,7 +91,7 @@ class GitlabService {
       const project = await this.api.Projects.create(projectData);
       return project;
     } catch (error) {
-      console.error('Error creating project:', error);
+      logger.error('Error creating project', { error });
       throw error;
     }
   }
@@ -67,7 +102,28 @@ class GitlabService {
       const branches = await this.api.Branches.all(projectId);
       return branches;
     } catch (error) {
-      console.error('Error fetching branches:', error);
+      logger.error('Error fetching branches', { error });
+      throw error;
+    }
+  }
+
+  // Get one page of project branches
+  async getBranchesPage(projectId, pagination = {}) {
+    try {
+      return await this.listPage(query => this.api.Branches.all(projectId, query), pagination);
+    } catch (error) {
+      logger.error('Error fetching branches', { error });
+      throw error;
+    }
+  }
+
+  // Get a single branch
+  async getBranch(projectId, branchName) {
+    try {
+      const branch = await this.api.Branches.show(projectId, branchName);
+      return branch;
+    } catch (error) {
+      logger.error('Error fetching branch', { error });
       throw error;
     }
   }
@@ -78,7 +134,7 @@ class GitlabService {
       const branch = await this.api.Branches.create(projectId, branchName, ref);
       return branch;
     } catch (error) {
-      console.error('Error creating branch:', error);
+      logger.error('Error creating branch', { error });
       throw error;
     }
   }
@@ -89,7 +145,17 @@ class GitlabService {
       const commits = await this.api.Commits.all(projectId, options);
       return commits;
     } catch (error) {
-      console.error('Error fetching commits:', error);
+      logger.error('Error fetching commits', { error });
+      throw error;
+    }
+  }
+
+  // Get one page of commits for a project
+  async getCommitsPage(projectId, options = {}, pagination = {}) {
+    try {
+      return await this.listPage(query => this.api.Commits.all(projectId, { ...options, ...query }), pagination);
+    } catch (error) {
+      logger.error('Error fetching commits', { error });
       throw error;
     }
   }
@@ -100,7 +166,7 @@ class GitlabService {
       const commit = await this.api.Commits.show(projectId, commitSha);
       return commit;
     } catch (error) {
-      console.error('Error fetching commit:', error);
+      logger.error('Error fetching commit', { error });
       throw error;
     }
   }
@@ -111,7 +177,28 @@ class GitlabService {
       const issues = await this.api.Issues.all({ projectId, ...options });
       return issues;
     } catch (error) {
-      console.error('Error fetching issues:', error);
+      logger.error('Error fetching issues', { error });
+      throw error;
+    }
+  }
+
+  // Get one page of issues for a project
+  async getIssuesPage(projectId, options = {}, pagination = {}) {
+    try {
+      return await this.listPage(query => this.api.Issues.all({ projectId, ...options, ...query }), pagination);
+    } catch (error) {
+      logger.error('Error fetching issues', { error });
+      throw error;
+    }
+  }
+
+  // Get a single issue by its project-scoped IID
+  async getIssue(projectId, issueIid) {
+    try {
+      const issue = await this.api.Issues.show(projectId, issueIid);
+      return issue;
+    } catch (error) {
+      logger.error('Error fetching issue', { error });
       throw error;
     }
   }
@@ -122,7 +209,7 @@ class GitlabService {
       const issue = await this.api.Issues.create(projectId, issueData);
       return issue;
     } catch (error) {
-      console.error('Error creating issue:', error);
+      logger.error('Error creating issue', { error });
       throw error;
     }
   }
@@ -133,7 +220,18 @@ class GitlabService {
       const issue = await this.api.Issues.edit(projectId, issueIid, updateData);
       return issue;
     } catch (error) {
-      console.error('Error updating issue:', error);
+      logger.error('Error updating issue', { error });
+      throw error;
+    }
+  }
+
+  // Comment on an issue
+  async createIssueNote(projectId, issueIid, body) {
+    try {
+      const note = await this.api.IssueNotes.create(projectId, issueIid, body);
+      return note;
+    } catch (error) {
+      logger.error('Error commenting on issue', { error });
       throw error;
     }
   }
@@ -144,7 +242,28 @@ class GitlabService {
       const mergeRequests = await this.api.MergeRequests.all({ projectId, ...options });
       return mergeRequests;
     } catch (error) {
-      console.error('Error fetching merge requests:', error);
+      logger.error('Error fetching merge requests', { error });
+      throw error;
+    }
+  }
+
+  // Get one page of merge requests for a project
+  async getMergeRequestsPage(projectId, options = {}, pagination = {}) {
+    try {
+      return await this.listPage(query => this.api.MergeRequests.all({ projectId, ...options, ...query }), pagination);
+    } catch (error) {
+      logger.error('Error fetching merge requests', { error });
+      throw error;
+    }
+  }
+
+  // Get a single merge request by its project-scoped IID
+  async getMergeRequest(projectId, mergeRequestIid) {
+    try {
+      const mergeRequest = await this.api.MergeRequests.show(projectId, mergeRequestIid);
+      return mergeRequest;
+    } catch (error) {
+      logger.error('Error fetching merge request', { error });
       throw error;
     }
   }
@@ -155,7 +274,18 @@ class GitlabService {
       const mergeRequest = await this.api.MergeRequests.create(projectId, mergeRequestData);
       return mergeRequest;
     } catch (error) {
-      console.error('Error creating merge request:', error);
+      logger.error('Error creating merge request', { error });
+      throw error;
+    }
+  }
+
+  // Comment on a merge request
+  async createMergeRequestNote(projectId, mergeRequestIid, body) {
+    try {
+      const note = await this.api.MergeRequestNotes.create(projectId, mergeRequestIid, body);
+      return note;
+    } catch (error) {
+      logger.error('Error commenting on merge request', { error });
       throw error;
     }
   }
@@ -166,7 +296,17 @@ class GitlabService {
       const pipelines = await this.api.Pipelines.all(projectId, options);
       return pipelines;
     } catch (error) {
-      console.error('Error fetching pipelines:', error);
+      logger.error('Error fetching pipelines', { error });
+      throw error;
+    }
+  }
+
+  // Get one page of pipelines for a project
+  async getPipelinesPage(projectId, options = {}, pagination = {}) {
+    try {
+      return await this.listPage(query => this.api.Pipelines.all(projectId, { ...options, ...query }), pagination);
+    } catch (error) {
+      logger.error('Error fetching pipelines', { error });
       throw error;
     }
   }
@@ -177,7 +317,7 @@ class GitlabService {
       const pipeline = await this.api.Pipelines.create(projectId, ref, variables);
       return pipeline;
     } catch (error) {
-      console.error('Error creating pipeline:', error);
+      logger.error('Error creating pipeline', { error });
       throw error;
     }
   }
@@ -188,7 +328,28 @@ class GitlabService {
       const members = await this.api.ProjectMembers.all(projectId);
       return members;
     } catch (error) {
-      console.error('Error fetching project members:', error);
+      logger.error('Error fetching project members', { error });
+      throw error;
+    }
+  }
+
+  // Get one page of project members
+  async getProjectMembersPage(projectId, pagination = {}) {
+    try {
+      return await this.listPage(query => this.api.ProjectMembers.all(projectId, query), pagination);
+    } catch (error) {
+      logger.error('Error fetching project members', { error });
+      throw error;
+    }
+  }
+
+  // Get one project member
+  async getProjectMember(projectId, userId) {
+    try {
+      const member = await this.api.ProjectMembers.show(projectId, userId);
+      return member;
+    } catch (error) {
+      logger.error('Error fetching project member', { error });
       throw error;
     }
   }
@@ -199,7 +360,7 @@ class GitlabService {
       const member = await this.api.ProjectMembers.add(projectId, userId, accessLevel);
       return member;
     } catch (error) {
-      console.error('Error adding project member:', error);
+      logger.error('Error adding project member', { error });
       throw error;
     }
   }
@@ -210,7 +371,18 @@ class GitlabService {
       const files = await this.api.RepositoryFiles.showRaw(projectId, path, ref);
       return files;
     } catch (error) {
-      console.error('Error fetching repository files:', error);
+      logger.error('Error fetching repository files', { error });
+      throw error;
+    }
+  }
+
+  // Get a file with its metadata; the content is base64-encoded
+  async getFile(projectId, filePath, ref = 'main') {
+    try {
+      const file = await this.api.RepositoryFiles.show(projectId, filePath, ref);
+      return file;
+    } catch (error) {
+      logger.error('Error fetching file', { error });
       throw error;
     }
   }
@@ -237,7 +409,7 @@ class GitlabService {
         return result;
       }
     } catch (error) {
-      console.error('Error creating/updating file:', error);
+      logger.error('Error creating/updating file', { error });
       throw error;
     }
   }
@@ -251,7 +423,7 @@ class GitlabService {
       });
       return result;
     } catch (error) {
-      console.error('Error deleting file:', error);
+      logger.error('Error deleting file', { error });
       throw error;
     }
   }
@@ -262,10 +434,705 @@ class GitlabService {
       const stats = await this.api.ProjectStatistics.show(projectId);
       return stats;
     } catch (error) {
-      console.error('Error fetching project statistics:', error);
+      logger.error('Error fetching project statistics', { error });
       throw error;
     }
   }
 }
 
+const VISIBILITY_LEVELS = ['private', 'internal', 'public'];
+const PIPELINE_STATUSES = ['created', 'waiting_for_resource', 'preparing', 'pending', 'running', 'success', 'failed', 'canceled', 'skipped', 'manual', 'scheduled'];
+const ACCESS_LEVELS = [0, 5, 10, 20, 30, 40, 50];
+
+// What a lookup resolves to, or null when GitLab answers 404
+async function unlessMissing(lookup) {
+  try {
+    return await lookup;
+  } catch (error) {
+    if (GatewayError.from(error, 'gitlab').status === 404) return null;
+    throw error;
+  }
+}
+
+// A repository file as dry runs show it, or null when the branch has no such
+// file; a missing project or branch is an error
+async function fileState(gitlabService, projectId, filePath, branch) {
+  await gitlabService.getBranch(projectId, branch);
+  const file = await unlessMissing(gitlabService.getFile(projectId, filePath, branch));
+  return file && { file_path: filePath, branch, content: Buffer.from(file.content, file.encoding || 'base64').toString('utf8') };
+}
+
+const conflict = message => new GatewayError(message, { status: 409, code: 'conflict', provider: 'gitlab' });
+
+GitlabService.provider = {
+  name: 'gitlab',
+  title: 'GitLab',
+  mountPath: '/gitlab',
+  requiredEnv: ['GITLAB_API_KEY'],
+  capabilities: ['users', 'projects', 'branches', 'commits', 'issues', 'merge-requests', 'notes', 'pipelines', 'members', 'repository-files', 'statistics'],
+  fake: () => require('./gitlab-fake'),
+  probe: service => service.getCurrentUser(),
+  routes: [
+    // Get current user
+    {
+      method: 'get',
+      path: '/user',
+      operation: 'getCurrentUser',
+      action: 'fetching current user',
+      schema: {
+        response: successResponse({ user: anyObject })
+      },
+      handler: async (req, res, gitlabService) => {
+        const user = await gitlabService.getCurrentUser();
+        res.json({
+          success: true,
+          user: user
+        });
+      }
+    },
+
+    // Get all projects
+    {
+      method: 'get',
+      path: '/projects',
+      operation: 'getProjects',
+      action: 'fetching projects',
+      paginated: true,
+      cache: { ttlSeconds: 60, tag: 'projects' },
+      schema: {
+        query: strictObject({
+          owned: { type: 'boolean' },
+          membership: { type: 'boolean' },
+          search: nonEmptyString,
+          visibility: { type: 'string', enum: VISIBILITY_LEVELS },
+          ...paginationQuery()
+        }),
+        response: successResponse({ projects: anyArray, pagination: paginationSchema })
+      },
+      handler: async (req, res, gitlabService) => {
+        const { owned, membership, search, visibility } = req.query;
+        const options = {};
+        if (owned !== undefined) options.owned = owned;
+        if (membership !== undefined) options.membership = membership;
+        if (search) options.search = search;
+        if (visibility) options.visibility = visibility;
+
+        await sendPage(req, res, 'projects', pagination => gitlabService.getProjectsPage(options, pagination));
+      }
+    },
+
+    // Get specific project
+    {
+      method: 'get',
+      path: '/projects/:projectId',
+      operation: 'getProject',
+      action: 'fetching project',
+      schema: {
+        response: successResponse({ project: anyObject })
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        const project = await gitlabService.getProject(projectId);
+        res.json({
+          success: true,
+          project: project
+        });
+      }
+    },
+
+    // Create a new project
+    {
+      method: 'post',
+      path: '/projects',
+      operation: 'createProject',
+      action: 'creating project',
+      event: 'project.created',
+      invalidates: ['projects'],
+      schema: {
+        body: openObject({
+          name: nonEmptyString,
+          path: nonEmptyString,
+          description: { type: 'string' },
+          visibility: { type: 'string', enum: VISIBILITY_LEVELS },
+          namespace_id: { type: 'integer' },
+          initialize_with_readme: { type: 'boolean' }
+        }, ['name']),
+        response: successResponse({ project: anyObject })
+      },
+      plan: async req => ({ before: null, after: req.body }),
+      handler: async (req, res, gitlabService) => {
+        const projectData = req.body;
+
+        const project = await gitlabService.createProject(projectData);
+        res.json({
+          success: true,
+          project: project
+        });
+      }
+    },
+
+    // Get project branches
+    {
+      method: 'get',
+      path: '/projects/:projectId/branches',
+      operation: 'getBranches',
+      action: 'fetching branches',
+      paginated: true,
+      cache: { ttlSeconds: 30, tag: 'branches:{projectId}' },
+      schema: {
+        query: strictObject(paginationQuery()),
+        response: successResponse({ branches: anyArray, pagination: paginationSchema })
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        await sendPage(req, res, 'branches', pagination => gitlabService.getBranchesPage(projectId, pagination));
+      }
+    },
+
+    // Create a new branch
+    {
+      method: 'post',
+      path: '/projects/:projectId/branches',
+      operation: 'createBranch',
+      action: 'creating branch',
+      event: 'branch.created',
+      invalidates: ['branches:{projectId}'],
+      schema: {
+        body: strictObject({ branch_name: nonEmptyString, ref: nonEmptyString }, ['branch_name']),
+        response: successResponse({ branch: anyObject })
+      },
+      plan: async (req, gitlabService) => {
+        const { projectId } = req.params;
+        const { branch_name, ref = 'main' } = req.body;
+        const commit = await gitlabService.getCommit(projectId, ref);
+        if (await unlessMissing(gitlabService.getBranch(projectId, branch_name))) {
+          throw conflict(`Branch ${branch_name} already exists`);
+        }
+        return { before: null, after: { name: branch_name, ref, commit: commit.id } };
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        const { branch_name, ref = 'main' } = req.body;
+
+        const branch = await gitlabService.createBranch(projectId, branch_name, ref);
+        res.json({
+          success: true,
+          branch: branch
+        });
+      }
+    },
+
+    // Get project commits
+    {
+      method: 'get',
+      path: '/projects/:projectId/commits',
+      operation: 'getCommits',
+      action: 'fetching commits',
+      paginated: true,
+      schema: {
+        query: strictObject({
+          ref_name: nonEmptyString,
+          since: { type: 'string', format: 'date-time' },
+          until: { type: 'string', format: 'date-time' },
+          path: nonEmptyString,
+          ...paginationQuery()
+        }),
+        response: successResponse({ commits: anyArray, pagination: paginationSchema })
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        const { ref_name, since, until, path } = req.query;
+        const options = {};
+        if (ref_name) options.ref_name = ref_name;
+        if (since) options.since = since;
+        if (until) options.until = until;
+        if (path) options.path = path;
+
+        await sendPage(req, res, 'commits', pagination => gitlabService.getCommitsPage(projectId, options, pagination));
+      }
+    },
+
+    // Get specific commit
+    {
+      method: 'get',
+      path: '/projects/:projectId/commits/:commitSha',
+      operation: 'getCommit',
+      action: 'fetching commit',
+      schema: {
+        response: successResponse({ commit: anyObject })
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId, commitSha } = req.params;
+        const commit = await gitlabService.getCommit(projectId, commitSha);
+        res.json({
+          success: true,
+          commit: commit
+        });
+      }
+    },
+
+    // Get project issues
+    {
+      method: 'get',
+      path: '/projects/:projectId/issues',
+      operation: 'getIssues',
+      action: 'fetching issues',
+      paginated: true,
+      schema: {
+        query: strictObject({
+          state: { type: 'string', enum: ['opened', 'closed', 'all'] },
+          labels: nonEmptyString,
+          milestone: nonEmptyString,
+          assignee_id: { type: 'integer' },
+          ...paginationQuery()
+        }),
+        response: successResponse({ issues: anyArray, pagination: paginationSchema })
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        const { state, labels, milestone, assignee_id } = req.query;
+        const options = {};
+        if (state) options.state = state;
+        if (labels) options.labels = labels;
+        if (milestone) options.milestone = milestone;
+        if (assignee_id) options.assignee_id = assignee_id;
+
+        await sendPage(req, res, 'issues', pagination => gitlabService.getIssuesPage(projectId, options, pagination));
+      }
+    },
+
+    // Create a new issue
+    {
+      method: 'post',
+      path: '/projects/:projectId/issues',
+      operation: 'createIssue',
+      action: 'creating issue',
+      event: 'issue.created',
+      schema: {
+        body: openObject({
+          title: nonEmptyString,
+          description: { type: 'string' },
+          labels: { type: 'string' },
+          assignee_ids: { type: 'array', items: { type: 'integer' } },
+          milestone_id: { type: 'integer' },
+          due_date: { type: 'string' },
+          confidential: { type: 'boolean' }
+        }, ['title']),
+        response: successResponse({ issue: anyObject })
+      },
+      plan: async (req, gitlabService) => {
+        await gitlabService.getProject(req.params.projectId);
+        return { before: null, after: req.body };
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        const issueData = req.body;
+
+        const issue = await gitlabService.createIssue(projectId, issueData);
+        res.json({
+          success: true,
+          issue: issue
+        });
+      }
+    },
+
+    // Update an issue
+    {
+      method: 'put',
+      path: '/projects/:projectId/issues/:issueIid',
+      operation: 'updateIssue',
+      action: 'updating issue',
+      event: 'issue.updated',
+      schema: {
+        body: openObject({
+          title: nonEmptyString,
+          description: { type: 'string' },
+          labels: { type: 'string' },
+          state_event: { type: 'string', enum: ['close', 'reopen'] },
+          assignee_ids: { type: 'array', items: { type: 'integer' } },
+          milestone_id: { type: 'integer' },
+          due_date: { type: 'string' },
+          confidential: { type: 'boolean' }
+        }),
+        response: successResponse({ issue: anyObject })
+      },
+      plan: async (req, gitlabService) => {
+        const { projectId, issueIid } = req.params;
+        const { state_event: stateEvent, labels, ...changes } = req.body;
+        const issue = await gitlabService.getIssue(projectId, issueIid);
+        const after = { ...issue, ...changes };
+        // GitLab takes labels as a comma-separated string and returns a list
+        if (labels !== undefined) after.labels = labels.split(',').map(label => label.trim()).filter(Boolean);
+        if (stateEvent) after.state = stateEvent === 'close' ? 'closed' : 'opened';
+        return { before: issue, after };
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId, issueIid } = req.params;
+        const updateData = req.body;
+
+        const issue = await gitlabService.updateIssue(projectId, issueIid, updateData);
+        res.json({
+          success: true,
+          issue: issue
+        });
+      }
+    },
+
+    // Comment on an issue
+    {
+      method: 'post',
+      path: '/projects/:projectId/issues/:issueIid/notes',
+      operation: 'createIssueNote',
+      action: 'commenting on issue',
+      event: 'note.created',
+      schema: {
+        body: strictObject({ body: nonEmptyString }, ['body']),
+        response: successResponse({ note: anyObject })
+      },
+      plan: async (req, gitlabService) => {
+        const { projectId, issueIid } = req.params;
+        const issue = await gitlabService.getIssue(projectId, issueIid);
+        return { before: null, after: { issue: { iid: issue.iid, title: issue.title }, body: req.body.body } };
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId, issueIid } = req.params;
+
+        const note = await gitlabService.createIssueNote(projectId, issueIid, req.body.body);
+        res.json({
+          success: true,
+          note: note
+        });
+      }
+    },
+
+    // Get merge requests
+    {
+      method: 'get',
+      path: '/projects/:projectId/merge_requests',
+      operation: 'getMergeRequests',
+      action: 'fetching merge requests',
+      paginated: true,
+      schema: {
+        query: strictObject({
+          state: { type: 'string', enum: ['opened', 'closed', 'locked', 'merged', 'all'] },
+          target_branch: nonEmptyString,
+          source_branch: nonEmptyString,
+          ...paginationQuery()
+        }),
+        response: successResponse({ merge_requests: anyArray, pagination: paginationSchema })
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        const { state, target_branch, source_branch } = req.query;
+        const options = {};
+        if (state) options.state = state;
+        if (target_branch) options.target_branch = target_branch;
+        if (source_branch) options.source_branch = source_branch;
+
+        await sendPage(req, res, 'merge_requests', pagination => gitlabService.getMergeRequestsPage(projectId, options, pagination));
+      }
+    },
+
+    // Get a single merge request
+    {
+      method: 'get',
+      path: '/projects/:projectId/merge_requests/:mergeRequestIid',
+      operation: 'getMergeRequest',
+      action: 'fetching merge request',
+      schema: { response: successResponse({ merge_request: anyObject }) },
+      handler: async (req, res, gitlabService) => {
+        const { projectId, mergeRequestIid } = req.params;
+
+        const mergeRequest = await gitlabService.getMergeRequest(projectId, mergeRequestIid);
+        res.json({
+          success: true,
+          merge_request: mergeRequest
+        });
+      }
+    },
+
+    // Create a merge request
+    {
+      method: 'post',
+      path: '/projects/:projectId/merge_requests',
+      operation: 'createMergeRequest',
+      action: 'creating merge request',
+      event: 'merge_request.created',
+      schema: {
+        body: openObject({
+          title: nonEmptyString,
+          source_branch: nonEmptyString,
+          target_branch: nonEmptyString,
+          description: { type: 'string' },
+          assignee_id: { type: 'integer' },
+          remove_source_branch: { type: 'boolean' },
+          squash: { type: 'boolean' }
+        }, ['title', 'source_branch', 'target_branch']),
+        response: successResponse({ merge_request: anyObject })
+      },
+      plan: async (req, gitlabService) => {
+        const { projectId } = req.params;
+        await Promise.all([req.body.source_branch, req.body.target_branch].map(branch => gitlabService.getBranch(projectId, branch)));
+        return { before: null, after: req.body };
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        const mergeRequestData = req.body;
+
+        const mergeRequest = await gitlabService.createMergeRequest(projectId, mergeRequestData);
+        res.json({
+          success: true,
+          merge_request: mergeRequest
+        });
+      }
+    },
+
+    // Comment on a merge request
+    {
+      method: 'post',
+      path: '/projects/:projectId/merge_requests/:mergeRequestIid/notes',
+      operation: 'createMergeRequestNote',
+      action: 'commenting on merge request',
+      event: 'note.created',
+      schema: {
+        body: strictObject({ body: nonEmptyString }, ['body']),
+        response: successResponse({ note: anyObject })
+      },
+      plan: async (req, gitlabService) => {
+        const { projectId, mergeRequestIid } = req.params;
+        const mergeRequest = await gitlabService.getMergeRequest(projectId, mergeRequestIid);
+        return { before: null, after: { merge_request: { iid: mergeRequest.iid, title: mergeRequest.title }, body: req.body.body } };
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId, mergeRequestIid } = req.params;
+
+        const note = await gitlabService.createMergeRequestNote(projectId, mergeRequestIid, req.body.body);
+        res.json({
+          success: true,
+          note: note
+        });
+      }
+    },
+
+    // Get pipelines
+    {
+      method: 'get',
+      path: '/projects/:projectId/pipelines',
+      operation: 'getPipelines',
+      action: 'fetching pipelines',
+      paginated: true,
+      schema: {
+        query: strictObject({
+          status: { type: 'string', enum: PIPELINE_STATUSES },
+          ref: nonEmptyString,
+          sha: nonEmptyString,
+          ...paginationQuery()
+        }),
+        response: successResponse({ pipelines: anyArray, pagination: paginationSchema })
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        const { status, ref, sha } = req.query;
+        const options = {};
+        if (status) options.status = status;
+        if (ref) options.ref = ref;
+        if (sha) options.sha = sha;
+
+        await sendPage(req, res, 'pipelines', pagination => gitlabService.getPipelinesPage(projectId, options, pagination));
+      }
+    },
+
+    // Create a pipeline
+    {
+      method: 'post',
+      path: '/projects/:projectId/pipelines',
+      operation: 'createPipeline',
+      action: 'creating pipeline',
+      event: 'pipeline.created',
+      schema: {
+        body: strictObject({ ref: nonEmptyString, variables: { type: ['object', 'array'] } }, ['ref']),
+        response: successResponse({ pipeline: anyObject })
+      },
+      plan: async (req, gitlabService) => {
+        const { projectId } = req.params;
+        const { ref, variables = {} } = req.body;
+        const commit = await gitlabService.getCommit(projectId, ref);
+        return { before: null, after: { ref, sha: commit.id, variables } };
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        const { ref, variables = {} } = req.body;
+
+        const pipeline = await gitlabService.createPipeline(projectId, ref, variables);
+        res.json({
+          success: true,
+          pipeline: pipeline
+        });
+      }
+    },
+
+    // Get project members
+    {
+      method: 'get',
+      path: '/projects/:projectId/members',
+      operation: 'getProjectMembers',
+      action: 'fetching project members',
+      paginated: true,
+      schema: {
+        query: strictObject(paginationQuery()),
+        response: successResponse({ members: anyArray, pagination: paginationSchema })
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        await sendPage(req, res, 'members', pagination => gitlabService.getProjectMembersPage(projectId, pagination));
+      }
+    },
+
+    // Add project member
+    {
+      method: 'post',
+      path: '/projects/:projectId/members',
+      operation: 'addProjectMember',
+      action: 'adding project member',
+      event: 'member.added',
+      schema: {
+        body: strictObject({
+          user_id: { type: 'integer' },
+          access_level: { type: 'integer', enum: ACCESS_LEVELS }
+        }, ['user_id', 'access_level']),
+        response: successResponse({ member: anyObject })
+      },
+      plan: async (req, gitlabService) => {
+        const { projectId } = req.params;
+        const { user_id, access_level } = req.body;
+        if (await unlessMissing(gitlabService.getProjectMember(projectId, user_id))) {
+          throw conflict(`User ${user_id} is already a member of this project`);
+        }
+        return { before: null, after: { id: user_id, access_level } };
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        const { user_id, access_level } = req.body;
+
+        const member = await gitlabService.addProjectMember(projectId, user_id, access_level);
+        res.json({
+          success: true,
+          member: member
+        });
+      }
+    },
+
+    // Get repository files
+    {
+      method: 'get',
+      path: '/projects/:projectId/repository/files',
+      operation: 'getRepositoryFiles',
+      action: 'fetching repository files',
+      schema: {
+        query: strictObject({ file_path: { type: 'string' }, ref: nonEmptyString }),
+        response: successResponse({ files: {} })
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        const { file_path = '', ref = 'main' } = req.query;
+
+        const files = await gitlabService.getRepositoryFiles(projectId, file_path, ref);
+        res.json({
+          success: true,
+          files: files
+        });
+      }
+    },
+
+    // Create or update a file
+    {
+      method: 'post',
+      path: '/projects/:projectId/repository/files',
+      operation: 'createOrUpdateFile',
+      action: 'creating/updating file',
+      event: 'file.committed',
+      schema: {
+        body: strictObject({
+          file_path: nonEmptyString,
+          content: nonEmptyString,
+          commit_message: nonEmptyString,
+          branch: nonEmptyString
+        }, ['file_path', 'content', 'commit_message']),
+        response: successResponse({ result: anyObject })
+      },
+      plan: async (req, gitlabService) => {
+        const { projectId } = req.params;
+        const { file_path, content, branch = 'main' } = req.body;
+        const before = await fileState(gitlabService, projectId, file_path, branch);
+        return { before, after: { file_path, branch, content } };
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        const { file_path, content, commit_message, branch = 'main' } = req.body;
+
+        const result = await gitlabService.createOrUpdateFile(projectId, file_path, content, commit_message, branch);
+        res.json({
+          success: true,
+          result: result
+        });
+      }
+    },
+
+    // Delete a file
+    {
+      method: 'delete',
+      path: '/projects/:projectId/repository/files',
+      operation: 'deleteFile',
+      action: 'deleting file',
+      event: 'file.deleted',
+      schema: {
+        body: strictObject({
+          file_path: nonEmptyString,
+          commit_message: nonEmptyString,
+          branch: nonEmptyString
+        }, ['file_path', 'commit_message']),
+        response: successResponse({ result: {} })
+      },
+      plan: async (req, gitlabService) => {
+        const { projectId } = req.params;
+        const { file_path, branch = 'main' } = req.body;
+        const before = await fileState(gitlabService, projectId, file_path, branch);
+        if (!before) {
+          throw new GatewayError(`File ${file_path} not found on ${branch}`, { status: 404, code: 'not_found', provider: 'gitlab' });
+        }
+        return { before, after: null };
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        const { file_path, commit_message, branch = 'main' } = req.body;
+
+        const result = await gitlabService.deleteFile(projectId, file_path, commit_message, branch);
+        res.json({
+          success: true,
+          result: result
+        });
+      }
+    },
+
+    // Get project statistics
+    {
+      method: 'get',
+      path: '/projects/:projectId/statistics',
+      operation: 'getProjectStatistics',
+      action: 'fetching project statistics',
+      schema: {
+        response: successResponse({ statistics: anyObject })
+      },
+      handler: async (req, res, gitlabService) => {
+        const { projectId } = req.params;
+        const stats = await gitlabService.getProjectStatistics(projectId);
+        res.json({
+          success: true,
+          statistics: stats
+        });
+      }
+    }
+  ]
+};
+
 module.exports = GitlabService;
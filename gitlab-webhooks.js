@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const GatewayError = require('./gateway-error');
+const { logger } = require('./logger');
+const { tracedFetch } = require('./request-context');
+const { EVENT_TYPES, eventType, parseGitlabEvent } = require('./gitlab-events');
+
+const EVENTS = [...new Set(Object.values(EVENT_TYPES))];
+const CALLBACK_TIMEOUT_MS = 10000;
+
+// Value at a dotted path of an event, e.g. "pipeline.status"
+function valueAt(event, field) {
+  return field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), event);
+}
+
+// Fill {{ dotted.path }} placeholders from the event
+function render(template, event) {
+  return String(template).replace(/\{\{\s*([A-Za-z0-9_.]+)\s*\}\}/g, (match, field) => {
+    const value = valueAt(event, field);
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+// Merge request or issue an event is about, for actions that comment on it
+function noteTarget(event) {
+  if (event.mergeRequest) return { kind: 'merge_request', iid: event.mergeRequest.iid };
+  if (event.issue) return { kind: 'issue', iid: event.issue.iid };
+  return null;
+}
+
+// Built-in actions a handler can name instead of a callback URL. Each one acts
+// back on the event's project through the connection's GitlabService.
+const ACTIONS = {
+  // { "action": "comment", "body": "Thanks {{user.username}}!" } on merge request, issue and note events
+  async comment(handler, event, gitlab) {
+    const target = noteTarget(event);
+    if (!target) {
+      throw new Error(`There is no merge request or issue to comment on in a ${event.type} event`);
+    }
+    const body = render(handler.body, event);
+    const note = target.kind === 'merge_request'
+      ? await gitlab.createMergeRequestNote(event.project.id, target.iid, body)
+      : await gitlab.createIssueNote(event.project.id, target.iid, body);
+    return { noteId: note.id };
+  },
+
+  // { "action": "create_issue", "title": "Pipeline {{pipeline.id}} failed", "description": "...", "labels": "ci" }
+  async create_issue(handler, event, gitlab) {
+    const issue = await gitlab.createIssue(event.project.id, {
+      title: render(handler.title, event),
+      description: handler.description ? render(handler.description, event) : undefined,
+      labels: handler.labels
+    });
+    return { issueIid: issue.iid };
+  },
+
+  // { "action": "run_pipeline", "ref": "{{branch}}", "variables": [...] }; the ref defaults to the pushed branch
+  async run_pipeline(handler, event, gitlab) {
+    const ref = handler.ref ? render(handler.ref, event) : event.branch || (event.pipeline && event.pipeline.ref);
+    if (!ref) {
+      throw new Error(`No ref to run a pipeline for in a ${event.type} event`);
+    }
+    const pipeline = await gitlab.createPipeline(event.project.id, ref, handler.variables || {});
+    return { pipelineId: pipeline.id };
+  },
+
+  // { "action": "log" } writes the event to the gateway log
+  async log(handler, event) {
+    logger.info('GitLab event received', { event: event.type, action: event.action, project: event.project.path });
+    return {};
+  }
+};
+
+// Check one handler from configuration and fill in its defaults
+function normalizeHandler(handler, index) {
+  const id = handler.id || `handler-${index + 1}`;
+  if (!handler.event || (handler.event !== '*' && !EVENTS.includes(handler.event))) {
+    throw new Error(`GitLab webhook handler "${id}" needs an event: one of ${EVENTS.join(', ')} or "*"`);
+  }
+  if (!handler.url && !ACTIONS[handler.action] && typeof handler.run !== 'function') {
+    throw new Error(`GitLab webhook handler "${id}" needs a url or an action: one of ${Object.keys(ACTIONS).join(', ')}`);
+  }
+  if (handler.action === 'comment' && !handler.body) {
+    throw new Error(`GitLab webhook handler "${id}" needs a body for its comment`);
+  }
+  if (handler.action === 'create_issue' && !handler.title) {
+    throw new Error(`GitLab webhook handler "${id}" needs a title for its issue`);
+  }
+  return { ...handler, id, project: handler.project ?? '*' };
+}
+
+// Handlers from `handlers` when given, otherwise from TOWER_GITLAB_WEBHOOK_HANDLERS_FILE
+// (a JSON file) or inline TOWER_GITLAB_WEBHOOK_HANDLERS
+function loadHandlers(env = process.env, handlers = null) {
+  let config = [];
+  if (handlers) {
+    config = handlers;
+  } else if (env.TOWER_GITLAB_WEBHOOK_HANDLERS_FILE) {
+    config = JSON.parse(fs.readFileSync(path.resolve(env.TOWER_GITLAB_WEBHOOK_HANDLERS_FILE), 'utf8'));
+  } else if (env.TOWER_GITLAB_WEBHOOK_HANDLERS) {
+    config = JSON.parse(env.TOWER_GITLAB_WEBHOOK_HANDLERS);
+  }
+  if (!Array.isArray(config)) {
+    throw new Error('GitLab webhook handlers must be a JSON array');
+  }
+  return config.map(normalizeHandler);
+}
+
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(a).digest();
+  const right = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+// Receives GitLab webhooks, turns them into typed events (see gitlab-events.js)
+// and runs the handlers registered for the event type and project: built-in
+// actions that act back on the project, HTTP callbacks, or functions added
+// with on(). The most recent deliveries are kept for inspection and replay.
+//
+// A handler looks like:
+//
+//   { "id": "greet", "event": "merge_request", "project": "group/app",
+//     "when": { "action": "open" }, "action": "comment", "body": "Thanks!" }
+//
+// `project` is a project ID or path ("*" or left out for any project),
+// `connection` limits it to one GitLab connection, and `when` maps dotted
+// event fields to the value, or list of values, they must have.
+class GitlabWebhooks {
+  constructor({ registry, handlers = [], filePath = null, deliveryLimit = 100 } = {}) {
+    this.registry = registry;
+    this.handlers = handlers;
+    this.filePath = filePath;
+    this.deliveryLimit = deliveryLimit;
+    this.deliveries = [];
+    this.saveTimer = null;
+    this.exitHookInstalled = false;
+    this.load();
+  }
+
+  // Handlers from TOWER_GITLAB_WEBHOOK_HANDLERS(_FILE); deliveries kept in
+  // TOWER_GITLAB_WEBHOOK_FILE unless TOWER_GITLAB_WEBHOOK_STORE=memory
+  static fromEnv(registry, env = process.env, { handlers = null } = {}) {
+    return new GitlabWebhooks({
+      registry,
+      handlers: loadHandlers(env, handlers),
+      filePath: env.TOWER_GITLAB_WEBHOOK_STORE === 'memory'
+        ? null
+        : env.TOWER_GITLAB_WEBHOOK_FILE || path.join(__dirname, '.data', 'gitlab-webhooks.json'),
+      deliveryLimit: Number(env.TOWER_GITLAB_WEBHOOK_DELIVERIES) || 100
+    });
+  }
+
+  // Register a function handler, e.g. from an app that embeds Tower:
+  //   webhooks.on('pipeline', { project: 42, when: { action: 'failed' } }, async (event, { gitlab }) => { ... })
+  on(event, filter, run) {
+    this.handlers.push(normalizeHandler({ id: `function-${this.handlers.length + 1}`, event, ...filter, run }, this.handlers.length));
+    return this;
+  }
+
+  // Handlers as shown to clients, without functions
+  listHandlers() {
+    return this.handlers.map(({ run, ...handler }) => ({ ...handler, kind: GitlabWebhooks.handlerKind(handler, run) }));
+  }
+
+  static handlerKind(handler, run = handler.run) {
+    if (typeof run === 'function') return 'function';
+    return handler.url ? 'callback' : 'action';
+  }
+
+  // Check the X-Gitlab-Token header against the connection's GITLAB_WEBHOOK_SECRET
+  verify(connectionName, token) {
+    const connection = this.registry.connection('gitlab', connectionName);
+    if (!connection) {
+      throw new GatewayError(`Unknown GitLab connection "${connectionName}"`, { status: 404, code: 'unknown_connection', provider: 'gitlab' });
+    }
+    const secret = connection.env.GITLAB_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new GatewayError('GitLab webhooks are not configured. Set GITLAB_WEBHOOK_SECRET to the webhook\'s secret token.', { status: 503, code: 'webhook_not_configured', provider: 'gitlab' });
+    }
+    if (!token || !safeEqual(token, secret)) {
+      throw new GatewayError('Invalid X-Gitlab-Token', { status: 401, code: 'unauthorized', provider: 'gitlab' });
+    }
+  }
+
+  // Record a verified delivery and run its handlers in the background. Returns
+  // { delivery } for new deliveries, { duplicate } when GitLab redelivers an
+  // event already received, and { ignored } for event types Tower does not handle.
+  receive(connectionName, { event: eventHeader, eventId = null }, payload) {
+    const type = eventType(eventHeader);
+    if (!type) {
+      return { ignored: eventHeader || 'unknown' };
+    }
+
+    if (eventId) {
+      const duplicate = this.deliveries.find(d => d.gitlabEventId === eventId && !d.replayOf);
+      if (duplicate) return { duplicate };
+    }
+
+    const delivery = this.record({ connection: connectionName, gitlabEvent: eventHeader, gitlabEventId: eventId, payload });
+    this.dispatch(delivery).catch(error => {
+      logger.error('Error running GitLab webhook handlers', { deliveryId: delivery.id, error });
+    });
+    return { delivery };
+  }
+
+  // Run a stored delivery's handlers again, as a new delivery that points back
+  // at the original. Resolves once every handler has finished.
+  async replay(deliveryId) {
+    const original = this.getDelivery(deliveryId);
+    if (!original) return null;
+
+    const delivery = this.record({
+      connection: original.connection,
+      gitlabEvent: original.gitlabEvent,
+      gitlabEventId: original.gitlabEventId,
+      payload: original.payload,
+      replayOf: original.id
+    });
+    await this.dispatch(delivery);
+    return delivery;
+  }
+
+  record({ connection, gitlabEvent, gitlabEventId, payload, replayOf = null }) {
+    const event = parseGitlabEvent(eventType(gitlabEvent), payload);
+    const delivery = {
+      id: crypto.randomUUID(),
+      receivedAt: new Date().toISOString(),
+      connection,
+      gitlabEvent,
+      gitlabEventId,
+      type: event.type,
+      action: event.action,
+      project: { id: event.project.id, path: event.project.path },
+      replayOf,
+      status: 'pending',
+      handlers: [],
+      payload
+    };
+
+    this.deliveries.unshift(delivery);
+    this.deliveries.splice(this.deliveryLimit);
+    this.scheduleSave();
+    return delivery;
+  }
+
+  matches(handler, event, connectionName) {
+    if (handler.event !== '*' && handler.event !== event.type) return false;
+    if (handler.connection && handler.connection !== connectionName) return false;
+    if (handler.project !== '*' && String(handler.project) !== String(event.project.id) && handler.project !== event.project.path) {
+      return false;
+    }
+    return Object.entries(handler.when || {}).every(([field, expected]) =>
+      [].concat(expected).map(String).includes(String(valueAt(event, field)))
+    );
+  }
+
+  // Run every matching handler; one failing handler does not stop the others
+  async dispatch(delivery) {
+    const event = parseGitlabEvent(delivery.type, delivery.payload);
+    const handlers = this.handlers.filter(handler => this.matches(handler, event, delivery.connection));
+
+    delivery.handlers = await Promise.all(handlers.map(async handler => {
+      const started = Date.now();
+      const result = { id: handler.id, kind: GitlabWebhooks.handlerKind(handler) };
+      try {
+        Object.assign(result, { ok: true }, await this.runHandler(handler, event, delivery));
+      } catch (error) {
+        const gatewayError = GatewayError.from(error, 'gitlab');
+        Object.assign(result, { ok: false, code: gatewayError.code, error: gatewayError.message });
+        logger.warn('GitLab webhook handler failed', { deliveryId: delivery.id, handler: handler.id, code: gatewayError.code, error: gatewayError.message });
+      }
+      result.durationMs = Date.now() - started;
+      return result;
+    }));
+
+    const failed = delivery.handlers.filter(result => !result.ok).length;
+    if (delivery.handlers.length === 0) {
+      delivery.status = 'unhandled';
+    } else if (failed === 0) {
+      delivery.status = 'handled';
+    } else {
+      delivery.status = failed === delivery.handlers.length ? 'failed' : 'partial';
+    }
+    this.scheduleSave();
+    return delivery;
+  }
+
+  async runHandler(handler, event, delivery) {
+    if (typeof handler.run === 'function') {
+      const details = await handler.run(event, { gitlab: this.registry.get('gitlab', delivery.connection), delivery: GitlabWebhooks.describe(delivery) });
+      return details && typeof details === 'object' ? { details } : {};
+    }
+    if (handler.url) {
+      return this.callback(handler, event, delivery);
+    }
+
+    const gitlab = this.registry.get('gitlab', delivery.connection);
+    if (!gitlab && handler.action !== 'log') {
+      throw this.registry.unavailableError('gitlab', delivery.connection);
+    }
+    return ACTIONS[handler.action](handler, event, gitlab);
+  }
+
+  // POST the typed event to a handler's URL
+  async callback(handler, event, delivery) {
+    const response = await tracedFetch(handler.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Tower-Event': `gitlab.${event.type}`,
+        'X-Tower-Delivery': delivery.id
+      },
+      body: JSON.stringify({ delivery: delivery.id, connection: delivery.connection, event }),
+      signal: AbortSignal.timeout(CALLBACK_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new GatewayError(`Callback answered ${response.status}`, { status: 502, code: 'callback_failed', upstreamStatus: response.status });
+    }
+    return { status: response.status };
+  }
+
+  // Delivery as listed; the payload is only shown for a single delivery
+  static describe(delivery) {
+    const { payload, ...described } = delivery;
+    return described;
+  }
+
+  listDeliveries({ event, project, status, limit = 50 } = {}) {
+    return this.deliveries
+      .filter(d => !event || d.type === event)
+      .filter(d => !project || String(d.project.id) === String(project) || d.project.path === project)
+      .filter(d => !status || d.status === status)
+      .slice(0, limit)
+      .map(GitlabWebhooks.describe);
+  }
+
+  getDelivery(id) {
+    return this.deliveries.find(d => d.id === id) || null;
+  }
+
+  // The typed event of a stored delivery
+  static event(delivery) {
+    return parseGitlabEvent(delivery.type, delivery.payload);
+  }
+
+  load() {
+    if (!this.filePath) return;
+    try {
+      this.deliveries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error loading GitLab webhook deliveries', { error });
+      }
+    }
+  }
+
+  // Batch writes that happen close together into one file write
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) return;
+    if (!this.exitHookInstalled) {
+      process.once('exit', () => this.flush());
+      this.exitHookInstalled = true;
+    }
+    this.saveTimer = setTimeout(() => this.flush(), 1000);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.deliveries), { mode: 0o600 });
+    } catch (error) {
+      logger.error('Error saving GitLab webhook deliveries', { error });
+    }
+  }
+
+  close() {
+    this.flush();
+  }
+}
+
+module.exports = { GitlabWebhooks, loadHandlers };
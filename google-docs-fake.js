@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const GatewayError = require('./gateway-error');
+const GoogleDocsService = require('./google-docs-service');
+
+// In-memory stand-in for GoogleDocsService, used when TOWER_PROVIDER_MODE=fake.
+// Documents are kept as plain text and served in the Docs API structure; the
+// text helpers (insert, append, replace, extract) are the real service's, so
+// only the three Docs API calls are faked.
+class FakeGoogleDocsService {
+  constructor() {
+    this.documents = new Map();
+    this.auth = { getAccessToken: async () => ({ token: 'fake-access-token' }) };
+  }
+
+  static notFound() {
+    return new GatewayError('Requested entity was not found.', { status: 404, code: 'not_found', provider: 'google-docs', upstreamStatus: 404 });
+  }
+
+  // Docs API shape: body content indexes start at 1 and the body ends with a newline
+  static toDocument({ documentId, title, text }) {
+    const endIndex = 1 + text.length;
+    return {
+      documentId,
+      title,
+      revisionId: crypto.createHash('sha1').update(text).digest('hex').slice(0, 12),
+      body: {
+        content: [
+          { endIndex: 1, sectionBreak: {} },
+          {
+            startIndex: 1,
+            endIndex,
+            paragraph: { elements: [{ startIndex: 1, endIndex, textRun: { content: text } }] }
+          }
+        ]
+      }
+    };
+  }
+
+  document(documentId) {
+    const document = this.documents.get(documentId);
+    if (!document) throw FakeGoogleDocsService.notFound();
+    return document;
+  }
+
+  async createDocument(title) {
+    const documentId = `fake-${crypto.randomBytes(12).toString('base64url')}`;
+    this.documents.set(documentId, { documentId, title, text: '\n' });
+    return FakeGoogleDocsService.toDocument(this.documents.get(documentId));
+  }
+
+  async getDocument(documentId) {
+    return FakeGoogleDocsService.toDocument(this.document(documentId));
+  }
+
+  // Supports the request types the gateway sends: insertText, replaceAllText and deleteContentRange
+  async updateDocument(documentId, requests) {
+    const document = this.document(documentId);
+    const replies = requests.map(request => {
+      if (request.insertText) {
+        // Without a location (endOfSegmentLocation) the text goes at the end
+        const { location, text } = request.insertText;
+        const offset = location ? Math.min(Math.max(location.index - 1, 0), document.text.length - 1) : document.text.length - 1;
+        document.text = document.text.slice(0, offset) + text + document.text.slice(offset);
+        return {};
+      }
+      if (request.replaceAllText) {
+        const { containsText, replaceText } = request.replaceAllText;
+        const escaped = containsText.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(escaped, containsText.matchCase ? 'g' : 'gi');
+        const occurrencesChanged = (document.text.match(pattern) || []).length;
+        document.text = document.text.replace(pattern, () => replaceText);
+        return { replaceAllText: { occurrencesChanged } };
+      }
+      if (request.deleteContentRange) {
+        const { startIndex, endIndex } = request.deleteContentRange.range;
+        document.text = document.text.slice(0, startIndex - 1) + document.text.slice(endIndex - 1);
+        return {};
+      }
+      throw new GatewayError(`The fake Google Docs provider does not support ${Object.keys(request).join(', ')}`, {
+        status: 400,
+        code: 'invalid_request',
+        provider: 'google-docs',
+        upstreamStatus: 400
+      });
+    });
+
+    if (!document.text.endsWith('\n')) document.text += '\n';
+    return { documentId, replies };
+  }
+}
+
+['insertText', 'appendText', 'replaceText', 'extractTextContent'].forEach(name => {
+  FakeGoogleDocsService.prototype[name] = GoogleDocsService.prototype[name];
+});
+
+module.exports = FakeGoogleDocsService;
@@ -1,20 +1,23 @@
 
 const { google } = require('googleapis');
+const { correlationHeaders } = require('./request-context');
+const { nonEmptyString, anyObject, strictObject, successResponse } = require('./api-schemas');
+const logger = require('./logger').logger.child({ provider: 'google-docs' });
 
 class GoogleDocsService {
-  constructor() {
-    // Initialize with service account credentials from environment
+  constructor(env = process.env) {
+    // Initialize with service account credentials from the environment
     const credentials = {
       type: 'service_account',
-      project_id: process.env.GOOGLE_PROJECT_ID,
-      private_key_id: process.env.GOOGLE_PRIVATE_KEY_ID,
-      private_key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-      client_email: process.env.GOOGLE_CLIENT_EMAIL,
-      client_id: process.env.GOOGLE_CLIENT_ID,
+      project_id: env.GOOGLE_PROJECT_ID,
+      private_key_id: env.GOOGLE_PRIVATE_KEY_ID,
+      private_key: env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+      client_email: env.GOOGLE_CLIENT_EMAIL,
+      client_id: env.GOOGLE_CLIENT_ID,
       auth_uri: 'https://accounts.google.com/o/oauth2/auth',
       token_uri: 'https://oauth2.googleapis.com/token',
       auth_provider_x509_cert_url: 'https://www.googleapis.com/oauth2/v1/certs',
-      client_x509_cert_url: `https://www.googleapis.com/robot/v1/metadata/x509/${process.env.GOOGLE_CLIENT_EMAIL}`
+      client_x509_cert_url: `https://www.googleapis.com/robot/v1/metadata/x509/${env.GOOGLE_CLIENT_EMAIL}`
     };
 
     this.auth = new google.auth.GoogleAuth({
@@ -26,6 +29,7 @@ class GoogleDocsService {
     });
     
     this.docs = google.docs({ version: 'v1', auth: this.auth });
+    this.probeDocumentId = env.GOOGLE_DOCS_PROBE_DOCUMENT_ID || null;
     this.drive = google.drive({ version: 'v3', auth: this.auth });
   }
 
@@ -36,7 +40,7 @@ class GoogleDocsService {
         requestBody: {
           title: title
         }
-      });
+      }, { headers: correlationHeaders() });
 
       // Make the document publicly readable
       await this.drive.permissions.create({
@@ -45,11 +49,11 @@ class GoogleDocsService {
           role: 'reader',
           type: 'anyone'
         }
-      });
+      }, { headers: correlationHeaders() });
 
       return response.data;
     } catch (error) {
-      console.error('Error creating document:', error);
+      logger.error('Error creating document', { error });
       throw error;
     }
   }
@@ -69,7 +73,7 @@ class GoogleDocsService {
       const response = await this.updateDocument(documentId, requests);
       return response;
     } catch (error) {
-      console.error('Error inserting text:', error);
+      logger.error('Error inserting text', { error });
       throw error;
     }
   }
@@ -93,7 +97,7 @@ class GoogleDocsService {
       const response = await this.updateDocument(documentId, requests);
       return response;
     } catch (error) {
-      console.error('Error appending text:', error);
+      logger.error('Error appending text', { error });
       throw error;
     }
   }
@@ -114,7 +118,7 @@ class GoogleDocsService {
       const response = await this.updateDocument(documentId, requests);
       return response;
     } catch (error) {
-      console.error('Error replacing text:', error);
+      logger.error('Error replacing text', { error });
       throw error;
     }
   }
@@ -155,10 +159,10 @@ class GoogleDocsService {
         requestBody: {
           title: title
         }
-      });
+      }, { headers: correlationHeaders() });
       return response.data;
     } catch (error) {
-      console.error('Error creating document:', error);
+      logger.error('Error creating document', { error });
       throw error;
     }
   }
@@ -168,10 +172,10 @@ class GoogleDocsService {
     try {
       const response = await this.docs.documents.get({
         documentId: documentId
-      });
+      }, { headers: correlationHeaders() });
       return response.data;
     } catch (error) {
-      console.error('Error reading document:', error);
+      logger.error('Error reading document', { error });
       throw error;
     }
   }
@@ -184,13 +188,171 @@ class GoogleDocsService {
         requestBody: {
           requests: requests
         }
-      });
+      }, { headers: correlationHeaders() });
       return response.data;
     } catch (error) {
-      console.error('Error updating document:', error);
+      logger.error('Error updating document', { error });
       throw error;
     }
   }
 }
 
+GoogleDocsService.provider = {
+  name: 'google-docs',
+  title: 'Google Docs',
+  mountPath: '/google-docs',
+  requiredEnv: ['GOOGLE_CLIENT_EMAIL', 'GOOGLE_PRIVATE_KEY'],
+  capabilities: ['create', 'read', 'insert', 'append', 'replace', 'batch-update'],
+  fake: () => require('./google-docs-fake'),
+  // Read a known document's metadata when one is configured; otherwise just
+  // exchange the service account key for an access token
+  probe: service => service.probeDocumentId
+    ? service.getDocument(service.probeDocumentId)
+    : service.auth.getAccessToken(),
+  routes: [
+    // Create a new Google Doc
+    {
+      method: 'post',
+      path: '/create',
+      operation: 'createDocument',
+      action: 'creating document',
+      event: 'document.created',
+      schema: {
+        body: strictObject({ title: nonEmptyString }),
+        response: successResponse({ documentId: { type: 'string' }, title: { type: 'string' }, url: { type: 'string' } })
+      },
+      handler: async (req, res, googleDocsService) => {
+        const { title = 'Untitled Document' } = req.body;
+        const document = await googleDocsService.createDocument(title);
+        res.json({
+          success: true,
+          documentId: document.documentId,
+          title: document.title,
+          url: `https://docs.google.com/document/d/${document.documentId}/edit`
+        });
+      }
+    },
+
+    // Read a Google Doc
+    {
+      method: 'get',
+      path: '/:documentId',
+      operation: 'getDocument',
+      action: 'reading document',
+      schema: {
+        response: successResponse({ documentId: { type: 'string' }, title: { type: 'string' }, textContent: { type: 'string' }, fullDocument: anyObject })
+      },
+      handler: async (req, res, googleDocsService) => {
+        const { documentId } = req.params;
+        const document = await googleDocsService.getDocument(documentId);
+        const textContent = googleDocsService.extractTextContent(document);
+
+        res.json({
+          success: true,
+          documentId: document.documentId,
+          title: document.title,
+          textContent: textContent,
+          fullDocument: document
+        });
+      }
+    },
+
+    // Insert text at the beginning of a document
+    {
+      method: 'post',
+      path: '/:documentId/insert',
+      operation: 'insertText',
+      action: 'inserting text',
+      event: 'document.updated',
+      schema: {
+        body: strictObject({ text: nonEmptyString }, ['text']),
+        response: successResponse({ message: { type: 'string' }, result: anyObject })
+      },
+      handler: async (req, res, googleDocsService) => {
+        const { documentId } = req.params;
+        const { text } = req.body;
+
+        const result = await googleDocsService.insertText(documentId, text);
+        res.json({
+          success: true,
+          message: 'Text inserted successfully',
+          result: result
+        });
+      }
+    },
+
+    // Append text to the end of a document
+    {
+      method: 'post',
+      path: '/:documentId/append',
+      operation: 'appendText',
+      action: 'appending text',
+      event: 'document.updated',
+      schema: {
+        body: strictObject({ text: nonEmptyString }, ['text']),
+        response: successResponse({ message: { type: 'string' }, result: anyObject })
+      },
+      handler: async (req, res, googleDocsService) => {
+        const { documentId } = req.params;
+        const { text } = req.body;
+
+        const result = await googleDocsService.appendText(documentId, text);
+        res.json({
+          success: true,
+          message: 'Text appended successfully',
+          result: result
+        });
+      }
+    },
+
+    // Replace text in a document
+    {
+      method: 'post',
+      path: '/:documentId/replace',
+      operation: 'replaceText',
+      action: 'replacing text',
+      event: 'document.updated',
+      schema: {
+        body: strictObject({ searchText: nonEmptyString, replaceText: { type: 'string' } }, ['searchText', 'replaceText']),
+        response: successResponse({ message: { type: 'string' }, result: anyObject })
+      },
+      handler: async (req, res, googleDocsService) => {
+        const { documentId } = req.params;
+        const { searchText, replaceText } = req.body;
+
+        const result = await googleDocsService.replaceText(documentId, searchText, replaceText);
+        res.json({
+          success: true,
+          message: 'Text replaced successfully',
+          result: result
+        });
+      }
+    },
+
+    // Update document with custom requests
+    {
+      method: 'post',
+      path: '/:documentId/update',
+      operation: 'updateDocument',
+      action: 'updating document',
+      event: 'document.updated',
+      schema: {
+        body: strictObject({ requests: { type: 'array', minItems: 1, items: anyObject } }, ['requests']),
+        response: successResponse({ message: { type: 'string' }, result: anyObject })
+      },
+      handler: async (req, res, googleDocsService) => {
+        const { documentId } = req.params;
+        const { requests } = req.body;
+
+        const result = await googleDocsService.updateDocument(documentId, requests);
+        res.json({
+          success: true,
+          message: 'Document updated successfully',
+          result: result
+        });
+      }
+    }
+  ]
+};
+
 module.exports = GoogleDocsService;
@@ -0,0 +1,97 @@
+// Liveness, readiness and deep health for the gateway.
+//
+// - live: the process is up and serving requests; never touches an upstream
+// - ready: every provider that readiness depends on answered its last probe
+// - deep: runs every provider's live probe and reports latency, auth status and last error
+//
+// Probe results are reused for `cacheMs` so frequent readiness checks from the
+// deploy target do not turn into a stream of upstream calls.
+class HealthMonitor {
+  constructor(registry, { probeTimeoutMs = 10000, cacheMs = 30000, readinessProviders = null } = {}) {
+    this.registry = registry;
+    this.probeTimeoutMs = probeTimeoutMs;
+    this.cacheMs = cacheMs;
+    this.readinessProviders = readinessProviders;
+    this.startedAt = Date.now();
+    this.lastReport = null;
+    this.pending = null;
+  }
+
+  // Settings from TOWER_HEALTH_PROBE_TIMEOUT_MS, TOWER_HEALTH_CACHE_MS and
+  // TOWER_READINESS_PROVIDERS (comma-separated provider names)
+  static fromEnv(registry, env = process.env) {
+    const number = (value, fallback) => value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback;
+    const readinessProviders = env.TOWER_READINESS_PROVIDERS
+      ? env.TOWER_READINESS_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+      : null;
+
+    return new HealthMonitor(registry, {
+      probeTimeoutMs: number(env.TOWER_HEALTH_PROBE_TIMEOUT_MS, 10000),
+      cacheMs: number(env.TOWER_HEALTH_CACHE_MS, 30000),
+      readinessProviders
+    });
+  }
+
+  live() {
+    return {
+      status: 'ok',
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000)
+    };
+  }
+
+  // Probe every provider at once; concurrent callers share one round of probes
+  async deep({ fresh = false } = {}) {
+    if (!fresh && this.lastReport && Date.now() - this.lastReport.checkedAtMs < this.cacheMs) {
+      return this.lastReport.report;
+    }
+    if (this.pending) {
+      return this.pending;
+    }
+
+    this.pending = (async () => {
+      const names = Array.from(this.registry.providers.keys());
+      const providers = await Promise.all(names.map(name => this.registry.probe(name, { timeoutMs: this.probeTimeoutMs })));
+      const configured = providers.filter(provider => provider.available);
+
+      const report = {
+        status: configured.every(provider => provider.healthy) ? 'ok' : 'degraded',
+        checkedAt: new Date().toISOString(),
+        ready: this.isReady(providers),
+        providers
+      };
+      this.lastReport = { report, checkedAtMs: Date.now() };
+      return report;
+    })();
+
+    try {
+      return await this.pending;
+    } finally {
+      this.pending = null;
+    }
+  }
+
+  async ready() {
+    const report = await this.deep();
+    const required = this.requiredProviders(report.providers);
+    return {
+      status: report.ready ? 'ready' : 'not_ready',
+      checkedAt: report.checkedAt,
+      failing: required.filter(provider => !provider.healthy).map(provider => provider.name)
+    };
+  }
+
+  // Readiness depends on the providers named in TOWER_READINESS_PROVIDERS, or
+  // on every configured provider when none are named
+  requiredProviders(providers) {
+    if (this.readinessProviders) {
+      return providers.filter(provider => this.readinessProviders.includes(provider.name));
+    }
+    return providers.filter(provider => provider.available);
+  }
+
+  isReady(providers) {
+    return this.requiredProviders(providers).every(provider => provider.healthy);
+  }
+}
+
+module.exports = HealthMonitor;
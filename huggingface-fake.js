@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { replayText } = require('./event-stream');
+
+// Offline stand-in for HuggingFaceService, used when TOWER_PROVIDER_MODE=fake.
+// Results have the shapes the inference API returns; scores and vectors are
+// derived from a hash of the input so they are stable between runs.
+class FakeHuggingFaceService {
+  static score(input, salt = '') {
+    const digest = crypto.createHash('sha1').update(`${salt}:${input}`).digest();
+    return Math.round((0.5 + digest[0] / 510) * 1000) / 1000;
+  }
+
+  async generateText(prompt) {
+    return `${prompt} [fake huggingface continuation]`;
+  }
+
+  async *streamText(prompt, model = 'gpt2', parameters = {}, { signal } = {}) {
+    const text = ' [fake huggingface continuation]';
+    yield* replayText(text, { signal });
+    return { finishReason: 'eos_token', usage: { completionTokens: text.trim().split(/\s+/).length } };
+  }
+
+  async classifyText(text) {
+    const positive = FakeHuggingFaceService.score(text, 'sentiment');
+    return [
+      { label: 'positive', score: positive },
+      { label: 'neutral', score: Math.round((1 - positive) * 600) / 1000 },
+      { label: 'negative', score: Math.round((1 - positive) * 400) / 1000 }
+    ];
+  }
+
+  async answerQuestion(question, context) {
+    const answer = String(context).split(/[.!?]/)[0].trim();
+    return { answer, score: FakeHuggingFaceService.score(question, 'qa'), start: 0, end: answer.length };
+  }
+
+  async summarizeText(text) {
+    const words = String(text).split(/\s+/).filter(Boolean);
+    return words.slice(0, 25).join(' ') + (words.length > 25 ? '...' : '');
+  }
+
+  // Capitalized words stand in for named entities
+  async extractEntities(text) {
+    const entities = [];
+    const pattern = /\b[A-Z][a-z]+\b/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      entities.push({ entity_group: 'MISC', score: FakeHuggingFaceService.score(match[0], 'ner'), word: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return entities;
+  }
+
+  async translateText(text) {
+    return `[fr] ${text}`;
+  }
+
+  async getEmbeddings(text) {
+    const digest = crypto.createHash('sha512').update(String(text)).digest();
+    return Array.from(digest.subarray(0, 16)).map(byte => Math.round((byte / 127.5 - 1) * 1000) / 1000);
+  }
+
+  async fillMask(text) {
+    return ['the', 'a', 'this'].map((word, index) => ({
+      score: Math.round((0.6 - index * 0.2) * 1000) / 1000,
+      token: 1000 + index,
+      token_str: word,
+      sequence: String(text).replace('[MASK]', word)
+    }));
+  }
+
+  async classifyImage(imageUrl) {
+    return [
+      { label: 'fake object', score: FakeHuggingFaceService.score(imageUrl, 'image') },
+      { label: 'background', score: 0.1 }
+    ];
+  }
+
+  async detectObjects(imageUrl) {
+    return [
+      { label: 'fake object', score: FakeHuggingFaceService.score(imageUrl, 'detect'), box: { xmin: 10, ymin: 10, xmax: 110, ymax: 110 } }
+    ];
+  }
+
+  // A 1x1 transparent PNG
+  async generateImage() {
+    const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+    return new Blob([png], { type: 'image/png' });
+  }
+
+  async speechToText() {
+    return '[fake huggingface transcription]';
+  }
+}
+
+module.exports = FakeHuggingFaceService;
@@ -1,13 +1,17 @@
 
 const { HfInference } = require('@huggingface/inference');
+const { tracedFetch } = require('./request-context');
+const { sendTextStream } = require('./event-stream');
+const { nonEmptyString, anyObject, anyArray, strictObject, successResponse } = require('./api-schemas');
+const logger = require('./logger').logger.child({ provider: 'huggingface' });
 
 class HuggingFaceService {
-  constructor() {
-    if (!process.env.HUGGINGFACE_API_KEY) {
+  constructor(env = process.env) {
+    if (!env.HUGGINGFACE_API_KEY) {
       throw new Error('HUGGINGFACE_API_KEY environment variable is not set');
     }
     
-    this.hf = new HfInference(process.env.HUGGINGFACE_API_KEY);
+    this.hf = new HfInference(env.HUGGINGFACE_API_KEY, { fetch: tracedFetch });
   }
 
   // Text Generation
@@ -27,11 +31,36 @@ class HuggingFaceService {
 
       return result.generated_text;
     } catch (error) {
-      console.error('Error generating text:', error);
+      logger.error('Error generating text', { error });
       throw error;
     }
   }
 
+  // Stream a text generation: yields each token's text as the model produces
+  // it and returns the finish reason and token count. Aborting `signal` stops
+  // the upstream request. Not retried, as tokens may already have been sent on.
+  async *streamText(prompt, model = 'gpt2', parameters = {}, { signal } = {}) {
+    const stream = this.hf.textGenerationStream({
+      model: model,
+      inputs: prompt,
+      parameters: {
+        max_new_tokens: 100,
+        temperature: 0.7,
+        ...parameters
+      }
+    }, { signal });
+
+    let details = null;
+    for await (const output of stream) {
+      if (!output.token.special) yield output.token.text;
+      if (output.details) details = output.details;
+    }
+    return {
+      finishReason: details ? details.finish_reason : null,
+      usage: { completionTokens: details ? details.generated_tokens : null }
+    };
+  }
+
   // Text Classification
   async classifyText(text, model = 'cardiffnlp/twitter-roberta-base-sentiment-latest') {
     try {
@@ -42,7 +71,7 @@ class HuggingFaceService {
 
       return result;
     } catch (error) {
-      console.error('Error classifying text:', error);
+      logger.error('Error classifying text', { error });
       throw error;
     }
   }
@@ -60,7 +89,7 @@ class HuggingFaceService {
 
       return result;
     } catch (error) {
-      console.error('Error answering question:', error);
+      logger.error('Error answering question', { error });
       throw error;
     }
   }
@@ -82,7 +111,7 @@ class HuggingFaceService {
 
       return result[0].summary_text;
     } catch (error) {
-      console.error('Error summarizing text:', error);
+      logger.error('Error summarizing text', { error });
       throw error;
     }
   }
@@ -97,7 +126,7 @@ class HuggingFaceService {
 
       return result;
     } catch (error) {
-      console.error('Error extracting entities:', error);
+      logger.error('Error extracting entities', { error });
       throw error;
     }
   }
@@ -112,7 +141,7 @@ class HuggingFaceService {
 
       return result[0].translation_text;
     } catch (error) {
-      console.error('Error translating text:', error);
+      logger.error('Error translating text', { error });
       throw error;
     }
   }
@@ -127,7 +156,7 @@ class HuggingFaceService {
 
       return result;
     } catch (error) {
-      console.error('Error getting embeddings:', error);
+      logger.error('Error getting embeddings', { error });
       throw error;
     }
   }
@@ -142,7 +171,7 @@ class HuggingFaceService {
 
       return result;
     } catch (error) {
-      console.error('Error filling mask:', error);
+      logger.error('Error filling mask', { error });
       throw error;
     }
   }
@@ -160,7 +189,7 @@ class HuggingFaceService {
 
       return result;
     } catch (error) {
-      console.error('Error classifying image:', error);
+      logger.error('Error classifying image', { error });
       throw error;
     }
   }
@@ -178,7 +207,7 @@ class HuggingFaceService {
 
       return result;
     } catch (error) {
-      console.error('Error detecting objects:', error);
+      logger.error('Error detecting objects', { error });
       throw error;
     }
   }
@@ -193,7 +222,7 @@ class HuggingFaceService {
 
       return result;
     } catch (error) {
-      console.error('Error generating image:', error);
+      logger.error('Error generating image', { error });
       throw error;
     }
   }
@@ -208,10 +237,304 @@ class HuggingFaceService {
 
       return result.text;
     } catch (error) {
-      console.error('Error converting speech to text:', error);
+      logger.error('Error converting speech to text', { error });
       throw error;
     }
   }
 }
 
+HuggingFaceService.provider = {
+  name: 'huggingface',
+  title: 'Hugging Face',
+  mountPath: '/huggingface',
+  requiredEnv: ['HUGGINGFACE_API_KEY'],
+  capabilities: [
+    'text-generation', 'text-classification', 'question-answering', 'summarization', 'entity-recognition',
+    'translation', 'embeddings', 'fill-mask', 'image-classification', 'object-detection', 'text-to-image'
+  ],
+  fake: () => require('./huggingface-fake'),
+  probe: service => service.classifyText('ok'),
+  resilience: {
+    // Inference calls have no side effects; text-to-image can take a while on a cold model
+    idempotent: [
+      'generateText', 'classifyText', 'answerQuestion', 'summarizeText', 'extractEntities', 'translateText',
+      'fillMask', 'classifyImage', 'detectObjects', 'generateImage', 'speechToText'
+    ],
+    timeoutMs: 120000
+  },
+  routes: [
+    // Text Generation
+    {
+      method: 'post',
+      path: '/text-generation',
+      operation: 'generateText',
+      action: 'generating text',
+      schema: {
+        body: strictObject({ prompt: nonEmptyString, model: nonEmptyString, parameters: anyObject }, ['prompt']),
+        response: successResponse({ generated_text: { type: 'string' }, model: { type: 'string' } })
+      },
+      handler: async (req, res, huggingFaceService) => {
+        const { prompt, model, parameters } = req.body;
+
+        const result = await huggingFaceService.generateText(prompt, model, parameters);
+        res.json({
+          success: true,
+          generated_text: result,
+          model: model || 'gpt2'
+        });
+      }
+    },
+
+    // Text Generation, streamed as server-sent events
+    {
+      method: 'post',
+      path: '/text-generation/stream',
+      operation: 'streamText',
+      action: 'streaming text',
+      stream: true,
+      schema: {
+        body: strictObject({ prompt: nonEmptyString, model: nonEmptyString, parameters: anyObject }, ['prompt']),
+        response: successResponse({
+          generated_text: { type: 'string' },
+          model: { type: 'string' },
+          finishReason: { type: ['string', 'null'] },
+          usage: anyObject
+        })
+      },
+      handler: async (req, res, huggingFaceService) => {
+        const { prompt, model, parameters } = req.body;
+
+        await sendTextStream(res, signal => huggingFaceService.streamText(prompt, model, parameters, { signal }), (content, { finishReason, usage }) => ({
+          success: true,
+          generated_text: content,
+          model: model || 'gpt2',
+          finishReason: finishReason,
+          usage: usage
+        }));
+      }
+    },
+
+    // Text Classification
+    {
+      method: 'post',
+      path: '/text-classification',
+      operation: 'classifyText',
+      action: 'classifying text',
+      schema: {
+        body: strictObject({ text: nonEmptyString, model: nonEmptyString }, ['text']),
+        response: successResponse({ classification: anyArray, model: { type: 'string' } })
+      },
+      handler: async (req, res, huggingFaceService) => {
+        const { text, model } = req.body;
+
+        const result = await huggingFaceService.classifyText(text, model);
+        res.json({
+          success: true,
+          classification: result,
+          model: model || 'cardiffnlp/twitter-roberta-base-sentiment-latest'
+        });
+      }
+    },
+
+    // Question Answering
+    {
+      method: 'post',
+      path: '/question-answering',
+      operation: 'answerQuestion',
+      action: 'answering question',
+      schema: {
+        body: strictObject({ question: nonEmptyString, context: nonEmptyString, model: nonEmptyString }, ['question', 'context']),
+        response: successResponse({ answer: anyObject, model: { type: 'string' } })
+      },
+      handler: async (req, res, huggingFaceService) => {
+        const { question, context, model } = req.body;
+
+        const result = await huggingFaceService.answerQuestion(question, context, model);
+        res.json({
+          success: true,
+          answer: result,
+          model: model || 'deepset/roberta-base-squad2'
+        });
+      }
+    },
+
+    // Text Summarization
+    {
+      method: 'post',
+      path: '/summarization',
+      operation: 'summarizeText',
+      action: 'summarizing text',
+      schema: {
+        body: strictObject({ text: nonEmptyString, model: nonEmptyString, parameters: anyObject }, ['text']),
+        response: successResponse({ summary: { type: 'string' }, model: { type: 'string' } })
+      },
+      handler: async (req, res, huggingFaceService) => {
+        const { text, model, parameters } = req.body;
+
+        const result = await huggingFaceService.summarizeText(text, model, parameters);
+        res.json({
+          success: true,
+          summary: result,
+          model: model || 'facebook/bart-large-cnn'
+        });
+      }
+    },
+
+    // Named Entity Recognition
+    {
+      method: 'post',
+      path: '/entity-recognition',
+      operation: 'extractEntities',
+      action: 'extracting entities',
+      schema: {
+        body: strictObject({ text: nonEmptyString, model: nonEmptyString }, ['text']),
+        response: successResponse({ entities: anyArray, model: { type: 'string' } })
+      },
+      handler: async (req, res, huggingFaceService) => {
+        const { text, model } = req.body;
+
+        const result = await huggingFaceService.extractEntities(text, model);
+        res.json({
+          success: true,
+          entities: result,
+          model: model || 'dbmdz/bert-large-cased-finetuned-conll03-english'
+        });
+      }
+    },
+
+    // Translation
+    {
+      method: 'post',
+      path: '/translation',
+      operation: 'translateText',
+      action: 'translating text',
+      schema: {
+        body: strictObject({ text: nonEmptyString, model: nonEmptyString }, ['text']),
+        response: successResponse({ translation: { type: 'string' }, model: { type: 'string' } })
+      },
+      handler: async (req, res, huggingFaceService) => {
+        const { text, model } = req.body;
+
+        const result = await huggingFaceService.translateText(text, model);
+        res.json({
+          success: true,
+          translation: result,
+          model: model || 'Helsinki-NLP/opus-mt-en-fr'
+        });
+      }
+    },
+
+    // Feature Extraction (Embeddings)
+    {
+      method: 'post',
+      path: '/embeddings',
+      operation: 'getEmbeddings',
+      action: 'getting embeddings',
+      schema: {
+        body: strictObject({ text: nonEmptyString, model: nonEmptyString }, ['text']),
+        response: successResponse({ embeddings: anyArray, model: { type: 'string' } })
+      },
+      handler: async (req, res, huggingFaceService) => {
+        const { text, model } = req.body;
+
+        const result = await huggingFaceService.getEmbeddings(text, model);
+        res.json({
+          success: true,
+          embeddings: result,
+          model: model || 'sentence-transformers/all-MiniLM-L6-v2'
+        });
+      }
+    },
+
+    // Fill Mask
+    {
+      method: 'post',
+      path: '/fill-mask',
+      operation: 'fillMask',
+      action: 'filling mask',
+      schema: {
+        body: strictObject({ text: { type: 'string', pattern: '\\[MASK\\]' }, model: nonEmptyString }, ['text']),
+        response: successResponse({ predictions: anyArray, model: { type: 'string' } })
+      },
+      handler: async (req, res, huggingFaceService) => {
+        const { text, model } = req.body;
+
+        const result = await huggingFaceService.fillMask(text, model);
+        res.json({
+          success: true,
+          predictions: result,
+          model: model || 'bert-base-uncased'
+        });
+      }
+    },
+
+    // Image Classification
+    {
+      method: 'post',
+      path: '/image-classification',
+      operation: 'classifyImage',
+      action: 'classifying image',
+      schema: {
+        body: strictObject({ imageUrl: { type: 'string', pattern: '^https?://' }, model: nonEmptyString }, ['imageUrl']),
+        response: successResponse({ classification: anyArray, model: { type: 'string' } })
+      },
+      handler: async (req, res, huggingFaceService) => {
+        const { imageUrl, model } = req.body;
+
+        const result = await huggingFaceService.classifyImage(imageUrl, model);
+        res.json({
+          success: true,
+          classification: result,
+          model: model || 'google/vit-base-patch16-224'
+        });
+      }
+    },
+
+    // Object Detection
+    {
+      method: 'post',
+      path: '/object-detection',
+      operation: 'detectObjects',
+      action: 'detecting objects',
+      schema: {
+        body: strictObject({ imageUrl: { type: 'string', pattern: '^https?://' }, model: nonEmptyString }, ['imageUrl']),
+        response: successResponse({ detections: anyArray, model: { type: 'string' } })
+      },
+      handler: async (req, res, huggingFaceService) => {
+        const { imageUrl, model } = req.body;
+
+        const result = await huggingFaceService.detectObjects(imageUrl, model);
+        res.json({
+          success: true,
+          detections: result,
+          model: model || 'facebook/detr-resnet-50'
+        });
+      }
+    },
+
+    // Text-to-Image
+    {
+      method: 'post',
+      path: '/text-to-image',
+      operation: 'generateImage',
+      action: 'generating image',
+      async: true,
+      schema: {
+        body: strictObject({ prompt: nonEmptyString, model: nonEmptyString }, ['prompt']),
+        response: successResponse({ image: {}, model: { type: 'string' } })
+      },
+      handler: async (req, res, huggingFaceService) => {
+        const { prompt, model } = req.body;
+
+        const result = await huggingFaceService.generateImage(prompt, model);
+        res.json({
+          success: true,
+          image: result,
+          model: model || 'runwayml/stable-diffusion-v1-5'
+        });
+      }
+    }
+  ]
+};
+
 module.exports = HuggingFaceService;
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const GatewayError = require('./gateway-error');
+const { logger } = require('./logger');
+const { runWithContext } = require('./request-context');
+
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// Jobs kept in memory, keyed by job ID
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  set(job) {
+    this.jobs.set(job.id, job);
+  }
+
+  delete(id) {
+    this.jobs.delete(id);
+  }
+
+  values() {
+    return Array.from(this.jobs.values());
+  }
+}
+
+// Memory store that is written to a JSON file so jobs survive restarts
+class FileJobStore extends MemoryJobStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.saveTimer = null;
+    this.exitHookInstalled = false;
+    try {
+      JSON.parse(fs.readFileSync(filePath, 'utf8')).forEach(job => this.jobs.set(job.id, job));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error loading jobs', { error });
+      }
+    }
+  }
+
+  set(job) {
+    super.set(job);
+    this.scheduleSave();
+  }
+
+  delete(id) {
+    super.delete(id);
+    this.scheduleSave();
+  }
+
+  // Batch changes that happen close together into one file write
+  scheduleSave() {
+    if (this.saveTimer) return;
+    if (!this.exitHookInstalled) {
+      process.once('exit', () => this.flush());
+      this.exitHookInstalled = true;
+    }
+    this.saveTimer = setTimeout(() => this.flush(), 1000);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.values()), { mode: 0o600 });
+    } catch (error) {
+      logger.error('Error saving jobs', { error });
+    }
+  }
+}
+
+// Local worker queue for route calls that run in the background. A job moves
+// from queued to running to succeeded, failed or cancelled; finished jobs are
+// kept for `retentionSeconds` so their results can be fetched.
+//
+// The queue does not know how to run a job; start(runner) hands it a function
+// that takes the job and resolves to the response it produced, { status, body }.
+class JobQueue {
+  constructor({ store, concurrency = 2, maxQueued = 100, retentionSeconds = 86400 } = {}) {
+    this.store = store || new MemoryJobStore();
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.retentionSeconds = retentionSeconds;
+    this.queue = [];
+    this.running = new Set();
+    this.runner = null;
+    this.pruneTimer = null;
+    this.closed = false;
+  }
+
+  // Build a queue from TOWER_JOB_STORE, TOWER_JOB_FILE, TOWER_JOB_CONCURRENCY,
+  // TOWER_JOB_QUEUE_LIMIT and TOWER_JOB_RETENTION_SECONDS
+  static fromEnv(env = process.env) {
+    const store = env.TOWER_JOB_STORE === 'memory'
+      ? new MemoryJobStore()
+      : new FileJobStore(env.TOWER_JOB_FILE || path.join(__dirname, '.data', 'jobs.json'));
+
+    return new JobQueue({
+      store,
+      concurrency: Number(env.TOWER_JOB_CONCURRENCY) || 2,
+      maxQueued: Number(env.TOWER_JOB_QUEUE_LIMIT) || 100,
+      retentionSeconds: Number(env.TOWER_JOB_RETENTION_SECONDS) || 86400
+    });
+  }
+
+  // Job as shown to clients; the stored request is left out
+  static describe(job) {
+    const { request, ...described } = job;
+    return described;
+  }
+
+  // Start running jobs. Jobs still queued from before a restart run again;
+  // jobs that were running when the process stopped are failed rather than
+  // repeated, since their upstream calls may already have had effects.
+  start(runner) {
+    this.runner = runner;
+    this.prune();
+
+    this.store.values()
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .forEach(job => {
+        if (job.status === 'queued') {
+          this.queue.push(job.id);
+        } else if (job.status === 'running') {
+          this.finish(job, 'failed', {
+            error: new GatewayError('The gateway restarted while this job was running', { status: 500, code: 'job_interrupted', provider: job.provider, retryable: true }).toJSON()
+          });
+        }
+      });
+    if (this.queue.length > 0) {
+      logger.info('Resuming queued jobs', { queued: this.queue.length });
+    }
+
+    this.pruneTimer = setInterval(() => this.prune(), Math.min(this.retentionSeconds * 1000, 60000));
+    this.pruneTimer.unref();
+    this.dispatch();
+    return this;
+  }
+
+  // Queue a job. `details` describes the call ({ provider, connection,
+  // operation, method, resource, request, client, requestId }) and is stored with it.
+  submit(details) {
+    if (this.closed) {
+      throw new GatewayError('The gateway is shutting down and does not accept new jobs', { status: 503, code: 'job_queue_closed', retryable: true });
+    }
+    if (this.queue.length >= this.maxQueued) {
+      throw new GatewayError(`The job queue is full (${this.maxQueued} jobs waiting); try again later`, { status: 503, code: 'job_queue_full', retryable: true });
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      ...details,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      result: null,
+      error: null
+    };
+    this.store.set(job);
+    this.queue.push(job.id);
+    this.dispatch();
+    return job;
+  }
+
+  get(id) {
+    const job = this.store.get(id);
+    return job && !this.expired(job) ? job : null;
+  }
+
+  // Jobs newest first, optionally only one client's or in one status
+  list({ clientId, status, limit = 100 } = {}) {
+    return this.store.values()
+      .filter(job => !this.expired(job))
+      .filter(job => !clientId || (job.client && job.client.id === clientId))
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Cancel a queued or running job. A running job's upstream call is not
+  // interrupted; its result is discarded when it arrives.
+  cancel(id) {
+    const job = this.get(id);
+    if (!job) return null;
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new GatewayError(`Job is already ${job.status}`, { status: 409, code: 'job_finished' });
+    }
+
+    this.queue = this.queue.filter(queuedId => queuedId !== id);
+    this.finish(job, 'cancelled');
+    logger.info('Job cancelled', { jobId: id, provider: job.provider, operation: job.operation });
+    return job;
+  }
+
+  // Start queued jobs while there are free workers
+  dispatch() {
+    while (this.runner && !this.closed && this.running.size < this.concurrency && this.queue.length > 0) {
+      const job = this.store.get(this.queue.shift());
+      if (job && job.status === 'queued') {
+        this.execute(job);
+      }
+    }
+  }
+
+  async execute(job) {
+    this.running.add(job.id);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.store.set(job);
+
+    // Logs and upstream calls carry the ID of the request that submitted the job
+    const log = { jobId: job.id, provider: job.provider, connection: job.connection, operation: job.operation };
+    try {
+      const { status, body } = await runWithContext({ requestId: job.requestId }, () => this.runner(job));
+      if (job.status === 'cancelled') return;
+
+      if (status >= 400) {
+        this.finish(job, 'failed', { error: body });
+        logger.warn('Job failed', { ...log, status, code: body && body.code });
+      } else {
+        this.finish(job, 'succeeded', { result: body });
+        logger.info('Job succeeded', { ...log, durationMs: Date.parse(job.finishedAt) - Date.parse(job.startedAt) });
+      }
+    } catch (error) {
+      if (job.status === 'cancelled') return;
+
+      const gatewayError = GatewayError.from(error, job.provider);
+      this.finish(job, 'failed', { error: gatewayError.toJSON() });
+      logger.error('Job failed', { ...log, status: gatewayError.status, code: gatewayError.code, error: gatewayError.message });
+    } finally {
+      this.running.delete(job.id);
+      this.dispatch();
+    }
+  }
+
+  finish(job, status, { result = null, error = null } = {}) {
+    const finishedAt = new Date();
+    Object.assign(job, {
+      status,
+      result,
+      error,
+      finishedAt: finishedAt.toISOString(),
+      expiresAt: new Date(finishedAt.getTime() + this.retentionSeconds * 1000).toISOString()
+    });
+    this.store.set(job);
+  }
+
+  expired(job) {
+    return job.expiresAt !== null && Date.parse(job.expiresAt) <= Date.now();
+  }
+
+  // Drop finished jobs whose retention period is over
+  prune() {
+    this.store.values().filter(job => this.expired(job)).forEach(job => this.store.delete(job.id));
+  }
+
+  stats() {
+    return {
+      store: this.store.constructor.name,
+      concurrency: this.concurrency,
+      queued: this.queue.length,
+      running: this.running.size,
+      retentionSeconds: this.retentionSeconds
+    };
+  }
+
+  // Stop starting jobs and write out the store, e.g. before shutdown. Jobs
+  // still queued run after the next start; running ones are reported as interrupted.
+  close() {
+    this.closed = true;
+    clearInterval(this.pruneTimer);
+    if (typeof this.store.flush === 'function') this.store.flush();
+  }
+}
+
+module.exports = { JobQueue, MemoryJobStore, FileJobStore };
@@ -0,0 +1,175 @@
+const { currentRequestId } = require('./request-context');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never written out
+const SENSITIVE_FIELD = /(authorization|cookie|token|secret|password|passphrase|api[-_]?key|private[-_]?key|credential)/i;
+
+// Secrets that can show up inside free text such as error messages and URLs
+const SENSITIVE_TEXT = [
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(-----END [A-Z ]*PRIVATE KEY-----|$)/g, REDACTED],
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, `$1 ${REDACTED}`],
+  [/\btk_[0-9a-f]{12}\.[A-Za-z0-9_-]+/g, REDACTED],
+  [/([?&](?:key|api_key|access_token|token)=)[^&\s"']+/gi, `$1${REDACTED}`]
+];
+
+// Environment variables holding credentials; their values are scrubbed from any string
+const SECRET_ENV_NAME = /(KEY|TOKEN|SECRET|PASSWORD)/;
+
+// Environments apps were built with (createTowerApp({ env })), besides
+// process.env. Their credentials are scrubbed too, and their logging
+// settings apply to the process's one logger.
+const environments = new Set();
+
+// Register an app's environment; returns a function that forgets it again
+function useEnv(env) {
+  if (!env || env === process.env) return () => {};
+  environments.add(env);
+  return () => environments.delete(env);
+}
+
+// A logging setting from the newest environment that sets it, else process.env
+function setting(name) {
+  const env = Array.from(environments).reverse().find(candidate => candidate[name]);
+  return (env || process.env)[name];
+}
+
+function secretValues() {
+  return Array.from(new Set([process.env, ...environments].flatMap(env => Object.entries(env)
+    .filter(([name, value]) => SECRET_ENV_NAME.test(name) && typeof value === 'string' && value.length >= 8)
+    .map(([, value]) => value))));
+}
+
+function redactText(text, secrets) {
+  let result = text;
+  secrets.forEach(secret => {
+    if (result.includes(secret)) result = result.split(secret).join(REDACTED);
+  });
+  SENSITIVE_TEXT.forEach(([pattern, replacement]) => {
+    result = result.replace(pattern, replacement);
+  });
+  return result;
+}
+
+// Keep the useful parts of an error. SDK errors carry whole request objects,
+// auth headers included, so they are never written out as-is.
+function serializeError(error) {
+  const status = error.status ?? error.response?.status ?? error.response?.statusCode ?? error.httpResponse?.status;
+  const serialized = { name: error.name, message: error.message };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (status !== undefined) serialized.status = status;
+  if (error.stack) serialized.stack = error.stack;
+  return serialized;
+}
+
+function redact(value, secrets, depth = 0) {
+  if (typeof value === 'string') return redactText(value, secrets);
+  if (value instanceof Error) return redact(serializeError(value), secrets, depth);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= 8) return '[truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, secrets, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [
+    field,
+    SENSITIVE_FIELD.test(field) ? REDACTED : redact(fieldValue, secrets, depth + 1)
+  ]));
+}
+
+// Replace credential values from the environment anywhere inside a value,
+// leaving field names and everything else untouched
+function redactSecretValues(value, secrets = secretValues()) {
+  if (typeof value === 'string') {
+    return secrets.reduce((text, secret) => text.includes(secret) ? text.split(secret).join(REDACTED) : text, value);
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => redactSecretValues(item, secrets));
+  return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [field, redactSecretValues(fieldValue, secrets)]));
+}
+
+// Structured JSON logger. Every line carries the time, level, message, the
+// logger's bound fields and the current request's ID. The level comes from
+// TOWER_LOG_LEVEL (debug, info, warn, error or silent; default info).
+// Warnings and errors go to stderr and the rest to stdout, unless
+// TOWER_LOG_STREAM=stderr sends everything to stderr because stdout carries
+// a protocol (see tower-mcp.js). Both are read from the environments
+// registered with useEnv() before process.env.
+class Logger {
+  constructor(bindings = {}, stream = null) {
+    this.bindings = bindings;
+    this.stream = stream;
+  }
+
+  // Logger that adds fixed fields to every line, e.g. { provider: 'gitlab' }
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings }, this.stream);
+  }
+
+  isEnabled(level) {
+    const configured = LEVELS[(setting('TOWER_LOG_LEVEL') || 'info').toLowerCase()] ?? LEVELS.info;
+    return LEVELS[level] >= configured;
+  }
+
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      requestId: currentRequestId(),
+      ...this.bindings,
+      ...fields
+    };
+    const line = JSON.stringify(redact(entry, secretValues())) + '\n';
+    const stream = this.stream || (LEVELS[level] >= LEVELS.warn || setting('TOWER_LOG_STREAM') === 'stderr' ? process.stderr : process.stdout);
+    stream.write(line);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+// Express middleware that writes one line per finished request
+function requestLogger(logger) {
+  return (req, res, next) => {
+    const started = Date.now();
+    res.on('finish', () => {
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      logger.log(level, 'request completed', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Date.now() - started,
+        clientId: req.client ? req.client.id : undefined
+      });
+    });
+    next();
+  };
+}
+
+// Root logger; modules bind their own fields with logger.child(...)
+const logger = new Logger();
+
+module.exports = {
+  logger,
+  Logger,
+  requestLogger,
+  useEnv,
+  redact: value => redact(value, secretValues()),
+  redactSecretValues: value => redactSecretValues(value)
+};
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const readline = require('readline');
+const ClientKeyService = require('./client-key-service');
+const { nonEmptyString } = require('./api-schemas');
+const { logger } = require('./logger');
+const { runWithContext } = require('./request-context');
+const { DEFAULT_CONNECTION } = require('./provider-connections');
+const { version } = require('./package.json');
+
+// MCP revisions this server speaks, newest first
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// Tool arguments that are not route fields
+const CONNECTION_ARGUMENT = 'connection';
+const CONFIRM_ARGUMENT = 'confirm';
+
+// "gitlab_*" or "*_delete*" as a regular expression
+function patternToRegExp(pattern) {
+  return new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+const patternList = value => String(value).split(',').map(pattern => pattern.trim()).filter(Boolean);
+
+class JsonRpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Model Context Protocol server that offers provider routes as tools to
+// agents, e.g. "gitlab_createIssue" or "cloudflare_getDNSRecords". A tool
+// takes the route's path parameters, query parameters and body fields as one
+// arguments object, plus "connection" for providers with named connections,
+// and is run through ProviderRegistry#invoke, so it is validated, audited and
+// publishes events like the HTTP route.
+//
+// Which tools are offered is set with comma-separated name patterns:
+// `tools` (default "*") and `disabled` narrow the list, and tools matching
+// `confirm` (default "*_delete*") only run when called again with
+// "confirm": true, after the agent has checked with its user.
+//
+// Served over stdio by tower-mcp.js and over HTTP at POST /mcp, where the
+// client key's scopes also limit the tools.
+class McpServer {
+  constructor({ registry, tools = ['*'], disabled = [], confirm = ['*_delete*'] }) {
+    this.registry = registry;
+    this.allowed = tools.map(patternToRegExp);
+    this.disabled = disabled.map(patternToRegExp);
+    this.confirm = confirm.map(patternToRegExp);
+  }
+
+  // Build a server from TOWER_MCP_TOOLS, TOWER_MCP_DISABLED_TOOLS and TOWER_MCP_CONFIRM_TOOLS
+  static fromEnv(registry, env = process.env) {
+    return new McpServer({
+      registry,
+      tools: patternList(env.TOWER_MCP_TOOLS || '*'),
+      disabled: patternList(env.TOWER_MCP_DISABLED_TOOLS || ''),
+      confirm: patternList(env.TOWER_MCP_CONFIRM_TOOLS ?? '*_delete*')
+    });
+  }
+
+  // Every tool the configuration allows, keyed by name
+  tools() {
+    const tools = new Map();
+    this.registry.providers.forEach(({ definition, connections }, provider) => {
+      definition.routes.forEach(route => {
+        // Streamed answers have a buffered route of their own
+        if (!route.operation || route.stream) return;
+        const name = `${provider}_${route.operation}`;
+        const matches = patterns => patterns.some(pattern => pattern.test(name));
+        if (!matches(this.allowed) || matches(this.disabled)) return;
+
+        tools.set(name, {
+          name,
+          provider,
+          route,
+          resourcePath: definition.mountPath + route.path,
+          connections: connections ? Array.from(connections.keys()) : [DEFAULT_CONNECTION],
+          title: definition.title,
+          confirm: matches(this.confirm)
+        });
+      });
+    });
+    return tools;
+  }
+
+  // Whether a client key may call a tool's route, at a path with its
+  // parameters filled in or, for listing, the route's path; over stdio there is no key
+  static permits(client, tool, resourcePath = tool.resourcePath) {
+    return !client || ClientKeyService.isAllowed(client.scopes, tool.route.method, resourcePath);
+  }
+
+  // Tool as listed to agents, with one input schema for all of the route's fields
+  static describe(tool) {
+    const { route } = tool;
+    const schema = route.schema || {};
+    const properties = {};
+    const required = [];
+
+    const pathSchema = schema.params && schema.params.properties;
+    (route.path.match(/:[A-Za-z0-9_]+/g) || []).map(param => param.slice(1)).forEach(param => {
+      properties[param] = (pathSchema && pathSchema[param]) || nonEmptyString;
+      required.push(param);
+    });
+    [schema.query, schema.body].filter(Boolean).forEach(location => {
+      Object.assign(properties, location.properties || {});
+      required.push(...(location.required || []));
+    });
+    if (tool.connections.length > 1) {
+      properties[CONNECTION_ARGUMENT] = { type: 'string', enum: tool.connections, description: `Named ${tool.title} connection (default "${DEFAULT_CONNECTION}")` };
+    }
+    if (tool.confirm) {
+      properties[CONFIRM_ARGUMENT] = { type: 'boolean', description: 'Set to true once the user has agreed to this call' };
+    }
+
+    const summary = route.summary || (route.action ? route.action.charAt(0).toUpperCase() + route.action.slice(1) : route.operation);
+    const method = route.method.toUpperCase();
+    return {
+      name: tool.name,
+      title: `${tool.title}: ${summary}`,
+      description: `${summary} (${method} ${tool.resourcePath})${tool.confirm ? '. Needs "confirm": true, so ask the user first.' : ''}`,
+      inputSchema: {
+        type: 'object',
+        properties,
+        required: [...new Set(required)],
+        additionalProperties: Boolean(schema.body && schema.body.additionalProperties !== false)
+      },
+      annotations: {
+        title: `${tool.title}: ${summary}`,
+        readOnlyHint: route.method === 'get',
+        destructiveHint: route.method === 'delete',
+        idempotentHint: ['get', 'put', 'delete'].includes(route.method),
+        openWorldHint: true
+      }
+    };
+  }
+
+  // Answer one JSON-RPC message; resolves to null for notifications.
+  // `context.client` is the caller's client key record, if any.
+  async handle(message, context = {}) {
+    const id = message && message.id !== undefined ? message.id : null;
+    try {
+      if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+        throw new JsonRpcError(INVALID_REQUEST, 'Invalid JSON-RPC request');
+      }
+      const result = await this.dispatch(message.method, message.params || {}, context);
+      return message.id === undefined ? null : { jsonrpc: '2.0', id, result };
+    } catch (error) {
+      if (message && message.method && message.id === undefined) return null;
+      if (!(error instanceof JsonRpcError)) {
+        logger.error('Error handling MCP message', { method: message && message.method, error });
+      }
+      const known = error instanceof JsonRpcError;
+      return { jsonrpc: '2.0', id, error: { code: known ? error.code : INTERNAL_ERROR, message: known ? error.message : 'Internal error' } };
+    }
+  }
+
+  // Answer a message or a batch of them; resolves to null when nothing needs an answer
+  async receive(payload, context = {}) {
+    if (!Array.isArray(payload)) return this.handle(payload, context);
+    if (payload.length === 0) {
+      return { jsonrpc: '2.0', id: null, error: { code: INVALID_REQUEST, message: 'Empty batch' } };
+    }
+    const answers = (await Promise.all(payload.map(message => this.handle(message, context)))).filter(Boolean);
+    return answers.length > 0 ? answers : null;
+  }
+
+  async dispatch(method, params, context) {
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: { name: 'tower', title: 'Tower API Gateway', version },
+          instructions: 'Tools call the GitLab, Cloudflare, Google Docs, Gemini, Hugging Face and Taskade APIs through the Tower gateway. Tools that need "confirm": true change or delete data; ask the user before setting it.'
+        };
+      case 'ping':
+        return {};
+      case 'notifications/initialized':
+      case 'notifications/cancelled':
+        return {};
+      case 'tools/list':
+        return {
+          tools: Array.from(this.tools().values())
+            .filter(tool => McpServer.permits(context.client, tool))
+            .map(McpServer.describe)
+        };
+      case 'tools/call':
+        return this.callTool(params.name, params.arguments || {}, context);
+      default:
+        throw new JsonRpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  // Run a tool. Failed calls are tool results with isError set, so the agent
+  // sees the gateway's error body; only unknown tools are protocol errors.
+  async callTool(name, args, { client = null, requestId = crypto.randomUUID() } = {}) {
+    const tool = this.tools().get(name);
+    if (!tool || typeof args !== 'object' || Array.isArray(args)) {
+      throw new JsonRpcError(INVALID_PARAMS, tool ? 'Tool arguments must be an object' : `Unknown tool: ${name}`);
+    }
+
+    const { [CONNECTION_ARGUMENT]: connection = DEFAULT_CONNECTION, [CONFIRM_ARGUMENT]: confirmed, ...fields } = args;
+
+    const { route } = tool;
+    const request = this.registry.requestFor(route, fields);
+    const resourcePath = this.registry.resourcePath(tool.provider, route, request.params);
+    if (!McpServer.permits(client, tool, resourcePath)) {
+      return McpServer.result(403, {
+        success: false,
+        error: `Client key "${client.name}" is not allowed to ${ClientKeyService.accessFor(tool.route.method)} ${resourcePath}`,
+        code: 'forbidden'
+      });
+    }
+    if (tool.confirm && confirmed !== true) {
+      return McpServer.result(428, {
+        success: false,
+        error: `${name} needs confirmation. Ask the user, then call it again with "confirm": true.`,
+        code: 'confirmation_required'
+      });
+    }
+
+    const { status, body } = await runWithContext({ requestId }, () =>
+      this.registry.invoke(tool.provider, route, { ...request, connection, client, requestId }));
+    logger.info('MCP tool called', { tool: name, connection, status, client: client ? client.name : null });
+    return McpServer.result(status, body);
+  }
+
+  // Tool result carrying a gateway response body
+  static result(status, body) {
+    return {
+      content: [{ type: 'text', text: JSON.stringify(body, null, 2) }],
+      structuredContent: body && typeof body === 'object' && !Array.isArray(body) ? body : { value: body },
+      isError: status >= 400
+    };
+  }
+
+  // Serve newline-delimited JSON-RPC on a pair of streams, e.g. stdin and
+  // stdout; resolves once the input ends
+  serveStdio(input = process.stdin, output = process.stdout) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const pending = new Set();
+    const send = answer => {
+      if (answer) output.write(JSON.stringify(answer) + '\n');
+    };
+
+    lines.on('line', line => {
+      if (!line.trim()) return;
+      let payload;
+      try {
+        payload = JSON.parse(line);
+      } catch (error) {
+        return send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+      }
+      const answered = this.receive(payload).then(send);
+      pending.add(answered);
+      answered.finally(() => pending.delete(answered));
+    });
+
+    return new Promise(resolve => {
+      lines.once('close', () => Promise.allSettled(Array.from(pending)).then(() => resolve()));
+    });
+  }
+
+  // Express handler for the Streamable HTTP transport: every POST carries
+  // messages and is answered with JSON. There is no server-initiated stream.
+  middleware() {
+    return (req, res) => {
+      if (!req.is('application/json')) {
+        return res.status(415).json({ jsonrpc: '2.0', id: null, error: { code: INVALID_REQUEST, message: 'Send JSON-RPC messages as application/json' } });
+      }
+      this.receive(req.body, { client: req.client, requestId: req.id }).then(answer => {
+        if (!answer) return res.status(202).end();
+        res.json(answer);
+      });
+    };
+  }
+}
+
+module.exports = { McpServer, PROTOCOL_VERSIONS };
@@ -0,0 +1,179 @@
+const { pathParamNames, pathParams, errorResponse, successResponse } = require('./api-schemas');
+const packageInfo = require('./package.json');
+const { CONNECTION_HEADER } = require('./provider-connections');
+const { EVENT_STREAM } = require('./event-stream');
+const { NDJSON } = require('./pagination');
+const { dryRunResponse } = require('./change-plans');
+
+// Convert an Express path ("/zones/:zoneId") to an OpenAPI path ("/zones/{zoneId}")
+function toOpenApiPath(routePath) {
+  return routePath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+// Turn a route's JSON Schemas into an OpenAPI operation object
+function describeOperation({ operationId, summary, tag, routePath, schema = {}, secured = true }) {
+  const operation = {
+    operationId,
+    summary,
+    tags: [tag],
+    parameters: [],
+    responses: {
+      200: {
+        description: 'Successful response',
+        content: { 'application/json': { schema: schema.response || {} } }
+      },
+      default: {
+        description: 'Error response',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      }
+    }
+  };
+
+  const params = schema.params || pathParams(routePath);
+  pathParamNames(routePath).forEach(name => {
+    operation.parameters.push({ name, in: 'path', required: true, schema: params.properties[name] });
+  });
+
+  const query = schema.query || { properties: {} };
+  Object.entries(query.properties || {}).forEach(([name, propertySchema]) => {
+    operation.parameters.push({
+      name,
+      in: 'query',
+      required: (query.required || []).includes(name),
+      schema: propertySchema
+    });
+  });
+
+  if (schema.body) {
+    operation.requestBody = {
+      required: (schema.body.required || []).length > 0,
+      content: { 'application/json': { schema: schema.body } }
+    };
+  }
+
+  if (!secured) {
+    operation.security = [];
+  }
+  return operation;
+}
+
+// Capitalize a route's log action for use as a summary ("fetching zones" -> "Fetching zones")
+function summarize(action) {
+  return action ? action.charAt(0).toUpperCase() + action.slice(1) : undefined;
+}
+
+// Build the OpenAPI 3 document for every provider route plus the gateway's own routes.
+// `coreRoutes` entries look like { method, path, operation, summary, tag, schema, secured }.
+function buildOpenApiDocument(registry, coreRoutes = []) {
+  const paths = {};
+  const addOperation = (method, routePath, operation) => {
+    const openApiPath = toOpenApiPath(routePath);
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][method] = operation;
+  };
+
+  registry.providers.forEach(({ definition }) => {
+    definition.routes.forEach(route => {
+      const fullPath = definition.mountPath + route.path;
+      const operation = describeOperation({
+        operationId: `${definition.name}.${route.operation}`,
+        summary: summarize(route.action),
+        tag: definition.title,
+        routePath: fullPath,
+        schema: route.schema
+      });
+      operation.parameters.push({ $ref: '#/components/parameters/Connection' });
+      if (route.async) {
+        operation.parameters.push({ $ref: '#/components/parameters/PreferAsync' });
+        operation.responses[202] = { $ref: '#/components/responses/JobAccepted' };
+      }
+      if (route.paginated) {
+        const response = operation.responses[200];
+        response.description = `${response.description}. A Link header points at the next page. With "Accept: ${NDJSON}", every page as one JSON item per line.`;
+        response.content[NDJSON] = { schema: { type: 'string' } };
+      }
+      if (route.plan) {
+        // Inline rather than a $ref, so the generated client and CLI take it as a query parameter
+        operation.parameters.push({
+          name: 'dryRun',
+          in: 'query',
+          required: false,
+          description: 'Report the change the call would make, and a plan token to apply it with, without making it',
+          schema: { type: 'boolean' }
+        });
+        const response = operation.responses[200];
+        response.description = `${response.description}. With dryRun=true, a DryRun body (x-dry-run) instead.`;
+        response.content['application/json']['x-dry-run'] = { $ref: '#/components/schemas/DryRun' };
+      }
+      if (route.stream) {
+        operation.responses[200] = {
+          description: 'Server-sent events: "token" events with {"text"} deltas, then a "done" event with the final body (x-done-event), or an "error" event with an error body',
+          content: { [EVENT_STREAM]: { schema: { type: 'string' }, 'x-done-event': route.schema.response || {} } }
+        };
+      }
+      addOperation(route.method, fullPath, operation);
+    });
+  });
+
+  coreRoutes.forEach(route => {
+    addOperation(route.method, route.path, describeOperation({
+      operationId: `tower.${route.operation}`,
+      summary: route.summary,
+      tag: route.tag || 'Tower',
+      routePath: route.path,
+      schema: route.schema,
+      secured: route.secured !== false
+    }));
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Taskade Tower API',
+      version: packageInfo.version,
+      description: 'Gateway for Taskade, GitLab, Cloudflare, Gemini, Hugging Face and Google Docs.'
+    },
+    servers: [{ url: '/' }],
+    security: [{ clientKey: [] }, { bearerKey: [] }],
+    tags: Array.from(registry.providers.values()).map(({ definition }) => ({
+      name: definition.title,
+      description: `Routes mounted under ${definition.mountPath}`
+    })),
+    paths,
+    components: {
+      securitySchemes: {
+        clientKey: { type: 'apiKey', in: 'header', name: 'X-Tower-Key' },
+        bearerKey: { type: 'http', scheme: 'bearer' }
+      },
+      parameters: {
+        Connection: {
+          name: CONNECTION_HEADER,
+          in: 'header',
+          required: false,
+          description: 'Named provider connection to use, e.g. "selfhosted"; see /connections. Defaults to "default".',
+          schema: { type: 'string' }
+        },
+        PreferAsync: {
+          name: 'Prefer',
+          in: 'header',
+          required: false,
+          description: 'Send "respond-async" to run the call as a background job and poll /jobs/{jobId} for its result.',
+          schema: { type: 'string' }
+        }
+      },
+      responses: {
+        JobAccepted: {
+          description: 'Queued as a background job; the Location header points at the job',
+          headers: { Location: { schema: { type: 'string' } } },
+          content: { 'application/json': { schema: successResponse({ job: { type: 'object' } }) } }
+        }
+      },
+      schemas: {
+        Error: errorResponse,
+        DryRun: dryRunResponse
+      }
+    }
+  };
+}
+
+module.exports = buildOpenApiDocument;
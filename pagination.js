@@ -0,0 +1,184 @@
+const GatewayError = require('./gateway-error');
+const { nonEmptyString } = require('./api-schemas');
+const { logger } = require('./logger');
+
+// Media type of a list route's export, one item per line
+const NDJSON = 'application/x-ndjson';
+
+const DEFAULT_PER_PAGE = 20;
+const MAX_PAGES = 100;
+
+const invalid = (message, code = 'invalid_pagination') => new GatewayError(message, { status: 400, code });
+
+// Query parameters every paginated list route takes, next to its own filters.
+// `perPage` bounds follow what the provider accepts.
+function paginationQuery({ minPerPage = 1, maxPerPage = 100 } = {}) {
+  return {
+    page: { type: 'integer', minimum: 1, description: 'Page to start at (default 1)' },
+    per_page: { type: 'integer', minimum: minPerPage, maximum: maxPerPage, default: DEFAULT_PER_PAGE },
+    cursor: { ...nonEmptyString, description: 'nextCursor of a previous response, instead of page' },
+    maxPages: { type: 'integer', minimum: 1, maximum: MAX_PAGES, description: 'Pages to fetch into one response (default 1; every page for an export)' }
+  };
+}
+
+// `pagination` field of a list response
+const paginationSchema = {
+  type: 'object',
+  properties: {
+    page: { type: 'integer' },
+    perPage: { type: 'integer' },
+    pages: { type: 'integer' },
+    total: { type: ['integer', 'null'] },
+    totalPages: { type: ['integer', 'null'] },
+    nextPage: { type: ['integer', 'null'] },
+    nextCursor: { type: ['string', 'null'] },
+    next: { type: ['string', 'null'] }
+  },
+  required: ['page', 'perPage', 'pages', 'total', 'totalPages', 'nextPage', 'nextCursor', 'next']
+};
+
+// Cursors are opaque to clients; today they carry the next page number
+function encodeCursor(page) {
+  return Buffer.from(JSON.stringify({ page })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { page } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(page) && page >= 1) return page;
+  } catch (error) {
+    // Reported below
+  }
+  throw invalid('The cursor is not one this gateway issued', 'invalid_cursor');
+}
+
+// The page a list request starts at and its page size
+function pageRequest(query = {}) {
+  if (query.cursor !== undefined && query.page !== undefined) {
+    throw invalid('Send either page or cursor, not both');
+  }
+  return {
+    page: query.cursor !== undefined ? decodeCursor(String(query.cursor)) : Number(query.page) || 1,
+    perPage: Number(query.per_page) || DEFAULT_PER_PAGE,
+    maxPages: query.maxPages === undefined ? null : Number(query.maxPages)
+  };
+}
+
+// One page of an in-memory list, shaped like a provider page:
+// { items, page, perPage, total, totalPages, nextPage }
+function pageOf(items, { page = 1, perPage = DEFAULT_PER_PAGE } = {}) {
+  const totalPages = Math.max(1, Math.ceil(items.length / perPage));
+  return {
+    items: items.slice((page - 1) * perPage, page * perPage),
+    page,
+    perPage,
+    total: items.length,
+    totalPages,
+    nextPage: page < totalPages ? page + 1 : null
+  };
+}
+
+// URL of the next page: the request's own, with the cursor moved on.
+// Requests from outside Express (jobs, MCP) have no URL and get null.
+function nextLink(req, cursor) {
+  if (!cursor || !req.originalUrl) return null;
+  const url = new URL(req.originalUrl, 'http://tower.invalid');
+  url.searchParams.delete('page');
+  url.searchParams.set('cursor', cursor);
+  return url.pathname + url.search;
+}
+
+function wantsExport(req) {
+  return String(req.get('accept') || '').split(',').some(type => type.trim().split(';')[0] === NDJSON);
+}
+
+// Answer a paginated list route. `fetchPage({ page, perPage })` resolves to
+// one provider page ({ items, page, perPage, total, totalPages, nextPage });
+// `field` names the list in the response body.
+//
+// By default the response holds `maxPages` pages (1 unless asked) under
+// `field` and a `pagination` block with totals and where to continue, also
+// sent as a Link header. With "Accept: application/x-ndjson" it is an
+// export instead: every page from the requested one on (or `maxPages` of
+// them), streamed one JSON item per line.
+async function sendPage(req, res, field, fetchPage) {
+  const request = pageRequest(req.query);
+  if (wantsExport(req)) return exportPages(req, res, request, fetchPage);
+
+  const items = [];
+  let current = { page: request.page, nextPage: request.page };
+  let first = null;
+  let pages = 0;
+  while (current.nextPage && pages < (request.maxPages || 1)) {
+    current = await fetchPage({ page: current.nextPage, perPage: request.perPage });
+    first = first || current;
+    items.push(...current.items);
+    pages += 1;
+  }
+
+  const nextCursor = current.nextPage ? encodeCursor(current.nextPage) : null;
+  const next = nextLink(req, nextCursor);
+  if (next) res.set('Link', `<${next}>; rel="next"`);
+  res.json({
+    success: true,
+    [field]: items,
+    pagination: {
+      page: request.page,
+      perPage: first.perPage || request.perPage,
+      pages,
+      total: Number.isFinite(first.total) ? first.total : null,
+      totalPages: Number.isFinite(first.totalPages) ? first.totalPages : null,
+      nextPage: current.nextPage || null,
+      nextCursor,
+      next
+    }
+  });
+}
+
+// Stream pages as NDJSON. Failures before the first page are thrown, so the
+// route answers with an ordinary JSON error; later ones end the export with
+// an { "error": ... } line. Stops fetching when the client goes away.
+async function exportPages(req, res, request, fetchPage) {
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  let nextPage = request.page;
+  let pages = 0;
+  let items = 0;
+  try {
+    while (nextPage && !closed && (!request.maxPages || pages < request.maxPages)) {
+      const current = await fetchPage({ page: nextPage, perPage: request.perPage });
+      if (!res.headersSent) {
+        res.status(200).set('Content-Type', `${NDJSON}; charset=utf-8`);
+        if (Number.isFinite(current.total)) res.set('X-Total-Count', String(current.total));
+      }
+      for (const item of current.items) {
+        if (!res.write(JSON.stringify(item) + '\n')) {
+          await new Promise(resolve => {
+            res.once('drain', resolve);
+            res.once('close', resolve);
+          });
+        }
+        if (closed) break;
+      }
+      items += current.items.length;
+      nextPage = current.nextPage;
+      pages += 1;
+    }
+  } catch (error) {
+    if (!res.headersSent) throw error;
+    const gatewayError = GatewayError.from(error);
+    logger.error('Error while exporting', { pages, items, status: gatewayError.status, code: gatewayError.code, error: gatewayError.message });
+    res.write(JSON.stringify({ error: { ...gatewayError.toJSON(), status: gatewayError.status } }) + '\n');
+  }
+  if (closed) {
+    logger.info('Export cancelled by the client', { pages, items });
+    return;
+  }
+  if (!res.headersSent) res.status(200).set('Content-Type', `${NDJSON}; charset=utf-8`);
+  res.end();
+}
+
+module.exports = { paginationQuery, paginationSchema, pageOf, sendPage, wantsExport, NDJSON };
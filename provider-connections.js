@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every provider has a "default" connection built from the process environment
+const DEFAULT_CONNECTION = 'default';
+
+// Header that picks a connection for one request, e.g. "selfhosted" or "gitlab:selfhosted"
+const CONNECTION_HEADER = 'X-Tower-Connection';
+
+const CONNECTION_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Replace ${VAR} references with values from the environment, so a
+// connections file can name its secrets without containing them
+function expandValue(value, env, id) {
+  return String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+    if (env[name] === undefined) {
+      throw new Error(`Connection "${id}" refers to ${name}, which is not set`);
+    }
+    return env[name];
+  });
+}
+
+// Named connections from `connections` when given, otherwise from
+// TOWER_CONNECTIONS_FILE (a JSON file) or inline TOWER_CONNECTIONS. Each key
+// is "<provider>:<name>" and each value holds the environment variables that
+// connection's service is built with:
+//
+//   { "gitlab:selfhosted": { "GITLAB_API_KEY": "${SELFHOSTED_GITLAB_TOKEN}", "GITLAB_HOST": "https://git.example.com" } }
+function loadConnections(env = process.env, connections = null) {
+  let config = {};
+  if (connections) {
+    config = connections;
+  } else if (env.TOWER_CONNECTIONS_FILE) {
+    config = JSON.parse(fs.readFileSync(path.resolve(env.TOWER_CONNECTIONS_FILE), 'utf8'));
+  } else if (env.TOWER_CONNECTIONS) {
+    config = JSON.parse(env.TOWER_CONNECTIONS);
+  }
+
+  return Object.entries(config).map(([id, settings]) => {
+    const separator = id.indexOf(':');
+    const provider = separator > 0 ? id.slice(0, separator) : '';
+    const name = separator > 0 ? id.slice(separator + 1) : '';
+    if (!provider || !CONNECTION_NAME.test(name) || name === DEFAULT_CONNECTION) {
+      throw new Error(`Invalid connection id "${id}". Use "<provider>:<name>" with a name of letters, digits, "-" or "_" other than "${DEFAULT_CONNECTION}"`);
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error(`Connection "${id}" must map environment variable names to values`);
+    }
+
+    const connectionEnv = Object.fromEntries(Object.entries(settings).map(([variable, value]) => [variable, expandValue(value, env, id)]));
+    return { id, provider, name, env: connectionEnv };
+  });
+}
+
+module.exports = { DEFAULT_CONNECTION, CONNECTION_HEADER, CONNECTION_NAME, loadConnections };
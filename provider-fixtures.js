@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const GatewayError = require('./gateway-error');
+const { redactSecretValues } = require('./logger');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Fixture file for one provider, e.g. fixtures/gitlab.json
+function fixturePath(provider, dir = process.env.TOWER_FIXTURES_DIR || DEFAULT_FIXTURES_DIR) {
+  return path.join(path.resolve(dir), `${provider}.json`);
+}
+
+// Interactions are matched on the method name and its arguments
+function interactionKey(method, args) {
+  const digest = crypto.createHash('sha1').update(JSON.stringify(args.map(encodeValue))).digest('hex').slice(0, 16);
+  return `${method}:${digest}`;
+}
+
+// JSON cannot hold binary results (text-to-image returns a Blob), so tag them
+function encodeValue(value) {
+  if (Buffer.isBuffer(value)) {
+    return { $binary: value.toString('base64') };
+  }
+  return value === undefined ? null : value;
+}
+
+async function encodeResult(value) {
+  if (typeof Blob !== 'undefined' && value instanceof Blob) {
+    return { $blob: Buffer.from(await value.arrayBuffer()).toString('base64'), type: value.type };
+  }
+  return encodeValue(value);
+}
+
+function decodeResult(value) {
+  if (value && typeof value === 'object' && value.$blob !== undefined) {
+    return new Blob([Buffer.from(value.$blob, 'base64')], { type: value.type });
+  }
+  if (value && typeof value === 'object' && value.$binary !== undefined) {
+    return Buffer.from(value.$binary, 'base64');
+  }
+  return value;
+}
+
+function readFixtures(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8')).interactions || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Records every call a live service makes to its upstream, with the result or
+// the error it produced, into the provider's fixture file
+class FixtureRecorder {
+  constructor(provider, filePath = fixturePath(provider)) {
+    this.provider = provider;
+    this.filePath = filePath;
+    this.interactions = readFixtures(filePath);
+  }
+
+  // Wrap a live service instance. Methods run on the unwrapped instance, so a
+  // method that calls another is recorded once, as the outer call.
+  wrap(service) {
+    return new Proxy(service, {
+      get: (target, property) => {
+        const value = target[property];
+        if (typeof value !== 'function' || value.constructor.name !== 'AsyncFunction') {
+          return value;
+        }
+        return async (...args) => {
+          try {
+            const result = await value.apply(target, args);
+            this.save({ method: property, args, result: await encodeResult(result) });
+            return result;
+          } catch (error) {
+            const gatewayError = GatewayError.from(error, this.provider);
+            this.save({
+              method: property,
+              args,
+              error: {
+                message: gatewayError.message,
+                status: gatewayError.status,
+                code: gatewayError.code,
+                upstreamStatus: gatewayError.upstreamStatus,
+                retryable: gatewayError.retryable,
+                retryAfter: gatewayError.retryAfter,
+                details: gatewayError.details
+              }
+            });
+            throw error;
+          }
+        };
+      }
+    });
+  }
+
+  save({ method, args, result, error }) {
+    // Credentials from the environment must never end up in a committed fixture
+    this.interactions.push(redactSecretValues({
+      key: interactionKey(method, args),
+      method,
+      args: args.map(encodeValue),
+      result: error ? undefined : result,
+      error,
+      recordedAt: new Date().toISOString()
+    }));
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ provider: this.provider, interactions: this.interactions }, null, 2) + '\n');
+  }
+}
+
+// Answers calls from recorded fixtures without touching the network. Calls
+// with the same method and arguments replay their recordings in order, then
+// keep returning the last one.
+class FixtureReplayer {
+  constructor(provider, filePath = fixturePath(provider)) {
+    this.provider = provider;
+    this.filePath = filePath;
+    this.recordings = new Map();
+    this.positions = new Map();
+
+    readFixtures(filePath).forEach(interaction => {
+      if (!this.recordings.has(interaction.key)) this.recordings.set(interaction.key, []);
+      this.recordings.get(interaction.key).push(interaction);
+    });
+  }
+
+  // Build a stand-in for a service class: async methods replay fixtures,
+  // plain helpers (such as text extraction) run as usual. Streams are not
+  // recorded, so streaming methods fail as if their fixture were missing.
+  create(ServiceClass) {
+    const instance = Object.create(ServiceClass.prototype);
+    return new Proxy(instance, {
+      get: (target, property) => {
+        const value = target[property];
+        if (typeof value === 'function' && value.constructor.name === 'AsyncGeneratorFunction') {
+          const error = new GatewayError(`${property} streams are not recorded in fixtures`, { status: 501, code: 'fixture_missing', provider: this.provider });
+          return async function* () {
+            throw error;
+          };
+        }
+        if (typeof value !== 'function' || value.constructor.name !== 'AsyncFunction') {
+          return value;
+        }
+        return async (...args) => this.replay(property, args);
+      }
+    });
+  }
+
+  replay(method, args) {
+    const key = interactionKey(method, args);
+    const recordings = this.recordings.get(key);
+    if (!recordings) {
+      throw new GatewayError(`No ${this.provider} fixture recorded for ${method} with these arguments`, {
+        status: 501,
+        code: 'fixture_missing',
+        provider: this.provider,
+        details: { key, fixtures: this.filePath }
+      });
+    }
+
+    const position = this.positions.get(key) || 0;
+    const interaction = recordings[Math.min(position, recordings.length - 1)];
+    this.positions.set(key, position + 1);
+
+    if (interaction.error) {
+      const { message, ...options } = interaction.error;
+      throw new GatewayError(message, { ...options, provider: this.provider });
+    }
+    return decodeResult(interaction.result);
+  }
+}
+
+module.exports = { FixtureRecorder, FixtureReplayer, fixturePath, interactionKey };
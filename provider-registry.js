@@ -0,0 +1,749 @@
+const express = require('express');
+const path = require('path');
+const GatewayError = require('./gateway-error');
+const validateRequest = require('./request-validator');
+const { ResiliencePolicy } = require('./resilience');
+const { ResponseCache } = require('./response-cache');
+const { JobQueue } = require('./job-queue');
+const { EventSubscriptions } = require('./event-subscriptions');
+const { sanitize } = require('./audit-log');
+const { diffChange, describeChange } = require('./change-plans');
+const { logger } = require('./logger');
+const { FixtureRecorder, FixtureReplayer, fixturePath } = require('./provider-fixtures');
+const { DEFAULT_CONNECTION, CONNECTION_HEADER, loadConnections } = require('./provider-connections');
+
+// How a provider reaches its upstream: live calls, live calls recorded to
+// fixtures, fixture replay, or an in-memory fake
+const PROVIDER_MODES = ['live', 'record', 'replay', 'fake'];
+
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Keeps track of every service module that exposes routes through the gateway.
+// A provider is a service class with a static `provider` definition:
+//
+//   MyService.provider = {
+//     name: 'my-service',            // unique id, used in logs and /providers
+//     title: 'My Service',           // human readable name for messages
+//     mountPath: '/my-service',      // where its routes are mounted
+//     requiredEnv: ['MY_API_KEY'],   // env vars needed to construct the service;
+//                                    // ['MY_TOKEN', 'MY_KEY'] as one entry means either will do
+//     capabilities: ['things'],      // free-form list of what it can do
+//     probe: service => service.ping(),
+//     verify: service => service.checkCredentials(),  // run when a connection is built; result shown in /providers
+//     resilience: { idempotent: ['search'], timeoutMs: 60000 },  // see resilience.js
+//     fake: () => require('./my-fake'),  // in-memory stand-in class for fake mode
+//     routes: [
+//       {
+//         method: 'get',
+//         path: '/things',
+//         operation: 'getThings',           // operation name, usually the service method
+//         action: 'fetching things',        // used in log messages
+//         schema: { query, body, response },  // JSON Schemas, see api-schemas.js
+//         cache: { ttlSeconds: 60, tag: 'things' },  // GET only, see response-cache.js
+//         invalidates: ['things'],          // cache tags a successful call makes stale
+//         async: true,                      // "Prefer: respond-async" runs the call as a job, see job-queue.js
+//         stream: true,                     // answers with server-sent events, see event-stream.js
+//         paginated: true,                  // list route answered with sendPage(), see pagination.js
+//         event: 'thing.created',           // published as "my-service.thing.created" on success, see event-subscriptions.js
+//         plan: async (req, service) => ({ before, after }),  // state now and after the call, for ?dryRun=true, see change-plans.js
+//         // non-GET routes are recorded in the audit log when the registry has one, see audit-log.js
+//         handler: async (req, res, service, providers) => { ... }
+//       }
+//     ]
+//   };
+//
+// Services are constructed with the environment of the connection they serve,
+// `new MyService(env)`, and read their settings from it rather than from
+// process.env. Named connections are described in provider-connections.js.
+class ProviderRegistry {
+  constructor({ cache = new ResponseCache(), audit = null, jobs = null, events = null, plans = null } = {}) {
+    this.providers = new Map();
+    this.cache = cache;
+    this.audit = audit;
+    this.jobs = jobs;
+    this.events = events;
+    this.plans = plans;
+    // Compiled argument checks for routes called through invoke()
+    this.requestChecks = new WeakMap();
+  }
+
+  // Register a service class that carries a static provider definition
+  register(ServiceClass) {
+    const definition = ServiceClass.provider;
+    if (!definition || !definition.name || !definition.mountPath || !Array.isArray(definition.routes)) {
+      throw new Error(`${ServiceClass.name} does not declare a provider definition with name, mountPath and routes`);
+    }
+    if (this.providers.has(definition.name)) {
+      throw new Error(`Provider "${definition.name}" is already registered`);
+    }
+
+    definition.routes.forEach(route => {
+      if (!ROUTE_METHODS.includes(route.method) || !route.path || typeof route.handler !== 'function') {
+        throw new Error(`Provider "${definition.name}" has an invalid route: ${route.method} ${route.path}`);
+      }
+    });
+
+    this.providers.set(definition.name, {
+      definition: {
+        title: definition.name,
+        requiredEnv: [],
+        capabilities: [],
+        ...definition
+      },
+      ServiceClass,
+      mode: 'live',
+      connections: new Map()
+    });
+    return this;
+  }
+
+  // Register drop-in provider modules from a comma-separated list of paths
+  loadModules(modulePaths = '') {
+    modulePaths.split(',').map(p => p.trim()).filter(Boolean).forEach(modulePath => {
+      const ServiceClass = require(path.resolve(modulePath));
+      this.register(ServiceClass);
+    });
+    return this;
+  }
+
+  // Mode for one provider from TOWER_<PROVIDER>_MODE, then TOWER_PROVIDER_MODE
+  static modeFor(providerName, env = process.env) {
+    const prefix = `TOWER_${providerName.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_`;
+    const mode = (env[`${prefix}MODE`] || env.TOWER_PROVIDER_MODE || 'live').toLowerCase();
+    if (!PROVIDER_MODES.includes(mode)) {
+      throw new Error(`Unknown provider mode "${mode}" for ${providerName}; use one of ${PROVIDER_MODES.join(', ')}`);
+    }
+    return mode;
+  }
+
+  // Construct every provider's default connection from the environment and
+  // register its named connections (see provider-connections.js), which are
+  // only constructed when a request first uses them
+  initialize(env = process.env, { connections = null } = {}) {
+    this.providers.forEach(entry => {
+      entry.mode = ProviderRegistry.modeFor(entry.definition.name, env);
+      entry.connections = new Map([[DEFAULT_CONNECTION, ProviderRegistry.newConnection(DEFAULT_CONNECTION, env)]]);
+      this.connect(entry, entry.connections.get(DEFAULT_CONNECTION));
+    });
+
+    loadConnections(env, connections).forEach(({ id, provider, name, env: settings }) => {
+      const entry = this.providers.get(provider);
+      if (!entry) {
+        throw new Error(`Connection "${id}" is for unknown provider "${provider}"`);
+      }
+      // Credentials are never inherited from the default connection
+      const credentials = entry.definition.requiredEnv.flat();
+      const baseEnv = Object.fromEntries(Object.entries(env).filter(([variable]) => !credentials.includes(variable)));
+      entry.connections.set(name, ProviderRegistry.newConnection(name, { ...baseEnv, ...settings }));
+    });
+    return this;
+  }
+
+  static newConnection(name, env) {
+    return { name, env, initialized: false, policy: null, service: null, missingEnv: [], initError: null, health: null, verification: null };
+  }
+
+  // Build one connection's service for the provider's mode and wrap it in a
+  // resilience policy of its own, so each account has its own circuit breaker
+  connect(entry, connection) {
+    const { definition, mode } = entry;
+    const id = connectionId(definition.name, connection.name);
+    connection.initialized = true;
+    connection.missingEnv = ['live', 'record'].includes(mode) ? missingEnvFor(definition.requiredEnv, connection.env) : [];
+
+    if (mode === 'fake' && typeof definition.fake !== 'function') {
+      connection.initError = 'no fake is available for this provider';
+      logger.warn(`${definition.title} service not initialized`, { provider: definition.name, connection: connection.name, mode, error: connection.initError });
+      return connection;
+    }
+
+    if (connection.missingEnv.length > 0) {
+      logger.warn(`${definition.title} service not initialized`, { provider: definition.name, connection: connection.name, missingEnv: connection.missingEnv });
+      return connection;
+    }
+
+    try {
+      const { idempotent = [], ...settings } = definition.resilience || {};
+      connection.policy = new ResiliencePolicy(connection.name === DEFAULT_CONNECTION ? definition.name : id, settings, connection.env);
+      connection.service = connection.policy.wrap(this.createService(entry, connection), idempotent);
+    } catch (error) {
+      connection.initError = error.message;
+      logger.warn(`${definition.title} service not initialized`, { provider: definition.name, connection: connection.name, error });
+      return connection;
+    }
+
+    // The default connections are verified together at startup
+    if (connection.name !== DEFAULT_CONNECTION) {
+      this.verifyConnection(entry, connection);
+    }
+    return connection;
+  }
+
+  // Run every default connection's `verify` hook, e.g. to check an API
+  // token's status and permissions once at startup
+  verifyCredentials() {
+    return Promise.all(Array.from(this.providers.values()).map(entry =>
+      this.verifyConnection(entry, entry.connections.get(DEFAULT_CONNECTION))
+    ));
+  }
+
+  // Run a provider's `verify` hook for one connection. Never throws; the
+  // outcome is logged and kept for /providers and /connections.
+  async verifyConnection(entry, connection) {
+    const { definition, mode } = entry;
+    // Replayed fixtures hold no live credentials worth checking
+    if (!connection.service || typeof definition.verify !== 'function' || mode === 'replay') {
+      return null;
+    }
+
+    const checkedAt = new Date().toISOString();
+    try {
+      const details = await definition.verify(connection.service);
+      connection.verification = { ok: true, checkedAt, details };
+      logger.info(`${definition.title} credentials verified`, { provider: definition.name, connection: connection.name, details });
+    } catch (error) {
+      const gatewayError = GatewayError.from(error, definition.name);
+      connection.verification = { ok: false, checkedAt, code: gatewayError.code, error: gatewayError.message };
+      logger.error(`${definition.title} credentials could not be verified`, {
+        provider: definition.name,
+        connection: connection.name,
+        code: gatewayError.code,
+        error: gatewayError.message
+      });
+    }
+    return connection.verification;
+  }
+
+  // Build the raw service instance for a connection in the provider's mode.
+  // Named connections record to and replay from their own fixture files.
+  createService({ definition, ServiceClass, mode }, connection) {
+    const fixtures = () => fixturePath(
+      connection.name === DEFAULT_CONNECTION ? definition.name : `${definition.name}.${connection.name}`,
+      connection.env.TOWER_FIXTURES_DIR || undefined
+    );
+    switch (mode) {
+      case 'record':
+        return new FixtureRecorder(definition.name, fixtures()).wrap(new ServiceClass(connection.env));
+      case 'replay':
+        return new FixtureReplayer(definition.name, fixtures()).create(ServiceClass);
+      case 'fake': {
+        const FakeService = definition.fake();
+        return new FakeService();
+      }
+      default:
+        return new ServiceClass(connection.env);
+    }
+  }
+
+  // Look up one of a provider's connections, constructing it on first use.
+  // Returns null for unknown providers and connections.
+  connection(name, connectionName = DEFAULT_CONNECTION) {
+    const entry = this.providers.get(name);
+    const connection = entry && entry.connections ? entry.connections.get(connectionName) : null;
+    if (!connection) {
+      return null;
+    }
+    return connection.initialized ? connection : this.connect(entry, connection);
+  }
+
+  // Get a provider's service instance, or null if it is not available
+  get(name, connectionName = DEFAULT_CONNECTION) {
+    const connection = this.connection(name, connectionName);
+    return connection ? connection.service : null;
+  }
+
+  // A provider's route for an operation, as workflow steps name them, or null.
+  // Streamed routes are left out; each has a buffered route of its own.
+  route(name, operation) {
+    const entry = this.providers.get(name);
+    return (entry && entry.definition.routes.find(route => route.operation === operation && !route.stream)) || null;
+  }
+
+  // Path a call to a route acts on, with its parameters filled in, e.g.
+  // /gitlab/projects/42; the path client key scopes and audit entries name
+  resourcePath(name, route, params = {}) {
+    const { mountPath } = this.providers.get(name).definition;
+    return mountPath + route.path.replace(/:([A-Za-z0-9_]+)/g, (match, param) => encodeURIComponent(params[param] ?? ''));
+  }
+
+  // Split one object of fields into a route's path parameters, query and
+  // body, for callers that name a route's fields together (MCP tools,
+  // workflow steps). Fields the query schema lists go in the query, and so
+  // does everything on routes without a body.
+  requestFor(route, fields = {}) {
+    const schema = route.schema || {};
+    const pathParams = (route.path.match(/:[A-Za-z0-9_]+/g) || []).map(param => param.slice(1));
+    const queryFields = Object.keys((schema.query && schema.query.properties) || {});
+    const request = { params: {}, query: {}, body: schema.body ? {} : undefined };
+    Object.entries(fields).forEach(([field, value]) => {
+      if (pathParams.includes(field)) {
+        request.params[field] = String(value);
+      } else if (queryFields.includes(field) || !schema.body) {
+        request.query[field] = value;
+      } else {
+        request.body[field] = value;
+      }
+    });
+    return request;
+  }
+
+  // Paths under which provider routes are mounted
+  mountPaths() {
+    return Array.from(this.providers.values()).map(entry => entry.definition.mountPath);
+  }
+
+  // Summarize every provider for status endpoints; availability and circuit
+  // state are those of the default connection
+  list() {
+    return Array.from(this.providers.values()).map(({ definition, mode, connections }) => {
+      const { service, policy, missingEnv, initError, verification } = connections.get(DEFAULT_CONNECTION);
+      return {
+        name: definition.name,
+        title: definition.title,
+        mountPath: definition.mountPath,
+        mode,
+        available: !!service,
+        missingEnv,
+        initError,
+        verification,
+        circuit: policy ? policy.status() : null,
+        connections: Array.from(connections.keys()),
+        capabilities: definition.capabilities,
+        routes: definition.routes.map(route => `${route.method.toUpperCase()} ${definition.mountPath}${route.path}`)
+      };
+    });
+  }
+
+  // Summarize every connection of every provider. Named connections that no
+  // request has used yet are reported without being constructed.
+  listConnections() {
+    return Array.from(this.providers.values()).flatMap(({ definition, mode, connections }) =>
+      Array.from(connections.values()).map(connection => ({
+        id: connectionId(definition.name, connection.name),
+        provider: definition.name,
+        name: connection.name,
+        default: connection.name === DEFAULT_CONNECTION,
+        mode,
+        initialized: connection.initialized,
+        available: connection.initialized ? !!connection.service : null,
+        missingEnv: connection.initialized || !['live', 'record'].includes(mode)
+          ? connection.missingEnv
+          : missingEnvFor(definition.requiredEnv, connection.env),
+        initError: connection.initError,
+        verification: connection.verification,
+        circuit: connection.policy ? connection.policy.status() : null,
+        paths: connection.name === DEFAULT_CONNECTION
+          ? [definition.mountPath]
+          : [`${definition.mountPath}:${connection.name}`, `${definition.mountPath} with ${CONNECTION_HEADER}: ${connection.name}`]
+      }))
+    );
+  }
+
+  // Run the health probe of a provider's default connection. The outcome is
+  // remembered so status endpoints can report when a provider last failed and why.
+  async probe(name, { timeoutMs = 10000 } = {}) {
+    const entry = this.providers.get(name);
+    if (!entry) {
+      throw new Error(`Unknown provider "${name}"`);
+    }
+    const connection = entry.connections.get(DEFAULT_CONNECTION);
+    if (!connection.service) {
+      return { name, available: false, healthy: false, auth: 'missing', error: this.unavailableMessage(name) };
+    }
+    if (typeof entry.definition.probe !== 'function') {
+      return { name, available: true, healthy: connection.policy.status().state !== 'open', probed: false, auth: 'unknown', circuit: connection.policy.status() };
+    }
+
+    const started = Date.now();
+    const health = connection.health || (connection.health = { lastProbeAt: null, lastSuccessAt: null, lastError: null });
+    health.lastProbeAt = new Date(started).toISOString();
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new GatewayError(`Health probe timed out after ${timeoutMs}ms`, {
+        status: 504,
+        code: 'upstream_timeout',
+        provider: name
+      })), timeoutMs);
+    });
+
+    try {
+      await Promise.race([entry.definition.probe(connection.service), timeout]);
+      health.lastSuccessAt = new Date().toISOString();
+      return { name, available: true, healthy: true, probed: true, auth: 'ok', latencyMs: Date.now() - started, ...health, circuit: connection.policy.status() };
+    } catch (error) {
+      const gatewayError = GatewayError.from(error, name);
+      health.lastError = { message: gatewayError.message, code: gatewayError.code, at: new Date().toISOString() };
+      return {
+        name,
+        available: true,
+        healthy: false,
+        probed: true,
+        auth: authStatus(gatewayError),
+        latencyMs: Date.now() - started,
+        error: gatewayError.message,
+        ...health,
+        circuit: connection.policy.status()
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Message returned when a provider's service could not be constructed
+  unavailableMessage(name, connectionName = DEFAULT_CONNECTION) {
+    const { definition } = this.providers.get(name);
+    const envNames = definition.requiredEnv.length > 0 ? definition.requiredEnv.map(envLabel).join(', ') : 'configuration';
+    if (connectionName !== DEFAULT_CONNECTION) {
+      return `${definition.title} connection "${connectionName}" is not available. Please check its ${envNames}.`;
+    }
+    return `${definition.title} service is not available. Please check your ${envNames}.`;
+  }
+
+  // Error thrown when a route needs a provider that could not be constructed
+  unavailableError(name, connectionName = DEFAULT_CONNECTION) {
+    return new GatewayError(this.unavailableMessage(name, connectionName), { status: 503, code: 'provider_unavailable', provider: name });
+  }
+
+  // Express middleware, mounted before authentication: a path such as
+  // /gitlab:selfhosted/projects selects the "selfhosted" connection and is
+  // then routed, authorized and audited as /gitlab/projects
+  routeConnections() {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const mountPaths = this.mountPaths().map(escape).join('|');
+    const pattern = new RegExp(`^(${mountPaths}):([A-Za-z0-9_-]{1,64})(?=[/?]|$)`);
+
+    return (req, res, next) => {
+      const match = pattern.exec(req.url);
+      if (match) {
+        req.connectionName = match[2];
+        req.url = match[1] + req.url.slice(match[0].length);
+      }
+      next();
+    };
+  }
+
+  // Build an Express router for one provider
+  createRouter(name) {
+    const entry = this.providers.get(name);
+    const { definition } = entry;
+    const router = express.Router();
+
+    // Pick the request's connection; a connection path wins over the header,
+    // which takes either "selfhosted" or "gitlab:selfhosted"
+    router.use((req, res, next) => {
+      const requested = req.connectionName || req.get(CONNECTION_HEADER) || DEFAULT_CONNECTION;
+      const connectionName = requested.startsWith(`${name}:`) ? requested.slice(name.length + 1) : requested;
+      if (!entry.connections.has(connectionName)) {
+        return new GatewayError(`Unknown ${definition.title} connection "${requested}"`, { status: 404, code: 'unknown_connection', provider: name }).send(res);
+      }
+      req.connectionName = connectionName;
+
+      // ?dryRun=true on a mutating route is the gateway's, not one of the route's fields
+      if (req.method !== 'GET' && req.query.dryRun !== undefined) {
+        const dryRun = String(req.query.dryRun);
+        if (!['true', 'false'].includes(dryRun)) {
+          return new GatewayError('Invalid request: query.dryRun must be true or false', {
+            status: 400,
+            code: 'validation_failed',
+            details: [{ location: 'query.dryRun', message: 'must be true or false' }]
+          }).send(res);
+        }
+        delete req.query.dryRun;
+        req.dryRun = dryRun === 'true';
+      }
+      next();
+    });
+
+    definition.routes.forEach(route => {
+      const middleware = [validateRequest(route.path, route.schema), this.cache.middleware(name, route)];
+      if (this.events) {
+        middleware.unshift(this.events.middleware(name, route));
+      }
+      if (this.audit) {
+        // First, so calls rejected by validation are recorded too
+        middleware.unshift(this.audit.middleware(name, route));
+      }
+      router[route.method](route.path, ...middleware, async (req, res) => {
+        try {
+          const { service } = this.connection(name, req.connectionName);
+          if (!service && route.requiresService !== false) {
+            throw this.unavailableError(name, req.connectionName);
+          }
+
+          if (req.dryRun) {
+            return res.json(await this.dryRun(name, route, service, req));
+          }
+          if (route.async && this.jobs && prefersAsync(req)) {
+            return this.submitJob(name, route, req, res);
+          }
+
+          await route.handler(req, res, service, this);
+        } catch (error) {
+          const gatewayError = GatewayError.from(error, name);
+          logger.error(`Error ${route.action || 'handling request'}`, {
+            provider: name,
+            connection: req.connectionName,
+            operation: route.operation,
+            status: gatewayError.status,
+            code: gatewayError.code,
+            error: gatewayError.message
+          });
+          gatewayError.send(res);
+        }
+      });
+    });
+
+    return router;
+  }
+
+  // Queue a route call as a job and answer 202 with where to poll for it
+  submitJob(name, route, req, res) {
+    const job = this.jobs.submit({
+      provider: name,
+      connection: req.connectionName,
+      operation: route.operation,
+      method: req.method,
+      // Relative to where the app is mounted, like client key scopes
+      resource: (req.baseUrl + req.path).slice((req.towerBaseUrl || '').length),
+      request: { params: req.params, query: req.query, body: req.body },
+      client: req.client ? { id: req.client.id, name: req.client.name } : null,
+      requestId: req.id
+    });
+
+    res.status(202)
+      .set('Location', `${req.towerBaseUrl || ''}/jobs/${job.id}`)
+      .set('Preference-Applied', 'respond-async')
+      .json({ success: true, job: JobQueue.describe(job) });
+  }
+
+  // Answer a ?dryRun=true call: read the state the route would change and
+  // report the change without making it. With a plan store, the request is
+  // also kept as a plan, which applyPlan() can carry out later.
+  async dryRun(name, route, service, req) {
+    if (typeof route.plan !== 'function') {
+      throw new GatewayError(`${route.operation || route.path} does not support dryRun`, { status: 400, code: 'dry_run_unsupported', provider: name });
+    }
+
+    // Relative to where the app is mounted, like client key scopes
+    const resource = (req.baseUrl + req.path).slice((req.towerBaseUrl || '').length);
+    const { action, ...states } = describeChange(await route.plan(req, service));
+    const change = { action, resource, ...states };
+    const plan = this.plans && this.plans.create({
+      provider: name,
+      connection: req.connectionName,
+      operation: route.operation,
+      method: req.method,
+      resource,
+      request: { params: { ...req.params }, query: { ...req.query }, body: req.body },
+      change,
+      client: req.client ? { id: req.client.id, name: req.client.name } : null,
+      requestId: req.id
+    });
+
+    return {
+      success: true,
+      dryRun: true,
+      change,
+      plan: plan ? { token: plan.token, expiresAt: plan.expiresAt, apply: `${req.towerBaseUrl || ''}/plans/${plan.token}/apply` } : null
+    };
+  }
+
+  // Carry out a plan made by a dry run. The route's state is read again
+  // first, and if the change it would now make is not the one that was
+  // reviewed, the plan is refused as stale. Otherwise its request is made
+  // through invoke(), so it is validated, audited and publishes its event
+  // like any other call. Callers take the plan out of the store first, so
+  // it is used up by one attempt whatever the outcome.
+  async applyPlan(plan, { client = null, requestId = null } = {}) {
+    const route = this.providers.get(plan.provider).definition.routes
+      .find(r => r.operation === plan.operation && r.method === plan.method.toLowerCase());
+    const { service } = this.connection(plan.provider, plan.connection);
+    if (!service) {
+      throw this.unavailableError(plan.provider, plan.connection);
+    }
+
+    const req = { ...plan.request, method: plan.method, connectionName: plan.connection, client, id: requestId, get: () => undefined };
+    const current = describeChange(await route.plan(req, service));
+    const changed = diffChange(
+      { before: plan.change.before, after: plan.change.after },
+      { before: current.before, after: current.after }
+    );
+    if (changed.length > 0) {
+      throw new GatewayError('The resource has changed since this plan was made; make a new dry run to review the change', {
+        status: 409,
+        code: 'plan_stale',
+        provider: plan.provider,
+        details: { changed }
+      });
+    }
+
+    return this.invoke(plan.provider, route, { connection: plan.connection, ...plan.request, client, requestId });
+  }
+
+  // Run a queued job the way its route would have handled the request and
+  // return the response the handler produced. Used as the job queue's runner.
+  // The call goes through invoke(), so its real outcome is audited, drops the
+  // cache entries it makes stale and publishes its event.
+  async runJob(job) {
+    const entry = this.providers.get(job.provider);
+    const route = entry && entry.definition.routes.find(r => r.operation === job.operation && r.method === job.method.toLowerCase());
+    if (!route) {
+      throw new GatewayError(`The ${job.provider} route for this job no longer exists`, { status: 410, code: 'job_route_missing', provider: job.provider });
+    }
+
+    return this.invoke(job.provider, route, { connection: job.connection, ...job.request, client: job.client, requestId: job.requestId });
+  }
+
+  // Call a provider route the way a request to it would be handled, for
+  // callers outside Express such as the MCP server and workflow steps: the
+  // arguments are validated, then the call is audited, drops the cache
+  // entries it makes stale and publishes its event like a request would.
+  // Resolves to { status, body }; failures resolve to the error's status and body.
+  async invoke(name, route, { connection = DEFAULT_CONNECTION, params = {}, query = {}, body, client = null, requestId = null } = {}) {
+    const entry = this.providers.get(name);
+    const started = Date.now();
+    const resource = this.resourcePath(name, route, params);
+    const req = { method: route.method.toUpperCase(), params: { ...params }, query: { ...query }, body, connectionName: connection, client, id: requestId, get: () => undefined };
+
+    let result;
+    try {
+      if (!this.requestChecks.has(route)) {
+        this.requestChecks.set(route, validateRequest.compile(route.path, route.schema));
+      }
+      const invalid = this.requestChecks.get(route)(req);
+      if (invalid) throw invalid;
+
+      const selected = this.connection(name, connection);
+      if (!selected) {
+        throw new GatewayError(`Unknown ${entry.definition.title} connection "${connection}"`, { status: 404, code: 'unknown_connection', provider: name });
+      }
+      if (!selected.service && route.requiresService !== false) {
+        throw this.unavailableError(name, connection);
+      }
+      result = await this.runRoute(name, route, selected.service, req, { resource, client });
+    } catch (error) {
+      const gatewayError = GatewayError.from(error, name);
+      logger.error(`Error ${route.action || 'handling request'}`, {
+        provider: name,
+        connection,
+        operation: route.operation,
+        status: gatewayError.status,
+        code: gatewayError.code,
+        error: gatewayError.message
+      });
+      result = { status: gatewayError.status, body: gatewayError.toJSON() };
+    }
+
+    const failed = result.status >= 400;
+    if (!failed && route.invalidates) {
+      this.cache.invalidate(route.invalidates.map(tag => ResponseCache.resolveTag(name, tag, req)));
+    }
+    if (this.audit && route.method !== 'get') {
+      this.audit.record({
+        occurredAt: new Date(started).toISOString(),
+        provider: name,
+        connection,
+        operation: route.operation || null,
+        method: req.method,
+        resource,
+        params: { ...params },
+        client: client ? { id: client.id, name: client.name } : null,
+        request: sanitize(body && Object.keys(body).length > 0 ? body : null),
+        status: result.status,
+        outcome: failed ? 'failure' : 'success',
+        error: failed ? { code: result.body.code, message: result.body.error } : null,
+        response: failed ? null : sanitize(result.body ?? null),
+        durationMs: Date.now() - started
+      }).catch(error => {
+        logger.error('Error writing audit log entry', { error });
+      });
+    }
+    return result;
+  }
+
+  // Run a route's handler on a request-like object and publish the route's
+  // event when it succeeds; returns the response the handler produced
+  async runRoute(name, route, service, req, { resource, client }) {
+    const res = capturedResponse();
+    await route.handler(req, res, service, this);
+
+    if (this.events && route.event && res.statusCode < 300) {
+      this.events.publish(EventSubscriptions.eventFor(name, route, {
+        connection: req.connectionName,
+        resource,
+        params: req.params,
+        client,
+        requestId: req.id
+      }, res.body));
+    }
+    return { status: res.statusCode, body: res.body };
+  }
+
+  // Mount every provider's router on an Express app
+  mount(app) {
+    this.providers.forEach(entry => {
+      app.use(entry.definition.mountPath, this.createRouter(entry.definition.name));
+    });
+    return app;
+  }
+}
+
+// Whether a request asked to be answered with a job, per RFC 7240
+function prefersAsync(req) {
+  return /(^|[\s,;])respond-async([\s,;]|$)/i.test(req.get('prefer') || '');
+}
+
+// Stand-in for an Express response that keeps what a route handler sends,
+// for handlers run outside a request
+function capturedResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set() {
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Name of a required variable, or its alternatives ("A_TOKEN or A_KEY")
+function envLabel(required) {
+  return [].concat(required).join(' or ');
+}
+
+// Required variables an environment lacks; an entry that lists alternatives
+// is satisfied by any one of them
+function missingEnvFor(requiredEnv, env) {
+  return requiredEnv.filter(required => ![].concat(required).some(name => env[name])).map(envLabel);
+}
+
+// Connection id as used in configuration and listings, e.g. "gitlab:selfhosted"
+function connectionId(provider, connectionName) {
+  return `${provider}:${connectionName}`;
+}
+
+// Whether a failed probe says the provider rejected our credentials.
+// Some APIs (Gemini, Google OAuth) answer a bad key with 400 rather than 401.
+function authStatus(gatewayError) {
+  if (['upstream_unauthorized', 'upstream_forbidden'].includes(gatewayError.code)) {
+    return 'rejected';
+  }
+  if (gatewayError.upstreamStatus === 400 && /api key|invalid_grant|invalid_client|unauthori[sz]ed|credentials/i.test(gatewayError.message)) {
+    return 'rejected';
+  }
+  // The upstream answered, so the credentials were at least accepted
+  return gatewayError.upstreamStatus && gatewayError.upstreamStatus < 500 ? 'ok' : 'unknown';
+}
+
+// Shared with core routes that can also answer asynchronously
+ProviderRegistry.prefersAsync = prefersAsync;
+
+module.exports = ProviderRegistry;
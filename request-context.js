@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Header carrying the correlation ID, both toward our clients and toward upstream APIs
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+// Express middleware: reuse the caller's X-Request-Id when it looks sane,
+// otherwise mint one, and echo it back on the response
+function assignRequestId(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  next();
+}
+
+// Express middleware: run the rest of the request inside its context so
+// loggers and service clients can find the request ID. Mounted after the body
+// parser, whose stream callbacks would otherwise drop the context.
+function bindRequestContext(req, res, next) {
+  storage.run({ requestId: req.id }, next);
+}
+
+// Run a function inside a context of its own, for work that does not start from a request
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+function currentRequestId() {
+  const context = storage.getStore();
+  return context ? context.requestId : undefined;
+}
+
+// Headers to add to an upstream call made for the current request
+function correlationHeaders() {
+  const requestId = currentRequestId();
+  return requestId ? { [REQUEST_ID_HEADER]: requestId } : {};
+}
+
+// fetch that adds the correlation header; for SDKs that accept a custom fetch
+function tracedFetch(url, init = {}) {
+  const headers = new Headers(init.headers);
+  Object.entries(correlationHeaders()).forEach(([name, value]) => headers.set(name, value));
+  return fetch(url, { ...init, headers });
+}
+
+// Add the correlation header to a headers object that an SDK copies on every
+// call (gitbeaker copies each resource's headers per request). The getter is
+// read at copy time; clients that drop undefined headers skip it outside a request.
+function addCorrelationHeader(headers) {
+  Object.defineProperty(headers, REQUEST_ID_HEADER, {
+    enumerable: true,
+    configurable: true,
+    get: currentRequestId
+  });
+  return headers;
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  assignRequestId,
+  bindRequestContext,
+  runWithContext,
+  currentRequestId,
+  correlationHeaders,
+  tracedFetch,
+  addCorrelationHeader
+};
@@ -0,0 +1,79 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const GatewayError = require('./gateway-error');
+const { pathParams } = require('./api-schemas');
+
+// Query strings and path params arrive as strings, so let ajv coerce them
+// to the declared types; bodies are JSON and are checked as-is.
+const coercingAjv = new Ajv({ allErrors: true, coerceTypes: 'array', useDefaults: true, strict: false });
+const strictAjv = new Ajv({ allErrors: true, useDefaults: true, strict: false });
+addFormats(coercingAjv);
+addFormats(strictAjv);
+
+const LOCATIONS = [
+  { name: 'params', ajv: coercingAjv },
+  { name: 'query', ajv: coercingAjv },
+  { name: 'body', ajv: strictAjv }
+];
+
+// Build middleware that validates req.params, req.query and req.body.
+// `schema` is a route schema ({ params, query, body, response }); missing
+// params schemas are derived from the route path and missing query schemas
+// reject every query parameter.
+function validateRequest(routePath, schema = {}) {
+  const check = compileRequestCheck(routePath, schema);
+  return (req, res, next) => next(check(req) || undefined);
+}
+
+// Build a function that validates a request-like { params, query, body }
+// object and returns a GatewayError describing the problems, or null
+function compileRequestCheck(routePath, schema = {}) {
+  const validators = LOCATIONS.map(({ name, ajv }) => {
+    let locationSchema = schema[name];
+    if (name === 'params' && !locationSchema) locationSchema = pathParams(routePath);
+    if (name === 'query' && !locationSchema) locationSchema = { type: 'object', additionalProperties: false };
+    return locationSchema ? { name, validate: ajv.compile(locationSchema) } : null;
+  }).filter(Boolean);
+
+  return req => {
+    const problems = [];
+
+    validators.forEach(({ name, validate }) => {
+      const value = name === 'body' && req[name] === undefined ? {} : req[name];
+      if (!validate(value)) {
+        validate.errors.forEach(error => problems.push(describeProblem(name, error)));
+      }
+    });
+
+    if (problems.length === 0) return null;
+    return new GatewayError(`Invalid request: ${problems.map(p => `${p.location} ${p.message}`).join('; ')}`, {
+      status: 400,
+      code: 'validation_failed',
+      details: problems
+    });
+  };
+}
+
+// Turn an ajv error into a short, client-facing description
+function describeProblem(location, error) {
+  const field = error.instancePath ? error.instancePath.slice(1).replace(/\//g, '.') : '';
+  let message = error.message;
+
+  if (error.keyword === 'additionalProperties') {
+    message = `has unknown field "${error.params.additionalProperty}"`;
+  } else if (error.keyword === 'required') {
+    message = `is missing required field "${error.params.missingProperty}"`;
+  } else if (error.keyword === 'enum') {
+    message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+  }
+
+  return {
+    location: field ? `${location}.${field}` : location,
+    message
+  };
+}
+
+// For callers that validate route arguments outside Express
+validateRequest.compile = compileRequestCheck;
+
+module.exports = validateRequest;
@@ -0,0 +1,214 @@
+const GatewayError = require('./gateway-error');
+const { logger } = require('./logger');
+
+const DEFAULTS = {
+  retries: 2,
+  baseDelayMs: 200,
+  maxDelayMs: 5000,
+  timeoutMs: 30000,
+  breakerThreshold: 5,
+  breakerResetMs: 30000
+};
+
+// Env var suffixes for each setting, e.g. TOWER_RETRIES or TOWER_GITLAB_TIMEOUT_MS
+const ENV_NAMES = {
+  retries: 'RETRIES',
+  baseDelayMs: 'RETRY_BASE_DELAY_MS',
+  maxDelayMs: 'RETRY_MAX_DELAY_MS',
+  timeoutMs: 'TIMEOUT_MS',
+  breakerThreshold: 'BREAKER_THRESHOLD',
+  breakerResetMs: 'BREAKER_RESET_MS'
+};
+
+// Resolve settings for a provider: built-in defaults, then the provider's own
+// defaults, then TOWER_<SETTING>, then TOWER_<PROVIDER>_<SETTING>
+function resolveSettings(providerName, providerDefaults = {}, env = process.env) {
+  const prefix = `TOWER_${providerName.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_`;
+  const settings = { ...DEFAULTS, ...providerDefaults };
+
+  Object.entries(ENV_NAMES).forEach(([key, suffix]) => {
+    const value = env[prefix + suffix] ?? env[`TOWER_${suffix}`];
+    if (value !== undefined && value !== '' && Number.isFinite(Number(value))) {
+      settings[key] = Number(value);
+    }
+  });
+  return settings;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Only failures that say something about the upstream's health trip the breaker;
+// a 404 or a validation error from the provider does not
+function isUpstreamFailure(gatewayError) {
+  return gatewayError.status >= 500 || gatewayError.code === 'rate_limited';
+}
+
+class CircuitBreaker {
+  constructor({ threshold, resetMs }) {
+    this.threshold = threshold;
+    this.resetMs = resetMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  // Throw if calls should not reach the upstream right now. Once the reset
+  // time has passed, one trial call is let through; until it settles the
+  // circuit stays half-open and other calls still fail fast.
+  check(provider) {
+    if (this.state === 'closed') return;
+
+    const remainingMs = this.openedAt + this.resetMs - Date.now();
+    if (this.state === 'open' && remainingMs <= 0) {
+      this.state = 'half-open';
+      return;
+    }
+    throw new GatewayError(`${provider} circuit is open after ${this.failures} consecutive failures; failing fast`, {
+      status: 503,
+      code: 'circuit_open',
+      provider,
+      retryable: true,
+      retryAfter: Math.max(1, Math.ceil(remainingMs / 1000))
+    });
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure(error) {
+    this.failures += 1;
+    this.lastError = error.message;
+    if (this.state === 'half-open' || this.failures >= this.threshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  // A trial call that ended without saying anything about the upstream's
+  // health, such as a 404, lets the next call be the trial
+  release() {
+    if (this.state === 'half-open') this.state = 'open';
+  }
+
+  status() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Retries, timeouts and a circuit breaker for every call to one provider.
+// Settings are read from `env`, the environment of the connection it guards.
+class ResiliencePolicy {
+  constructor(provider, providerDefaults = {}, env = process.env) {
+    this.provider = provider;
+    this.settings = resolveSettings(provider, providerDefaults, env);
+    this.breaker = new CircuitBreaker({
+      threshold: this.settings.breakerThreshold,
+      resetMs: this.settings.breakerResetMs
+    });
+  }
+
+  // Run one upstream call; idempotent calls are retried on retryable failures
+  async run(fn, { idempotent = false, operation = 'call' } = {}) {
+    const maxAttempts = idempotent ? this.settings.retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      this.breaker.check(this.provider);
+
+      try {
+        const result = await this.withTimeout(fn(), operation);
+        this.breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        const gatewayError = GatewayError.from(error, this.provider);
+        if (isUpstreamFailure(gatewayError)) {
+          this.breaker.recordFailure(gatewayError);
+        } else {
+          this.breaker.release();
+        }
+
+        const delayMs = this.retryDelay(gatewayError, attempt);
+        if (attempt >= maxAttempts || !gatewayError.retryable || delayMs === null) {
+          throw error;
+        }
+
+        logger.warn(`Retrying ${this.provider} ${operation}`, {
+          provider: this.provider,
+          operation,
+          delayMs,
+          attempt: attempt + 1,
+          maxAttempts,
+          error: gatewayError.message
+        });
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  // Exponential backoff with jitter, stretched to honor Retry-After.
+  // Returns null when the upstream asks us to wait longer than we are willing to.
+  retryDelay(gatewayError, attempt) {
+    const { baseDelayMs, maxDelayMs } = this.settings;
+    const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    const jittered = Math.round(backoff / 2 + Math.random() * backoff / 2);
+
+    if (gatewayError.retryAfter !== null && gatewayError.retryAfter !== undefined) {
+      const requested = gatewayError.retryAfter * 1000;
+      return requested > maxDelayMs ? null : Math.max(jittered, requested);
+    }
+    return jittered;
+  }
+
+  withTimeout(promise, operation) {
+    const { timeoutMs } = this.settings;
+    if (!timeoutMs) return promise;
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new GatewayError(`${this.provider} ${operation} timed out after ${timeoutMs}ms`, {
+        status: 504,
+        code: 'upstream_timeout',
+        provider: this.provider,
+        retryable: true
+      })), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Wrap a service instance so every async method goes through this policy.
+  // Methods call each other on the unwrapped instance, so nested calls are not retried twice.
+  wrap(service, idempotentMethods = []) {
+    const isIdempotent = name => /^(get|list|read|show|verify)/.test(name) || idempotentMethods.includes(name);
+
+    return new Proxy(service, {
+      get: (target, property) => {
+        const value = target[property];
+        if (typeof value !== 'function' || value.constructor.name !== 'AsyncFunction') {
+          return value;
+        }
+        return (...args) => this.run(() => value.apply(target, args), {
+          idempotent: isIdempotent(property),
+          operation: property
+        });
+      }
+    });
+  }
+
+  status() {
+    return {
+      ...this.breaker.status(),
+      retries: this.settings.retries,
+      timeoutMs: this.settings.timeoutMs
+    };
+  }
+}
+
+module.exports = { ResiliencePolicy, CircuitBreaker, resolveSettings };
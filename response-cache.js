@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { DEFAULT_CONNECTION } = require('./provider-connections');
+const { wantsExport } = require('./pagination');
+
+// In-memory cache entries, keyed by string; each entry carries its own expiry
+class MemoryCacheStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  deletePrefix(prefix) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) this.entries.delete(key);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  size() {
+    return this.entries.size;
+  }
+}
+
+// Memory store that is written to a JSON file so entries survive restarts
+class FileCacheStore extends MemoryCacheStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.saveTimer = null;
+    this.exitHookInstalled = false;
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      Object.entries(saved).forEach(([key, entry]) => {
+        if (entry.expiresAt > Date.now()) this.entries.set(key, entry);
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error loading response cache', { error });
+      }
+    }
+  }
+
+  set(key, entry) {
+    super.set(key, entry);
+    this.scheduleSave();
+  }
+
+  deletePrefix(prefix) {
+    super.deletePrefix(prefix);
+    this.scheduleSave();
+  }
+
+  clear() {
+    super.clear();
+    this.scheduleSave();
+  }
+
+  // Batch writes that happen close together into one file write
+  scheduleSave() {
+    if (this.saveTimer) return;
+    if (!this.exitHookInstalled) {
+      process.once('exit', () => this.flush());
+      this.exitHookInstalled = true;
+    }
+    this.saveTimer = setTimeout(() => this.flush(), 1000);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(Object.fromEntries(this.entries)));
+    } catch (error) {
+      logger.error('Error saving response cache', { error });
+    }
+  }
+}
+
+// Caches GET responses of routes that declare `cache: { ttlSeconds, tag }` and
+// drops them when a route that declares `invalidates: [tag, ...]` succeeds.
+// Tags may reference route params, e.g. 'dns:{zoneId}'.
+class ResponseCache {
+  constructor({ store, enabled = true, ttlOverrides = {} } = {}) {
+    this.store = store || new MemoryCacheStore();
+    this.enabled = enabled;
+    this.ttlOverrides = ttlOverrides;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  // Build a cache from TOWER_CACHE, TOWER_CACHE_STORE, TOWER_CACHE_FILE and TOWER_CACHE_TTLS
+  static fromEnv(env = process.env) {
+    let ttlOverrides = {};
+    if (env.TOWER_CACHE_TTLS) {
+      try {
+        ttlOverrides = JSON.parse(env.TOWER_CACHE_TTLS);
+      } catch (error) {
+        logger.warn('Ignoring TOWER_CACHE_TTLS, it is not valid JSON', { error });
+      }
+    }
+
+    const store = env.TOWER_CACHE_STORE === 'file'
+      ? new FileCacheStore(env.TOWER_CACHE_FILE || path.join(__dirname, '.data', 'response-cache.json'))
+      : new MemoryCacheStore();
+
+    return new ResponseCache({ store, enabled: env.TOWER_CACHE !== 'off', ttlOverrides });
+  }
+
+  // Tag for one request, with route params filled in. Named connections get
+  // tags of their own, e.g. 'gitlab@selfhosted:branches:42'.
+  static resolveTag(provider, tag, req) {
+    const scope = req.connectionName && req.connectionName !== DEFAULT_CONNECTION ? `${provider}@${req.connectionName}` : provider;
+    return `${scope}:` + tag.replace(/\{([A-Za-z0-9_]+)\}/g, (match, name) => req.params[name]);
+  }
+
+  static etag(body) {
+    return `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+  }
+
+  // TTL for an operation, after TOWER_CACHE_TTLS overrides ({ "gitlab.getProjects": 120 })
+  ttlFor(operationId, defaultTtl) {
+    const override = this.ttlOverrides[operationId];
+    return Number.isFinite(override) ? override : defaultTtl;
+  }
+
+  // Express middleware for one provider route; a no-op for routes without cache settings
+  middleware(provider, route) {
+    const operationId = `${provider}.${route.operation}`;
+
+    if (route.cache && route.method === 'get') {
+      return (req, res, next) => {
+        const ttlSeconds = this.ttlFor(operationId, route.cache.ttlSeconds);
+        // Only JSON answers are cached, not NDJSON exports
+        if (!this.enabled || ttlSeconds <= 0 || wantsExport(req)) return next();
+
+        // The tag names the connection, so /gitlab:selfhosted/... and the header form share entries
+        const key = `${ResponseCache.resolveTag(provider, route.cache.tag, req)}|${req.baseUrl}${req.url}`;
+        const cached = this.store.get(key);
+        if (cached) {
+          this.hits += 1;
+          return this.sendCached(res, cached, 'HIT');
+        }
+
+        this.misses += 1;
+        const json = res.json.bind(res);
+        res.json = body => {
+          if (res.statusCode === 200) {
+            const entry = { body, etag: ResponseCache.etag(body), expiresAt: Date.now() + ttlSeconds * 1000 };
+            this.store.set(key, entry);
+            res.set('X-Cache', 'MISS');
+            res.set('ETag', entry.etag);
+            res.set('Cache-Control', `private, max-age=${ttlSeconds}`);
+          }
+          return json(body);
+        };
+        next();
+      };
+    }
+
+    if (route.invalidates && route.invalidates.length > 0) {
+      return (req, res, next) => {
+        res.on('finish', () => {
+          // A job (202) invalidates when it has run
+          if (res.statusCode < 400 && res.statusCode !== 202 && !req.dryRun) {
+            this.invalidate(route.invalidates.map(tag => ResponseCache.resolveTag(provider, tag, req)));
+          }
+        });
+        next();
+      };
+    }
+
+    return (req, res, next) => next();
+  }
+
+  // Express answers If-None-Match with 304 on its own once the ETag header is set
+  sendCached(res, entry, state) {
+    res.set('X-Cache', state);
+    res.set('ETag', entry.etag);
+    res.set('Cache-Control', `private, max-age=${Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000))}`);
+    return res.json(entry.body);
+  }
+
+  invalidate(resolvedTags) {
+    resolvedTags.forEach(tag => this.store.deletePrefix(`${tag}|`));
+  }
+
+  clear() {
+    this.store.clear();
+  }
+
+  // Write out pending changes of a file-backed store, e.g. before shutdown
+  close() {
+    if (typeof this.store.flush === 'function') this.store.flush();
+  }
+
+  stats() {
+    return {
+      enabled: this.enabled,
+      store: this.store.constructor.name,
+      entries: this.store.size(),
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+module.exports = { ResponseCache, MemoryCacheStore, FileCacheStore };
@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { CronExpressionParser } = require('cron-parser');
+const GatewayError = require('./gateway-error');
+const { WorkflowEngine, normalizeWorkflow, render } = require('./workflow-engine');
+const { sanitize } = require('./audit-log');
+const { logger } = require('./logger');
+const { runWithContext } = require('./request-context');
+
+// Timers are re-armed at least this often, so long waits survive clock changes
+const MAX_TIMER_MS = 60 * 60 * 1000;
+const EDITABLE_FIELDS = ['name', 'description', 'cron', 'timezone', 'enabled', 'call', 'connection', 'args', 'workflow', 'inputs'];
+
+const invalid = message => new GatewayError(message, { status: 400, code: 'invalid_schedule' });
+
+// Next time a cron expression fires after `from`, in the given IANA timezone
+function nextRun(cron, timezone, from = new Date()) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    throw invalid(`Unknown timezone "${timezone}"`);
+  }
+  try {
+    return CronExpressionParser.parse(cron, { tz: timezone, currentDate: from }).next().toDate();
+  } catch (error) {
+    throw invalid(`Invalid cron expression "${cron}": ${error.message}`);
+  }
+}
+
+// Runs gateway operations on cron schedules. A schedule either calls one
+// provider operation ({ call: 'cloudflare.getDNSRecords', args: {...} }, run
+// like a workflow step) or runs a workflow ({ workflow: 'name', inputs: {...} }).
+// Arguments and inputs may use {{ schedule.* }} and {{ run.scheduledAt }} /
+// {{ run.previousRunAt }} placeholders.
+//
+// Runs act as the client key that set the schedule up. With a `clientKeys`
+// service, the key is looked up again on every run: a run fails when the key
+// has been revoked, and each call is checked against the key's current scopes.
+//
+// A schedule never overlaps itself: a run that comes due while the previous
+// one is still going is recorded as skipped. Runs missed while the gateway
+// was down are not made up; the next one is computed from the current time.
+class Scheduler {
+  constructor({ registry, workflows, clientKeys = null, filePath = null, historyLimit = 50, enabled = true }) {
+    this.registry = registry;
+    this.workflows = workflows;
+    this.clientKeys = clientKeys;
+    this.filePath = filePath;
+    this.historyLimit = historyLimit;
+    this.enabled = enabled;
+    this.schedules = [];
+    this.runs = [];
+    this.timers = new Map();
+    this.running = new Map();
+    this.saveTimer = null;
+    this.exitHookInstalled = false;
+    this.closed = false;
+    this.load();
+  }
+
+  // Build a scheduler from TOWER_SCHEDULER_ENABLED, TOWER_SCHEDULE_FILE,
+  // TOWER_SCHEDULE_STORE and TOWER_SCHEDULE_HISTORY
+  static fromEnv(registry, workflows, env = process.env, { clientKeys = null } = {}) {
+    return new Scheduler({
+      registry,
+      workflows,
+      clientKeys,
+      filePath: env.TOWER_SCHEDULE_STORE === 'memory'
+        ? null
+        : env.TOWER_SCHEDULE_FILE || path.join(__dirname, '.data', 'schedules.json'),
+      historyLimit: Number(env.TOWER_SCHEDULE_HISTORY) || 50,
+      enabled: env.TOWER_SCHEDULER_ENABLED !== 'false'
+    });
+  }
+
+  // Schedule as shown to clients
+  describe(schedule) {
+    return { ...schedule, running: this.running.has(schedule.id) };
+  }
+
+  // Check a schedule's fields, returning the step for a `call` schedule
+  check(schedule) {
+    if (typeof schedule.name !== 'string' || schedule.name.trim() === '') throw invalid('name is required');
+    nextRun(schedule.cron, schedule.timezone);
+
+    if (Boolean(schedule.call) === Boolean(schedule.workflow)) {
+      throw invalid('A schedule needs either "call" (provider.operation) or "workflow", not both');
+    }
+    if (schedule.workflow) {
+      const workflow = this.workflows.get(schedule.workflow);
+      if (!workflow) throw invalid(`Workflow "${schedule.workflow}" does not exist`);
+      return { workflow };
+    }
+    const { steps: [step] } = normalizeWorkflow(`schedule-${schedule.id}`, {
+      steps: [{ id: 'call', call: schedule.call, connection: schedule.connection, args: schedule.args }]
+    }, this.registry);
+    return { step };
+  }
+
+  // Providers a schedule calls, for checking the caller's key scopes
+  providersOf(schedule) {
+    const { workflow, step } = this.check(schedule);
+    return workflow ? WorkflowEngine.providersOf(workflow) : [step.provider];
+  }
+
+  create(fields, client = null) {
+    const now = new Date().toISOString();
+    const schedule = {
+      id: crypto.randomUUID(),
+      name: fields.name,
+      description: fields.description || '',
+      cron: fields.cron,
+      timezone: fields.timezone || 'UTC',
+      enabled: fields.enabled !== false,
+      call: fields.call || null,
+      connection: fields.call ? fields.connection || null : null,
+      args: fields.call ? fields.args || {} : null,
+      workflow: fields.workflow || null,
+      inputs: fields.workflow ? fields.inputs || {} : null,
+      client: client ? { id: client.id, name: client.name } : null,
+      createdAt: now,
+      updatedAt: now,
+      lastRunAt: null,
+      lastStatus: null,
+      nextRunAt: null
+    };
+    this.check(schedule);
+    this.schedules.push(schedule);
+    this.arm(schedule);
+    this.scheduleSave();
+    logger.info('Schedule created', { scheduleId: schedule.id, name: schedule.name, cron: schedule.cron, timezone: schedule.timezone });
+    return schedule;
+  }
+
+  list() {
+    return this.schedules;
+  }
+
+  get(id) {
+    return this.schedules.find(schedule => schedule.id === id) || null;
+  }
+
+  // Change some of a schedule's fields. Switching between `call` and
+  // `workflow` clears the other kind's fields.
+  update(id, changes) {
+    const schedule = this.get(id);
+    if (!schedule) return null;
+
+    const updated = { ...schedule };
+    EDITABLE_FIELDS.filter(field => changes[field] !== undefined).forEach(field => { updated[field] = changes[field]; });
+    if (changes.call) Object.assign(updated, { workflow: null, inputs: null, args: changes.args || updated.args || {} });
+    if (changes.workflow) Object.assign(updated, { call: null, connection: null, args: null, inputs: changes.inputs || updated.inputs || {} });
+    this.check(updated);
+
+    Object.assign(schedule, updated, { updatedAt: new Date().toISOString() });
+    this.arm(schedule);
+    this.scheduleSave();
+    return schedule;
+  }
+
+  remove(id) {
+    const index = this.schedules.findIndex(schedule => schedule.id === id);
+    if (index === -1) return false;
+    this.disarm(id);
+    this.schedules.splice(index, 1);
+    this.runs = this.runs.filter(run => run.scheduleId !== id);
+    this.scheduleSave();
+    logger.info('Schedule deleted', { scheduleId: id });
+    return true;
+  }
+
+  // Arm every enabled schedule
+  start() {
+    this.schedules.forEach(schedule => this.arm(schedule));
+    if (!this.enabled && this.schedules.length > 0) {
+      logger.info('Scheduler disabled by TOWER_SCHEDULER_ENABLED; schedules only run on demand', { schedules: this.schedules.length });
+    }
+    return this;
+  }
+
+  // Set a timer for a schedule's next run. Long waits are split into steps
+  // of at most MAX_TIMER_MS so the due time is checked against the clock again.
+  arm(schedule) {
+    this.disarm(schedule.id);
+    if (!schedule.enabled || this.closed) {
+      schedule.nextRunAt = null;
+      return;
+    }
+
+    const due = nextRun(schedule.cron, schedule.timezone);
+    schedule.nextRunAt = due.toISOString();
+    if (!this.enabled) return;
+
+    const wait = () => {
+      const remaining = due.getTime() - Date.now();
+      if (remaining > 0) {
+        const timer = setTimeout(wait, Math.min(remaining, MAX_TIMER_MS));
+        timer.unref();
+        this.timers.set(schedule.id, timer);
+        return;
+      }
+      this.timers.delete(schedule.id);
+      this.trigger(schedule, 'cron', schedule.nextRunAt).finished.catch(() => {});
+      this.arm(schedule);
+      this.scheduleSave();
+    };
+    wait();
+  }
+
+  disarm(id) {
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+  }
+
+  // Start a run of a schedule, by its timer ('cron') or on request ('manual').
+  // Returns { run, finished } like WorkflowEngine#start. A cron run that
+  // would overlap the previous one is recorded as skipped; a manual one is refused.
+  trigger(schedule, trigger, scheduledAt = new Date().toISOString(), { client = null, requestId = crypto.randomUUID() } = {}) {
+    const previousRunAt = schedule.lastRunAt;
+    const run = {
+      id: crypto.randomUUID(),
+      scheduleId: schedule.id,
+      trigger,
+      status: 'running',
+      scheduledAt,
+      client: client ? { id: client.id, name: client.name } : schedule.client,
+      requestId,
+      workflowRunId: null,
+      output: null,
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null
+    };
+
+    if (this.running.has(schedule.id)) {
+      if (trigger === 'manual') {
+        throw new GatewayError('This schedule is already running', { status: 409, code: 'schedule_running' });
+      }
+      run.status = 'skipped';
+      run.error = { code: 'schedule_running', error: `Run ${this.running.get(schedule.id)} was still in progress` };
+      run.finishedAt = run.startedAt;
+      this.record(run);
+      logger.warn('Scheduled run skipped; previous run still in progress', { scheduleId: schedule.id, name: schedule.name });
+      return { run, finished: Promise.resolve(run) };
+    }
+
+    this.running.set(schedule.id, run.id);
+    schedule.lastRunAt = run.startedAt;
+    this.record(run);
+
+    const context = { schedule: { id: schedule.id, name: schedule.name }, run: { scheduledAt, previousRunAt } };
+    const finished = runWithContext({ requestId }, () => this.execute(schedule, run, context))
+      .finally(() => {
+        this.running.delete(schedule.id);
+        schedule.lastStatus = run.status;
+        this.scheduleSave();
+      });
+    return { run, finished };
+  }
+
+  async execute(schedule, run, context) {
+    const log = { scheduleId: schedule.id, name: schedule.name, runId: run.id, trigger: run.trigger };
+    logger.info('Scheduled run started', log);
+    try {
+      const client = this.clientFor(run);
+      const { workflow, step } = this.check(schedule);
+      if (workflow) {
+        const inputs = WorkflowEngine.resolveInputs(workflow, render(schedule.inputs, context));
+        const { run: workflowRun, finished } = this.workflows.start(workflow, inputs, { client, requestId: run.requestId });
+        run.workflowRunId = workflowRun.id;
+        await finished;
+        if (workflowRun.status !== 'succeeded') {
+          return this.finish(run, 'failed', { error: workflowRun.error });
+        }
+        return this.finish(run, 'succeeded', { output: workflowRun.output });
+      }
+
+      const { output } = await this.workflows.callStep(step, render(step.args, context), { client, requestId: run.requestId });
+      return this.finish(run, 'succeeded', { output });
+    } catch (error) {
+      const gatewayError = GatewayError.from(error);
+      logger.warn('Scheduled run failed', { ...log, code: gatewayError.code, error: gatewayError.message });
+      return this.finish(run, 'failed', { error: gatewayError.toJSON() });
+    }
+  }
+
+  // The key a run acts as, with its current scopes
+  clientFor(run) {
+    if (!this.clientKeys || !run.client) return run.client;
+    const client = this.clientKeys.find(run.client.id);
+    if (!client) {
+      throw new GatewayError(`Client key "${run.client.name}" that this schedule runs as has been revoked or no longer exists`, { status: 403, code: 'client_key_revoked' });
+    }
+    return client;
+  }
+
+  finish(run, status, { output = null, error = null } = {}) {
+    const finishedAt = new Date();
+    Object.assign(run, {
+      status,
+      output: sanitize(output ?? null),
+      error,
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt.getTime() - Date.parse(run.startedAt)
+    });
+    this.scheduleSave();
+    logger.info('Scheduled run finished', { scheduleId: run.scheduleId, runId: run.id, status, durationMs: run.durationMs });
+    return run;
+  }
+
+  // Store a run, keeping the newest `historyLimit` per schedule
+  record(run) {
+    this.runs.push(run);
+    const runs = this.runs.filter(other => other.scheduleId === run.scheduleId);
+    if (runs.length > this.historyLimit) {
+      const dropped = new Set(runs.slice(0, runs.length - this.historyLimit));
+      this.runs = this.runs.filter(other => !dropped.has(other));
+    }
+    this.scheduleSave();
+  }
+
+  // A schedule's runs, newest first
+  listRuns(scheduleId, { status, limit = 50 } = {}) {
+    return this.runs
+      .filter(run => run.scheduleId === scheduleId)
+      .filter(run => !status || run.status === status)
+      .slice(-limit)
+      .reverse();
+  }
+
+  stats() {
+    return {
+      enabled: this.enabled,
+      schedules: this.schedules.length,
+      running: this.running.size
+    };
+  }
+
+  // Runs still marked as running were cut off by a restart
+  load() {
+    if (!this.filePath) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.schedules = saved.schedules || [];
+      this.runs = saved.runs || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error loading schedules', { error });
+      }
+    }
+    this.runs.filter(run => run.status === 'running').forEach(run => {
+      this.finish(run, 'failed', {
+        error: new GatewayError('The gateway restarted while this run was in progress', { status: 500, code: 'schedule_interrupted' }).toJSON()
+      });
+    });
+  }
+
+  // Batch writes that happen close together into one file write
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) return;
+    if (!this.exitHookInstalled) {
+      process.once('exit', () => this.flush());
+      this.exitHookInstalled = true;
+    }
+    this.saveTimer = setTimeout(() => this.flush(), 1000);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({ schedules: this.schedules, runs: this.runs }), { mode: 0o600 });
+    } catch (error) {
+      logger.error('Error saving schedules', { error });
+    }
+  }
+
+  // Stop firing schedules; runs in progress are left to finish
+  close() {
+    this.closed = true;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.flush();
+  }
+}
+
+module.exports = { Scheduler, nextRun };
@@ -0,0 +1,61 @@
+const GatewayError = require('./gateway-error');
+
+// In-memory stand-in for TaskadeService, used when TOWER_PROVIDER_MODE=fake
+class FakeTaskadeService {
+  constructor() {
+    this.nextId = 1;
+    this.agents = new Map();
+    this.addAgent({ name: 'Demo Agent', description: 'Agent served by the fake Taskade provider' });
+  }
+
+  static notFound() {
+    return new GatewayError('Agent not found', { status: 404, code: 'not_found', provider: 'taskade', upstreamStatus: 404 });
+  }
+
+  addAgent(agentData) {
+    const agent = {
+      ...agentData,
+      id: `agent-${this.nextId++}`,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    this.agents.set(agent.id, agent);
+    return agent;
+  }
+
+  agent(agentId) {
+    const agent = this.agents.get(agentId);
+    if (!agent) throw FakeTaskadeService.notFound();
+    return agent;
+  }
+
+  async getAgents() {
+    return { ok: true, items: Array.from(this.agents.values()) };
+  }
+
+  async createAgent(agentData) {
+    return { ok: true, item: this.addAgent(agentData) };
+  }
+
+  async getAgent(agentId) {
+    return { ok: true, item: this.agent(agentId) };
+  }
+
+  async updateAgent(agentId, agentData) {
+    const agent = Object.assign(this.agent(agentId), agentData, { id: agentId, updatedAt: new Date().toISOString() });
+    return { ok: true, item: agent };
+  }
+
+  async deleteAgent(agentId) {
+    this.agent(agentId);
+    this.agents.delete(agentId);
+    return { ok: true };
+  }
+
+  async executeAgent(agentId, input) {
+    const agent = this.agent(agentId);
+    return { ok: true, agentId: agent.id, output: `[fake taskade] ${agent.name} received ${JSON.stringify(input)}` };
+  }
+}
+
+module.exports = FakeTaskadeService;
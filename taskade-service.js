@@ -0,0 +1,174 @@
+const axios = require('axios');
+const { correlationHeaders } = require('./request-context');
+const { nonEmptyString, anyObject, anyArray, openObject } = require('./api-schemas');
+
+// Base URL for Taskade API
+const TASKADE_API_URL = 'https://api.taskade.com/v1';
+
+class TaskadeService {
+  constructor(env = process.env) {
+    if (!env.TASKADE_API_KEY) {
+      throw new Error('TASKADE_API_KEY environment variable is not set');
+    }
+
+    this.http = axios.create({
+      baseURL: TASKADE_API_URL,
+      headers: {
+        'x-api-key': env.TASKADE_API_KEY,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    });
+
+    // Carry the request's correlation ID to Taskade
+    this.http.interceptors.request.use(config => {
+      config.headers.set(correlationHeaders());
+      return config;
+    });
+  }
+
+  // Get agents list
+  async getAgents() {
+    const response = await this.http.get('/agents');
+    return response.data;
+  }
+
+  // Create agent
+  async createAgent(agentData) {
+    const response = await this.http.post('/agents', agentData);
+    return response.data;
+  }
+
+  // Get specific agent
+  async getAgent(agentId) {
+    const response = await this.http.get(`/agents/${agentId}`);
+    return response.data;
+  }
+
+  // Update agent
+  async updateAgent(agentId, agentData) {
+    const response = await this.http.put(`/agents/${agentId}`, agentData);
+    return response.data;
+  }
+
+  // Delete agent
+  async deleteAgent(agentId) {
+    const response = await this.http.delete(`/agents/${agentId}`);
+    return response.data;
+  }
+
+  // Execute agent
+  async executeAgent(agentId, input) {
+    const response = await this.http.post(`/agents/${agentId}/execute`, input);
+    return response.data;
+  }
+}
+
+TaskadeService.provider = {
+  name: 'taskade',
+  title: 'Taskade',
+  mountPath: '/taskade-tower',
+  requiredEnv: ['TASKADE_API_KEY'],
+  capabilities: ['agents', 'agent-execution'],
+  fake: () => require('./taskade-fake'),
+  probe: service => service.getAgents(),
+  routes: [
+    // Get agents list
+    {
+      method: 'get',
+      path: '/agents',
+      operation: 'getAgents',
+      action: 'fetching agents',
+      schema: {
+        response: { oneOf: [anyArray, anyObject] }
+      },
+      handler: async (req, res, taskadeService) => {
+        res.json(await taskadeService.getAgents());
+      }
+    },
+
+    // Create agent
+    {
+      method: 'post',
+      path: '/agents',
+      operation: 'createAgent',
+      action: 'creating agent',
+      event: 'agent.created',
+      schema: {
+        body: openObject({
+          name: nonEmptyString,
+          description: { type: 'string' }
+        }, ['name']),
+        response: anyObject
+      },
+      handler: async (req, res, taskadeService) => {
+        res.json(await taskadeService.createAgent(req.body));
+      }
+    },
+
+    // Get specific agent
+    {
+      method: 'get',
+      path: '/agents/:agentId',
+      operation: 'getAgent',
+      action: 'fetching agent',
+      schema: {
+        response: anyObject
+      },
+      handler: async (req, res, taskadeService) => {
+        res.json(await taskadeService.getAgent(req.params.agentId));
+      }
+    },
+
+    // Update agent
+    {
+      method: 'put',
+      path: '/agents/:agentId',
+      operation: 'updateAgent',
+      action: 'updating agent',
+      event: 'agent.updated',
+      schema: {
+        body: openObject({
+          name: nonEmptyString,
+          description: { type: 'string' }
+        }),
+        response: anyObject
+      },
+      handler: async (req, res, taskadeService) => {
+        res.json(await taskadeService.updateAgent(req.params.agentId, req.body));
+      }
+    },
+
+    // Delete agent
+    {
+      method: 'delete',
+      path: '/agents/:agentId',
+      operation: 'deleteAgent',
+      action: 'deleting agent',
+      event: 'agent.deleted',
+      schema: {
+        response: anyObject
+      },
+      handler: async (req, res, taskadeService) => {
+        res.json(await taskadeService.deleteAgent(req.params.agentId));
+      }
+    },
+
+    // Execute agent
+    {
+      method: 'post',
+      path: '/agents/:agentId/execute',
+      operation: 'executeAgent',
+      action: 'executing agent',
+      schema: {
+        body: anyObject,
+        response: anyObject
+      },
+      handler: async (req, res, taskadeService) => {
+        res.json(await taskadeService.executeAgent(req.params.agentId, req.body));
+      }
+    }
+  ]
+};
+
+module.exports = TaskadeService;
@@ -0,0 +1,36 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers');
+
+describe('audit log of an app mounted under a prefix', () => {
+  let gateway;
+  before(async () => {
+    gateway = await startGateway({}, { mountPath: '/tower' });
+  });
+  after(() => gateway.close());
+
+  it('records the same resource for HTTP calls and workflow steps', async () => {
+    const direct = await gateway.request('POST', '/gitlab/projects/1/issues', { body: { title: 'Over HTTP' } });
+    assert.equal(direct.status, 200);
+
+    await gateway.request('PUT', '/workflows/open-issue', {
+      body: { steps: [{ id: 'open', call: 'gitlab.createIssue', args: { projectId: 1, title: 'From a workflow' } }] }
+    });
+    const run = await gateway.request('POST', '/workflows/open-issue/runs', { body: {} });
+    assert.equal(run.body.run.status, 'succeeded');
+
+    const { body } = await gateway.request('GET', '/admin/audit-log?resource=/gitlab/projects/1/issues');
+    const titles = body.entries.filter(entry => entry.operation === 'createIssue').map(entry => [entry.resource, entry.request.title]).sort();
+    assert.deepEqual(titles, [
+      ['/gitlab/projects/1/issues', 'From a workflow'],
+      ['/gitlab/projects/1/issues', 'Over HTTP']
+    ]);
+  });
+
+  it('records gateway routes without the prefix too', async () => {
+    await gateway.request('POST', '/admin/client-keys', { body: { name: 'prefixed', scopes: ['/gitlab:read'] } });
+    const { body } = await gateway.request('GET', '/admin/audit-log?provider=tower');
+    const entry = body.entries.find(candidate => candidate.operation === 'issueClientKey');
+    assert.equal(entry.resource, '/admin/client-keys');
+  });
+});
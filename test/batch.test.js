@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers');
+
+describe('batch requests', () => {
+  let gateway;
+  before(async () => {
+    gateway = await startGateway();
+  });
+  after(() => gateway.close());
+
+  const batch = (requests, { key, ...options } = {}) => gateway.request('POST', '/batch', { key, body: { requests, ...options } });
+
+  it('runs sub-requests in dependency order and fills templates', async () => {
+    const { status, body } = await batch([
+      { id: 'issue', method: 'POST', path: '/gitlab/projects/1/issues', body: { title: 'Batched' } },
+      { id: 'read', method: 'GET', path: '/gitlab/projects/1/issues', query: { state: 'all', per_page: 100 } },
+      { id: 'note', method: 'POST', path: '/gitlab/projects/1/issues/{{ responses.issue.body.issue.iid }}/notes', body: { body: 'Filed in a batch' } }
+    ]);
+    assert.equal(status, 200);
+    assert.deepEqual(body.responses.map(result => result.state), ['succeeded', 'succeeded', 'succeeded']);
+    assert.equal(body.summary.succeeded, 3);
+  });
+
+  it('skips sub-requests whose dependency failed', async () => {
+    const { body } = await batch([
+      { id: 'missing', method: 'GET', path: '/gitlab/projects/999' },
+      { id: 'after', method: 'GET', path: '/gitlab/projects/1', dependsOn: ['missing'] }
+    ]);
+    assert.deepEqual(body.responses.map(result => [result.state, result.status]), [['failed', 404], ['skipped', null]]);
+  });
+
+  it('refuses a batch inside a batch however the path is spelled', async () => {
+    for (const path of ['/batch', '/Batch', '/x/../batch', '/%2e/BATCH/', '/batch?x=1']) {
+      const { status, body } = await batch([{ method: 'POST', path, body: { requests: [] } }]);
+      assert.equal(status, 400, path);
+      assert.equal(body.code, 'invalid_batch', path);
+    }
+  });
+
+  it('refuses a nested batch spelled out by a template', async () => {
+    const { body } = await batch([
+      { id: 'name', method: 'GET', path: '/gitlab/projects/1' },
+      { id: 'nested', method: 'POST', path: '/{{ responses.name.body.missing }}BATCH', body: { requests: [] } }
+    ]);
+    const nested = body.responses.find(result => result.id === 'nested');
+    assert.notEqual(nested.state, 'succeeded');
+    assert.equal(nested.body.code, 'invalid_batch');
+  });
+
+  it('refuses paths that would leave the gateway', async () => {
+    for (const path of ['//example.com/steal', 'http://example.com/', 'gitlab/projects']) {
+      const { status } = await batch([{ method: 'GET', path }]);
+      assert.equal(status, 400, path);
+    }
+  });
+
+  it('refuses to let sub-requests choose their own credentials', async () => {
+    const { status } = await batch([{ method: 'GET', path: '/gitlab/projects', headers: { 'X-Tower-Key': 'tk_other' } }]);
+    assert.equal(status, 400);
+  });
+
+  it("checks each sub-request against the caller's scopes", async () => {
+    const { key } = (await gateway.request('POST', '/admin/client-keys', { body: { name: 'batcher', scopes: ['/gitlab:read'] } })).body;
+    const { body } = await batch([
+      { method: 'GET', path: '/gitlab/projects/1' },
+      { method: 'POST', path: '/gitlab/projects/1/issues', body: { title: 'Not allowed' } },
+      { method: 'GET', path: '/admin/client-keys' }
+    ], { key });
+    assert.deepEqual(body.responses.map(result => result.status), [200, 403, 403]);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startGateway, ADMIN_KEY } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'tower-cli.js');
+
+// Run the CLI in a child process and resolve to { code, stdout, stderr }
+function tower(args, env = {}) {
+  return new Promise(resolve => {
+    const child = execFile(process.execPath, [CLI, ...args], {
+      env: { PATH: process.env.PATH, TOWER_CONFIG: path.join(__dirname, 'no-such-config.json'), ...env },
+      timeout: 30000
+    }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+    child.stdin.end();
+  });
+}
+
+describe('tower CLI', () => {
+  let gateway;
+  let env;
+  before(async () => {
+    gateway = await startGateway();
+    env = { TOWER_SERVER: gateway.url, TOWER_KEY: ADMIN_KEY };
+  });
+  after(() => gateway.close());
+
+  it('prints its usage without a gateway', async () => {
+    for (const args of [[], ['--help']]) {
+      const { code, stdout } = await tower(args, { TOWER_SERVER: 'http://127.0.0.1:9' });
+      assert.equal(code, 0);
+      assert.match(stdout, /^Usage: tower /);
+    }
+  });
+
+  it('lists groups and commands from the gateway', async () => {
+    const groups = await tower(['help'], env);
+    assert.match(groups.stdout, /Groups: .*gitlab/);
+    const commands = await tower(['help', 'gitlab'], env);
+    assert.match(commands.stdout, /issues/);
+  });
+
+  it('calls a route and prints its body', async () => {
+    const { code, stdout, stderr } = await tower(['gitlab', 'projects', 'get', '1', '-o', 'json'], env);
+    assert.equal(code, 0, stderr);
+    assert.equal(JSON.parse(stdout).project.id, 1);
+  });
+
+  it('fails with the gateway error', async () => {
+    const { code, stderr } = await tower(['gitlab', 'projects', 'get', '999', '-o', 'json'], env);
+    assert.equal(code, 1);
+    assert.match(stderr, /not_found|Not Found/i);
+  });
+});
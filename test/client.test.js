@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TowerClient, TowerNotFoundError } = require('../client/index.cjs');
+const { startGateway, ADMIN_KEY } = require('./helpers');
+
+// A fetch that answers every call with `status` and a gateway error body
+// with `code`, counting the calls
+function failingFetch(status, code) {
+  const fetch = async () => {
+    fetch.calls += 1;
+    return new Response(JSON.stringify({ success: false, error: code, code, retryable: true }), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+  fetch.calls = 0;
+  return fetch;
+}
+
+describe('JavaScript client', () => {
+  let gateway;
+  before(async () => {
+    gateway = await startGateway();
+  });
+  after(() => gateway.close());
+
+  it('calls routes by operation name', async () => {
+    const tower = new TowerClient({ baseUrl: gateway.url, key: ADMIN_KEY });
+    const { issue } = await tower.gitlab.createIssue({ projectId: 1, title: 'From the client' });
+    const { project } = await tower.gitlab.getProject({ projectId: 1 });
+    assert.equal(issue.title, 'From the client');
+    assert.equal(project.id, 1);
+    await assert.rejects(tower.gitlab.getProject({ projectId: 999 }), TowerNotFoundError);
+  });
+
+  describe('retries', () => {
+    const call = async (method, fetch) => {
+      const tower = new TowerClient({ baseUrl: 'http://tower.invalid', retries: 2, retryDelayMs: 1, fetch });
+      await assert.rejects(tower.request(method, '/gitlab/projects/1/issues', { body: method === 'GET' ? undefined : { title: 'x' } }));
+      return fetch.calls;
+    };
+
+    it('does not resend a POST after a 503 or 429 from the provider', async () => {
+      assert.equal(await call('POST', failingFetch(503, 'upstream_unavailable')), 1);
+      assert.equal(await call('POST', failingFetch(429, 'rate_limited')), 1);
+    });
+
+    it('resends a POST the gateway refused before calling the provider', async () => {
+      assert.equal(await call('POST', failingFetch(503, 'circuit_open')), 3);
+      assert.equal(await call('POST', failingFetch(503, 'job_queue_full')), 3);
+    });
+
+    it('resends idempotent calls on retryable errors', async () => {
+      assert.equal(await call('GET', failingFetch(503, 'upstream_unavailable')), 3);
+    });
+  });
+});
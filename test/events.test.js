@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { sign, verifySignature } = require('../event-subscriptions');
+const { startGateway, waitFor } = require('./helpers');
+
+// A subscriber that records every delivery and answers with the next of
+// `statuses` (200 once they run out)
+async function startReceiver(statuses = []) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.length ? statuses.shift() : 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/events`,
+    received,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('event subscriptions', () => {
+  let gateway;
+  before(async () => {
+    gateway = await startGateway({ TOWER_EVENT_RETRY_BASE_MS: '10' });
+  });
+  after(() => gateway.close());
+
+  const subscribe = async (receiver, events, key) => {
+    const { status, body } = await gateway.request('POST', '/subscriptions', { key, body: { url: receiver.url, events } });
+    assert.equal(status, 201);
+    return body;
+  };
+
+  it('signs each delivery with the subscription secret', async () => {
+    const receiver = await startReceiver();
+    try {
+      const { secret } = await subscribe(receiver, ['gitlab.issue.created']);
+      await gateway.request('POST', '/gitlab/projects/1/issues', { body: { title: 'Signed' } });
+      const [delivery] = await waitFor(() => receiver.received.length && receiver.received);
+
+      assert.equal(delivery.headers['x-tower-event'], 'gitlab.issue.created');
+      assert.ok(verifySignature(secret, delivery.body, delivery.headers['x-tower-signature']));
+      assert.ok(!verifySignature('whsec_wrong', delivery.body, delivery.headers['x-tower-signature']));
+      assert.ok(!verifySignature(secret, delivery.body.replace('Signed', 'Forged'), delivery.headers['x-tower-signature']));
+      assert.equal(JSON.parse(delivery.body).data.issue.title, 'Signed');
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  it('rejects signatures outside the tolerance window', () => {
+    const old = Math.floor(Date.now() / 1000) - 600;
+    assert.ok(!verifySignature('whsec_test', '{}', sign('whsec_test', '{}', old)));
+    assert.ok(verifySignature('whsec_test', '{}', sign('whsec_test', '{}')));
+  });
+
+  it('retries failed deliveries with the same event id', async () => {
+    const receiver = await startReceiver([500, 503]);
+    try {
+      const { subscription } = await subscribe(receiver, ['gitlab.issue.created']);
+      await gateway.request('POST', '/gitlab/projects/1/issues', { body: { title: 'Retried' } });
+      await waitFor(() => receiver.received.length === 3);
+
+      assert.equal(new Set(receiver.received.map(delivery => delivery.headers['x-tower-event-id'])).size, 1);
+      const { body } = await waitFor(async () => {
+        const log = await gateway.request('GET', `/subscriptions/${subscription.id}/deliveries`);
+        return log.body.deliveries[0].status === 'delivered' && log;
+      });
+      assert.deepEqual(body.deliveries[0].attempts.map(attempt => attempt.status), [500, 503, 200]);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  it('only delivers events the subscription creator may read', async () => {
+    const receiver = await startReceiver();
+    const watcher = await startReceiver();
+    try {
+      const issued = await gateway.request('POST', '/admin/client-keys', { body: { name: 'subscriber', scopes: ['/subscriptions:write', '/subscriptions:read', '/cloudflare:read'] } });
+      const { key } = issued.body;
+      const { subscription } = await subscribe(receiver, ['*'], key);
+      // Subscribed by the admin key, to know when the event has gone out
+      await subscribe(watcher, ['gitlab.issue.created']);
+
+      await gateway.request('POST', '/gitlab/projects/1/issues', { body: { title: 'Private' } });
+      await waitFor(() => watcher.received.length);
+      const zones = await gateway.request('GET', '/cloudflare/zones');
+      await gateway.request('POST', `/cloudflare/zones/${zones.body.zones[0].id}/dns`, { body: { type: 'A', name: 'visible.example.com', content: '192.0.2.2' } });
+      await waitFor(() => receiver.received.length);
+
+      assert.deepEqual(receiver.received.map(delivery => JSON.parse(delivery.body).type), ['cloudflare.dns_record.created']);
+      const log = await gateway.request('GET', `/subscriptions/${subscription.id}/deliveries`, { key });
+      assert.deepEqual(log.body.deliveries.map(delivery => delivery.eventType), ['cloudflare.dns_record.created']);
+
+      // Once the key is revoked, nothing more is sent
+      await gateway.request('DELETE', `/admin/client-keys/${issued.body.client.id}`);
+      await gateway.request('POST', `/cloudflare/zones/${zones.body.zones[0].id}/dns`, { body: { type: 'A', name: 'revoked.example.com', content: '192.0.2.3' } });
+      const admin = await gateway.request('GET', `/subscriptions/${subscription.id}/deliveries`);
+      assert.equal(admin.body.deliveries.length, 1);
+    } finally {
+      await receiver.close();
+      await watcher.close();
+    }
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeGitlabService = require('../gitlab-fake');
+const { FixtureRecorder } = require('../provider-fixtures');
+const { startGateway } = require('./helpers');
+
+describe('gateway replaying recorded fixtures', () => {
+  let gateway;
+  let fixturesDir;
+  before(async () => {
+    // Record against the fake first: replay reads its fixtures when the
+    // service is built
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tower-fixtures-'));
+    const gitlab = new FixtureRecorder('gitlab', path.join(fixturesDir, 'gitlab.json')).wrap(new FakeGitlabService());
+    await gitlab.getProject('1');
+    await assert.rejects(gitlab.getProject('999'));
+
+    gateway = await startGateway({ TOWER_GITLAB_MODE: 'replay', TOWER_FIXTURES_DIR: fixturesDir });
+  });
+  after(async () => {
+    await gateway.close();
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  it('reports the provider in replay mode', async () => {
+    const { body } = await gateway.request('GET', '/providers');
+    assert.equal(body.providers.find(provider => provider.name === 'gitlab').mode, 'replay');
+  });
+
+  it('answers recorded calls', async () => {
+    const { status, body } = await gateway.request('GET', '/gitlab/projects/1');
+    assert.equal(status, 200);
+    assert.equal(body.project.id, 1);
+  });
+
+  it('replays recorded errors', async () => {
+    const { status, body } = await gateway.request('GET', '/gitlab/projects/999');
+    assert.equal(status, 404);
+    assert.equal(body.code, 'not_found');
+    assert.equal(body.provider, 'gitlab');
+  });
+
+  it('fails calls that were never recorded', async () => {
+    const { status, body } = await gateway.request('GET', '/gitlab/projects/2');
+    assert.equal(status, 501);
+    assert.equal(body.code, 'fixture_missing');
+    assert.equal(body.retryable, false);
+  });
+});
@@ -0,0 +1,168 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers');
+
+describe('gateway in fake mode', () => {
+  let gateway;
+  before(async () => {
+    gateway = await startGateway();
+  });
+  after(() => gateway.close());
+
+  describe('client keys', () => {
+    it('requires a key on provider routes', async () => {
+      const { status, body } = await gateway.request('GET', '/gitlab/projects', { key: null });
+      assert.equal(status, 401);
+      assert.equal(body.success, false);
+      assert.equal(body.code, 'unauthorized');
+    });
+
+    it('leaves the health endpoints public', async () => {
+      for (const path of ['/health/live', '/health/ready', '/taskade-tower/health']) {
+        const { status } = await gateway.request('GET', path, { key: null });
+        assert.equal(status, 200, path);
+      }
+    });
+
+    it('rejects unknown keys', async () => {
+      const { status, body } = await gateway.request('GET', '/gitlab/projects', { key: 'tk_000000000000.nope' });
+      assert.equal(status, 401);
+      assert.equal(body.code, 'unauthorized');
+    });
+
+    it('limits issued keys to their scopes', async () => {
+      const issued = await gateway.request('POST', '/admin/client-keys', { body: { name: 'reader', scopes: ['/gitlab:read'] } });
+      assert.equal(issued.status, 200);
+      const { key } = issued.body;
+
+      assert.equal((await gateway.request('GET', '/gitlab/projects', { key })).status, 200);
+      const write = await gateway.request('POST', '/gitlab/projects/1/issues', { key, body: { title: 'Not allowed' } });
+      assert.equal(write.status, 403);
+      assert.equal(write.body.code, 'forbidden');
+      assert.equal((await gateway.request('GET', '/cloudflare/zones', { key })).status, 403);
+
+      await gateway.request('DELETE', `/admin/client-keys/${issued.body.client.id}`);
+      assert.equal((await gateway.request('GET', '/gitlab/projects', { key })).status, 401);
+    });
+  });
+
+  describe('provider routes', () => {
+    it('reports every provider in fake mode', async () => {
+      const { status, body } = await gateway.request('GET', '/providers');
+      assert.equal(status, 200);
+      const providers = body.providers.map(provider => [provider.name, provider.mode]);
+      assert.deepEqual(providers.map(([name]) => name).sort(), ['cloudflare', 'gemini', 'gitlab', 'google-docs', 'huggingface', 'taskade']);
+      providers.forEach(([name, mode]) => assert.equal(mode, 'fake', name));
+    });
+
+    it('reads resilience settings from the env the app was created with', async () => {
+      const tuned = await startGateway({ TOWER_GITLAB_TIMEOUT_MS: '1234', TOWER_RETRIES: '0' });
+      try {
+        const settingsOf = async target => {
+          const { body } = await target.request('GET', '/providers');
+          const { timeoutMs, retries } = body.providers.find(provider => provider.name === 'gitlab').circuit;
+          return { timeoutMs, retries };
+        };
+        assert.deepEqual(await settingsOf(tuned), { timeoutMs: 1234, retries: 0 });
+        assert.deepEqual(await settingsOf(gateway), { timeoutMs: 30000, retries: 2 });
+      } finally {
+        await tuned.close();
+      }
+    });
+
+    it('creates and lists GitLab issues', async () => {
+      const created = await gateway.request('POST', '/gitlab/projects/1/issues', { body: { title: 'Broken login', labels: 'bug' } });
+      assert.equal(created.status, 200);
+      assert.equal(created.body.issue.title, 'Broken login');
+
+      const listed = await gateway.request('GET', '/gitlab/projects/1/issues?state=all&per_page=100');
+      assert.equal(listed.status, 200);
+      assert.ok(listed.body.issues.some(issue => issue.iid === created.body.issue.iid));
+      assert.equal(listed.body.pagination.page, 1);
+    });
+
+    it('drops cached DNS records when one is added', async () => {
+      const zones = await gateway.request('GET', '/cloudflare/zones');
+      const zoneId = zones.body.zones[0].id;
+
+      assert.equal((await gateway.request('GET', `/cloudflare/zones/${zoneId}/dns`)).headers.get('x-cache'), 'MISS');
+      assert.equal((await gateway.request('GET', `/cloudflare/zones/${zoneId}/dns`)).headers.get('x-cache'), 'HIT');
+
+      const created = await gateway.request('POST', `/cloudflare/zones/${zoneId}/dns`, { body: { type: 'A', name: 'test.example.com', content: '192.0.2.1' } });
+      assert.equal(created.status, 200);
+
+      const after = await gateway.request('GET', `/cloudflare/zones/${zoneId}/dns?per_page=100`);
+      assert.equal(after.headers.get('x-cache'), 'MISS');
+      assert.ok(after.body.records.some(record => record.name === 'test.example.com'));
+    });
+
+    it('records writes in the audit log', async () => {
+      await gateway.request('POST', '/gitlab/projects/1/issues', { body: { title: 'Audited' } });
+      const { body } = await gateway.request('GET', '/admin/audit-log?provider=gitlab');
+      const entry = body.entries.find(candidate => candidate.request && candidate.request.title === 'Audited');
+      assert.ok(entry, 'no audit entry for the issue');
+      assert.equal(entry.operation, 'createIssue');
+      assert.equal(entry.outcome, 'success');
+      assert.equal(entry.client.id, 'bootstrap');
+    });
+  });
+
+  describe('errors', () => {
+    it('passes upstream 404s through with the uniform error body', async () => {
+      const { status, body } = await gateway.request('GET', '/gitlab/projects/999');
+      assert.equal(status, 404);
+      assert.equal(body.success, false);
+      assert.equal(body.code, 'not_found');
+      assert.equal(body.provider, 'gitlab');
+      assert.equal(body.upstreamStatus, 404);
+    });
+
+    it('rejects bodies that fail validation', async () => {
+      const { status, body } = await gateway.request('POST', '/gitlab/projects/1/issues', { body: {} });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'validation_failed');
+    });
+
+    it('answers unknown routes with a JSON 404', async () => {
+      const { status, body } = await gateway.request('GET', '/no/such/route', { key: null });
+      assert.equal(status, 404);
+      assert.equal(body.success, false);
+      assert.equal(body.code, 'not_found');
+    });
+  });
+
+  describe('workflows', () => {
+    it('runs steps through their routes, so writes are audited and invalidate the cache', async () => {
+      const zones = await gateway.request('GET', '/cloudflare/zones');
+      const zoneId = zones.body.zones[0].id;
+      const records = await gateway.request('GET', `/cloudflare/zones/${zoneId}/dns?per_page=100`);
+      const recordId = records.body.records[0].id;
+      assert.equal((await gateway.request('GET', `/cloudflare/zones/${zoneId}/dns?per_page=100`)).headers.get('x-cache'), 'HIT');
+
+      const saved = await gateway.request('PUT', '/workflows/delete-record', {
+        body: {
+          inputs: { zoneId: { required: true }, recordId: { required: true } },
+          steps: [{ id: 'delete', call: 'cloudflare.deleteDNSRecord', args: { zoneId: '{{ inputs.zoneId }}', recordId: '{{ inputs.recordId }}' } }]
+        }
+      });
+      assert.equal(saved.status, 201);
+
+      const run = await gateway.request('POST', '/workflows/delete-record/runs', { body: { inputs: { zoneId, recordId } } });
+      assert.equal(run.status, 200);
+      assert.equal(run.body.run.status, 'succeeded');
+
+      const after = await gateway.request('GET', `/cloudflare/zones/${zoneId}/dns?per_page=100`);
+      assert.equal(after.headers.get('x-cache'), 'MISS');
+      assert.ok(!after.body.records.some(record => record.id === recordId));
+
+      const audit = await gateway.request('GET', '/admin/audit-log?provider=cloudflare');
+      assert.ok(audit.body.entries.some(entry => entry.operation === 'deleteDNSRecord' && entry.resource.endsWith(recordId)));
+    });
+
+    it('refuses steps that are not route operations', async () => {
+      const { status, body } = await gateway.request('PUT', '/workflows/bad', { body: { steps: [{ id: 'x', call: 'gitlab.constructor' }] } });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'invalid_workflow');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startGateway, waitFor } = require('./helpers');
+
+const SECRET = 'gitlab-webhook-secret';
+
+const issueHook = (iid, title) => ({
+  object_kind: 'issue',
+  user: { id: 5, username: 'alice', name: 'Alice' },
+  project: { id: 1, name: 'demo', path_with_namespace: 'demo/demo' },
+  object_attributes: { id: 1000 + iid, iid, title, action: 'open', state: 'opened' }
+});
+
+describe('GitLab webhooks', () => {
+  let gateway;
+  before(async () => {
+    gateway = await startGateway({
+      GITLAB_WEBHOOK_SECRET: SECRET,
+      TOWER_GITLAB_WEBHOOK_HANDLERS: JSON.stringify([
+        { id: 'follow-up', event: 'issue', project: 1, when: { action: 'open' }, action: 'create_issue', title: 'Follow up on #{{issue.iid}} by {{user.username}}' }
+      ])
+    });
+  });
+  after(() => gateway.close());
+
+  const deliver = (payload, { token = SECRET, uuid = crypto.randomUUID(), event = 'Issue Hook' } = {}) => gateway.request('POST', '/webhooks/gitlab', {
+    key: null,
+    body: payload,
+    headers: { 'X-Gitlab-Event': event, 'X-Gitlab-Event-UUID': uuid, ...(token ? { 'X-Gitlab-Token': token } : {}) }
+  });
+
+  const followUps = async iid => {
+    const { body } = await gateway.request('GET', '/gitlab/projects/1/issues?state=all&per_page=100');
+    return body.issues.filter(issue => issue.title === `Follow up on #${iid} by alice`);
+  };
+
+  const finished = id => waitFor(async () => {
+    const { body } = await gateway.request('GET', `/admin/webhooks/gitlab/deliveries/${id}`);
+    return body.delivery.status !== 'pending' && body.delivery;
+  });
+
+  it('rejects deliveries without the secret token', async () => {
+    const missing = await deliver(issueHook(101, 'No token'), { token: null });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, 'unauthorized');
+
+    const wrong = await deliver(issueHook(101, 'Wrong token'), { token: 'not-the-secret' });
+    assert.equal(wrong.status, 401);
+    assert.deepEqual(await followUps(101), []);
+  });
+
+  it('refuses every delivery when no secret is configured', async () => {
+    const unconfigured = await startGateway();
+    try {
+      const { status, body } = await unconfigured.request('POST', '/webhooks/gitlab', {
+        key: null,
+        body: issueHook(1, 'x'),
+        headers: { 'X-Gitlab-Event': 'Issue Hook', 'X-Gitlab-Token': '' }
+      });
+      assert.equal(status, 503);
+      assert.equal(body.code, 'webhook_not_configured');
+    } finally {
+      await unconfigured.close();
+    }
+  });
+
+  it('runs matching handlers once per GitLab event, and again on replay', async () => {
+    const uuid = crypto.randomUUID();
+    const first = await deliver(issueHook(102, 'Flaky login'), { uuid });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.duplicate, false);
+    const delivery = await finished(first.body.delivery);
+    assert.equal(delivery.status, 'handled');
+    assert.equal((await followUps(102)).length, 1);
+
+    const again = await deliver(issueHook(102, 'Flaky login'), { uuid });
+    assert.equal(again.body.duplicate, true);
+    assert.equal(again.body.delivery, first.body.delivery);
+
+    const replayed = await gateway.request('POST', `/admin/webhooks/gitlab/deliveries/${first.body.delivery}/replay`);
+    assert.equal(replayed.status, 200);
+    assert.equal(replayed.body.delivery.replayOf, first.body.delivery);
+    assert.equal((await followUps(102)).length, 2);
+  });
+
+  it('acknowledges event types it does not handle', async () => {
+    const { status, body } = await deliver({ object_kind: 'wiki_page' }, { event: 'Wiki Page Hook' });
+    assert.equal(status, 200);
+    assert.equal(body.ignored, 'Wiki Page Hook');
+    assert.equal(body.delivery, null);
+  });
+
+  it('keeps the delivery log behind admin keys', async () => {
+    assert.equal((await gateway.request('GET', '/admin/webhooks/gitlab/deliveries', { key: null })).status, 401);
+  });
+});
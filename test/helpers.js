@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createTowerApp } = require('../tower-app');
+const { startTowerServer } = require('../tower-server');
+
+const ADMIN_KEY = 'test-admin-key-0123456789';
+
+// Start a gateway on a free port with every provider faked and every store
+// in memory or in a temporary directory, so tests touch neither the network
+// nor the repository. `env` adds to or overrides the settings; `mountPath`
+// serves the app under that prefix of a host app, as when it is embedded.
+async function startGateway(env = {}, { mountPath = null } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tower-test-'));
+  const app = createTowerApp({
+    env: {
+      TOWER_PROVIDER_MODE: 'fake',
+      TOWER_ADMIN_KEY: ADMIN_KEY,
+      TOWER_LOG_LEVEL: 'silent',
+      TOWER_CLIENT_KEYS_FILE: path.join(dir, 'client-keys.json'),
+      TOWER_AUDIT_STORE: 'file',
+      TOWER_AUDIT_FILE: path.join(dir, 'audit-log.jsonl'),
+      TOWER_JOB_STORE: 'memory',
+      TOWER_EVENT_STORE: 'memory',
+      TOWER_GITLAB_WEBHOOK_STORE: 'memory',
+      TOWER_WORKFLOWS_DIR: path.join(dir, 'workflows'),
+      TOWER_WORKFLOW_RUNS_STORE: 'memory',
+      TOWER_SCHEDULE_STORE: 'memory',
+      TOWER_SCHEDULER_ENABLED: 'false',
+      TOWER_FIXTURES_DIR: path.join(dir, 'fixtures'),
+      ...env
+    }
+  });
+  let served = app;
+  if (mountPath) {
+    served = express().use(mountPath, app);
+    served.locals.tower = app.locals.tower;
+  }
+  const { server, listening, shutdown } = startTowerServer(served, { port: 0, host: '127.0.0.1', signals: [], exitOnShutdown: false });
+  await listening;
+  const url = `http://127.0.0.1:${server.address().port}${mountPath || ''}`;
+
+  // Send a request as `key` (the admin key by default; null for none) and
+  // resolve to { status, headers, body } with a parsed JSON body
+  const request = async (method, requestPath, { key = ADMIN_KEY, body, headers = {} } = {}) => {
+    const response = await fetch(url + requestPath, {
+      method,
+      headers: {
+        ...(key ? { 'X-Tower-Key': key } : {}),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    const json = /\bjson\b/.test(response.headers.get('content-type') || '');
+    return { status: response.status, headers: response.headers, body: json && text ? JSON.parse(text) : text };
+  };
+
+  return {
+    url,
+    dir,
+    app,
+    request,
+    close: async () => {
+      await shutdown('test finished');
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Poll `check` until it returns something truthy, and resolve to that
+async function waitFor(check, { timeoutMs = 5000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error(`Gave up waiting after ${timeoutMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+module.exports = { startGateway, waitFor, ADMIN_KEY };
@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway, waitFor } = require('./helpers');
+
+describe('background jobs', () => {
+  let gateway;
+  before(async () => {
+    gateway = await startGateway({ TOWER_JOB_STORE: 'memory' });
+  });
+  after(() => gateway.close());
+
+  const submit = async (path, body, key) => {
+    const submitted = await gateway.request('POST', path, { key, body, headers: { Prefer: 'respond-async' } });
+    assert.equal(submitted.status, 202);
+    assert.equal(submitted.headers.get('location'), `/jobs/${submitted.body.job.id}`);
+    return submitted.body.job;
+  };
+
+  const finished = (id, key) => waitFor(async () => {
+    const { body } = await gateway.request('GET', `/jobs/${id}`, { key });
+    return ['succeeded', 'failed'].includes(body.job.status) && body.job;
+  });
+
+  const auditEntries = async (provider, operation) => {
+    const { body } = await gateway.request('GET', `/admin/audit-log?provider=${provider}`);
+    return body.entries.filter(entry => entry.operation === operation);
+  };
+
+  it('runs the call in the background and holds its response', async () => {
+    const job = await submit('/huggingface/text-to-image', { prompt: 'a lighthouse at dusk' });
+    const done = await finished(job.id);
+    assert.equal(done.status, 'succeeded');
+    assert.equal(done.result.success, true);
+  });
+
+  it('audits the queued call and the outcome of the job', async () => {
+    const job = await submit('/huggingface/text-to-image', { prompt: 'audited job' });
+    await finished(job.id);
+
+    const entries = await waitFor(async () => {
+      const found = (await auditEntries('huggingface', 'generateImage')).filter(entry => entry.request.prompt === 'audited job');
+      return found.length === 2 && found;
+    });
+    const outcomes = entries.map(entry => [entry.status, entry.outcome]).sort();
+    assert.deepEqual(outcomes, [[200, 'success'], [202, 'queued']]);
+    assert.ok(entries.every(entry => entry.resource === '/huggingface/text-to-image'));
+  });
+
+  it('records a job that fails as a failure', async () => {
+    const job = await submit('/gemini/enhance-document/no-such-document', { enhancementType: 'simplify' });
+    const done = await finished(job.id);
+    assert.equal(done.status, 'failed');
+
+    const entries = await waitFor(async () => {
+      const found = (await auditEntries('gemini', 'enhanceDocument')).filter(entry => entry.params.documentId === 'no-such-document');
+      return found.length === 2 && found;
+    });
+    const failure = entries.find(entry => entry.outcome === 'failure');
+    assert.ok(failure.status >= 400);
+    assert.equal(failure.error.code, done.error.code);
+  });
+
+  it('only shows a job to the key that submitted it', async () => {
+    const issued = await gateway.request('POST', '/admin/client-keys', { body: { name: 'artist', scopes: ['/huggingface:write'] } });
+    const other = await gateway.request('POST', '/admin/client-keys', { body: { name: 'other', scopes: ['/huggingface:write'] } });
+    const job = await submit('/huggingface/text-to-image', { prompt: 'mine' }, issued.body.key);
+
+    assert.equal((await gateway.request('GET', `/jobs/${job.id}`, { key: issued.body.key })).status, 200);
+    assert.equal((await gateway.request('GET', `/jobs/${job.id}`, { key: other.body.key })).status, 404);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers');
+
+const ZONE_ID = 'b672366422704a97ba5747b04f942c7e';
+
+describe('MCP over HTTP', () => {
+  let gateway;
+  before(async () => {
+    gateway = await startGateway({ TOWER_MCP_DISABLED_TOOLS: 'taskade_*' });
+  });
+  after(() => gateway.close());
+
+  let nextId = 1;
+  const rpc = async (method, params = {}, key) => {
+    const { status, body } = await gateway.request('POST', '/mcp', {
+      key,
+      body: { jsonrpc: '2.0', id: nextId++, method, params },
+      headers: { Accept: 'application/json, text/event-stream' }
+    });
+    assert.equal(status, 200);
+    return body;
+  };
+  const toolNames = async key => (await rpc('tools/list', {}, key)).result.tools.map(tool => tool.name);
+  const call = async (name, args, key) => (await rpc('tools/call', { name, arguments: args }, key)).result;
+
+  it('needs a client key', async () => {
+    const { status, body } = await gateway.request('POST', '/mcp', { key: null, body: { jsonrpc: '2.0', id: 1, method: 'tools/list' } });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'unauthorized');
+  });
+
+  it('offers the allowed tools and hides disabled ones', async () => {
+    const names = await toolNames();
+    assert.ok(names.includes('gitlab_createIssue'));
+    assert.ok(names.includes('cloudflare_deleteDNSRecord'));
+    assert.ok(!names.some(name => name.startsWith('taskade_')));
+
+    const { tools } = (await rpc('tools/list')).result;
+    const destructive = tools.find(tool => tool.name === 'cloudflare_deleteDNSRecord');
+    assert.ok(destructive.inputSchema.properties.confirm);
+    assert.equal(destructive.annotations.destructiveHint, true);
+
+    const unknown = await rpc('tools/call', { name: 'taskade_getAgents', arguments: {} });
+    assert.ok(unknown.error);
+  });
+
+  it('lists and runs only the tools a key may use', async () => {
+    const { key } = (await gateway.request('POST', '/admin/client-keys', { body: { name: 'agent', scopes: ['/gitlab:read'] } })).body;
+    const names = await toolNames(key);
+    assert.ok(names.includes('gitlab_getProject'));
+    assert.ok(!names.includes('gitlab_createIssue'));
+    assert.ok(!names.some(name => name.startsWith('cloudflare_')));
+
+    const denied = await call('gitlab_createIssue', { projectId: 1, title: 'Not mine to make' }, key);
+    assert.equal(denied.isError, true);
+    assert.equal(denied.structuredContent.code, 'forbidden');
+  });
+
+  it('runs a destructive tool only when confirmed', async () => {
+    const { body } = await gateway.request('GET', `/cloudflare/zones/${ZONE_ID}/dns?per_page=100`);
+    const recordId = body.records[0].id;
+
+    const unconfirmed = await call('cloudflare_deleteDNSRecord', { zoneId: ZONE_ID, recordId });
+    assert.equal(unconfirmed.isError, true);
+    assert.equal(unconfirmed.structuredContent.code, 'confirmation_required');
+    const still = await gateway.request('GET', `/cloudflare/zones/${ZONE_ID}/dns?per_page=100`);
+    assert.ok(still.body.records.some(record => record.id === recordId));
+
+    const confirmed = await call('cloudflare_deleteDNSRecord', { zoneId: ZONE_ID, recordId, confirm: true });
+    assert.equal(confirmed.isError, false);
+    const after = await gateway.request('GET', `/cloudflare/zones/${ZONE_ID}/dns?per_page=100`);
+    assert.ok(!after.body.records.some(record => record.id === recordId));
+  });
+
+  it('audits tool calls like HTTP calls', async () => {
+    const result = await call('gitlab_createIssue', { projectId: 1, title: 'Filed by an agent' });
+    assert.equal(result.isError, false);
+    const { body } = await gateway.request('GET', '/admin/audit-log?provider=gitlab');
+    const entry = body.entries.find(candidate => candidate.request && candidate.request.title === 'Filed by an agent');
+    assert.equal(entry.resource, '/gitlab/projects/1/issues');
+  });
+});
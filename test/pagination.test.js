@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway, ADMIN_KEY } = require('./helpers');
+
+describe('paginated lists', () => {
+  let gateway;
+  let total;
+  before(async () => {
+    gateway = await startGateway();
+    for (const title of ['Page one', 'Page two', 'Page three']) {
+      await gateway.request('POST', '/gitlab/projects/1/issues', { body: { title } });
+    }
+    total = (await gateway.request('GET', '/gitlab/projects/1/issues?state=all&per_page=100')).body.issues.length;
+  });
+  after(() => gateway.close());
+
+  it('follows cursors and next links page by page', async () => {
+    const first = await gateway.request('GET', '/gitlab/projects/1/issues?state=all&per_page=1');
+    assert.equal(first.body.issues.length, 1);
+    const { pagination } = first.body;
+    assert.equal(pagination.page, 1);
+    assert.equal(pagination.nextPage, 2);
+    assert.ok(pagination.nextCursor);
+    assert.equal(first.headers.get('link'), `<${pagination.next}>; rel="next"`);
+
+    const byCursor = await gateway.request('GET', `/gitlab/projects/1/issues?state=all&per_page=1&cursor=${pagination.nextCursor}`);
+    const byLink = await gateway.request('GET', pagination.next);
+    assert.equal(byCursor.body.pagination.page, 2);
+    assert.deepEqual(byLink.body.issues, byCursor.body.issues);
+    assert.notEqual(byCursor.body.issues[0].iid, first.body.issues[0].iid);
+  });
+
+  it('fetches several pages into one response', async () => {
+    const { body } = await gateway.request('GET', '/gitlab/projects/1/issues?state=all&per_page=1&maxPages=3');
+    assert.equal(body.issues.length, 3);
+    assert.equal(body.pagination.pages, 3);
+    assert.equal(body.pagination.nextPage, total > 3 ? 4 : null);
+  });
+
+  it('ends with null links on the last page', async () => {
+    const { body } = await gateway.request('GET', `/gitlab/projects/1/issues?state=all&per_page=1&page=${total}`);
+    assert.equal(body.pagination.nextPage, null);
+    assert.equal(body.pagination.nextCursor, null);
+    assert.equal(body.pagination.next, null);
+  });
+
+  it('rejects a page and a cursor together, and cursors it did not issue', async () => {
+    const { body } = await gateway.request('GET', '/gitlab/projects/1/issues?state=all&per_page=1');
+    const both = await gateway.request('GET', `/gitlab/projects/1/issues?page=2&cursor=${body.pagination.nextCursor}`);
+    assert.equal(both.status, 400);
+    assert.equal(both.body.code, 'invalid_pagination');
+
+    const forged = await gateway.request('GET', '/gitlab/projects/1/issues?cursor=not-a-cursor');
+    assert.equal(forged.status, 400);
+    assert.equal(forged.body.code, 'invalid_cursor');
+  });
+
+  it('exports every page as NDJSON', async () => {
+    const response = await fetch(`${gateway.url}/gitlab/projects/1/issues?state=all&per_page=1`, {
+      headers: { 'X-Tower-Key': ADMIN_KEY, Accept: 'application/x-ndjson' }
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^application\/x-ndjson/);
+    const items = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(items.length, total);
+    assert.ok(items.every(item => item.iid && !item.error));
+  });
+});
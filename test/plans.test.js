@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers');
+
+const ZONE_ID = 'b672366422704a97ba5747b04f942c7e';
+const SSL = `/cloudflare/zones/${ZONE_ID}/ssl`;
+
+describe('dry runs and plans', () => {
+  let gateway;
+  before(async () => {
+    gateway = await startGateway();
+  });
+  after(() => gateway.close());
+
+  const sslMode = async () => (await gateway.request('GET', SSL)).body;
+  const setSsl = (value, { dryRun = false, key } = {}) => gateway.request('PUT', `${SSL}${dryRun ? '?dryRun=true' : ''}`, { key, body: { mode: value } });
+
+  it('reports the change without making it', async () => {
+    const before = await sslMode();
+    const target = JSON.stringify(before).includes('"strict"') ? 'flexible' : 'strict';
+    const { status, body } = await setSsl(target, { dryRun: true });
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    assert.equal(body.change.action, 'update');
+    assert.equal(body.change.resource, SSL);
+    assert.deepEqual(body.change.diff.map(change => change.after), [target]);
+    assert.deepEqual(await sslMode(), before);
+
+    const audit = await gateway.request('GET', `/admin/audit-log?resource=${SSL}`);
+    assert.equal(audit.body.entries.length, 0);
+  });
+
+  it('applies a reviewed plan once', async () => {
+    const { body } = await setSsl('strict', { dryRun: true });
+    const applied = await gateway.request('POST', `/plans/${body.plan.token}/apply`);
+    assert.equal(applied.status, 200);
+    assert.match(JSON.stringify(await sslMode()), /"strict"/);
+
+    const again = await gateway.request('POST', `/plans/${body.plan.token}/apply`);
+    assert.equal(again.status, 404);
+  });
+
+  it('refuses a plan whose resource changed since the dry run', async () => {
+    await setSsl('full');
+    const { body } = await setSsl('strict', { dryRun: true });
+    await setSsl('flexible');
+
+    const stale = await gateway.request('POST', `/plans/${body.plan.token}/apply`);
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.code, 'plan_stale');
+    assert.ok(stale.body.details.changed.length > 0);
+    assert.match(JSON.stringify(await sslMode()), /"flexible"/);
+    assert.equal((await gateway.request('GET', `/plans/${body.plan.token}`)).status, 404);
+  });
+
+  it("keeps a client's plans to itself unless another key has a /plans scope", async () => {
+    const issue = async scopes => (await gateway.request('POST', '/admin/client-keys', { body: { name: 'planner', scopes } })).body.key;
+    const planner = await issue(['/cloudflare:write', '/cloudflare:read']);
+    const other = await issue(['/cloudflare:write']);
+    const reviewer = await issue(['/plans:read', '/plans:write', '/cloudflare:write']);
+
+    const { body } = await setSsl('full', { dryRun: true, key: planner });
+    assert.equal((await gateway.request('GET', `/plans/${body.plan.token}`, { key: other })).status, 404);
+    assert.equal((await gateway.request('POST', `/plans/${body.plan.token}/apply`, { key: other })).status, 404);
+    assert.equal((await gateway.request('GET', `/plans/${body.plan.token}`, { key: reviewer })).status, 200);
+    assert.equal((await gateway.request('POST', `/plans/${body.plan.token}/apply`, { key: reviewer })).status, 200);
+  });
+
+  it('needs the write scope of the call it plans', async () => {
+    const { key } = (await gateway.request('POST', '/admin/client-keys', { body: { name: 'reader', scopes: ['/cloudflare:read'] } })).body;
+    const { status } = await setSsl('strict', { dryRun: true, key });
+    assert.equal(status, 403);
+  });
+});
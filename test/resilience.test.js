@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GatewayError = require('../gateway-error');
+const { ResiliencePolicy } = require('../resilience');
+
+const unavailable = () => new GatewayError('Upstream down', { status: 503, code: 'upstream_unavailable', retryable: true });
+
+// A policy that opens after two failures and half-opens after 20ms
+function policy(env = {}) {
+  return new ResiliencePolicy('example', { retries: 0, breakerThreshold: 2, breakerResetMs: 20 }, env);
+}
+
+async function open(target) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    await assert.rejects(target.run(async () => { throw unavailable(); }));
+  }
+  assert.equal(target.status().state, 'open');
+}
+
+describe('resilience policy', () => {
+  it('fails fast while the circuit is open', async () => {
+    const target = policy();
+    await open(target);
+    let called = false;
+    await assert.rejects(target.run(async () => { called = true; }), { code: 'circuit_open' });
+    assert.equal(called, false);
+  });
+
+  it('lets a single trial call through once the reset time has passed', async () => {
+    const target = policy();
+    await open(target);
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    let finishTrial;
+    let calls = 0;
+    const trial = target.run(() => {
+      calls += 1;
+      return new Promise(resolve => { finishTrial = resolve; });
+    });
+    const others = await Promise.allSettled([1, 2, 3].map(() => target.run(async () => { calls += 1; })));
+    assert.equal(calls, 1);
+    others.forEach(outcome => assert.equal(outcome.reason.code, 'circuit_open'));
+
+    finishTrial('ok');
+    assert.equal(await trial, 'ok');
+    assert.equal(target.status().state, 'closed');
+    assert.equal(await target.run(async () => 'next'), 'next');
+  });
+
+  it('opens again when the trial call fails', async () => {
+    const target = policy();
+    await open(target);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await assert.rejects(target.run(async () => { throw unavailable(); }), { code: 'upstream_unavailable' });
+    assert.equal(target.status().state, 'open');
+    await assert.rejects(target.run(async () => 'ok'), { code: 'circuit_open' });
+  });
+
+  it('takes its settings from the env it is given', () => {
+    const target = policy({ TOWER_EXAMPLE_TIMEOUT_MS: '1500', TOWER_RETRIES: '4' });
+    assert.equal(target.settings.timeoutMs, 1500);
+    assert.equal(target.settings.retries, 4);
+  });
+});
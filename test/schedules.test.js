@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startGateway } = require('./helpers');
+
+describe('schedules', () => {
+  let gateway;
+  before(async () => {
+    gateway = await startGateway();
+  });
+  after(() => gateway.close());
+
+  const issueKey = async (name, scopes) => (await gateway.request('POST', '/admin/client-keys', { body: { name, scopes } })).body;
+
+  const createSchedule = (key, fields = {}) => gateway.request('POST', '/schedules', {
+    key,
+    body: { name: 'Nightly issue', cron: '0 3 * * *', call: 'gitlab.createIssue', args: { projectId: 1, title: 'Nightly check' }, ...fields }
+  });
+
+  it('runs a provider call on demand', async () => {
+    const created = await createSchedule();
+    assert.equal(created.status, 201);
+    assert.ok(created.body.schedule.nextRunAt);
+
+    const { status, body } = await gateway.request('POST', `/schedules/${created.body.schedule.id}/run`);
+    assert.equal(status, 200);
+    assert.equal(body.run.status, 'succeeded');
+
+    const runs = await gateway.request('GET', `/schedules/${created.body.schedule.id}/runs`);
+    assert.equal(runs.body.runs[0].trigger, 'manual');
+  });
+
+  it('rejects cron expressions it cannot parse', async () => {
+    const { status } = await createSchedule(undefined, { cron: 'every night' });
+    assert.equal(status, 400);
+  });
+
+  it('needs write access to the providers a schedule calls', async () => {
+    const { key } = await issueKey('scheduler', ['/schedules:write', '/schedules:read']);
+    const created = await createSchedule(key);
+    assert.equal(created.status, 403);
+    assert.equal(created.body.code, 'forbidden');
+
+    const adminSchedule = (await createSchedule()).body.schedule;
+    const deleted = await gateway.request('DELETE', `/schedules/${adminSchedule.id}`, { key });
+    assert.equal(deleted.status, 403);
+    assert.equal((await gateway.request('POST', `/schedules/${adminSchedule.id}/run`, { key })).status, 403);
+    assert.equal((await gateway.request('GET', `/schedules/${adminSchedule.id}`)).status, 200);
+
+    assert.equal((await gateway.request('DELETE', `/schedules/${adminSchedule.id}`)).status, 200);
+    assert.equal((await gateway.request('GET', `/schedules/${adminSchedule.id}`)).status, 404);
+  });
+
+  it('fails cron runs once the key that set the schedule up is revoked', async () => {
+    const issued = await issueKey('owner', ['/schedules:write', '/gitlab:write']);
+    const { schedule } = (await createSchedule(issued.key)).body;
+    const { scheduler } = gateway.app.locals.tower;
+
+    const before = await scheduler.trigger(scheduler.get(schedule.id), 'cron').finished;
+    assert.equal(before.status, 'succeeded');
+    assert.equal(before.client.id, issued.client.id);
+
+    await gateway.request('DELETE', `/admin/client-keys/${issued.client.id}`);
+    const after = await scheduler.trigger(scheduler.get(schedule.id), 'cron').finished;
+    assert.equal(after.status, 'failed');
+    assert.equal(after.error.code, 'client_key_revoked');
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TowerClient } = require('../client/index.cjs');
+const { startGateway, ADMIN_KEY } = require('./helpers');
+
+// Split a text/event-stream body into { event, data } records, skipping comments
+function parseEvents(text) {
+  return text.split('\n\n').filter(block => block.trim() && !block.startsWith(':')).map(block => {
+    const lines = block.split('\n');
+    const event = (lines.find(line => line.startsWith('event:')) || 'event: message').slice(6).trim();
+    const data = lines.filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('\n');
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+describe('streaming routes', () => {
+  let gateway;
+  before(async () => {
+    gateway = await startGateway();
+  });
+  after(() => gateway.close());
+
+  it('sends tokens as server-sent events and ends with the full body', async () => {
+    const response = await fetch(`${gateway.url}/gemini/generate/stream`, {
+      method: 'POST',
+      headers: { 'X-Tower-Key': ADMIN_KEY, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prompt: 'Write a haiku about gateways' })
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = parseEvents(await response.text());
+    const tokens = events.filter(event => event.event === 'token');
+    const done = events[events.length - 1];
+    assert.ok(tokens.length > 1);
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.success, true);
+    assert.equal(tokens.map(event => event.data.text).join(''), done.data.content);
+    assert.ok(done.data.usage);
+  });
+
+  it('answers invalid requests with an ordinary JSON error', async () => {
+    const { status, headers, body } = await gateway.request('POST', '/huggingface/text-generation/stream', { body: {} });
+    assert.equal(status, 400);
+    assert.match(headers.get('content-type'), /json/);
+    assert.equal(body.code, 'validation_failed');
+  });
+
+  it('is read by the JavaScript client as tokens then done', async () => {
+    const tower = new TowerClient({ baseUrl: gateway.url, key: ADMIN_KEY });
+    const events = [];
+    for await (const event of tower.huggingface.streamText({ prompt: 'Once upon a time' })) {
+      events.push(event);
+    }
+    assert.ok(events.length > 1);
+    assert.deepEqual([...new Set(events.slice(0, -1).map(event => event.type))], ['token']);
+    assert.equal(events[events.length - 1].type, 'done');
+  });
+
+  it('fails as a missing fixture in replay mode', async () => {
+    const replay = await startGateway({ TOWER_GEMINI_MODE: 'replay' });
+    try {
+      const { status, body } = await replay.request('POST', '/gemini/generate/stream', { body: { prompt: 'Hello' } });
+      assert.equal(status, 501);
+      assert.equal(body.code, 'fixture_missing');
+    } finally {
+      await replay.close();
+    }
+  });
+});
@@ -0,0 +1,1424 @@
+const express = require('express');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const cors = require('cors');
+const GoogleDocsService = require('./google-docs-service');
+const GeminiService = require('./gemini-service');
+const CloudflareService = require('./cloudflare-service');
+const HuggingFaceService = require('./huggingface-service');
+const GitlabService = require('./gitlab-service');
+const TaskadeService = require('./taskade-service');
+const ProviderRegistry = require('./provider-registry');
+const ClientKeyService = require('./client-key-service');
+const { ResponseCache } = require('./response-cache');
+const { AuditLog } = require('./audit-log');
+const { JobQueue } = require('./job-queue');
+const { ChangePlans } = require('./change-plans');
+const { GitlabWebhooks } = require('./gitlab-webhooks');
+const { EventSubscriptions } = require('./event-subscriptions');
+const { WorkflowEngine } = require('./workflow-engine');
+const { Scheduler } = require('./scheduler');
+const { McpServer } = require('./mcp-server');
+const { BatchRunner } = require('./batch-requests');
+const HealthMonitor = require('./health-monitor');
+const GatewayError = require('./gateway-error');
+const validateRequest = require('./request-validator');
+const buildOpenApiDocument = require('./openapi');
+const { nonEmptyString, anyObject, anyArray, strictObject, successResponse } = require('./api-schemas');
+const { DEFAULT_CONNECTION } = require('./provider-connections');
+const { logger, requestLogger, useEnv } = require('./logger');
+const { assignRequestId, bindRequestContext } = require('./request-context');
+
+// Providers a Tower app registers unless `config.providers` says otherwise
+const BUILT_IN_PROVIDERS = [HuggingFaceService, GitlabService, CloudflareService, GeminiService, GoogleDocsService, TaskadeService];
+
+// Build a Tower gateway as an Express app that can be served on its own (see
+// tower-server.js) or mounted inside another app with `parent.use('/tower', app)`.
+// Settings come from config.env rather than the process environment, so
+// several isolated instances can run in one process.
+//
+//   config.env          settings and provider credentials, same names as the
+//                       environment variables (default process.env)
+//   config.providers    service classes to register (default BUILT_IN_PROVIDERS)
+//   config.connections  named connections, same shape as TOWER_CONNECTIONS
+//   config.gitlabWebhookHandlers
+//                       GitLab webhook handlers, same shape as TOWER_GITLAB_WEBHOOK_HANDLERS
+//   config.cache, config.audit, config.clientKeys, config.jobs, config.events, config.plans
+//                       ResponseCache, AuditLog, ClientKeyService, JobQueue,
+//                       EventSubscriptions and ChangePlans instances to use
+//                       instead of building them from config.env
+function createTowerApp(config = {}) {
+  const env = config.env || process.env;
+  // Redact this env's credentials from logs and honour its TOWER_LOG_* settings
+  const forgetEnv = useEnv(env);
+
+  const app = express();
+
+  // Append-only record of every mutating call
+  const auditLog = config.audit || AuditLog.fromEnv(env);
+
+  // Background worker queue for route calls made with "Prefer: respond-async"
+  const jobQueue = config.jobs || JobQueue.fromEnv(env);
+
+  // Issued client keys used to authenticate callers of the gateway
+  const clientKeyService = config.clientKeys || ClientKeyService.fromEnv(env);
+
+  // Signed notifications of successful mutations, sent to subscribed URLs
+  // whose creators' keys may read them
+  const eventSubscriptions = config.events || EventSubscriptions.fromEnv(env, { clientKeys: clientKeyService });
+
+  // Changes reviewed with ?dryRun=true, waiting to be applied
+  const changePlans = config.plans || ChangePlans.fromEnv(env);
+
+  // Register every provider service; drop-in modules can be added with TOWER_PROVIDER_MODULES
+  const providerRegistry = new ProviderRegistry({
+    cache: config.cache || ResponseCache.fromEnv(env),
+    audit: auditLog,
+    jobs: jobQueue,
+    events: eventSubscriptions,
+    plans: changePlans
+  });
+  (config.providers || BUILT_IN_PROVIDERS).forEach(ServiceClass => providerRegistry.register(ServiceClass));
+  providerRegistry
+    .loadModules(env.TOWER_PROVIDER_MODULES)
+    .initialize(env, { connections: config.connections });
+
+  // Inbound GitLab webhooks and the handlers that react to them
+  const gitlabWebhooks = GitlabWebhooks.fromEnv(providerRegistry, env, { handlers: config.gitlabWebhookHandlers });
+
+  // Multi-step workflows defined as JSON or YAML files
+  const workflowEngine = WorkflowEngine.fromEnv(providerRegistry, env);
+
+  // Recurring provider calls and workflow runs on cron schedules, run as the
+  // client keys that set them up
+  const scheduler = Scheduler.fromEnv(providerRegistry, workflowEngine, env, { clientKeys: clientKeyService });
+
+  // Sub-requests of POST /batch calls, and the connections they are sent
+  // back to this app on
+  const batchRunner = BatchRunner.fromEnv(env);
+  const loopbackAgents = {
+    http: new http.Agent({ keepAlive: true }),
+    // The connection goes to our own socket, whatever name its certificate has
+    https: new https.Agent({ keepAlive: true, rejectUnauthorized: false })
+  };
+
+  // Provider routes offered to agents as Model Context Protocol tools
+  const mcpServer = McpServer.fromEnv(providerRegistry, env);
+
+  // Liveness, readiness and live provider probes
+  const healthMonitor = HealthMonitor.fromEnv(providerRegistry, env);
+
+  // Handles for whoever runs the app; tower-server.js sets `draining` on shutdown
+  app.locals.tower = {
+    registry: providerRegistry,
+    auditLog,
+    healthMonitor,
+    clientKeys: clientKeyService,
+    jobs: jobQueue,
+    events: eventSubscriptions,
+    plans: changePlans,
+    gitlabWebhooks,
+    workflows: workflowEngine,
+    scheduler,
+    mcp: mcpServer,
+    draining: false,
+    // The OpenAPI document served at /openapi.json, e.g. for generate-client.js
+    openApiDocument: () => buildOpenApiDocument(providerRegistry, coreRoutes),
+    // Flush and close the stores behind the app once it has stopped serving
+    close: async () => {
+      jobQueue.close();
+      scheduler.close();
+      gitlabWebhooks.close();
+      workflowEngine.close();
+      eventSubscriptions.close();
+      providerRegistry.cache.close();
+      loopbackAgents.http.destroy();
+      loopbackAgents.https.destroy();
+      await auditLog.close();
+      forgetEnv();
+    }
+  };
+
+  app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+  app.use(assignRequestId);
+  app.use(express.json());
+  app.use(bindRequestContext);
+  app.use(requestLogger(logger));
+  // Path the app is mounted under inside another app ('' when served on its
+  // own); client key scopes are matched against paths relative to it
+  app.use((req, res, next) => {
+    req.towerBaseUrl = req.baseUrl;
+    next();
+  });
+  app.use(providerRegistry.routeConnections());
+
+  // Routes served by the gateway itself; each one is validated and published in /openapi.json
+  const coreRoutes = [];
+  const describeRoute = (method, path, details) => {
+    coreRoutes.push({ method, path, ...details });
+    return validateRequest(path, details.schema);
+  };
+
+  // Middleware to check the caller's client key
+  const identifyClient = (req, res, next) => {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    const rawKey = req.get('x-tower-key') || (bearer && bearer[1]);
+    if (!rawKey) {
+      return new GatewayError('Client key is required. Send it in the X-Tower-Key header or as a Bearer token.', { status: 401, code: 'unauthorized' }).send(res);
+    }
+
+    const client = clientKeyService.verify(rawKey);
+    if (!client) {
+      return new GatewayError('Invalid or revoked client key', { status: 401, code: 'unauthorized' }).send(res);
+    }
+
+    req.client = client;
+    next();
+  };
+
+  // Middleware to check the caller's client key and its scopes
+  const authenticateClient = (req, res, next) => identifyClient(req, res, () => {
+    const { client } = req;
+    const requestPath = (req.baseUrl + req.path).slice(req.towerBaseUrl.length);
+    if (!ClientKeyService.isAllowed(client.scopes, req.method, requestPath)) {
+      return new GatewayError(
+        `Client key "${client.name}" is not allowed to ${ClientKeyService.accessFor(req.method)} ${requestPath}`,
+        { status: 403, code: 'forbidden' }
+      ).send(res);
+    }
+    next();
+  });
+
+  // Health check endpoint. Public like /health/live, so it is registered
+  // before the client key check on /taskade-tower
+  app.get('/taskade-tower/health', describeRoute('get', '/taskade-tower/health', {
+    operation: 'taskadeHealth',
+    summary: 'Health check',
+    tag: 'Taskade',
+    secured: false,
+    schema: {
+      response: strictObject({ status: { type: 'string' }, message: { type: 'string' }, apiKeyConfigured: { type: 'boolean' } })
+    }
+  }), (req, res) => {
+    res.json({
+      status: 'ok',
+      message: 'Taskade Agent Integration API is running',
+      apiKeyConfigured: !!env.TASKADE_API_KEY
+    });
+  });
+
+  app.use([...providerRegistry.mountPaths(), '/providers', '/connections', '/admin', '/subscriptions', '/events', '/workflows', '/schedules', '/health/deep'], authenticateClient);
+  // Any client may follow its own jobs; keys scoped to /jobs see everyone's
+  app.use('/jobs', identifyClient);
+  // Likewise for plans made by dry runs, with a /plans scope
+  app.use('/plans', identifyClient);
+
+  // Client key administration endpoints
+
+  // List issued client keys
+  app.get('/admin/client-keys', describeRoute('get', '/admin/client-keys', {
+    operation: 'listClientKeys',
+    summary: 'List issued client keys',
+    tag: 'Admin',
+    schema: { response: successResponse({ clients: anyArray }) }
+  }), (req, res) => {
+    res.json({
+      success: true,
+      clients: clientKeyService.listKeys()
+    });
+  });
+
+  // Issue a new client key
+  app.post('/admin/client-keys', auditLog.middleware('tower', { method: 'post', operation: 'issueClientKey' }), describeRoute('post', '/admin/client-keys', {
+    operation: 'issueClientKey',
+    summary: 'Issue a new client key',
+    tag: 'Admin',
+    schema: {
+      body: strictObject({
+        name: nonEmptyString,
+        scopes: { type: 'array', minItems: 1, items: { type: 'string', pattern: '^(\\*|/[^:]*):(read|write)$' } }
+      }, ['name', 'scopes']),
+      response: successResponse({ key: { type: 'string' }, client: anyObject, message: { type: 'string' } })
+    }
+  }), (req, res) => {
+    try {
+      const { name, scopes } = req.body;
+      const { key, client } = clientKeyService.issueKey(name, scopes);
+      res.json({
+        success: true,
+        key: key,
+        client: client,
+        message: 'Store this key now; it cannot be shown again'
+      });
+    } catch (error) {
+      new GatewayError(error.message, { status: 400, code: 'invalid_request' }).send(res);
+    }
+  });
+
+  // Revoke a client key
+  app.delete('/admin/client-keys/:clientId', auditLog.middleware('tower', { method: 'delete', operation: 'revokeClientKey' }), describeRoute('delete', '/admin/client-keys/:clientId', {
+    operation: 'revokeClientKey',
+    summary: 'Revoke a client key',
+    tag: 'Admin',
+    schema: { response: successResponse({ client: anyObject }) }
+  }), (req, res) => {
+    const client = clientKeyService.revokeKey(req.params.clientId);
+    if (!client) {
+      return new GatewayError('Client key not found', { status: 404, code: 'not_found' }).send(res);
+    }
+    res.json({
+      success: true,
+      client: client
+    });
+  });
+
+  // Query the audit log, newest first
+  app.get('/admin/audit-log', describeRoute('get', '/admin/audit-log', {
+    operation: 'queryAuditLog',
+    summary: 'Query the audit log',
+    tag: 'Admin',
+    schema: {
+      query: strictObject({
+        provider: nonEmptyString,
+        connection: nonEmptyString,
+        resource: nonEmptyString,
+        from: { type: 'string', format: 'date-time' },
+        to: { type: 'string', format: 'date-time' },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+        offset: { type: 'integer', minimum: 0, default: 0 }
+      }),
+      response: successResponse({ entries: anyArray })
+    }
+  }), async (req, res) => {
+    try {
+      const entries = await auditLog.query(req.query);
+      res.json({
+        success: true,
+        entries: entries
+      });
+    } catch (error) {
+      logger.error('Error querying audit log', { error });
+      GatewayError.from(error).send(res);
+    }
+  });
+
+  // List the handlers registered for GitLab webhook events
+  app.get('/admin/webhooks/gitlab/handlers', describeRoute('get', '/admin/webhooks/gitlab/handlers', {
+    operation: 'listGitlabWebhookHandlers',
+    summary: 'List GitLab webhook handlers',
+    tag: 'Webhooks',
+    schema: { response: successResponse({ handlers: anyArray }) }
+  }), (req, res) => {
+    res.json({
+      success: true,
+      handlers: gitlabWebhooks.listHandlers()
+    });
+  });
+
+  // List recent GitLab webhook deliveries, newest first
+  app.get('/admin/webhooks/gitlab/deliveries', describeRoute('get', '/admin/webhooks/gitlab/deliveries', {
+    operation: 'listGitlabWebhookDeliveries',
+    summary: 'List GitLab webhook deliveries',
+    tag: 'Webhooks',
+    schema: {
+      query: strictObject({
+        event: nonEmptyString,
+        project: nonEmptyString,
+        status: { type: 'string', enum: ['pending', 'handled', 'partial', 'failed', 'unhandled'] },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 50 }
+      }),
+      response: successResponse({ deliveries: anyArray })
+    }
+  }), (req, res) => {
+    res.json({
+      success: true,
+      deliveries: gitlabWebhooks.listDeliveries(req.query)
+    });
+  });
+
+  // Show one delivery with its payload and typed event
+  app.get('/admin/webhooks/gitlab/deliveries/:deliveryId', describeRoute('get', '/admin/webhooks/gitlab/deliveries/:deliveryId', {
+    operation: 'getGitlabWebhookDelivery',
+    summary: 'Get a GitLab webhook delivery',
+    tag: 'Webhooks',
+    schema: { response: successResponse({ delivery: anyObject }) }
+  }), (req, res) => {
+    const delivery = gitlabWebhooks.getDelivery(req.params.deliveryId);
+    if (!delivery) {
+      return new GatewayError('Delivery not found', { status: 404, code: 'not_found' }).send(res);
+    }
+    res.json({
+      success: true,
+      delivery: { ...delivery, event: GitlabWebhooks.event(delivery) }
+    });
+  });
+
+  // Run a delivery's handlers again
+  app.post('/admin/webhooks/gitlab/deliveries/:deliveryId/replay', auditLog.middleware('tower', { method: 'post', operation: 'replayGitlabWebhookDelivery' }), describeRoute('post', '/admin/webhooks/gitlab/deliveries/:deliveryId/replay', {
+    operation: 'replayGitlabWebhookDelivery',
+    summary: 'Replay a GitLab webhook delivery',
+    tag: 'Webhooks',
+    schema: { response: successResponse({ delivery: anyObject }) }
+  }), async (req, res) => {
+    try {
+      const delivery = await gitlabWebhooks.replay(req.params.deliveryId);
+      if (!delivery) {
+        return new GatewayError('Delivery not found', { status: 404, code: 'not_found' }).send(res);
+      }
+      res.json({
+        success: true,
+        delivery: GitlabWebhooks.describe(delivery)
+      });
+    } catch (error) {
+      logger.error('Error replaying GitLab webhook delivery', { error });
+      GatewayError.from(error).send(res);
+    }
+  });
+
+  // Show response cache settings and hit counts
+  app.get('/admin/cache', describeRoute('get', '/admin/cache', {
+    operation: 'getCacheStats',
+    summary: 'Response cache statistics',
+    tag: 'Admin',
+    schema: { response: successResponse({ cache: anyObject }) }
+  }), (req, res) => {
+    res.json({
+      success: true,
+      cache: providerRegistry.cache.stats()
+    });
+  });
+
+  // Drop every cached response
+  app.delete('/admin/cache', auditLog.middleware('tower', { method: 'delete', operation: 'clearCache' }), describeRoute('delete', '/admin/cache', {
+    operation: 'clearCache',
+    summary: 'Clear the response cache',
+    tag: 'Admin',
+    schema: { response: successResponse({ cache: anyObject }) }
+  }), (req, res) => {
+    providerRegistry.cache.clear();
+    res.json({
+      success: true,
+      cache: providerRegistry.cache.stats()
+    });
+  });
+
+  // Provider endpoints
+  providerRegistry.mount(app);
+
+  // Event subscriptions: consumers register a URL for event types and receive signed POSTs
+  const subscriptionBody = {
+    url: { type: 'string', format: 'uri' },
+    events: { type: 'array', minItems: 1, items: { type: 'string', pattern: '^[A-Za-z0-9_.*-]+$' } },
+    connection: nonEmptyString,
+    description: { type: 'string' }
+  };
+
+  const findSubscription = (req, res) => {
+    const subscription = eventSubscriptions.get(req.params.subscriptionId);
+    if (!subscription) {
+      new GatewayError('Subscription not found', { status: 404, code: 'not_found' }).send(res);
+    }
+    return subscription;
+  };
+
+  // List the event types provider routes publish
+  app.get('/events', describeRoute('get', '/events', {
+    operation: 'listEventTypes',
+    summary: 'List event types',
+    tag: 'Events',
+    schema: { response: successResponse({ events: anyArray }) }
+  }), (req, res) => {
+    const events = Array.from(providerRegistry.providers.values()).flatMap(({ definition }) => definition.routes
+      .filter(route => route.event)
+      .map(route => ({
+        type: `${definition.name}.${route.event}`,
+        provider: definition.name,
+        operation: route.operation,
+        route: `${route.method.toUpperCase()} ${definition.mountPath}${route.path}`
+      })));
+    res.json({
+      success: true,
+      events: events
+    });
+  });
+
+  // List event subscriptions
+  app.get('/subscriptions', describeRoute('get', '/subscriptions', {
+    operation: 'listSubscriptions',
+    summary: 'List event subscriptions',
+    tag: 'Events',
+    schema: { response: successResponse({ subscriptions: anyArray }) }
+  }), (req, res) => {
+    res.json({
+      success: true,
+      subscriptions: eventSubscriptions.list()
+    });
+  });
+
+  // Subscribe a URL to events; the signing secret is only returned here
+  app.post('/subscriptions', auditLog.middleware('tower', { method: 'post', operation: 'createSubscription' }), describeRoute('post', '/subscriptions', {
+    operation: 'createSubscription',
+    summary: 'Create an event subscription',
+    tag: 'Events',
+    schema: {
+      body: strictObject(subscriptionBody, ['url', 'events']),
+      response: successResponse({ subscription: anyObject, secret: { type: 'string' }, message: { type: 'string' } })
+    }
+  }), (req, res) => {
+    try {
+      const subscription = eventSubscriptions.create({ ...req.body, client: req.client });
+      res.status(201).json({
+        success: true,
+        subscription: EventSubscriptions.describe(subscription),
+        secret: subscription.secret,
+        message: 'Store this secret now; it is used to verify the X-Tower-Signature header and cannot be shown again'
+      });
+    } catch (error) {
+      GatewayError.from(error).send(res);
+    }
+  });
+
+  // Show one subscription
+  app.get('/subscriptions/:subscriptionId', describeRoute('get', '/subscriptions/:subscriptionId', {
+    operation: 'getSubscription',
+    summary: 'Get an event subscription',
+    tag: 'Events',
+    schema: { response: successResponse({ subscription: anyObject }) }
+  }), (req, res) => {
+    const subscription = findSubscription(req, res);
+    if (!subscription) return;
+    res.json({
+      success: true,
+      subscription: EventSubscriptions.describe(subscription)
+    });
+  });
+
+  // Change a subscription, or pause it with { "active": false }
+  app.patch('/subscriptions/:subscriptionId', auditLog.middleware('tower', { method: 'patch', operation: 'updateSubscription' }), describeRoute('patch', '/subscriptions/:subscriptionId', {
+    operation: 'updateSubscription',
+    summary: 'Update an event subscription',
+    tag: 'Events',
+    schema: {
+      body: strictObject({ ...subscriptionBody, active: { type: 'boolean' } }),
+      response: successResponse({ subscription: anyObject })
+    }
+  }), (req, res) => {
+    try {
+      if (!findSubscription(req, res)) return;
+      res.json({
+        success: true,
+        subscription: EventSubscriptions.describe(eventSubscriptions.update(req.params.subscriptionId, req.body))
+      });
+    } catch (error) {
+      GatewayError.from(error).send(res);
+    }
+  });
+
+  // Delete a subscription and its delivery log
+  app.delete('/subscriptions/:subscriptionId', auditLog.middleware('tower', { method: 'delete', operation: 'deleteSubscription' }), describeRoute('delete', '/subscriptions/:subscriptionId', {
+    operation: 'deleteSubscription',
+    summary: 'Delete an event subscription',
+    tag: 'Events',
+    schema: { response: successResponse({ subscription: anyObject }) }
+  }), (req, res) => {
+    if (!findSubscription(req, res)) return;
+    res.json({
+      success: true,
+      subscription: EventSubscriptions.describe(eventSubscriptions.remove(req.params.subscriptionId))
+    });
+  });
+
+  // Send a tower.ping event and report the attempt
+  app.post('/subscriptions/:subscriptionId/ping', describeRoute('post', '/subscriptions/:subscriptionId/ping', {
+    operation: 'pingSubscription',
+    summary: 'Send a test event',
+    tag: 'Events',
+    schema: { response: successResponse({ delivery: anyObject }) }
+  }), async (req, res) => {
+    if (!findSubscription(req, res)) return;
+    res.json({
+      success: true,
+      delivery: await eventSubscriptions.ping(req.params.subscriptionId)
+    });
+  });
+
+  // A subscription's delivery log, newest first
+  app.get('/subscriptions/:subscriptionId/deliveries', describeRoute('get', '/subscriptions/:subscriptionId/deliveries', {
+    operation: 'listSubscriptionDeliveries',
+    summary: "List a subscription's deliveries",
+    tag: 'Events',
+    schema: {
+      query: strictObject({
+        status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 }
+      }),
+      response: successResponse({ deliveries: anyArray })
+    }
+  }), (req, res) => {
+    if (!findSubscription(req, res)) return;
+    res.json({
+      success: true,
+      deliveries: eventSubscriptions.listDeliveries(req.params.subscriptionId, { ...req.query, client: req.client })
+    });
+  });
+
+  // Deliveries that ran out of attempts
+  app.get('/subscriptions/:subscriptionId/dead-letters', describeRoute('get', '/subscriptions/:subscriptionId/dead-letters', {
+    operation: 'listSubscriptionDeadLetters',
+    summary: "List a subscription's dead letters",
+    tag: 'Events',
+    schema: { response: successResponse({ deliveries: anyArray }) }
+  }), (req, res) => {
+    if (!findSubscription(req, res)) return;
+    res.json({
+      success: true,
+      deliveries: eventSubscriptions.listDeliveries(req.params.subscriptionId, { status: 'dead', limit: Infinity, client: req.client })
+    });
+  });
+
+  // Send a delivery again with a fresh set of attempts
+  app.post('/subscriptions/:subscriptionId/deliveries/:deliveryId/redeliver', auditLog.middleware('tower', { method: 'post', operation: 'redeliverEvent' }), describeRoute('post', '/subscriptions/:subscriptionId/deliveries/:deliveryId/redeliver', {
+    operation: 'redeliverEvent',
+    summary: 'Redeliver an event',
+    tag: 'Events',
+    schema: { response: successResponse({ delivery: anyObject }) }
+  }), (req, res) => {
+    if (!findSubscription(req, res)) return;
+    try {
+      const delivery = eventSubscriptions.redeliver(req.params.subscriptionId, req.params.deliveryId, { client: req.client });
+      if (!delivery) {
+        return new GatewayError('Delivery not found', { status: 404, code: 'not_found' }).send(res);
+      }
+      res.json({
+        success: true,
+        delivery: delivery
+      });
+    } catch (error) {
+      GatewayError.from(error).send(res);
+    }
+  });
+
+  // Receive a GitLab webhook; GitLab authenticates with the X-Gitlab-Token secret
+  // rather than a client key. /webhooks/gitlab/<name> receives for a named connection.
+  const receiveGitlabWebhook = (req, res) => {
+    const connectionName = req.params.connection || DEFAULT_CONNECTION;
+    try {
+      gitlabWebhooks.verify(connectionName, req.get('x-gitlab-token'));
+      const { delivery, duplicate, ignored } = gitlabWebhooks.receive(
+        connectionName,
+        { event: req.get('x-gitlab-event'), eventId: req.get('x-gitlab-event-uuid') || null },
+        req.body
+      );
+      res.json({
+        success: true,
+        delivery: (delivery || duplicate || {}).id || null,
+        duplicate: !!duplicate,
+        ignored: ignored || undefined
+      });
+    } catch (error) {
+      GatewayError.from(error, 'gitlab').send(res);
+    }
+  };
+  const webhookSchema = {
+    body: anyObject,
+    response: successResponse({ delivery: { type: ['string', 'null'] }, duplicate: { type: 'boolean' }, ignored: { type: 'string' } })
+  };
+  app.post('/webhooks/gitlab', describeRoute('post', '/webhooks/gitlab', {
+    operation: 'receiveGitlabWebhook',
+    summary: 'Receive a GitLab webhook',
+    tag: 'Webhooks',
+    secured: false,
+    schema: webhookSchema
+  }), receiveGitlabWebhook);
+  app.post('/webhooks/gitlab/:connection', describeRoute('post', '/webhooks/gitlab/:connection', {
+    operation: 'receiveGitlabConnectionWebhook',
+    summary: 'Receive a GitLab webhook for a named connection',
+    tag: 'Webhooks',
+    secured: false,
+    schema: webhookSchema
+  }), receiveGitlabWebhook);
+
+  // Jobs a caller may read or cancel: its own, or all of them with a /jobs scope
+  const canAccessJob = (req, job) =>
+    (job.client && job.client.id === req.client.id) || ClientKeyService.isAllowed(req.client.scopes, req.method, '/jobs');
+
+  const findJob = (req, res) => {
+    const job = jobQueue.get(req.params.jobId);
+    if (!job || !canAccessJob(req, job)) {
+      new GatewayError('Job not found', { status: 404, code: 'not_found' }).send(res);
+      return null;
+    }
+    return job;
+  };
+
+  // List background jobs, newest first
+  app.get('/jobs', describeRoute('get', '/jobs', {
+    operation: 'listJobs',
+    summary: 'List background jobs',
+    tag: 'Jobs',
+    schema: {
+      query: strictObject({
+        status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'] },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 }
+      }),
+      response: successResponse({ jobs: anyArray, queue: anyObject })
+    }
+  }), (req, res) => {
+    const clientId = ClientKeyService.isAllowed(req.client.scopes, 'GET', '/jobs') ? undefined : req.client.id;
+    res.json({
+      success: true,
+      jobs: jobQueue.list({ clientId, status: req.query.status, limit: req.query.limit }).map(JobQueue.describe),
+      queue: jobQueue.stats()
+    });
+  });
+
+  // Show a job's status and, once it has finished, its result or error
+  app.get('/jobs/:jobId', describeRoute('get', '/jobs/:jobId', {
+    operation: 'getJob',
+    summary: 'Get a background job',
+    tag: 'Jobs',
+    schema: { response: successResponse({ job: anyObject }) }
+  }), (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    res.json({
+      success: true,
+      job: JobQueue.describe(job)
+    });
+  });
+
+  // Cancel a queued or running job
+  app.post('/jobs/:jobId/cancel', auditLog.middleware('tower', { method: 'post', operation: 'cancelJob' }), describeRoute('post', '/jobs/:jobId/cancel', {
+    operation: 'cancelJob',
+    summary: 'Cancel a background job',
+    tag: 'Jobs',
+    schema: { response: successResponse({ job: anyObject }) }
+  }), (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    try {
+      res.json({
+        success: true,
+        job: JobQueue.describe(jobQueue.cancel(job.id))
+      });
+    } catch (error) {
+      GatewayError.from(error).send(res);
+    }
+  });
+
+  // Plans a caller may see, apply or discard: its own, or all of them with a /plans scope
+  const canAccessPlan = (req, plan) =>
+    (plan.client && plan.client.id === req.client.id) || ClientKeyService.isAllowed(req.client.scopes, req.method, '/plans');
+
+  const findPlan = (req, res) => {
+    const plan = changePlans.get(req.params.token);
+    if (!plan || !canAccessPlan(req, plan)) {
+      new GatewayError('Plan not found or expired', { status: 404, code: 'not_found' }).send(res);
+      return null;
+    }
+    return plan;
+  };
+
+  // List open plans, newest first
+  app.get('/plans', describeRoute('get', '/plans', {
+    operation: 'listPlans',
+    summary: 'List change plans',
+    tag: 'Plans',
+    schema: { response: successResponse({ plans: anyArray }) }
+  }), (req, res) => {
+    const clientId = ClientKeyService.isAllowed(req.client.scopes, 'GET', '/plans') ? undefined : req.client.id;
+    res.json({
+      success: true,
+      plans: changePlans.list({ clientId }).map(ChangePlans.describe)
+    });
+  });
+
+  // Show a plan: the request it will send and the change that was reviewed
+  app.get('/plans/:token', describeRoute('get', '/plans/:token', {
+    operation: 'getPlan',
+    summary: 'Get a change plan',
+    tag: 'Plans',
+    schema: { response: successResponse({ plan: anyObject }) }
+  }), (req, res) => {
+    const plan = findPlan(req, res);
+    if (!plan) return;
+    res.json({
+      success: true,
+      plan: ChangePlans.describe(plan)
+    });
+  });
+
+  // Apply a plan. The call is made only if the resource is still in the state
+  // the dry run saw, and answers like the route itself; a plan is used up by
+  // its first apply. The provider call is audited like any other.
+  app.post('/plans/:token/apply', describeRoute('post', '/plans/:token/apply', {
+    operation: 'applyPlan',
+    summary: 'Apply a change plan',
+    tag: 'Plans',
+    schema: { response: anyObject }
+  }), async (req, res) => {
+    const plan = findPlan(req, res);
+    if (!plan) return;
+
+    // Whoever applies the plan needs the access the call itself needs
+    if (!ClientKeyService.isAllowed(req.client.scopes, plan.method, plan.resource)) {
+      return new GatewayError(
+        `Client key "${req.client.name}" is not allowed to ${ClientKeyService.accessFor(plan.method)} ${plan.resource}`,
+        { status: 403, code: 'forbidden' }
+      ).send(res);
+    }
+
+    try {
+      changePlans.take(plan.token);
+      const { status, body } = await providerRegistry.applyPlan(plan, { client: req.client, requestId: req.id });
+      res.status(status).json(body);
+    } catch (error) {
+      GatewayError.from(error, plan.provider).send(res);
+    }
+  });
+
+  // Discard a plan without applying it
+  app.delete('/plans/:token', describeRoute('delete', '/plans/:token', {
+    operation: 'discardPlan',
+    summary: 'Discard a change plan',
+    tag: 'Plans',
+    schema: { response: successResponse({ message: { type: 'string' } }) }
+  }), (req, res) => {
+    const plan = findPlan(req, res);
+    if (!plan) return;
+    changePlans.take(plan.token);
+    res.json({
+      success: true,
+      message: 'Plan discarded'
+    });
+  });
+
+  // Mount paths of the given providers that the caller's key may not write,
+  // for routes that call services directly; null when it may write them all
+  const deniedProviders = (req, providers) => {
+    const denied = providers
+      .map(name => providerRegistry.providers.get(name).definition.mountPath)
+      .filter(mountPath => !ClientKeyService.isAllowed(req.client.scopes, 'POST', mountPath));
+    return denied.length > 0 ? denied.join(', ') : null;
+  };
+
+  // Workflows: chains of provider operations, saved in TOWER_WORKFLOWS_DIR or bundled in workflows/
+  const findWorkflow = (req, res) => {
+    try {
+      const workflow = workflowEngine.get(req.params.name);
+      if (!workflow) {
+        new GatewayError('Workflow not found', { status: 404, code: 'not_found' }).send(res);
+      }
+      return workflow;
+    } catch (error) {
+      GatewayError.from(error).send(res);
+      return null;
+    }
+  };
+
+  // List workflow definitions
+  app.get('/workflows', describeRoute('get', '/workflows', {
+    operation: 'listWorkflows',
+    summary: 'List workflows',
+    tag: 'Workflows',
+    schema: { response: successResponse({ workflows: anyArray }) }
+  }), (req, res) => {
+    res.json({
+      success: true,
+      workflows: workflowEngine.list()
+    });
+  });
+
+  // Show one workflow definition
+  app.get('/workflows/:name', describeRoute('get', '/workflows/:name', {
+    operation: 'getWorkflow',
+    summary: 'Get a workflow',
+    tag: 'Workflows',
+    schema: { response: successResponse({ workflow: anyObject }) }
+  }), (req, res) => {
+    const workflow = findWorkflow(req, res);
+    if (!workflow) return;
+    res.json({
+      success: true,
+      workflow: workflow
+    });
+  });
+
+  // Create or replace a workflow from JSON, or from YAML sent as application/yaml
+  app.put('/workflows/:name', express.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml'] }), auditLog.middleware('tower', { method: 'put', operation: 'saveWorkflow' }), describeRoute('put', '/workflows/:name', {
+    operation: 'saveWorkflow',
+    summary: 'Create or replace a workflow',
+    tag: 'Workflows',
+    schema: { response: successResponse({ workflow: anyObject }) }
+  }), (req, res) => {
+    try {
+      const format = typeof req.body === 'string' ? 'yaml' : 'json';
+      const { workflow, created } = workflowEngine.save(req.params.name, req.body, format);
+      res.status(created ? 201 : 200).json({
+        success: true,
+        workflow: workflow
+      });
+    } catch (error) {
+      GatewayError.from(error).send(res);
+    }
+  });
+
+  // Delete a workflow definition; its run history is kept
+  app.delete('/workflows/:name', auditLog.middleware('tower', { method: 'delete', operation: 'deleteWorkflow' }), describeRoute('delete', '/workflows/:name', {
+    operation: 'deleteWorkflow',
+    summary: 'Delete a workflow',
+    tag: 'Workflows',
+    schema: { response: successResponse({ message: { type: 'string' } }) }
+  }), (req, res) => {
+    try {
+      if (!workflowEngine.remove(req.params.name)) {
+        return new GatewayError('Workflow not found', { status: 404, code: 'not_found' }).send(res);
+      }
+      res.json({
+        success: true,
+        message: `Workflow ${req.params.name} deleted`
+      });
+    } catch (error) {
+      GatewayError.from(error).send(res);
+    }
+  });
+
+  // Run a workflow. The response waits for the run to finish unless the
+  // caller sends "Prefer: respond-async", which answers 202 with the run's URL.
+  app.post('/workflows/:name/runs', auditLog.middleware('tower', { method: 'post', operation: 'runWorkflow' }), describeRoute('post', '/workflows/:name/runs', {
+    operation: 'runWorkflow',
+    summary: 'Run a workflow',
+    tag: 'Workflows',
+    schema: {
+      body: strictObject({ inputs: anyObject }),
+      response: successResponse({ run: anyObject })
+    }
+  }), async (req, res) => {
+    const workflow = findWorkflow(req, res);
+    if (!workflow) return;
+
+    // Steps act with the caller's authority, so its key needs write access to each provider
+    const denied = deniedProviders(req, WorkflowEngine.providersOf(workflow));
+    if (denied) {
+      return new GatewayError(`Client key "${req.client.name}" is not allowed to write ${denied}, which this workflow calls`, { status: 403, code: 'forbidden' }).send(res);
+    }
+
+    try {
+      const inputs = WorkflowEngine.resolveInputs(workflow, req.body.inputs);
+      const { run, finished } = workflowEngine.start(workflow, inputs, { client: req.client, requestId: req.id });
+      const location = `${req.towerBaseUrl}/workflows/${workflow.name}/runs/${run.id}`;
+
+      if (ProviderRegistry.prefersAsync(req)) {
+        return res.status(202)
+          .set('Location', location)
+          .set('Preference-Applied', 'respond-async')
+          .json({ success: true, run: run });
+      }
+
+      await finished;
+      res.status(run.status === 'succeeded' ? 200 : 502)
+        .set('Location', location)
+        .json({ success: run.status === 'succeeded', run: run });
+    } catch (error) {
+      GatewayError.from(error).send(res);
+    }
+  });
+
+  // A workflow's runs, newest first
+  app.get('/workflows/:name/runs', describeRoute('get', '/workflows/:name/runs', {
+    operation: 'listWorkflowRuns',
+    summary: 'List workflow runs',
+    tag: 'Workflows',
+    schema: {
+      query: strictObject({
+        status: { type: 'string', enum: ['running', 'succeeded', 'failed'] },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 50 }
+      }),
+      response: successResponse({ runs: anyArray })
+    }
+  }), (req, res) => {
+    res.json({
+      success: true,
+      runs: workflowEngine.listRuns({ workflow: req.params.name, status: req.query.status, limit: req.query.limit })
+    });
+  });
+
+  // One run with each step's status, attempts, output and error
+  app.get('/workflows/:name/runs/:runId', describeRoute('get', '/workflows/:name/runs/:runId', {
+    operation: 'getWorkflowRun',
+    summary: 'Get a workflow run',
+    tag: 'Workflows',
+    schema: { response: successResponse({ run: anyObject }) }
+  }), (req, res) => {
+    const run = workflowEngine.getRun(req.params.runId);
+    if (!run || run.workflow !== req.params.name) {
+      return new GatewayError('Workflow run not found', { status: 404, code: 'not_found' }).send(res);
+    }
+    res.json({
+      success: true,
+      run: run
+    });
+  });
+
+  // Schedules: provider operations and workflows run on cron expressions
+  const scheduleFields = {
+    name: nonEmptyString,
+    description: { type: 'string' },
+    cron: nonEmptyString,
+    timezone: nonEmptyString,
+    enabled: { type: 'boolean' },
+    call: nonEmptyString,
+    connection: nonEmptyString,
+    args: anyObject,
+    workflow: nonEmptyString,
+    inputs: anyObject
+  };
+
+  const findSchedule = (req, res) => {
+    const schedule = scheduler.get(req.params.scheduleId);
+    if (!schedule) {
+      new GatewayError('Schedule not found', { status: 404, code: 'not_found' }).send(res);
+    }
+    return schedule;
+  };
+
+  // Scheduled runs act with the authority of the key that set them up, so it
+  // needs write access to every provider the schedule calls
+  const checkScheduleAccess = (req, res, schedule) => {
+    const denied = deniedProviders(req, scheduler.providersOf(schedule));
+    if (denied) {
+      new GatewayError(`Client key "${req.client.name}" is not allowed to write ${denied}, which this schedule calls`, { status: 403, code: 'forbidden' }).send(res);
+      return false;
+    }
+    return true;
+  };
+
+  // List schedules with their next and last run
+  app.get('/schedules', describeRoute('get', '/schedules', {
+    operation: 'listSchedules',
+    summary: 'List schedules',
+    tag: 'Schedules',
+    schema: { response: successResponse({ schedules: anyArray, scheduler: anyObject }) }
+  }), (req, res) => {
+    res.json({
+      success: true,
+      schedules: scheduler.list().map(schedule => scheduler.describe(schedule)),
+      scheduler: scheduler.stats()
+    });
+  });
+
+  // Create a schedule
+  app.post('/schedules', auditLog.middleware('tower', { method: 'post', operation: 'createSchedule' }), describeRoute('post', '/schedules', {
+    operation: 'createSchedule',
+    summary: 'Create a schedule',
+    tag: 'Schedules',
+    schema: {
+      body: strictObject(scheduleFields, ['name', 'cron']),
+      response: successResponse({ schedule: anyObject })
+    }
+  }), (req, res) => {
+    try {
+      if (!checkScheduleAccess(req, res, { timezone: 'UTC', ...req.body })) return;
+      const schedule = scheduler.create(req.body, req.client);
+      res.status(201).json({
+        success: true,
+        schedule: scheduler.describe(schedule)
+      });
+    } catch (error) {
+      GatewayError.from(error).send(res);
+    }
+  });
+
+  // Show one schedule
+  app.get('/schedules/:scheduleId', describeRoute('get', '/schedules/:scheduleId', {
+    operation: 'getSchedule',
+    summary: 'Get a schedule',
+    tag: 'Schedules',
+    schema: { response: successResponse({ schedule: anyObject }) }
+  }), (req, res) => {
+    const schedule = findSchedule(req, res);
+    if (!schedule) return;
+    res.json({
+      success: true,
+      schedule: scheduler.describe(schedule)
+    });
+  });
+
+  // Change a schedule; {"enabled": false} pauses it
+  app.patch('/schedules/:scheduleId', auditLog.middleware('tower', { method: 'patch', operation: 'updateSchedule' }), describeRoute('patch', '/schedules/:scheduleId', {
+    operation: 'updateSchedule',
+    summary: 'Update a schedule',
+    tag: 'Schedules',
+    schema: {
+      body: strictObject(scheduleFields),
+      response: successResponse({ schedule: anyObject })
+    }
+  }), (req, res) => {
+    const schedule = findSchedule(req, res);
+    if (!schedule) return;
+    try {
+      const target = req.body.call ? { call: req.body.call, workflow: null } : req.body.workflow ? { call: null, workflow: req.body.workflow } : {};
+      if (!checkScheduleAccess(req, res, { ...schedule, ...req.body, ...target })) return;
+      res.json({
+        success: true,
+        schedule: scheduler.describe(scheduler.update(schedule.id, req.body))
+      });
+    } catch (error) {
+      GatewayError.from(error).send(res);
+    }
+  });
+
+  // Delete a schedule and its run history
+  app.delete('/schedules/:scheduleId', auditLog.middleware('tower', { method: 'delete', operation: 'deleteSchedule' }), describeRoute('delete', '/schedules/:scheduleId', {
+    operation: 'deleteSchedule',
+    summary: 'Delete a schedule',
+    tag: 'Schedules',
+    schema: { response: successResponse({ message: { type: 'string' } }) }
+  }), (req, res) => {
+    const schedule = findSchedule(req, res);
+    if (!schedule) return;
+    try {
+      if (!checkScheduleAccess(req, res, schedule)) return;
+      scheduler.remove(schedule.id);
+      res.json({
+        success: true,
+        message: `Schedule ${schedule.id} deleted`
+      });
+    } catch (error) {
+      GatewayError.from(error).send(res);
+    }
+  });
+
+  // Run a schedule now. Like a workflow run, the response waits for the run
+  // unless the caller sends "Prefer: respond-async".
+  app.post('/schedules/:scheduleId/run', auditLog.middleware('tower', { method: 'post', operation: 'runSchedule' }), describeRoute('post', '/schedules/:scheduleId/run', {
+    operation: 'runSchedule',
+    summary: 'Run a schedule now',
+    tag: 'Schedules',
+    schema: { response: successResponse({ run: anyObject }) }
+  }), async (req, res) => {
+    const schedule = findSchedule(req, res);
+    if (!schedule) return;
+    try {
+      if (!checkScheduleAccess(req, res, schedule)) return;
+      const { run, finished } = scheduler.trigger(schedule, 'manual', undefined, { client: req.client, requestId: req.id });
+
+      if (ProviderRegistry.prefersAsync(req)) {
+        return res.status(202)
+          .set('Location', `${req.towerBaseUrl}/schedules/${schedule.id}/runs`)
+          .set('Preference-Applied', 'respond-async')
+          .json({ success: true, run: run });
+      }
+
+      await finished;
+      res.status(run.status === 'succeeded' ? 200 : 502).json({
+        success: run.status === 'succeeded',
+        run: run
+      });
+    } catch (error) {
+      GatewayError.from(error).send(res);
+    }
+  });
+
+  // A schedule's runs, newest first
+  app.get('/schedules/:scheduleId/runs', describeRoute('get', '/schedules/:scheduleId/runs', {
+    operation: 'listScheduleRuns',
+    summary: 'List a schedule\'s runs',
+    tag: 'Schedules',
+    schema: {
+      query: strictObject({
+        status: { type: 'string', enum: ['running', 'succeeded', 'failed', 'skipped'] },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 50 }
+      }),
+      response: successResponse({ runs: anyArray })
+    }
+  }), (req, res) => {
+    const schedule = findSchedule(req, res);
+    if (!schedule) return;
+    res.json({
+      success: true,
+      runs: scheduler.listRuns(schedule.id, { status: req.query.status, limit: req.query.limit })
+    });
+  });
+
+  // Run many gateway requests in one call. Each sub-request is sent back to
+  // the server this request arrived on, with the caller's client key, so it
+  // is authorized, validated, audited and logged like a request of its own.
+  app.post('/batch', identifyClient, describeRoute('post', '/batch', {
+    operation: 'runBatch',
+    summary: 'Run a batch of requests',
+    tag: 'Batch',
+    schema: {
+      body: strictObject({
+        requests: {
+          type: 'array',
+          minItems: 1,
+          items: strictObject({
+            id: { type: 'string' },
+            method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] },
+            // A gateway path; "//host/..." would name another server
+            path: { type: 'string', pattern: '^/(?!/)' },
+            query: anyObject,
+            headers: { type: 'object', additionalProperties: { type: 'string' } },
+            body: {},
+            dependsOn: { type: 'array', items: { type: 'string' } }
+          }, ['method', 'path'])
+        },
+        concurrency: { type: 'integer', minimum: 1, maximum: 10, default: 4 },
+        stopOnError: { type: 'boolean', default: false }
+      }, ['requests']),
+      response: successResponse({ stopped: { type: 'boolean' }, summary: anyObject, responses: anyArray })
+    }
+  }), async (req, res) => {
+    try {
+      const batch = batchRunner.normalize(req.body);
+      const credentials = Object.fromEntries(['x-tower-key', 'authorization']
+        .filter(name => req.get(name))
+        .map(name => [name, req.get(name)]));
+
+      const { encrypted, localAddress, localPort } = req.socket;
+      const host = localAddress.includes(':') ? `[${localAddress}]` : localAddress;
+      const baseURL = `${encrypted ? 'https' : 'http'}://${host}:${localPort}${req.towerBaseUrl}`;
+
+      const result = await batchRunner.run(batch, async ({ id, method, path, query, headers, body }) => {
+        const response = await axios.request({
+          baseURL,
+          url: path,
+          method,
+          params: query,
+          headers: { ...headers, ...credentials, 'x-request-id': `${req.id}:${id}` },
+          data: body,
+          responseType: 'text',
+          transformResponse: data => data,
+          validateStatus: () => true,
+          httpAgent: loopbackAgents.http,
+          httpsAgent: loopbackAgents.https
+        });
+        const json = /\bjson\b/.test(response.headers['content-type'] || '');
+        return {
+          status: response.status,
+          headers: response.headers,
+          body: json && response.data ? JSON.parse(response.data) : response.data || null
+        };
+      });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      GatewayError.from(error).send(res);
+    }
+  });
+
+  // Model Context Protocol endpoint (Streamable HTTP). Any client key may
+  // connect; its scopes decide which tools it sees and may call.
+  app.post('/mcp', identifyClient, describeRoute('post', '/mcp', {
+    operation: 'handleMcpMessage',
+    summary: 'Send MCP JSON-RPC messages',
+    tag: 'MCP',
+    schema: {
+      body: { type: ['object', 'array'] },
+      response: { type: ['object', 'array'] }
+    }
+  }), mcpServer.middleware());
+  // Answers are sent on the POST; there is no stream to open or session to end
+  app.all('/mcp', (req, res) => {
+    res.set('Allow', 'POST');
+    new GatewayError('The MCP endpoint only accepts POST', { status: 405, code: 'method_not_allowed' }).send(res);
+  });
+
+  // List registered providers, their capabilities and routes
+  app.get('/providers', describeRoute('get', '/providers', {
+    operation: 'listProviders',
+    summary: 'List registered providers',
+    schema: { response: successResponse({ providers: anyArray }) }
+  }), (req, res) => {
+    res.json({
+      success: true,
+      providers: providerRegistry.list()
+    });
+  });
+
+  // List every provider connection and whether it has been constructed
+  app.get('/connections', describeRoute('get', '/connections', {
+    operation: 'listConnections',
+    summary: 'List provider connections',
+    schema: { response: successResponse({ connections: anyArray }) }
+  }), (req, res) => {
+    res.json({
+      success: true,
+      connections: providerRegistry.listConnections()
+    });
+  });
+
+  // Run a provider's health probe
+  app.get('/providers/:name/health', describeRoute('get', '/providers/:name/health', {
+    operation: 'probeProvider',
+    summary: "Run a provider's health probe",
+    schema: { response: anyObject }
+  }), async (req, res) => {
+    const { name } = req.params;
+    if (!providerRegistry.providers.has(name)) {
+      return new GatewayError(`Unknown provider "${name}"`, { status: 404, code: 'not_found' }).send(res);
+    }
+
+    const health = await providerRegistry.probe(name, { timeoutMs: healthMonitor.probeTimeoutMs });
+    res.status(health.healthy ? 200 : 503).json(health);
+  });
+
+  // Liveness: the process is up; never calls an upstream
+  app.get('/health/live', describeRoute('get', '/health/live', {
+    operation: 'getLiveness',
+    summary: 'Liveness check',
+    tag: 'Health',
+    secured: false,
+    schema: { response: anyObject }
+  }), (req, res) => {
+    res.json(healthMonitor.live());
+  });
+
+  // Readiness: the providers the gateway depends on answer their probes
+  app.get('/health/ready', describeRoute('get', '/health/ready', {
+    operation: 'getReadiness',
+    summary: 'Readiness check',
+    tag: 'Health',
+    secured: false,
+    schema: { response: anyObject }
+  }), async (req, res) => {
+    if (app.locals.tower.draining) {
+      return res.status(503).json({ status: 'draining', failing: [] });
+    }
+    const readiness = await healthMonitor.ready();
+    res.status(readiness.status === 'ready' ? 200 : 503).json(readiness);
+  });
+
+  // Probe every provider and report latency, auth status and last error
+  app.get('/health/deep', describeRoute('get', '/health/deep', {
+    operation: 'getDeepHealth',
+    summary: 'Probe every provider',
+    tag: 'Health',
+    schema: {
+      query: strictObject({ fresh: { type: 'boolean', default: false } }),
+      response: anyObject
+    }
+  }), async (req, res) => {
+    const report = await healthMonitor.deep({ fresh: req.query.fresh });
+    res.status(report.status === 'ok' ? 200 : 503).json(report);
+  });
+
+  // Serve the OpenAPI document for every route
+  app.get('/openapi.json', describeRoute('get', '/openapi.json', {
+    operation: 'getOpenApiDocument',
+    summary: 'OpenAPI document',
+    secured: false,
+    schema: { response: anyObject }
+  }), (req, res) => {
+    res.json(buildOpenApiDocument(providerRegistry, coreRoutes));
+  });
+
+  // Serve the browsable API docs
+  app.get('/api-docs', (req, res) => {
+    res.sendFile(__dirname + '/api-docs.html');
+  });
+
+  // Serve Google Docs test interface
+  app.get('/google-docs-test', (req, res) => {
+    res.sendFile(__dirname + '/google-docs-test.html');
+  });
+
+  // Serve Gemini AI test interface
+  app.get('/gemini-test', (req, res) => {
+    res.sendFile(__dirname + '/gemini-test.html');
+  });
+
+  // Serve Cloudflare test interface
+  app.get('/cloudflare-test', (req, res) => {
+    res.sendFile(__dirname + '/cloudflare-test.html');
+  });
+
+  // Serve Hugging Face test interface
+  app.get('/huggingface-test', (req, res) => {
+    res.sendFile(__dirname + '/huggingface-test.html');
+  });
+
+  // Serve GitLab test interface
+  app.get('/gitlab-test', (req, res) => {
+    res.sendFile(__dirname + '/gitlab-test.html');
+  });
+
+  // Serve the main test interface
+  app.get('/test', (req, res) => {
+    res.sendFile(__dirname + '/test-client.html');
+  });
+
+  // Root route
+  app.get('/', describeRoute('get', '/', {
+    operation: 'getIndex',
+    summary: 'Gateway overview',
+    secured: false,
+    schema: { response: anyObject }
+  }), (req, res) => {
+    res.json({
+      message: 'Taskade, Google Docs, Gemini AI, Cloudflare, Hugging Face & GitLab Integration API',
+      endpoints: {
+        taskade: '/taskade-tower/health',
+        googleDocs: '/google-docs-test',
+        gemini: '/gemini-test',
+        cloudflare: '/cloudflare-test',
+        huggingface: '/huggingface-test',
+        gitlab: '/gitlab-test',
+        test: '/test',
+        providers: '/providers',
+        connections: '/connections',
+        jobs: '/jobs',
+        plans: '/plans',
+        subscriptions: '/subscriptions',
+        workflows: '/workflows',
+        schedules: '/schedules',
+        batch: '/batch',
+        mcp: '/mcp',
+        health: '/health/deep',
+        openapi: '/openapi.json',
+        apiDocs: '/api-docs'
+      },
+      services: Object.fromEntries(providerRegistry.list().map(provider => [provider.name, provider.available])),
+      openCircuits: providerRegistry.list().filter(provider => provider.circuit?.state === 'open').map(provider => provider.name)
+    });
+  });
+
+  // Requests no route matched get the same error body as everything else
+  app.use((req, res) => {
+    new GatewayError(`No route for ${req.method} ${req.baseUrl + req.path}`, { status: 404, code: 'not_found' }).send(res);
+  });
+
+  // Errors that escape a route, including malformed JSON bodies
+  app.use((error, req, res, next) => {
+    if (res.headersSent) {
+      return next(error);
+    }
+    if (error.type === 'entity.parse.failed') {
+      return new GatewayError('Request body is not valid JSON', { status: 400, code: 'invalid_json' }).send(res);
+    }
+    if (!(error instanceof GatewayError)) {
+      logger.error('Unhandled error', { requestId: req.id, error });
+    }
+    GatewayError.from(error).send(res);
+  });
+
+  if (!env.TOWER_ADMIN_KEY && clientKeyService.listKeys().length === 0) {
+    logger.warn('No client keys issued and TOWER_ADMIN_KEY is not set; every protected route will return 401');
+  }
+  auditLog.init().catch(error => {
+    logger.error('Error initializing audit log', { error });
+  });
+  // Check provider credentials (e.g. the Cloudflare API token) in the background
+  providerRegistry.verifyCredentials();
+  // Run queued jobs, including those saved before a restart
+  jobQueue.start(job => providerRegistry.runJob(job));
+  // Resume event deliveries that were waiting to be retried
+  eventSubscriptions.start();
+  // Arm the timers of saved schedules
+  scheduler.start();
+
+  return app;
+}
+
+module.exports = { createTowerApp, BUILT_IN_PROVIDERS };
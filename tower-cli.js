@@ -0,0 +1,683 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const YAML = require('yaml');
+
+// Command-line client for a Tower gateway. Commands are built from the
+// server's /openapi.json, so every route group is covered, including core
+// routes and drop-in providers:
+//
+//   tower gitlab issues list --project 42
+//   tower cf dns create --zone <id> --type A --name www --content 192.0.2.1
+//   echo "Summarize our Q3 roadmap" | tower gemini generate
+//   tower agents execute --agent <id> --data '{"input": "..."}'
+//
+// Server and key come from a profile (see `tower profile`), TOWER_SERVER and
+// TOWER_KEY, or --server and --key.
+
+const USAGE = `Usage: tower <group> <command...> [values...] [--option value...]
+
+  tower help [group]               list groups, or one group's commands
+  tower <group> <command> --help   show a command's options
+  tower profile list|show|set|use|remove
+
+Options for every command:
+  --profile <name>     profile to use (default: the current profile, or TOWER_PROFILE)
+  --server <url>       gateway URL (TOWER_SERVER)
+  --key <key>          client key (TOWER_KEY)
+  -o, --output <fmt>   table, json or yaml (default: table on a terminal, json otherwise)
+  --columns <a,b>      columns to show in table output
+  --connection <name>  named provider connection
+  --async              ask for a background job (Prefer: respond-async)
+  --export             write every page of a list as NDJSON, one item per line
+  --data <json|->      request body as JSON, or "-" to read it from stdin
+
+Values after the command fill its path parameters in order. An option set
+to "-" is read from stdin; piped text also fills the first missing required
+text field, e.g. the prompt of "tower gemini generate".
+`;
+
+// Short names for route groups
+const GROUP_ALIASES = {
+  cf: 'cloudflare',
+  hf: 'huggingface',
+  docs: 'google-docs',
+  taskade: 'taskade-tower',
+  agents: 'taskade-tower'
+};
+
+// Routes that are not meant to be called from a terminal
+const SKIPPED_OPERATIONS = ['tower.getIndex', 'tower.getOpenApiDocument', 'tower.receiveGitlabWebhook', 'tower.receiveGitlabConnectionWebhook', 'tower.handleMcpMessage'];
+
+const GLOBAL_OPTIONS = ['profile', 'server', 'key', 'output', 'columns', 'connection', 'async', 'export', 'data', 'help'];
+
+// Media type of streaming routes' responses
+const EVENT_STREAM = 'text/event-stream';
+// Media type of list exports
+const NDJSON = 'application/x-ndjson';
+
+class CliError extends Error {}
+
+// Lower-case a name and drop separators, so --project-id, --projectId and
+// --project_id all name the same field
+const normalize = name => String(name).toLowerCase().replace(/[-_]/g, '');
+
+const kebab = name => name.replace(/_/g, '-').replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
+function configPath(env = process.env) {
+  if (env.TOWER_CONFIG) return env.TOWER_CONFIG;
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'tower', 'config.json');
+}
+
+function loadConfig(env = process.env) {
+  try {
+    return JSON.parse(fs.readFileSync(configPath(env), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { current: null, profiles: {} };
+    throw new CliError(`Could not read ${configPath(env)}: ${error.message}`);
+  }
+}
+
+// The file holds client keys, so only the owner may read it
+function saveConfig(config, env = process.env) {
+  const file = configPath(env);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+}
+
+const maskKey = key => (key ? `${key.slice(0, 6)}...${key.slice(-4)}` : null);
+
+// Server, key and output format for a command: flags win over the
+// environment, which wins over the profile
+function resolveSettings(options, env = process.env) {
+  const config = loadConfig(env);
+  const profileName = options.profile || env.TOWER_PROFILE || config.current;
+  const profile = profileName ? config.profiles[profileName] : null;
+  if (options.profile && !profile) {
+    throw new CliError(`Unknown profile "${options.profile}"; see "tower profile list"`);
+  }
+
+  const server = options.server || env.TOWER_SERVER || (profile && profile.server) || 'http://localhost:3000';
+  return {
+    profile: profileName || null,
+    server: server.replace(/\/+$/, ''),
+    key: options.key || env.TOWER_KEY || (profile && profile.key) || null,
+    output: options.output || (profile && profile.output) || (process.stdout.isTTY ? 'table' : 'json')
+  };
+}
+
+function profileCommand(args, options, env = process.env) {
+  const [action = 'list', name] = args;
+  const config = loadConfig(env);
+
+  switch (action) {
+    case 'list':
+      return Object.entries(config.profiles).map(([profileName, profile]) => ({
+        name: profileName,
+        current: profileName === config.current,
+        server: profile.server,
+        key: maskKey(profile.key),
+        output: profile.output || null
+      }));
+    case 'show': {
+      const settings = resolveSettings(options, env);
+      return { ...settings, key: maskKey(settings.key), config: configPath(env) };
+    }
+    case 'set': {
+      if (!name) throw new CliError('Usage: tower profile set <name> [--server <url>] [--key <key>] [--output <fmt>]');
+      const profile = { ...config.profiles[name] };
+      ['server', 'key', 'output'].forEach(field => {
+        if (options[field] !== undefined) profile[field] = options[field];
+      });
+      config.profiles[name] = profile;
+      if (!config.current) config.current = name;
+      saveConfig(config, env);
+      return { name, current: config.current === name, server: profile.server, key: maskKey(profile.key) };
+    }
+    case 'use':
+      if (!config.profiles[name]) throw new CliError(`Unknown profile "${name}"`);
+      config.current = name;
+      saveConfig(config, env);
+      return { current: name };
+    case 'remove':
+      if (!config.profiles[name]) throw new CliError(`Unknown profile "${name}"`);
+      delete config.profiles[name];
+      if (config.current === name) config.current = Object.keys(config.profiles)[0] || null;
+      saveConfig(config, env);
+      return { removed: name, current: config.current };
+    default:
+      throw new CliError(`Unknown profile command "${action}"; use list, show, set, use or remove`);
+  }
+}
+
+// Turn the OpenAPI document into commands. A route's words are the static
+// segments of its path after the group, plus a verb for collection routes:
+//
+//   GET    /gitlab/projects/{projectId}/issues            gitlab projects issues list
+//   POST   /gitlab/projects/{projectId}/issues            gitlab projects issues create
+//   PUT    /gitlab/projects/{projectId}/issues/{issueIid} gitlab projects issues update
+//   POST   /gemini/generate                               gemini generate
+//   GET    /cloudflare/zones/{zoneId}/ssl                 cloudflare zones ssl
+//
+// Commands may be shortened to any unique ending, e.g. "gitlab issues list".
+function buildCommands(spec) {
+  const commands = [];
+  Object.entries(spec.paths || {}).forEach(([routePath, operations]) => {
+    const segments = routePath.split('/').filter(Boolean);
+    const group = segments[0];
+    const rest = segments.slice(1);
+    const words = rest.filter(segment => !segment.startsWith('{'));
+    const endsWithParam = rest.length > 0 && rest[rest.length - 1].startsWith('{');
+    const methods = Object.keys(operations);
+
+    Object.entries(operations).forEach(([method, operation]) => {
+      if (!group || SKIPPED_OPERATIONS.includes(operation.operationId)) return;
+
+      let verb = null;
+      if (method === 'get') {
+        if (endsWithParam) verb = 'get';
+        else if (methods.includes('post') || words.length === 0) verb = 'list';
+      } else if (method === 'post') {
+        if (!endsWithParam && methods.includes('get')) verb = 'create';
+      } else if (method === 'put' || method === 'patch') {
+        verb = 'update';
+      } else if (method === 'delete') {
+        verb = 'delete';
+      }
+
+      commands.push({
+        group,
+        words: verb ? [...words, verb] : words,
+        method,
+        path: routePath,
+        operation,
+        params: (operation.parameters || []).filter(param => !param.$ref && (param.in === 'path' || param.in === 'query')),
+        body: bodySchema(operation)
+      });
+    });
+  });
+  return commands.filter(command => command.words.length > 0);
+}
+
+function bodySchema(operation) {
+  const content = operation.requestBody && operation.requestBody.content;
+  const schema = content && content['application/json'] && content['application/json'].schema;
+  return schema && schema.type === 'object' ? schema : null;
+}
+
+function resolveGroup(name, commands) {
+  const group = GROUP_ALIASES[name] || name;
+  return commands.some(command => command.group === group) ? group : null;
+}
+
+// Find the command named by `words` in a group: an exact match, or the
+// only command whose words end with them
+function findCommand(commands, group, words) {
+  const inGroup = commands.filter(command => command.group === group);
+  const key = words.join(' ');
+  const exact = inGroup.find(command => command.words.join(' ') === key);
+  if (exact) return { command: exact };
+
+  const matches = inGroup.filter(command => command.words.length >= words.length &&
+    command.words.slice(-words.length).join(' ') === key);
+  if (matches.length === 1) return { command: matches[0] };
+  return { ambiguous: matches };
+}
+
+// Split positional tokens into a command and the path values after it,
+// trying the longest run of words first
+function matchCommand(commands, group, tokens) {
+  for (let length = tokens.length; length > 0; length--) {
+    const { command, ambiguous } = findCommand(commands, group, tokens.slice(0, length));
+    if (command) return { command, values: tokens.slice(length) };
+    if (ambiguous.length > 1) {
+      throw new CliError(`"${tokens.slice(0, length).join(' ')}" could be any of:\n${ambiguous.map(describeCommand).join('\n')}`);
+    }
+  }
+  throw new CliError(`Unknown command "${group} ${tokens.join(' ')}"; see "tower help ${group}"`);
+}
+
+// Option names a field answers to: its own name in kebab case and, for IDs
+// such as projectId or issueIid, the name without the suffix (--project)
+function optionNames(name) {
+  const names = [kebab(name)];
+  const short = name.replace(/(Id|Iid|_id|_iid)$/, '');
+  if (short !== name && short) names.push(kebab(short));
+  return names;
+}
+
+function describeCommand(command) {
+  return `  tower ${command.group} ${command.words.join(' ')}`.padEnd(48) +
+    `${command.method.toUpperCase()} ${command.path}`;
+}
+
+function describeOptions(command) {
+  const lines = [describeCommand(command).trim(), ''];
+  if (command.operation.summary) lines.push(command.operation.summary, '');
+
+  const describe = (name, schema = {}, required, where) => {
+    const type = schema.enum ? schema.enum.join('|') : schema.type || 'value';
+    return `  --${optionNames(name).join(', --')} <${type}>`.padEnd(44) + `${where}${required ? ', required' : ''}`;
+  };
+  command.params.forEach(param => lines.push(describe(param.name, param.schema, param.required, param.in)));
+  if (command.body) {
+    Object.entries(command.body.properties || {}).forEach(([name, schema]) => {
+      lines.push(describe(name, schema, (command.body.required || []).includes(name), 'body'));
+    });
+  }
+  return lines.join('\n') + '\n';
+}
+
+function help(commands, group) {
+  if (!group) {
+    const groups = [...new Set(commands.map(command => command.group))];
+    const aliases = Object.entries(GROUP_ALIASES).map(([alias, target]) => `${alias} = ${target}`).join(', ');
+    return `${USAGE}\nGroups: ${groups.join(', ')}\nAliases: ${aliases}\n`;
+  }
+  return commands.filter(command => command.group === group).map(describeCommand).join('\n') + '\n';
+}
+
+// Split argv into positional tokens and options. Flags without a value
+// are true; repeated options collect into a list.
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    if (token === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(token) || (token === '-o' ? [token, 'output'] : null);
+    if (!match) {
+      positional.push(token);
+      continue;
+    }
+    let value = match[2];
+    if (value === undefined) {
+      const next = argv[i + 1];
+      // A following "-" (stdin) or negative number is a value, other dashes start the next option
+      value = next !== undefined && (!next.startsWith('-') || next === '-' || /^-\d/.test(next)) ? argv[++i] : true;
+    }
+    const name = match[1];
+    options[name] = options[name] === undefined ? value : [].concat(options[name], value);
+  }
+  return { positional, options };
+}
+
+function readStdin() {
+  if (process.stdin.isTTY) {
+    throw new CliError('Nothing was piped to stdin');
+  }
+  return fs.readFileSync(0, 'utf8').replace(/\r?\n$/, '');
+}
+
+// Convert an option's text to the type its schema declares
+function coerce(name, value, schema = {}) {
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  const values = [].concat(value);
+  const text = values[values.length - 1];
+
+  switch (type) {
+    case 'integer':
+    case 'number': {
+      const number = Number(text);
+      if (text === true || Number.isNaN(number)) throw new CliError(`--${kebab(name)} must be a number`);
+      return number;
+    }
+    case 'boolean':
+      if (text === true || text === 'true') return true;
+      if (text === 'false') return false;
+      throw new CliError(`--${kebab(name)} must be true or false`);
+    case 'array':
+      if (values.length === 1 && typeof text === 'string' && text.trim().startsWith('[')) return parseJson(name, text);
+      return values.flatMap(item => String(item).split(',')).map(item => coerce(name, item, schema.items || {}));
+    case 'object':
+      return parseJson(name, text);
+    default:
+      if (text === true) throw new CliError(`--${kebab(name)} needs a value`);
+      return String(text);
+  }
+}
+
+function parseJson(name, text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new CliError(`--${kebab(name)} must be JSON: ${error.message}`);
+  }
+}
+
+// Build the request for a command from path values and options
+function buildRequest(command, values, options) {
+  const fields = [
+    ...command.params.map(param => ({ name: param.name, schema: param.schema, in: param.in, required: param.required })),
+    ...Object.entries(command.body ? command.body.properties || {} : {}).map(([name, schema]) => ({
+      name, schema, in: 'body', required: (command.body.required || []).includes(name)
+    }))
+  ];
+  const byOption = new Map();
+  fields.forEach(field => optionNames(field.name).concat(field.name).forEach(name => byOption.set(normalize(name), field)));
+
+  const given = new Map();
+  let stdinUsed = false;
+  const stdinOnce = () => {
+    if (stdinUsed) throw new CliError('Only one option can be read from stdin');
+    stdinUsed = true;
+    return readStdin();
+  };
+
+  Object.entries(options).forEach(([name, value]) => {
+    if (GLOBAL_OPTIONS.includes(name)) return;
+    const field = byOption.get(normalize(name));
+    if (!field) {
+      throw new CliError(`Unknown option --${name} for "${command.group} ${command.words.join(' ')}"; see --help`);
+    }
+    given.set(field, value === '-' ? stdinOnce() : value);
+  });
+
+  const pathParams = command.params.filter(param => param.in === 'path');
+  if (values.length > pathParams.length) {
+    throw new CliError(`Too many values: ${values.slice(pathParams.length).join(' ')}`);
+  }
+  values.forEach((value, index) => {
+    const field = fields.find(candidate => candidate.name === pathParams[index].name);
+    if (!given.has(field)) given.set(field, value);
+  });
+
+  let body = null;
+  if (options.data !== undefined) {
+    body = parseJson('data', options.data === '-' ? stdinOnce() : options.data);
+  }
+
+  // Piped text fills the first required text field that was not given
+  if (!stdinUsed && !process.stdin.isTTY && command.body && body === null) {
+    const missing = fields.find(field => field.in === 'body' && field.required && !given.has(field) &&
+      (field.schema || {}).type === 'string');
+    if (missing) given.set(missing, stdinOnce());
+  }
+
+  const query = {};
+  let urlPath = command.path;
+  fields.forEach(field => {
+    if (!given.has(field)) {
+      if (field.required && field.in !== 'body') throw new CliError(`--${optionNames(field.name).pop()} is required`);
+      return;
+    }
+    const value = coerce(field.name, given.get(field), field.schema);
+    if (field.in === 'path') urlPath = urlPath.replace(`{${field.name}}`, encodeURIComponent(value));
+    else if (field.in === 'query') query[field.name] = value;
+    else body = { ...body, [field.name]: value };
+  });
+
+  return { method: command.method, path: urlPath, query, body };
+}
+
+function cell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value).replace(/\s+/g, ' ');
+}
+
+function table(rows, columns) {
+  const width = process.stdout.columns || 160;
+  const widths = columns.map(column => Math.min(60, Math.max(column.length, ...rows.map(row => cell(row[column]).length))));
+  const line = values => values.map((value, i) => value.slice(0, widths[i]).padEnd(widths[i])).join('  ').slice(0, width).trimEnd();
+  return [line(columns.map(column => column.toUpperCase())), ...rows.map(row => line(columns.map(column => cell(row[column]))))].join('\n');
+}
+
+// Render a response body for a terminal: lists of objects as tables,
+// objects as key/value pairs and text as-is
+function formatTable(body, columns) {
+  let payload = body;
+  if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+    const { success, ...rest } = payload;
+    // A response with one list (jobs next to queue stats, say) shows the list
+    const keys = Object.keys(rest);
+    const lists = keys.filter(key => Array.isArray(rest[key]));
+    if (keys.length === 1) payload = rest[keys[0]];
+    else if (lists.length === 1) payload = rest[lists[0]];
+    else payload = rest;
+  }
+
+  if (typeof payload === 'string') return payload;
+  if (Array.isArray(payload)) {
+    if (payload.length === 0) return '(none)';
+    if (payload.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+      const picked = columns || [...new Set(payload.slice(0, 20).flatMap(item =>
+        Object.keys(item).filter(key => item[key] === null || typeof item[key] !== 'object')))].slice(0, 6);
+      return table(payload, picked);
+    }
+    return payload.map(cell).join('\n');
+  }
+  if (payload && typeof payload === 'object') {
+    const entries = Object.entries(payload).filter(([key]) => !columns || columns.includes(key));
+    return table(entries.map(([key, value]) => ({ field: key, value })), ['field', 'value']);
+  }
+  return cell(payload);
+}
+
+function format(body, output, columns) {
+  switch (output) {
+    case 'json':
+      return JSON.stringify(body, null, 2);
+    case 'yaml':
+      return YAML.stringify(body).trimEnd();
+    case 'table':
+      return formatTable(body, columns);
+    default:
+      throw new CliError(`Unknown output format "${output}"; use table, json or yaml`);
+  }
+}
+
+// JSON of a response or event, or its text if it is not JSON
+function parseBody(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => { text += chunk; });
+    stream.on('end', () => resolve(text));
+    stream.on('error', reject);
+  });
+}
+
+// Follow a streaming route's server-sent events: `write` gets each piece of
+// text as it arrives, if set, and `print` the final body otherwise
+function streamText(stream, write, print) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let finished = false;
+    const handle = block => {
+      let event = 'message';
+      const data = [];
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+      });
+      if (data.length === 0) return;
+      const body = parseBody(data.join('\n'));
+      if (event === 'token' && write) {
+        write(body.text);
+      } else if (event === 'done') {
+        finished = true;
+        if (write) write('\n');
+        else print(body);
+      } else if (event === 'error') {
+        throw new CliError(`${body.status || 502}${body.code ? ` ${body.code}` : ''}: ${body.error}`);
+      }
+    };
+
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+      buffer = (buffer + chunk).replace(/\r\n?/g, '\n');
+      try {
+        for (let end = buffer.indexOf('\n\n'); end !== -1; end = buffer.indexOf('\n\n')) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          handle(block);
+        }
+      } catch (error) {
+        stream.destroy();
+        reject(error);
+      }
+    });
+    stream.on('end', () => (finished ? resolve() : reject(new CliError('The stream ended before it finished'))));
+    stream.on('error', reject);
+  });
+}
+
+// Pass an export's lines on as they arrive; an { "error": ... } line means
+// the export failed part way
+function exportLines(stream, write) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    const handle = line => {
+      if (!line) return;
+      const parsed = parseBody(line);
+      if (parsed && typeof parsed === 'object' && Object.keys(parsed).length === 1 && parsed.error && parsed.error.code) {
+        throw new CliError(`Export stopped: ${parsed.error.status || 502} ${parsed.error.code}: ${parsed.error.error}`);
+      }
+      write(line);
+    };
+
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      try {
+        lines.forEach(handle);
+      } catch (error) {
+        stream.destroy();
+        reject(error);
+      }
+    });
+    stream.on('end', () => {
+      try {
+        handle(buffer);
+        resolve();
+      } catch (error) {
+        reject(error);
+      }
+    });
+    stream.on('error', reject);
+  });
+}
+
+async function fetchSpec(http) {
+  try {
+    const response = await http.get('/openapi.json');
+    return response.data;
+  } catch (error) {
+    throw new CliError(`Could not load ${http.defaults.baseURL}/openapi.json: ${error.message}`);
+  }
+}
+
+async function run(argv, env = process.env) {
+  const { positional, options } = parseArgs(argv);
+  const settings = resolveSettings(options, env);
+  const columns = options.columns ? String(options.columns).split(',') : null;
+  const print = body => process.stdout.write(format(body, settings.output, columns) + '\n');
+
+  if (positional[0] === 'profile') {
+    return print(profileCommand(positional.slice(1), options, env));
+  }
+  // Needs no server, so it works before one is set up
+  if (positional.length === 0) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const http = axios.create({
+    baseURL: settings.server,
+    headers: settings.key ? { 'X-Tower-Key': settings.key } : {},
+    validateStatus: () => true,
+    timeout: 120000
+  });
+  const commands = buildCommands(await fetchSpec(http));
+
+  if (positional[0] === 'help') {
+    const group = positional[1] && resolveGroup(positional[1], commands);
+    if (positional[1] && !group) throw new CliError(`Unknown group "${positional[1]}"`);
+    process.stdout.write(help(commands, group));
+    return;
+  }
+
+  const group = resolveGroup(positional[0], commands);
+  if (!group) throw new CliError(`Unknown group "${positional[0]}"; see "tower help"`);
+  // A group on its own lists its collection ("tower jobs"), or its commands
+  const words = positional.slice(1);
+  if (words.length === 0) {
+    if (!findCommand(commands, group, ['list']).command || options.help) {
+      process.stdout.write(help(commands, group));
+      return;
+    }
+    words.push('list');
+  }
+
+  const { command, values } = matchCommand(commands, group, words);
+  if (options.help) {
+    process.stdout.write(describeOptions(command));
+    return;
+  }
+
+  const request = buildRequest(command, values, options);
+  const headers = {};
+  if (options.connection) headers['X-Tower-Connection'] = options.connection;
+  if (options.async) headers.Prefer = 'respond-async';
+
+  const content = command.operation.responses[200].content || {};
+  const streamed = Boolean(content[EVENT_STREAM]);
+  if (streamed) headers.Accept = EVENT_STREAM;
+  if (options.export) {
+    if (!content[NDJSON]) throw new CliError(`"${command.words.join(' ')}" is not a list that can be exported`);
+    headers.Accept = NDJSON;
+  }
+
+  const response = await http.request({
+    method: request.method,
+    url: request.path,
+    params: request.query,
+    data: request.body ?? undefined,
+    headers,
+    responseType: streamed || options.export ? 'stream' : 'json'
+  });
+
+  if (streamed && String(response.headers['content-type']).startsWith(EVENT_STREAM)) {
+    return streamText(response.data, settings.output === 'table' ? text => process.stdout.write(text) : null, print);
+  }
+  if (options.export && String(response.headers['content-type']).startsWith(NDJSON)) {
+    return exportLines(response.data, line => process.stdout.write(line + '\n'));
+  }
+  if (streamed || options.export) response.data = parseBody(await readStream(response.data));
+
+  if (response.status >= 400) {
+    const body = response.data || {};
+    const message = typeof body === 'object' ? body.error || JSON.stringify(body) : String(body);
+    throw new CliError(`${response.status}${body.code ? ` ${body.code}` : ''}: ${message}`);
+  }
+  if (response.status === 202 && response.headers.location) {
+    process.stderr.write(`Accepted; follow it at ${response.headers.location}\n`);
+  }
+  print(response.data);
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(error => {
+    process.stderr.write(`tower: ${error instanceof CliError ? error.message : error.stack}\n`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { run, buildCommands, findCommand, parseArgs, buildRequest, formatTable };
@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+// Model Context Protocol server over stdio, for agents that start Tower as a
+// local tool server:
+//
+//   { "mcpServers": { "tower": { "command": "npx", "args": ["tower-mcp"], "cwd": "/path/to/tower" } } }
+//
+// It builds a gateway in this process from the environment (and .env), the
+// same way index.js does, but never listens on a port and leaves schedules to
+// the running server. Tools and their allow-lists are described in mcp-server.js.
+process.env.TOWER_LOG_STREAM = 'stderr';
+require('dotenv').config();
+const { createTowerApp } = require('./tower-app');
+const { logger } = require('./logger');
+
+const app = createTowerApp({ env: { ...process.env, TOWER_SCHEDULER_ENABLED: 'false' } });
+const tower = app.locals.tower;
+
+logger.info('MCP server listening on stdio', { tools: tower.mcp.tools().size });
+tower.mcp.serveStdio(process.stdin, process.stdout)
+  .then(() => tower.close())
+  .then(() => process.exit(0))
+  .catch(error => {
+    logger.error('Error stopping MCP server', { error });
+    process.exit(1);
+  });
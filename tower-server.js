@@ -0,0 +1,82 @@
+const http = require('http');
+const { logger } = require('./logger');
+
+// Serve a Tower app (see tower-app.js) on its own HTTP server. On SIGTERM or
+// SIGINT the server stops accepting connections, reports itself as draining
+// on /health/ready, lets in-flight requests finish for up to
+// shutdownTimeoutMs, then closes the app's stores.
+//
+// Returns { server, listening, shutdown }: `listening` resolves once the port
+// is bound and `shutdown()` starts the same sequence without a signal.
+function startTowerServer(app, { port = 3000, host = '0.0.0.0', shutdownTimeoutMs = 30000, signals = ['SIGTERM', 'SIGINT'], exitOnShutdown = true } = {}) {
+  const server = http.createServer();
+  const tower = app.locals.tower;
+  const inFlight = new Set();
+  let shuttingDown = null;
+
+  // Responses sent while draining close their connection, so keep-alive
+  // clients reconnect to another instance
+  const closeAfterResponse = res => {
+    if (!res.headersSent) res.setHeader('Connection', 'close');
+  };
+
+  server.on('request', (req, res) => {
+    inFlight.add(res);
+    res.once('close', () => inFlight.delete(res));
+    if (shuttingDown) closeAfterResponse(res);
+  });
+  // Added after the tracking listener so it sees each request first
+  server.on('request', app);
+
+  const shutdown = (reason = 'shutdown') => {
+    if (shuttingDown) return shuttingDown;
+
+    logger.info('Shutting down; draining connections', { reason, inFlight: inFlight.size, timeoutMs: shutdownTimeoutMs });
+    if (tower) tower.draining = true;
+    inFlight.forEach(closeAfterResponse);
+    signals.forEach(signal => process.removeListener(signal, onSignal));
+
+    shuttingDown = new Promise(resolve => {
+      const timer = setTimeout(() => {
+        logger.warn('Shutdown timed out; closing remaining connections', { inFlight: inFlight.size });
+        server.closeAllConnections();
+      }, shutdownTimeoutMs);
+      timer.unref();
+
+      server.close(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+      // Keep-alive connections with no request in progress would hold close() open
+      server.closeIdleConnections();
+    })
+      .then(() => tower && tower.close())
+      .then(() => logger.info('Shutdown complete'));
+    return shuttingDown;
+  };
+
+  function onSignal(signal) {
+    shutdown(signal)
+      .then(() => {
+        if (exitOnShutdown) process.exit(0);
+      })
+      .catch(error => {
+        logger.error('Error during shutdown', { error });
+        if (exitOnShutdown) process.exit(1);
+      });
+  }
+  signals.forEach(signal => process.once(signal, onSignal));
+
+  const listening = new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      logger.info(`Server running on port ${server.address().port}`, { port: server.address().port, host });
+      resolve(server);
+    });
+  });
+
+  return { server, listening, shutdown };
+}
+
+module.exports = { startTowerServer };
@@ -0,0 +1,536 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const GatewayError = require('./gateway-error');
+const ClientKeyService = require('./client-key-service');
+const { DEFAULT_CONNECTION } = require('./provider-connections');
+const { sanitize } = require('./audit-log');
+const { logger } = require('./logger');
+const { runWithContext } = require('./request-context');
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const STEP_ID_PATTERN = /^[A-Za-z0-9_]{1,64}$/;
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+const MAX_RETRIES = 5;
+
+// {{ steps.summary.output }} or {{ inputs.topic | json }}
+const PLACEHOLDER = /\{\{\s*([^{}|]+?)\s*(?:\|\s*(json)\s*)?\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([^{}|]+?)\s*(?:\|\s*(json)\s*)?\}\}$/;
+
+const invalid = (message, details) => new GatewayError(message, { status: 400, code: 'invalid_workflow', details });
+
+// Read a dotted path with optional indexes, e.g. steps.mrs.output[0].title
+function valueAt(context, expression) {
+  return expression
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+function placeholderValue(context, expression, filter) {
+  const value = valueAt(context, expression);
+  return filter === 'json' ? JSON.stringify(value ?? null) : value;
+}
+
+// Fill placeholders in step arguments. A string that is a single placeholder
+// takes the value as-is (objects stay objects); placeholders inside longer
+// strings are replaced by text, with objects written as JSON.
+function render(template, context) {
+  if (typeof template === 'string') {
+    const whole = WHOLE_PLACEHOLDER.exec(template);
+    if (whole) {
+      return placeholderValue(context, whole[1], whole[2]);
+    }
+    return template.replace(PLACEHOLDER, (match, expression, filter) => {
+      const value = placeholderValue(context, expression, filter);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => render(item, context));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, render(value, context)]));
+  }
+  return template;
+}
+
+const truthy = value => !(value === undefined || value === null || value === false || value === '' || value === 'false' ||
+  value === 0 || value === '0' || (Array.isArray(value) && value.length === 0));
+
+// Evaluate a step's `if`: a template that must render truthy, or one of
+// { equals: [a, b] }, { notEquals: [a, b] }, { exists: template },
+// { not: condition }, { all: [conditions] } and { any: [conditions] }
+function evaluate(condition, context) {
+  if (typeof condition === 'boolean') return condition;
+  if (typeof condition === 'string') return truthy(render(condition, context));
+
+  if ('equals' in condition || 'notEquals' in condition) {
+    const [left, right] = render(condition.equals || condition.notEquals, context);
+    const equal = JSON.stringify(left) === JSON.stringify(right) || String(left) === String(right);
+    return 'equals' in condition ? equal : !equal;
+  }
+  if ('exists' in condition) {
+    const value = render(condition.exists, context);
+    return value !== undefined && value !== null;
+  }
+  if ('not' in condition) return !evaluate(condition.not, context);
+  if ('all' in condition) return condition.all.every(item => evaluate(item, context));
+  return condition.any.some(item => evaluate(item, context));
+}
+
+const CONDITION_KEYS = ['equals', 'notEquals', 'exists', 'not', 'all', 'any'];
+
+function checkCondition(condition, where) {
+  if (typeof condition === 'string' || typeof condition === 'boolean') return;
+  const keys = condition && typeof condition === 'object' && !Array.isArray(condition) ? Object.keys(condition) : [];
+  if (keys.length !== 1 || !CONDITION_KEYS.includes(keys[0])) {
+    throw invalid(`${where} must be a template or an object with one of ${CONDITION_KEYS.join(', ')}`);
+  }
+  const [key] = keys;
+  if ((key === 'equals' || key === 'notEquals') && !(Array.isArray(condition[key]) && condition[key].length === 2)) {
+    throw invalid(`${where}.${key} must be a list of two values`);
+  }
+  if (key === 'not') checkCondition(condition.not, `${where}.not`);
+  if (key === 'all' || key === 'any') {
+    if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+      throw invalid(`${where}.${key} must be a non-empty list of conditions`);
+    }
+    condition[key].forEach((item, index) => checkCondition(item, `${where}.${key}[${index}]`));
+  }
+}
+
+// Check a workflow definition and fill in defaults. `registry` is used to
+// make sure every step calls an operation that the named provider has a route for.
+function normalizeWorkflow(name, definition, registry) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw invalid('A workflow must be an object with a list of steps');
+  }
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw invalid(`Workflow "${name}" has no steps`);
+  }
+
+  const inputs = definition.inputs || {};
+  if (typeof inputs !== 'object' || Array.isArray(inputs)) {
+    throw invalid(`Workflow "${name}" inputs must be an object keyed by input name`);
+  }
+
+  const seen = new Set();
+  const steps = definition.steps.map((step, index) => {
+    const where = `steps[${index}]`;
+    if (!step || typeof step !== 'object') throw invalid(`${where} must be an object`);
+    if (!STEP_ID_PATTERN.test(step.id || '')) throw invalid(`${where}.id must be letters, digits or underscores`);
+    if (seen.has(step.id)) throw invalid(`Step id "${step.id}" is used twice`);
+    seen.add(step.id);
+
+    const match = /^([A-Za-z0-9_-]+)\.([A-Za-z][A-Za-z0-9]*)$/.exec(step.call || '');
+    if (!match) throw invalid(`${where}.call must look like "provider.operation"`);
+    const [, provider, operation] = match;
+    const entry = registry.providers.get(provider);
+    if (!entry) throw invalid(`${where}.call names unknown provider "${provider}"`);
+    if (!registry.route(provider, operation)) {
+      throw invalid(`${where}.call: ${entry.definition.title} has no operation "${operation}"`);
+    }
+
+    if (step.args !== undefined && (!step.args || typeof step.args !== 'object' || Array.isArray(step.args))) {
+      throw invalid(`${where}.args must be an object of the operation's fields`);
+    }
+    if (step.if !== undefined) checkCondition(step.if, `${where}.if`);
+    const onError = step.onError || 'fail';
+    if (!['fail', 'continue'].includes(onError)) throw invalid(`${where}.onError must be "fail" or "continue"`);
+    const retries = step.retries ?? 0;
+    if (!Number.isInteger(retries) || retries < 0 || retries > MAX_RETRIES) {
+      throw invalid(`${where}.retries must be a whole number from 0 to ${MAX_RETRIES}`);
+    }
+
+    return {
+      ...step,
+      provider,
+      operation,
+      connection: step.connection || DEFAULT_CONNECTION,
+      args: step.args || {},
+      onError,
+      retries,
+      retryDelayMs: Number(step.retryDelayMs) || 1000
+    };
+  });
+
+  return { name, description: definition.description || '', inputs, steps, output: definition.output };
+}
+
+// Runs declarative, multi-step workflows that chain provider operations.
+// Definitions are JSON or YAML files, one workflow per file named after it:
+// those saved through the API live in `dir`, and the examples that ship with
+// the gateway in the read-only `bundledDir`, which a saved workflow of the
+// same name overrides. Each step's `call` is "provider.operation", naming a provider
+// route, and its `args` are the route's path parameters, query and body
+// fields, sent once {{ inputs.* }} and {{ steps.<id>.output }} placeholders
+// are filled in. A step's output is the route's response body:
+//
+//   name: summarize-merge-request
+//   inputs:
+//     projectId: { required: true }
+//   steps:
+//     - id: mr
+//       call: gitlab.getMergeRequest
+//       args: { projectId: '{{ inputs.projectId }}', mergeRequestIid: '{{ inputs.mergeRequestIid }}' }
+//     - id: summary
+//       call: gemini.analyzeContent
+//       args: { text: '{{ steps.mr.output.merge_request.description }}', analysisType: summary }
+//       onError: continue
+//   output: '{{ steps.summary.output.analysis }}'
+//
+// Steps run in order through ProviderRegistry#invoke, so each one is
+// validated, audited, invalidates the cache and publishes its event like a
+// request to its route; the last `retainRuns` runs are kept with their
+// (sanitized) step outputs for the run history.
+class WorkflowEngine {
+  constructor({ registry, dir, bundledDir = null, filePath = null, retainRuns = 200 }) {
+    this.registry = registry;
+    this.dir = dir;
+    this.bundledDir = bundledDir;
+    this.filePath = filePath;
+    this.retainRuns = retainRuns;
+    this.runs = [];
+    this.saveTimer = null;
+    this.exitHookInstalled = false;
+    this.load();
+  }
+
+  // Build an engine from TOWER_WORKFLOWS_DIR, TOWER_WORKFLOW_RUNS_FILE,
+  // TOWER_WORKFLOW_RUNS_STORE and TOWER_WORKFLOW_RUNS_LIMIT
+  static fromEnv(registry, env = process.env) {
+    return new WorkflowEngine({
+      registry,
+      dir: env.TOWER_WORKFLOWS_DIR || path.join(__dirname, '.data', 'workflows'),
+      bundledDir: path.join(__dirname, 'workflows'),
+      filePath: env.TOWER_WORKFLOW_RUNS_STORE === 'memory'
+        ? null
+        : env.TOWER_WORKFLOW_RUNS_FILE || path.join(__dirname, '.data', 'workflow-runs.json'),
+      retainRuns: Number(env.TOWER_WORKFLOW_RUNS_LIMIT) || 200
+    });
+  }
+
+  static validName(name) {
+    return NAME_PATTERN.test(name);
+  }
+
+  // Path of the file that defines a workflow, or null if there is none;
+  // saved workflows come before bundled ones
+  fileFor(name, dirs = [this.dir, this.bundledDir]) {
+    if (!WorkflowEngine.validName(name)) return null;
+    return dirs.filter(Boolean)
+      .flatMap(dir => EXTENSIONS.map(extension => path.join(dir, name + extension)))
+      .find(file => fs.existsSync(file)) || null;
+  }
+
+  // Whether a workflow is one of the bundled examples, not overridden by a saved one
+  isBundled(name) {
+    const file = this.fileFor(name);
+    return Boolean(file && this.bundledDir && path.dirname(file) === this.bundledDir);
+  }
+
+  // Load and check one workflow; null when it does not exist
+  get(name) {
+    const file = this.fileFor(name);
+    if (!file) return null;
+    let definition;
+    try {
+      definition = YAML.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw invalid(`Workflow file ${path.basename(file)} could not be parsed: ${error.message}`);
+    }
+    return normalizeWorkflow(name, definition, this.registry);
+  }
+
+  // Every saved and bundled workflow; files that fail to load are listed with their error
+  list() {
+    const files = [this.dir, this.bundledDir].filter(Boolean).flatMap(dir => {
+      try {
+        return fs.readdirSync(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    });
+
+    const names = [...new Set(files
+      .filter(file => EXTENSIONS.includes(path.extname(file)))
+      .map(file => path.basename(file, path.extname(file)))
+      .filter(WorkflowEngine.validName))].sort();
+
+    return names.map(name => {
+      try {
+        const workflow = this.get(name);
+        return {
+          name,
+          bundled: this.isBundled(name),
+          description: workflow.description,
+          inputs: workflow.inputs,
+          steps: workflow.steps.map(step => ({ id: step.id, call: step.call, connection: step.connection }))
+        };
+      } catch (error) {
+        return { name, bundled: this.isBundled(name), error: error.message };
+      }
+    });
+  }
+
+  // Create or replace a workflow from a parsed definition or YAML/JSON text.
+  // The file is written to `dir` in the format it was sent in.
+  save(name, source, format = 'json') {
+    if (!WorkflowEngine.validName(name)) {
+      throw invalid('Workflow names may only contain letters, digits, "_" and "-"');
+    }
+    let definition = source;
+    if (typeof source === 'string') {
+      try {
+        definition = YAML.parse(source);
+      } catch (error) {
+        throw invalid(`Workflow could not be parsed: ${error.message}`);
+      }
+    }
+    const workflow = normalizeWorkflow(name, definition, this.registry);
+
+    const extension = format === 'yaml' ? '.yaml' : '.json';
+    const text = typeof source === 'string' ? source : JSON.stringify(definition, null, 2) + '\n';
+    const existed = Boolean(this.fileFor(name));
+    const saved = this.fileFor(name, [this.dir]);
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, name + extension), text);
+    if (saved && path.extname(saved) !== extension) fs.unlinkSync(saved);
+
+    logger.info('Workflow saved', { workflow: name, steps: workflow.steps.length });
+    return { workflow, created: !existed };
+  }
+
+  // Delete a saved workflow. Bundled ones cannot be deleted; deleting a saved
+  // workflow that overrides one brings the bundled one back.
+  remove(name) {
+    const file = this.fileFor(name, [this.dir]);
+    if (!file) {
+      if (this.isBundled(name)) {
+        throw new GatewayError(`Workflow "${name}" ships with the gateway and cannot be deleted`, { status: 409, code: 'workflow_bundled' });
+      }
+      return false;
+    }
+    fs.unlinkSync(file);
+    logger.info('Workflow deleted', { workflow: name });
+    return true;
+  }
+
+  // Providers a workflow calls, for checking the caller's key scopes
+  static providersOf(workflow) {
+    return [...new Set(workflow.steps.map(step => step.provider))];
+  }
+
+  // Check inputs against the declared ones: required inputs must be present,
+  // defaults are filled in and undeclared inputs are rejected. Defaults may
+  // refer to inputs declared before them, e.g. 'Notes on {{ inputs.topic }}'.
+  static resolveInputs(workflow, given = {}) {
+    const unknown = Object.keys(given).filter(key => !(key in workflow.inputs));
+    if (unknown.length > 0) {
+      throw new GatewayError(`Unknown workflow input${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`, { status: 400, code: 'validation_failed' });
+    }
+    const inputs = {};
+    Object.entries(workflow.inputs).forEach(([key, spec]) => {
+      const declared = spec && typeof spec === 'object' ? spec : { default: spec };
+      if (given[key] !== undefined) {
+        inputs[key] = given[key];
+      } else if (declared.default !== undefined) {
+        inputs[key] = render(declared.default, { inputs });
+      } else if (declared.required) {
+        throw new GatewayError(`Workflow input "${key}" is required`, { status: 400, code: 'validation_failed' });
+      }
+    });
+    return inputs;
+  }
+
+  // Start a run. Returns { run, finished }: `run` is recorded straight away
+  // with status "running" and `finished` resolves to it once every step is done.
+  // Steps act as `client`, whose scopes, when it has them, must allow each call.
+  start(workflow, inputs, { client = null, requestId = null } = {}) {
+    const run = {
+      id: crypto.randomUUID(),
+      workflow: workflow.name,
+      status: 'running',
+      inputs: sanitize(inputs),
+      client: client ? { id: client.id, name: client.name } : null,
+      requestId,
+      steps: workflow.steps.map(step => ({ id: step.id, call: step.call, connection: step.connection, status: 'pending' })),
+      output: null,
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null
+    };
+    this.record(run);
+
+    const finished = runWithContext({ requestId }, () => this.execute(workflow, inputs, run, client));
+    return { run, finished };
+  }
+
+  async execute(workflow, inputs, run, client) {
+    const context = { inputs, steps: {} };
+    const log = { workflow: workflow.name, runId: run.id };
+    logger.info('Workflow run started', { ...log, steps: workflow.steps.length });
+
+    for (const [index, step] of workflow.steps.entries()) {
+      const record = run.steps[index];
+
+      if (step.if !== undefined && !evaluate(step.if, context)) {
+        record.status = 'skipped';
+        context.steps[step.id] = { status: 'skipped', output: step.default ?? null };
+        continue;
+      }
+
+      record.status = 'running';
+      const started = Date.now();
+      try {
+        const args = render(step.args, context);
+        const { output, attempts } = await this.callStep(step, args, { client, requestId: run.requestId });
+        Object.assign(record, { status: 'succeeded', attempts, durationMs: Date.now() - started, output: sanitize(output ?? null) });
+        context.steps[step.id] = { status: 'succeeded', output };
+      } catch (error) {
+        const gatewayError = GatewayError.from(error, step.provider);
+        Object.assign(record, { status: 'failed', attempts: error.attempts || 1, durationMs: Date.now() - started, error: gatewayError.toJSON() });
+        context.steps[step.id] = { status: 'failed', output: step.default ?? null, error: gatewayError.message };
+        logger.warn('Workflow step failed', { ...log, step: step.id, call: step.call, code: gatewayError.code, error: gatewayError.message });
+
+        if (step.onError !== 'continue') {
+          run.steps.slice(index + 1).forEach(later => { later.status = 'not_run'; });
+          return this.finish(run, 'failed', { error: { step: step.id, ...gatewayError.toJSON() } });
+        }
+      }
+      this.record(run);
+    }
+
+    let output;
+    try {
+      output = workflow.output === undefined ? context.steps[workflow.steps[workflow.steps.length - 1].id].output : render(workflow.output, context);
+    } catch (error) {
+      return this.finish(run, 'failed', { error: GatewayError.from(error).toJSON() });
+    }
+    return this.finish(run, 'succeeded', { output });
+  }
+
+  // Call one step's route with its rendered `args`, retrying up to
+  // step.retries times; resolves to the route's response body. Fields that
+  // render to nothing are left out, so optional ones may come from values
+  // that are not always there, like {{ run.previousRunAt }}.
+  async callStep(step, args, { client = null, requestId = null } = {}) {
+    const route = this.registry.route(step.provider, step.operation);
+    const fields = Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined && value !== null));
+    const request = this.registry.requestFor(route, fields);
+    const resource = this.registry.resourcePath(step.provider, route, request.params);
+    if (client && client.scopes && !ClientKeyService.isAllowed(client.scopes, route.method, resource)) {
+      throw new GatewayError(`Client key "${client.name}" is not allowed to ${ClientKeyService.accessFor(route.method)} ${resource}`, { status: 403, code: 'forbidden', provider: step.provider });
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const { status, body } = await this.registry.invoke(step.provider, route, { connection: step.connection, ...request, client, requestId });
+      if (status < 400) {
+        return { output: body, attempts: attempt };
+      }
+      if (attempt > step.retries) {
+        const error = new GatewayError(body.error, {
+          status,
+          code: body.code,
+          provider: body.provider || step.provider,
+          upstreamStatus: body.upstreamStatus ?? null,
+          retryable: Boolean(body.retryable),
+          retryAfter: body.retryAfter ?? null,
+          details: body.details
+        });
+        error.attempts = attempt;
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, step.retryDelayMs * attempt));
+    }
+  }
+
+  finish(run, status, { output = null, error = null } = {}) {
+    const finishedAt = new Date();
+    Object.assign(run, {
+      status,
+      output: sanitize(output ?? null),
+      error,
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt.getTime() - Date.parse(run.startedAt)
+    });
+    this.record(run);
+    logger.info('Workflow run finished', { workflow: run.workflow, runId: run.id, status, durationMs: run.durationMs });
+    return run;
+  }
+
+  // Store a run, keeping the newest `retainRuns`
+  record(run) {
+    if (!this.runs.includes(run)) {
+      this.runs.push(run);
+      if (this.runs.length > this.retainRuns) this.runs.splice(0, this.runs.length - this.retainRuns);
+    }
+    this.scheduleSave();
+  }
+
+  // Runs newest first, optionally of one workflow or in one status
+  listRuns({ workflow, status, limit = 50 } = {}) {
+    return this.runs
+      .filter(run => !workflow || run.workflow === workflow)
+      .filter(run => !status || run.status === status)
+      .slice(-limit)
+      .reverse();
+  }
+
+  getRun(id) {
+    return this.runs.find(run => run.id === id) || null;
+  }
+
+  // Runs still marked as running were cut off by a restart
+  load() {
+    if (!this.filePath) return;
+    try {
+      this.runs = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error loading workflow runs', { error });
+      }
+    }
+    this.runs.filter(run => run.status === 'running').forEach(run => {
+      run.steps.filter(step => step.status === 'running' || step.status === 'pending').forEach(step => { step.status = 'not_run'; });
+      this.finish(run, 'failed', {
+        error: new GatewayError('The gateway restarted while this workflow was running', { status: 500, code: 'workflow_interrupted' }).toJSON()
+      });
+    });
+  }
+
+  // Batch writes that happen close together into one file write
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) return;
+    if (!this.exitHookInstalled) {
+      process.once('exit', () => this.flush());
+      this.exitHookInstalled = true;
+    }
+    this.saveTimer = setTimeout(() => this.flush(), 1000);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.runs), { mode: 0o600 });
+    } catch (error) {
+      logger.error('Error saving workflow runs', { error });
+    }
+  }
+
+  close() {
+    this.flush();
+  }
+}
+
+module.exports = { WorkflowEngine, render, evaluate, normalizeWorkflow };